@@ -0,0 +1,96 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import User from './src/models/User.js';
+import Payment from './src/models/Payment.js';
+import { normalizeUtr, UTR_KEY_LENGTH } from './src/utils/utr.js';
+
+const DECISIONS = {
+  paid: 'approved',
+  pending: 'pending',
+  cancel: 'declined'
+};
+
+const migratePayments = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Rebuild indexes whose definition changed (e.g. the UTR index became partial
+    // so checkouts without a UTR yet don't collide)
+    await Payment.syncIndexes();
+
+    // Near-duplicate lookup keys for payments saved before they existed
+    const keyed = await Payment.updateMany(
+      { utrNormalized: { $type: 'string' }, utrPrefix: { $exists: false } },
+      [{
+        $set: {
+          utrPrefix: { $substrCP: ['$utrNormalized', 0, UTR_KEY_LENGTH] },
+          utrSuffix: {
+            $substrCP: [
+              '$utrNormalized',
+              { $max: [0, { $subtract: [{ $strLenCP: '$utrNormalized' }, UTR_KEY_LENGTH] }] },
+              UTR_KEY_LENGTH
+            ]
+          }
+        }
+      }]
+    );
+    console.log(`UTR lookup keys added to ${keyed.modifiedCount} payments`);
+
+    // Users that still carry a payment on their own document
+    const users = await User.find({
+      utrNo: { $exists: true, $nin: [null, ''] },
+      paymentAmount: { $ne: null }
+    });
+
+    console.log(`Found ${users.length} users with legacy payment fields`);
+
+    let created = 0;
+    let skipped = 0;
+
+    for (const user of users) {
+      const existing = await Payment.findOne({ userId: user._id, utrNo: user.utrNo });
+      if (existing) {
+        skipped++;
+        continue;
+      }
+
+      const type = user.paymentType || 'regular';
+
+      const duplicate = await Payment.findOne({ utrNormalized: normalizeUtr(user.utrNo) });
+      if (duplicate) {
+        console.warn(`Duplicate UTR ${user.utrNo} for ${user.email} (already on payment ${duplicate._id}), skipping`);
+        skipped++;
+        continue;
+      }
+
+      await Payment.create({
+        userId: user._id,
+        utrNo: user.utrNo,
+        plan: {
+          planId: mongoose.isValidObjectId(user.paymentPlanId) ? user.paymentPlanId : null,
+          type,
+          month: user.subscriptionMonths || 1,
+          price: user.paymentAmount
+        },
+        amount: user.paymentAmount,
+        currency: Payment.currencyForType(type),
+        submittedAt: user.premiumStartDate || user.updatedAt,
+        decision: DECISIONS[user.status] || 'pending',
+        reviewedAt: user.status === 'pending' ? null : user.updatedAt
+      });
+      created++;
+    }
+
+    console.log(`Migration complete. Created: ${created}, skipped: ${skipped}`);
+
+  } catch (error) {
+    console.error('Error migrating payments:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+};
+
+migratePayments();
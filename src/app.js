@@ -42,7 +42,13 @@ app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
 
 // Body parsers
-app.use(express.json({ limit: '1mb' }));
+app.use(express.json({
+  limit: '1mb',
+  // Keep the raw bytes for webhook signature checks
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 
@@ -59,6 +65,8 @@ app.use(compression());
 const limiter = rateLimit({
   windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
   max: Number(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP
+  // Gateways send webhooks from a few shared IPs; they are authenticated by signature instead
+  skip: (req) => req.path.startsWith(`/${process.env.API_VERSION || 'v1'}/webhooks/`)
 });
 app.use('/api', limiter);
 
@@ -0,0 +1,62 @@
+/**
+ * Networks crypto plans can be paid on, with the stablecoin contracts we accept.
+ * All are EVM chains served by Etherscan-compatible explorers (chainId selects the chain).
+ */
+export const CRYPTO_NETWORKS = {
+  ethereum: {
+    name: 'Ethereum (ERC-20)',
+    chainId: 1,
+    minConfirmations: 12,
+    tokens: {
+      USDT: { contract: '0xdac17f958d2ee523a2206206994597c13d831ec7', decimals: 6 },
+      USDC: { contract: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48', decimals: 6 }
+    }
+  },
+  bsc: {
+    name: 'BNB Smart Chain (BEP-20)',
+    chainId: 56,
+    minConfirmations: 15,
+    tokens: {
+      USDT: { contract: '0x55d398326f99059ff775485246999027b3197955', decimals: 18 },
+      USDC: { contract: '0x8ac76a51cc950d9822d68b83fe1ad97b32cd580d', decimals: 18 }
+    }
+  },
+  polygon: {
+    name: 'Polygon PoS',
+    chainId: 137,
+    minConfirmations: 64,
+    tokens: {
+      USDT: { contract: '0xc2132d05d31c914a87c6611c10748aeb04b58e8f', decimals: 6 },
+      USDC: { contract: '0x3c499c542cef5e3811e1192ce70d8cc03d5c3359', decimals: 6 }
+    }
+  }
+};
+
+/**
+ * Crypto payment intent settings (read lazily so dotenv has loaded)
+ */
+export const getCryptoPaymentConfig = () => {
+  const minConfirmations = parseInt(process.env.CRYPTO_MIN_CONFIRMATIONS);
+
+  return {
+    // Chain explorer adapter: "etherscan" (any Etherscan-compatible API) or "fake" outside production
+    explorer: (process.env.CRYPTO_EXPLORER || 'etherscan').toLowerCase(),
+    etherscan: {
+      apiUrl: process.env.ETHERSCAN_API_URL || 'https://api.etherscan.io/v2/api',
+      apiKey: process.env.ETHERSCAN_API_KEY || null
+    },
+    // JSON file of transfers the fake explorer serves (see FakeExplorer.loadFile)
+    fakeTransfersFile: process.env.CRYPTO_FAKE_TRANSFERS_FILE || null,
+    // Minutes a user has to send the exact amount
+    intentTtlMinutes: parseInt(process.env.CRYPTO_INTENT_TTL_MINUTES) || 30,
+    // Hours an amount stays reserved after its intent closes, so a late transfer
+    // for an old intent can never match a new one
+    amountCooldownHours: parseInt(process.env.CRYPTO_AMOUNT_COOLDOWN_HOURS) || 24,
+    // Overrides the per-network confirmation count when set
+    minConfirmations: Number.isInteger(minConfirmations) && minConfirmations > 0 ? minConfirmations : null,
+    // Open intents for the same price differ by multiples of this (in token units)
+    dustStep: process.env.CRYPTO_DUST_STEP || '0.0001',
+    // Distinct amounts available per price at a time (open and cooling down)
+    dustSteps: parseInt(process.env.CRYPTO_DUST_STEPS) || 1000
+  };
+};
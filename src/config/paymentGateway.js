@@ -0,0 +1,47 @@
+/**
+ * Payment gateway settings (read lazily so dotenv has loaded)
+ */
+export const getPaymentGatewayConfig = () => {
+  // Providers accepted for checkout and webhooks, e.g. "razorpay" or "razorpay,fake"
+  const enabled = (process.env.PAYMENT_GATEWAYS || '')
+    .split(',')
+    .map(provider => provider.trim().toLowerCase())
+    .filter(Boolean);
+
+  return {
+    enabled,
+    // Provider used for new orders
+    defaultProvider: (process.env.PAYMENT_GATEWAY_DEFAULT || enabled[0] || '').toLowerCase() || null,
+    currency: process.env.PAYMENT_CURRENCY_GATEWAY || 'INR',
+    razorpay: {
+      keyId: process.env.RAZORPAY_KEY_ID || null,
+      keySecret: process.env.RAZORPAY_KEY_SECRET || null,
+      webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET || null,
+      apiUrl: process.env.RAZORPAY_API_URL || 'https://api.razorpay.com'
+    },
+    // Local stand-in for development and tests; never enabled in production
+    fake: {
+      webhookSecret: process.env.FAKE_GATEWAY_WEBHOOK_SECRET || null
+    }
+  };
+};
+
+/**
+ * Refuse to start with a gateway setup that would let anyone activate premium:
+ * the fake gateway in production, or without its own webhook secret
+ * @throws {Error} When the configuration is unsafe
+ */
+export const validatePaymentGatewayConfig = () => {
+  const config = getPaymentGatewayConfig();
+  const usesFake = config.enabled.includes('fake') || config.defaultProvider === 'fake';
+
+  if (!usesFake) return;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('The fake payment gateway cannot be enabled in production (PAYMENT_GATEWAYS)');
+  }
+
+  if (!config.fake.webhookSecret) {
+    throw new Error('The fake payment gateway requires FAKE_GATEWAY_WEBHOOK_SECRET');
+  }
+};
@@ -0,0 +1,88 @@
+/**
+ * Column mappings for bank statement CSV exports. Each field lists the header
+ * names a bank uses for it; headers are compared case-insensitively, ignoring
+ * punctuation, and may carry a suffix (e.g. "Deposit Amount (INR )").
+ *
+ * A statement has either separate credit/debit columns, or an amount column
+ * with a Dr/Cr type column.
+ */
+export const BANK_STATEMENT_PRESETS = {
+  hdfc: {
+    name: 'HDFC Bank',
+    columns: {
+      date: ['Date'],
+      narration: ['Narration'],
+      reference: ['Chq./Ref.No.', 'Chq/Ref Number'],
+      credit: ['Deposit Amt.', 'Deposit Amount'],
+      debit: ['Withdrawal Amt.', 'Withdrawal Amount']
+    }
+  },
+  icici: {
+    name: 'ICICI Bank',
+    columns: {
+      date: ['Transaction Date', 'Value Date'],
+      narration: ['Transaction Remarks', 'Remarks'],
+      reference: ['Cheque Number', 'Transaction ID'],
+      credit: ['Deposit Amount', 'Deposit Amt'],
+      debit: ['Withdrawal Amount', 'Withdrawal Amt']
+    }
+  },
+  sbi: {
+    name: 'State Bank of India',
+    columns: {
+      date: ['Txn Date', 'Transaction Date'],
+      narration: ['Description'],
+      reference: ['Ref No./Cheque No.', 'Ref No'],
+      credit: ['Credit'],
+      debit: ['Debit']
+    }
+  },
+  axis: {
+    name: 'Axis Bank',
+    columns: {
+      date: ['Tran Date', 'Transaction Date'],
+      narration: ['PARTICULARS', 'Description'],
+      reference: ['CHQNO', 'Cheque No'],
+      credit: ['CR', 'Credit'],
+      debit: ['DR', 'Debit']
+    }
+  },
+  kotak: {
+    name: 'Kotak Mahindra Bank',
+    columns: {
+      date: ['Transaction Date', 'Date'],
+      narration: ['Description', 'Narration'],
+      reference: ['Chq / Ref No.', 'Chq/Ref No'],
+      credit: ['Credit', 'Deposit'],
+      debit: ['Debit', 'Withdrawal'],
+      amount: ['Amount'],
+      type: ['Dr / Cr', 'Dr/Cr']
+    }
+  },
+  generic: {
+    name: 'Generic CSV',
+    columns: {
+      date: ['Date', 'Transaction Date', 'Txn Date', 'Value Date'],
+      narration: ['Description', 'Narration', 'Remarks', 'Particulars'],
+      reference: ['Reference', 'Ref No', 'UTR', 'Chq/Ref No'],
+      credit: ['Credit', 'Deposit', 'Deposit Amount', 'CR'],
+      debit: ['Debit', 'Withdrawal', 'Withdrawal Amount', 'DR'],
+      amount: ['Amount'],
+      type: ['Type', 'Dr/Cr', 'Cr/Dr']
+    }
+  }
+};
+
+/**
+ * Bank statement reconciliation settings (read lazily so dotenv has loaded)
+ */
+export const getReconciliationConfig = () => {
+  const maxMb = parseFloat(process.env.RECONCILE_MAX_MB);
+  const windowDays = parseInt(process.env.RECONCILE_DATE_WINDOW_DAYS);
+
+  return {
+    maxBytes: Math.round((maxMb > 0 ? maxMb : 2) * 1024 * 1024),
+    // A credit matches payments submitted this many days before or after it
+    dateWindowDays: Number.isInteger(windowDays) && windowDays >= 0 ? windowDays : 3
+  };
+};
@@ -0,0 +1,68 @@
+/**
+ * Parse a positive integer from the environment
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Default value
+ * @returns {number}
+ */
+const parsePositiveInt = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * OTP brute-force protection settings (read lazily so dotenv has loaded)
+ */
+export const getOtpConfig = () => ({
+  // Failed verifications per email before the OTP is invalidated and the email is locked
+  maxAttempts: parsePositiveInt(process.env.OTP_MAX_ATTEMPTS, 5),
+  // Failed verifications per IP address (across all emails) before the IP is locked
+  maxAttemptsPerIp: parsePositiveInt(process.env.OTP_MAX_ATTEMPTS_PER_IP, 20),
+  // How long an email or IP stays locked
+  lockMinutes: parsePositiveInt(process.env.OTP_LOCK_MINUTES, 15),
+  // Cool-down after the first OTP email; doubles with every resend
+  resendCooldownSeconds: parsePositiveInt(process.env.OTP_RESEND_COOLDOWN_SECONDS, 30),
+  // Upper bound for the resend cool-down
+  resendMaxCooldownSeconds: parsePositiveInt(process.env.OTP_RESEND_MAX_COOLDOWN_SECONDS, 60 * 60)
+});
+
+/**
+ * Login lockout settings (read lazily so dotenv has loaded)
+ */
+export const getLockoutConfig = () => ({
+  // Failed logins (passwords or two-factor codes) before the account is locked
+  maxAttempts: parsePositiveInt(process.env.LOGIN_MAX_ATTEMPTS, 5),
+  // Length of the first lock; each further lock without a successful login doubles it
+  lockMinutes: parsePositiveInt(process.env.LOGIN_LOCK_MINUTES, 15),
+  // Upper bound for progressive locks
+  maxLockMinutes: parsePositiveInt(process.env.LOGIN_MAX_LOCK_MINUTES, 24 * 60),
+  // Validity of the self-service unlock link emailed on lock
+  unlockTokenHours: parsePositiveInt(process.env.ACCOUNT_UNLOCK_TOKEN_HOURS, 24)
+});
+
+/**
+ * Lock duration for the nth consecutive lock (0-based)
+ * @param {number} previousLocks - Locks since the last successful login
+ * @returns {number} Milliseconds
+ */
+export const getLockDuration = (previousLocks = 0) => {
+  const { lockMinutes, maxLockMinutes } = getLockoutConfig();
+  return Math.min(lockMinutes * 2 ** previousLocks, maxLockMinutes) * 60 * 1000;
+};
+
+/**
+ * Concurrent device limits (read lazily so dotenv has loaded)
+ */
+export const getDeviceLimitConfig = () => ({
+  // Devices allowed for free accounts and for plans without their own limit
+  defaultMaxDevices: parsePositiveInt(process.env.DEFAULT_MAX_DEVICES, 2)
+});
+
+/**
+ * Login history settings (read lazily so dotenv has loaded)
+ */
+export const getLoginHistoryConfig = () => ({
+  // How long login events are kept
+  retentionDays: parsePositiveInt(process.env.LOGIN_HISTORY_RETENTION_DAYS, 90),
+  // Validity of the "this wasn't me" link in new sign-in emails
+  revokeLinkHours: parsePositiveInt(process.env.LOGIN_ALERT_REVOKE_HOURS, 72)
+});
@@ -0,0 +1,31 @@
+/**
+ * File storage settings (read lazily so dotenv has loaded)
+ */
+export const getStorageConfig = () => ({
+  // "local" writes under localDir; "s3" uses any S3-compatible object store
+  driver: (process.env.STORAGE_DRIVER || 'local').toLowerCase(),
+  localDir: process.env.STORAGE_LOCAL_DIR || 'uploads',
+  s3: {
+    bucket: process.env.S3_BUCKET || null,
+    region: process.env.S3_REGION || 'us-east-1',
+    // Custom endpoint for S3-compatible stores (R2, MinIO, Spaces); defaults to AWS
+    endpoint: process.env.S3_ENDPOINT || null,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID || null,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || null,
+    // Path-style URLs (endpoint/bucket/key), needed by MinIO and most custom endpoints
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+  }
+});
+
+/**
+ * Payment proof upload limits
+ */
+export const getPaymentProofConfig = () => {
+  const maxMb = parseFloat(process.env.PAYMENT_PROOF_MAX_MB);
+
+  return {
+    maxBytes: Math.round((maxMb > 0 ? maxMb : 5) * 1024 * 1024),
+    // Larger images are scaled down when re-encoded
+    maxImageDimension: parseInt(process.env.PAYMENT_PROOF_MAX_DIMENSION) || 2000
+  };
+};
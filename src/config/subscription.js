@@ -0,0 +1,26 @@
+/**
+ * Parse a comma-separated list of day counts, e.g. "7,3,1"
+ * @param {string} value - Raw environment value
+ * @param {Array<number>} fallback - Default days
+ * @returns {Array<number>} Positive day counts, largest first
+ */
+const parseDays = (value, fallback) => {
+  if (!value) return fallback;
+
+  const days = value
+    .split(',')
+    .map(day => parseInt(day.trim()))
+    .filter(day => Number.isInteger(day) && day > 0);
+
+  return days.length ? [...new Set(days)].sort((a, b) => b - a) : fallback;
+};
+
+/**
+ * Subscription lifecycle settings (read lazily so dotenv has loaded)
+ */
+export const getSubscriptionConfig = () => ({
+  // Days before premiumEndDate on which an expiry reminder is emailed
+  reminderDays: parseDays(process.env.SUBSCRIPTION_REMINDER_DAYS, [7, 3, 1]),
+  // Days after premiumEndDate during which the user keeps access in the grace state (0 disables grace)
+  gracePeriodDays: Math.max(0, parseInt(process.env.SUBSCRIPTION_GRACE_DAYS) || 0)
+});
@@ -1,41 +1,50 @@
+import mongoose from 'mongoose';
 import User from '../models/User.js';
 import Session from '../models/Session.js';
 import PayInfo from '../models/PayInfo.js';
+import Payment from '../models/Payment.js';
+import AuditLog from '../models/AuditLog.js';
+import LoginEvent from '../models/LoginEvent.js';
+import JobRun from '../models/JobRun.js';
+import JobLock from '../models/JobLock.js';
+import paymentService from '../services/paymentService.js';
+import subscriptionService from '../services/subscriptionService.js';
+import auditService from '../services/auditService.js';
+import jobRunner from '../services/jobRunner.js';
+import lockoutService from '../services/lockoutService.js';
+import sessionService from '../services/sessionService.js';
+import paymentProofService from '../services/paymentProofService.js';
+import reconciliationService from '../services/reconciliationService.js';
 import logger from '../utils/logger.js';
-import { NotFoundError, ValidationError, ConflictError } from '../utils/errors.js';
+import { toCsv } from '../utils/csv.js';
+import { AppError, NotFoundError, ValidationError, ConflictError } from '../utils/errors.js';
 
 /**
  * Check and update premium status (cron job endpoint)
  */
 export const checkPremiumStatus = async (req, res, next) => {
   try {
-    const currentDate = new Date();
-    
-    // Find expired premium users
-    const expiredUsers = await User.find({
-      isPremium: true,
-      premiumEndDate: { $lt: currentDate },
-      status: { $ne: 'cancel' }
-    });
+    // Same lock as the in-process cron job, so a manual trigger never overlaps it
+    const { ran, run } = await jobRunner.run(
+      'premium-status-check',
+      () => subscriptionService.runStatusCheck(),
+      { trigger: 'http' }
+    );
 
-    let updatedCount = 0;
+    if (!ran) {
+      throw new ConflictError('Premium status check is already running', 'JOB_ALREADY_RUNNING');
+    }
 
-    // Update expired users
-    for (const user of expiredUsers) {
-      user.isPremium = false;
-      user.status = 'cancel';
-      await user.save();
-      updatedCount++;
-      
-      logger.info(`Premium expired for user: ${user.email}`);
+    if (run.outcome === 'failed') {
+      throw new AppError(`Premium status check failed: ${run.error}`, 500);
     }
 
     res.status(200).json({
       success: true,
-      message: `Premium status check completed. ${updatedCount} users updated`,
+      message: `Premium status check completed. ${run.counts.updatedCount} users updated`,
       data: {
-        updatedCount,
-        checkedAt: currentDate
+        ...run.counts,
+        runId: run._id
       }
     });
 
@@ -64,23 +73,45 @@ export const getDashboardStats = async (req, res, next) => {
       createdAt: { $gte: sevenDaysAgo }
     });
 
-    // Get revenue statistics (basic calculation)
-    const totalRevenue = await User.aggregate([
+    // Get revenue statistics from approved payments, per currency
+    const revenueByCurrency = await Payment.aggregate([
       {
-        $match: {
-          status: 'paid',
-          paymentAmount: { $exists: true, $ne: null }
-        }
+        $match: { decision: 'approved' }
       },
       {
         $group: {
-          _id: null,
-          total: { $sum: '$paymentAmount' }
+          _id: '$currency',
+          total: { $sum: '$amount' },
+          count: { $sum: 1 }
         }
+      },
+      {
+        $sort: { _id: 1 }
       }
     ]);
 
-    const revenue = totalRevenue.length > 0 ? totalRevenue[0].total : 0;
+    const pendingPayments = await Payment.countDocuments({ decision: 'pending' });
+
+    // Signed-in users per country (from GeoIP on their active sessions)
+    const usersByCountry = await Session.aggregate([
+      {
+        $match: { isActive: true, expiresAt: { $gt: new Date() } }
+      },
+      {
+        $group: {
+          _id: { countryCode: '$location.countryCode', country: '$location.country', userId: '$userId' }
+        }
+      },
+      {
+        $group: {
+          _id: { countryCode: '$_id.countryCode', country: '$_id.country' },
+          users: { $sum: 1 }
+        }
+      },
+      {
+        $sort: { users: -1 }
+      }
+    ]);
 
     res.status(200).json({
       success: true,
@@ -92,11 +123,22 @@ export const getDashboardStats = async (req, res, next) => {
           pending: pendingUsers,
           paid: paidUsers,
           online: onlineUsers,
-          recentRegistrations
+          recentRegistrations,
+          byCountry: usersByCountry.map(entry => ({
+            country: entry._id.country || null,
+            countryCode: entry._id.countryCode || null,
+            users: entry.users
+          }))
+        },
+        payments: {
+          pending: pendingPayments
         },
         revenue: {
-          total: revenue,
-          currency: 'USD' // You can make this dynamic
+          byCurrency: revenueByCurrency.map(entry => ({
+            currency: entry._id,
+            total: entry.total,
+            count: entry.count
+          }))
         },
         lastUpdated: new Date()
       }
@@ -129,26 +171,29 @@ export const updatePaymentStatus = async (req, res, next) => {
       throw new NotFoundError('User not found');
     }
 
-    // Update payment status
-    if (status) user.status = status;
-    if (typeof isPremium !== 'undefined') user.isPremium = isPremium;
+    const before = auditService.subscriptionSnapshot(user);
+
+    // Update payment details
     if (paymentAmount) user.paymentAmount = paymentAmount;
     if (paymentType) user.paymentType = paymentType;
     if (transactionId) user.transactionId = transactionId;
     if (utrNo) user.utrNo = utrNo;
 
-    // Set premium dates if making user premium
-    if (isPremium && subscriptionMonths) {
-      const startDate = new Date();
-      const endDate = new Date();
-      endDate.setMonth(endDate.getMonth() + subscriptionMonths);
-      
-      user.premiumStartDate = startDate;
-      user.premiumEndDate = endDate;
-      user.subscriptionMonths = subscriptionMonths;
-    }
+    // Premium fields only change through the subscription state machine
+    await subscriptionService.applyAdminChange(user, {
+      isPremium,
+      status,
+      startDate: isPremium && subscriptionMonths ? new Date() : undefined,
+      months: subscriptionMonths
+    });
 
-    await user.save();
+    await auditService.record(req, {
+      action: 'payment.update_status',
+      targetUser: user._id,
+      before,
+      after: auditService.subscriptionSnapshot(user),
+      metadata: { paymentAmount, paymentType, transactionId, utrNo }
+    });
 
     logger.info(`Payment status updated for user: ${user.email} - Status: ${status}`);
 
@@ -176,6 +221,12 @@ export const getUserPaymentInfo = async (req, res, next) => {
       throw new NotFoundError('User not found');
     }
 
+    const history = await Payment.getHistory(user._id);
+    const payments = history.map(payment => ({
+      ...payment.toObject(),
+      proofUrl: paymentProofService.proofUrl(payment)
+    }));
+
     res.status(200).json({
       success: true,
       message: 'User payment info retrieved successfully',
@@ -197,7 +248,8 @@ export const getUserPaymentInfo = async (req, res, next) => {
           paymentPlanId: user.paymentPlanId,
           createdAt: user.createdAt,
           updatedAt: user.updatedAt
-        }
+        },
+        payments
       }
     });
 
@@ -211,35 +263,55 @@ export const getUserPaymentInfo = async (req, res, next) => {
  */
 export const getAllPayments = async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, status = '', paymentType = '' } = req.query;
-    
-    const query = {
-      paymentAmount: { $exists: true, $ne: null }
-    };
-    
+    const { page = 1, limit = 10, status = '', paymentType = '', userId = '' } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const query = {};
+
+    // Status (accepts legacy user statuses as well as payment decisions)
     if (status) {
-      query.status = status;
+      const legacyStatuses = { paid: 'approved', cancel: 'declined' };
+      query.decision = legacyStatuses[status] || status;
+    } else {
+      // Checkouts the user never paid for are only listed when asked for
+      query.decision = { $ne: 'initiated' };
     }
-    
+
     if (paymentType) {
-      query.paymentType = paymentType;
+      query['plan.type'] = paymentType;
     }
 
-    const payments = await User.find(query)
-      .select('name email phone isPremium status paymentType paymentAmount transactionId utrNo premiumStartDate premiumEndDate createdAt')
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ createdAt: -1 });
-    
-    const total = await User.countDocuments(query);
-    
+    if (userId) {
+      query.userId = userId;
+    }
+
+    const payments = await Payment.find(query)
+      .populate('userId', 'name email phone isPremium status premiumStartDate premiumEndDate')
+      .populate('reviewedBy', 'name email')
+      .sort({ submittedAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum);
+
+    const total = await Payment.countDocuments(query);
+
+    // Flag UTRs that match or are one character away from another payment
+    const utrFlags = await paymentService.findSuspectedDuplicates(payments);
+    const paymentsWithFlags = payments.map(payment => ({
+      ...payment.toObject(),
+      utrCheck: utrFlags.get(String(payment._id)),
+      proofUrl: paymentProofService.proofUrl(payment)
+    }));
+
     res.status(200).json({
       success: true,
       message: 'Payments retrieved successfully',
       data: {
-        payments,
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / limit),
+        payments: paymentsWithFlags,
+        suspectedDuplicates: paymentsWithFlags.filter(payment => payment.utrCheck?.suspected).length,
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
         totalPayments: total
       }
     });
@@ -249,6 +321,180 @@ export const getAllPayments = async (req, res, next) => {
   }
 };
 
+/**
+ * Stream the screenshot or PDF uploaded with a payment
+ */
+export const getPaymentProof = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      throw new ValidationError('Invalid payment ID');
+    }
+
+    const payment = await Payment.findById(id).select('proof utrNo');
+    if (!payment) {
+      throw new NotFoundError('Payment not found');
+    }
+    if (!payment.proof) {
+      throw new NotFoundError('No proof was uploaded with this payment');
+    }
+
+    const body = await paymentProofService.read(payment.proof);
+    const extension = payment.proof.key.split('.').pop();
+
+    res.set({
+      'Content-Type': payment.proof.contentType,
+      'Content-Length': body.length,
+      'Content-Disposition': `inline; filename="payment-${payment._id}.${extension}"`,
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff',
+      // Uploaded content must never run scripts in the admin's browser
+      'Content-Security-Policy': "default-src 'none'; img-src 'self'; style-src 'unsafe-inline'; sandbox"
+    });
+
+    res.status(200).send(body);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Match a bank statement CSV against pending payments
+ */
+export const reconcilePayments = async (req, res, next) => {
+  try {
+    const { bank = 'generic', windowDays } = req.body;
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+
+    if (!text) {
+      throw new ValidationError('Upload the bank statement CSV in the "statement" field or send it as "csv"');
+    }
+
+    let columns = req.body.columns || {};
+    if (typeof columns === 'string') {
+      try {
+        columns = JSON.parse(columns);
+      } catch (parseError) {
+        throw new ValidationError('Columns must be a JSON object');
+      }
+    }
+
+    const statement = reconciliationService.parseStatement(text, { bank, columns });
+    const result = await reconciliationService.reconcile(statement.credits, {
+      windowDays: windowDays !== undefined && windowDays !== '' ? Number(windowDays) : undefined
+    });
+
+    await auditService.record(req, {
+      action: 'payments.reconcile',
+      metadata: {
+        bank,
+        fileName: req.file?.originalname || null,
+        ...result.summary,
+        skippedRows: statement.skippedRows
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Bank statement reconciled',
+      data: {
+        bank,
+        skippedRows: statement.skippedRows,
+        ...result
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve payments matched by a reconciliation, one by one through the normal approval flow
+ */
+export const approveReconciledPayments = async (req, res, next) => {
+  try {
+    const { paymentIds, reason } = req.body;
+    const approvalReason = reason || 'Matched on bank statement';
+    const results = [];
+
+    for (const paymentId of paymentIds) {
+      const payment = await Payment.findById(paymentId);
+
+      if (!payment) {
+        results.push({ paymentId, approved: false, error: 'Payment not found' });
+        continue;
+      }
+
+      const user = await User.findById(payment.userId);
+      if (!user) {
+        results.push({ paymentId, approved: false, error: 'User not found' });
+        continue;
+      }
+
+      try {
+        const before = auditService.subscriptionSnapshot(user);
+        const result = await paymentService.approvePayment(user, {
+          payment,
+          reviewerId: req.user._id,
+          reason: approvalReason
+        });
+
+        await auditService.record(req, {
+          action: 'payment.approve',
+          targetUser: user._id,
+          before,
+          after: auditService.subscriptionSnapshot(user),
+          reason: approvalReason,
+          metadata: {
+            paymentId: payment._id,
+            utrNo: payment.utrNo,
+            amount: payment.amount,
+            source: 'reconciliation'
+          }
+        });
+
+        results.push({
+          paymentId,
+          approved: true,
+          userId: user._id,
+          email: user.email,
+          newEndDate: result.newEndDate
+        });
+      } catch (error) {
+        // Approved or declined since the statement was matched (another admin, a second bulk call)
+        if (error.code === 'PAYMENT_ALREADY_REVIEWED') {
+          results.push({ paymentId, approved: false, skipped: true, error: 'Payment was already reviewed' });
+          continue;
+        }
+
+        logger.error(`Reconciled approval failed for payment ${paymentId}:`, error.message);
+        results.push({ paymentId, approved: false, error: error.message });
+      }
+    }
+
+    const approved = results.filter(result => result.approved).length;
+    const skipped = results.filter(result => result.skipped).length;
+    logger.info(`Reconciled payments approved by ${req.user.email}: ${approved}/${paymentIds.length}`);
+
+    res.status(200).json({
+      success: true,
+      message: `${approved} of ${paymentIds.length} payments approved`,
+      data: {
+        approved,
+        skipped,
+        failed: paymentIds.length - approved - skipped,
+        results
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get online users
  */
@@ -266,7 +512,8 @@ export const getOnlineUsers = async (req, res, next) => {
       user: session.userId,
       lastActivity: session.lastActivity,
       loginTime: session.loginTime,
-      deviceInfo: session.deviceInfo
+      deviceInfo: session.deviceInfo,
+      location: session.location
     }));
 
     res.status(200).json({
@@ -374,7 +621,7 @@ export const getOnlineUsers = async (req, res, next) => {
  */
 export const userStatus = async (req, res, next) => {
   try {
-    const { status, id, premiumEndDate } = req.body;
+    const { status, id, overridePremiumEndDate, overrideReason, reason } = req.body;
 
     if (!id) {
       throw new ValidationError('User ID is required');
@@ -385,48 +632,73 @@ export const userStatus = async (req, res, next) => {
       throw new NotFoundError('User not found');
     }
 
-    let updateData = {};
+    const before = auditService.subscriptionSnapshot(user);
     let message = '';
-    let statusCode = 200;
-
-    if (status && id) {
-      // Approve payment
-      updateData = {
-        isPremium: true,
-        status: 'paid',
-        premiumStartDate: new Date(),
-        premiumEndDate: premiumEndDate ? new Date(premiumEndDate) : null,
-        isSubscriptionActive: true
+    let subscriptionChange = null;
+    let reviewedPayment = null;
+
+    // Both branches claim the pending payment first: a payment that was already
+    // reviewed (double click, retried request) fails with 409 before anything is changed or audited
+    if (status) {
+      // Approve payment; the end date is computed from the plan and stacks onto the current one
+      const result = await paymentService.approvePayment(user, {
+        reviewerId: req.user._id,
+        reason: reason || null,
+        overrideEndDate: overridePremiumEndDate
+      });
+      reviewedPayment = result.payment;
+
+      if (result.overridden) {
+        await auditService.record(req, {
+          action: 'subscription.override_end_date',
+          targetUser: user._id,
+          before: { premiumEndDate: result.computedEndDate },
+          after: { premiumEndDate: result.newEndDate },
+          reason: overrideReason,
+          metadata: { paymentId: result.payment?._id || null }
+        });
+      }
+
+      subscriptionChange = {
+        previousEndDate: result.previousEndDate,
+        computedEndDate: result.computedEndDate,
+        newEndDate: result.newEndDate,
+        monthsAdded: result.monthsAdded,
+        overridden: result.overridden
       };
       message = 'User request accepted';
-      statusCode = 200;
-    } else if (!status && id) {
+    } else {
       // Decline payment
-      updateData = {
-        status: 'cancel',
-        isPremium: false,
-        premiumStartDate: null,
-        premiumEndDate: null,
-        subscriptionMonths: 0,
-        utrNo: '',
-        isSubscriptionActive: false
-      };
+      const result = await paymentService.declinePayment(user, {
+        reviewerId: req.user._id,
+        reason: reason || null
+      });
+      reviewedPayment = result.payment;
       message = 'Request rejected';
-      statusCode = 400;
     }
 
-    const updatedUser = await User.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, select: '-password' }
-    );
+    await auditService.record(req, {
+      action: status ? 'payment.approve' : 'payment.decline',
+      targetUser: user._id,
+      before,
+      after: auditService.subscriptionSnapshot(user),
+      reason: reason || null,
+      metadata: {
+        paymentId: reviewedPayment?._id || null,
+        utrNo: reviewedPayment?.utrNo || null,
+        amount: reviewedPayment?.amount ?? null
+      }
+    });
 
-    logger.info(`User status updated: ${user.email} - Status: ${updateData.status}`);
+    logger.info(`User status updated: ${user.email} - Status: ${user.status}`);
 
     res.status(200).json({
       success: true,
       message,
-      data: updatedUser
+      data: {
+        ...user.toObject(),
+        subscriptionChange
+      }
     });
 
   } catch (error) {
@@ -450,17 +722,17 @@ export const changeSubMonths = async (req, res, next) => {
       throw new NotFoundError('User not found');
     }
 
-    if (!user.premiumStartDate) {
-      throw new ValidationError('User does not have a premium start date');
-    }
+    const before = auditService.subscriptionSnapshot(user);
 
-    // Calculate new end date based on start date + months
-    let newPremiumEndDate = new Date(user.premiumStartDate);
-    newPremiumEndDate.setMonth(newPremiumEndDate.getMonth() + parseInt(months));
+    // New end date is start date + months
+    await subscriptionService.changeMonths(user, months);
 
-    user.subscriptionMonths = parseInt(months);
-    user.premiumEndDate = newPremiumEndDate;
-    await user.save();
+    await auditService.record(req, {
+      action: 'subscription.change_months',
+      targetUser: user._id,
+      before,
+      after: auditService.subscriptionSnapshot(user)
+    });
 
     logger.info(`Subscription months updated for ${email}: ${months} months`);
 
@@ -482,14 +754,26 @@ export const changeSubMonths = async (req, res, next) => {
  */
 export const createPaymentInfo = async (req, res, next) => {
   try {
-    const { price, month, qrcodeUrl, type } = req.body;
+    const { price, month, qrcodeUrl, upiVpa, payeeName, walletAddress, network, type, maxDevices } = req.body;
+
+    if (!price || !month || !(qrcodeUrl || upiVpa || walletAddress || type === 'gateway') || !type) {
+      throw new ValidationError('All fields are required (price, month, qrcodeUrl, upiVpa or walletAddress, type)');
+    }
+
+    if (!['crypto', 'regular', 'gateway'].includes(type)) {
+      throw new ValidationError('Type must be crypto, regular or gateway');
+    }
 
-    if (!price || !month || !qrcodeUrl || !type) {
-      throw new ValidationError('All fields are required (price, month, qrcodeUrl, type)');
+    if (upiVpa && type !== 'regular') {
+      throw new ValidationError('A UPI ID can only be set on regular plans');
     }
 
-    if (!['crypto', 'regular'].includes(type)) {
-      throw new ValidationError('Type must be either crypto or regular');
+    if (walletAddress && type !== 'crypto') {
+      throw new ValidationError('A wallet address can only be set on crypto plans');
+    }
+
+    if (Boolean(walletAddress) !== Boolean(network)) {
+      throw new ValidationError('A wallet address and its network must be set together');
     }
 
     // Check for duplicate plan (same type and month duration)
@@ -501,12 +785,23 @@ export const createPaymentInfo = async (req, res, next) => {
     const newPayment = new PayInfo({
       price: Number(price),
       month: Number(month),
-      qrcodeUrl: qrcodeUrl.trim(),
-      type
+      qrcodeUrl: qrcodeUrl ? qrcodeUrl.trim() : undefined,
+      upiVpa: upiVpa ? upiVpa.trim() : null,
+      payeeName: payeeName ? payeeName.trim() : null,
+      walletAddress: walletAddress ? walletAddress.trim() : null,
+      network: network || null,
+      type,
+      maxDevices: maxDevices ?? null
     });
 
     const savedPayment = await newPayment.save();
 
+    await auditService.record(req, {
+      action: 'plan.create',
+      targetPlan: savedPayment._id,
+      after: auditService.planSnapshot(savedPayment)
+    });
+
     logger.info(`Payment plan created: ${type} - ${month} months - $${price}`);
 
     res.status(201).json({
@@ -525,7 +820,7 @@ export const createPaymentInfo = async (req, res, next) => {
  */
 export const updatePaymentInfo = async (req, res, next) => {
   try {
-    const { id, price, month, qrcodeUrl, type } = req.body;
+    const { id, price, month, qrcodeUrl, upiVpa, payeeName, walletAddress, network, type, maxDevices } = req.body;
 
     if (!id) {
       throw new ValidationError('Payment ID is required');
@@ -536,8 +831,28 @@ export const updatePaymentInfo = async (req, res, next) => {
       throw new NotFoundError('Payment info not found');
     }
 
-    if (type && !['crypto', 'regular'].includes(type)) {
-      throw new ValidationError('Type must be either crypto or regular');
+    if (type && !['crypto', 'regular', 'gateway'].includes(type)) {
+      throw new ValidationError('Type must be crypto, regular or gateway');
+    }
+
+    const nextVpa = upiVpa !== undefined ? upiVpa : paymentInfo.upiVpa;
+    const nextQrcodeUrl = qrcodeUrl !== undefined ? qrcodeUrl : paymentInfo.qrcodeUrl;
+    const nextWallet = walletAddress !== undefined ? walletAddress : paymentInfo.walletAddress;
+    const nextNetwork = network !== undefined ? network : paymentInfo.network;
+    if (!nextVpa && !nextQrcodeUrl && !nextWallet && (type || paymentInfo.type) !== 'gateway') {
+      throw new ValidationError('A plan needs a QR code URL, a UPI ID or a wallet address');
+    }
+
+    if (nextVpa && (type || paymentInfo.type) !== 'regular') {
+      throw new ValidationError('A UPI ID can only be set on regular plans');
+    }
+
+    if (nextWallet && (type || paymentInfo.type) !== 'crypto') {
+      throw new ValidationError('A wallet address can only be set on crypto plans');
+    }
+
+    if (Boolean(nextWallet) !== Boolean(nextNetwork)) {
+      throw new ValidationError('A wallet address and its network must be set together');
     }
 
     // Check for duplicate if type or month is being changed
@@ -558,7 +873,12 @@ export const updatePaymentInfo = async (req, res, next) => {
     if (price !== undefined) updateData.price = Number(price);
     if (month !== undefined) updateData.month = Number(month);
     if (qrcodeUrl !== undefined) updateData.qrcodeUrl = qrcodeUrl.trim();
+    if (upiVpa !== undefined) updateData.upiVpa = upiVpa ? upiVpa.trim() : null;
+    if (payeeName !== undefined) updateData.payeeName = payeeName ? payeeName.trim() : null;
+    if (walletAddress !== undefined) updateData.walletAddress = walletAddress ? walletAddress.trim() : null;
+    if (network !== undefined) updateData.network = network || null;
     if (type !== undefined) updateData.type = type;
+    if (maxDevices !== undefined) updateData.maxDevices = maxDevices;
 
     const updatedPayment = await PayInfo.findByIdAndUpdate(
       id,
@@ -566,6 +886,13 @@ export const updatePaymentInfo = async (req, res, next) => {
       { new: true, runValidators: true }
     );
 
+    await auditService.record(req, {
+      action: 'plan.update',
+      targetPlan: paymentInfo._id,
+      before: auditService.planSnapshot(paymentInfo),
+      after: auditService.planSnapshot(updatedPayment)
+    });
+
     logger.info(`Payment plan updated: ID ${id}`);
 
     res.status(200).json({
@@ -625,8 +952,8 @@ export const getPaymentInfoByType = async (req, res, next) => {
   try {
     const { type } = req.params;
 
-    if (!['crypto', 'regular'].includes(type)) {
-      throw new ValidationError('Type must be either crypto or regular');
+    if (!['crypto', 'regular', 'gateway'].includes(type)) {
+      throw new ValidationError('Type must be crypto, regular or gateway');
     }
 
     const paymentInfo = await PayInfo.getActiveByType(type);
@@ -654,9 +981,18 @@ export const deletePaymentInfo = async (req, res, next) => {
       throw new NotFoundError('Payment info not found');
     }
 
+    const before = auditService.planSnapshot(paymentInfo);
+
     // Soft delete by setting isActive to false
     await paymentInfo.deactivate();
 
+    await auditService.record(req, {
+      action: 'plan.deactivate',
+      targetPlan: paymentInfo._id,
+      before,
+      after: auditService.planSnapshot(paymentInfo)
+    });
+
     logger.info(`Payment plan deactivated: ID ${id}`);
 
     res.status(200).json({
@@ -675,7 +1011,7 @@ export const deletePaymentInfo = async (req, res, next) => {
  */
 export const deleteUserSessions = async (req, res, next) => {
   try {
-    const { userId } = req.body;
+    const { userId, reason } = req.body;
 
     if (!userId) {
       throw new ValidationError('User ID is required');
@@ -688,7 +1024,14 @@ export const deleteUserSessions = async (req, res, next) => {
     }
 
     // Terminate all active sessions for the user
-    const result = await Session.terminateUserSessions(userId);
+    const result = await Session.terminateUserSessions(userId, 'admin_terminated', reason?.trim() || null);
+
+    await auditService.record(req, {
+      action: 'sessions.terminate_all',
+      targetUser: user._id,
+      reason: reason || null,
+      metadata: { sessionsTerminated: result.modifiedCount }
+    });
 
     logger.info(`All sessions deleted for user: ${user.email} by admin: ${req.user.email}`);
 
@@ -707,3 +1050,464 @@ export const deleteUserSessions = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Get a user's active and recent sessions
+ */
+export const getUserSessions = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const [sessions, maxSessions] = await Promise.all([
+      sessionService.getSessionHistory(user._id, limit),
+      sessionService.resolveMaxSessions(user)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'User sessions retrieved successfully',
+      data: {
+        userId: user._id,
+        userEmail: user.email,
+        maxSessions,
+        activeCount: sessions.filter(session => session.isActive).length,
+        sessions
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign out one of a user's devices
+ */
+export const terminateUserSession = async (req, res, next) => {
+  try {
+    const { userId, sessionId } = req.params;
+    const { reason } = req.body || {};
+
+    const user = await User.findById(userId).select('email');
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const result = await sessionService.terminateSession(sessionId, user._id, 'admin_terminated', reason || null);
+    if (!result.success) {
+      throw new NotFoundError(result.message);
+    }
+
+    await auditService.record(req, {
+      action: 'sessions.terminate',
+      targetUser: user._id,
+      reason: reason || null,
+      metadata: { sessionId }
+    });
+
+    logger.info(`Session ${sessionId} of ${user.email} terminated by admin: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session terminated successfully',
+      data: {
+        userId: user._id,
+        userEmail: user.email,
+        sessionId,
+        reason: reason || null,
+        terminatedAt: new Date()
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get accounts that are currently locked out
+ */
+export const getLockedAccounts = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const { users, total } = await lockoutService.getLockedAccounts({ page: pageNum, limit: limitNum });
+
+    res.status(200).json({
+      success: true,
+      message: 'Locked accounts retrieved successfully',
+      data: {
+        users,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          totalUsers: total
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unlock a locked account
+ */
+export const unlockUser = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body || {};
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const wasLocked = user.isAccountLocked;
+    const before = {
+      loginAttempts: user.loginAttempts,
+      lockUntil: user.lockUntil || null,
+      lockCount: user.lockCount
+    };
+
+    // An admin unlock also resets the progressive lock duration
+    await user.resetLoginAttempts();
+
+    await auditService.record(req, {
+      action: 'user.unlock',
+      targetUser: user._id,
+      before,
+      after: { loginAttempts: 0, lockUntil: null, lockCount: 0 },
+      reason: reason || null
+    });
+
+    logger.info(`Account unlocked: ${user.email} by admin: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked successfully',
+      data: {
+        userId: user._id,
+        userEmail: user.email,
+        wasLocked,
+        unlockedAt: new Date()
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ============= AUDIT LOG =============
+
+const AUDIT_EXPORT_LIMIT = 10000;
+
+/**
+ * Get audit log entries (filterable, with CSV export)
+ */
+export const getAuditLog = async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      actor = '',
+      target = '',
+      action = '',
+      startDate = '',
+      endDate = '',
+      format = 'json'
+    } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const query = {};
+
+    // Actor (user ID or email)
+    if (actor) {
+      if (mongoose.isValidObjectId(actor)) {
+        query.actor = actor;
+      } else {
+        query.actorEmail = String(actor).toLowerCase();
+      }
+    }
+
+    // Target (user or plan ID)
+    if (target) {
+      if (!mongoose.isValidObjectId(target)) {
+        throw new ValidationError('Target must be a valid user or plan ID');
+      }
+      query.$or = [{ targetUser: target }, { targetPlan: target }];
+    }
+
+    // Action (comma-separated list)
+    if (action) {
+      const actions = String(action).split(',').map(item => item.trim()).filter(Boolean);
+      query.action = actions.length === 1 ? actions[0] : { $in: actions };
+    }
+
+    // Date Range
+    if (startDate || endDate) {
+      query.createdAt = {};
+
+      if (startDate) {
+        query.createdAt.$gte = new Date(startDate);
+      }
+
+      if (endDate) {
+        query.createdAt.$lte = new Date(endDate);
+      }
+    }
+
+    if (format === 'csv') {
+      const entries = await AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .limit(AUDIT_EXPORT_LIMIT)
+        .lean();
+
+      const csv = toCsv(entries, [
+        { key: 'createdAt', header: 'Timestamp' },
+        { key: 'action', header: 'Action' },
+        { key: 'actorEmail', header: 'Actor Email' },
+        { key: 'actor', header: 'Actor ID' },
+        { key: 'targetUser', header: 'Target User ID' },
+        { key: 'targetPlan', header: 'Target Plan ID' },
+        { header: 'Before', value: (entry) => entry.changes?.before },
+        { header: 'After', value: (entry) => entry.changes?.after },
+        { key: 'reason', header: 'Reason' },
+        { key: 'metadata', header: 'Metadata' },
+        { key: 'ipAddress', header: 'IP Address' },
+        { key: 'userAgent', header: 'User Agent' }
+      ]);
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.status(200).send(csv);
+    }
+
+    const entries = await AuditLog.find(query)
+      .populate('actor', 'name email')
+      .populate('targetUser', 'name email')
+      .populate('targetPlan', 'type month price')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum);
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      message: 'Audit log retrieved successfully',
+      data: {
+        entries,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          totalEntries: total
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ============= LOGIN HISTORY =============
+
+/**
+ * Query login events across all users
+ */
+export const getLoginEvents = async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      user = '',
+      outcome = '',
+      ipAddress = '',
+      newDevice = '',
+      startDate = '',
+      endDate = ''
+    } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const query = {};
+
+    // User (ID or email)
+    if (user) {
+      if (mongoose.isValidObjectId(user)) {
+        query.userId = user;
+      } else {
+        query.email = String(user).toLowerCase();
+      }
+    }
+
+    // Outcome (comma-separated list)
+    if (outcome) {
+      const outcomes = String(outcome).split(',').map(item => item.trim()).filter(Boolean);
+      query.outcome = outcomes.length === 1 ? outcomes[0] : { $in: outcomes };
+    }
+
+    if (ipAddress) {
+      query['deviceInfo.ipAddress'] = ipAddress;
+    }
+
+    if (newDevice === 'true') {
+      query.isNewDevice = true;
+    }
+
+    // Date Range
+    if (startDate || endDate) {
+      query.createdAt = {};
+
+      if (startDate) {
+        query.createdAt.$gte = new Date(startDate);
+      }
+
+      if (endDate) {
+        query.createdAt.$lte = new Date(endDate);
+      }
+    }
+
+    const events = await LoginEvent.find(query)
+      .populate('userId', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum);
+
+    const total = await LoginEvent.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      message: 'Login events retrieved successfully',
+      data: {
+        events,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          totalEvents: total
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ============= SCHEDULED JOBS =============
+
+/**
+ * Get scheduled job run history and current locks
+ */
+export const getJobs = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, name = '', outcome = '' } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const query = {};
+
+    if (name) {
+      query.name = name;
+    }
+
+    if (outcome) {
+      query.outcome = outcome;
+    }
+
+    const runs = await JobRun.find(query)
+      .sort({ startedAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum);
+
+    const total = await JobRun.countDocuments(query);
+
+    const locks = (await JobLock.find().sort({ name: 1 })).map(lock => ({
+      name: lock.name,
+      owner: lock.owner,
+      lockedAt: lock.lockedAt,
+      lockedUntil: lock.lockedUntil,
+      held: lock.isHeld()
+    }));
+
+    res.status(200).json({
+      success: true,
+      message: 'Scheduled jobs retrieved successfully',
+      data: {
+        instanceId: jobRunner.instanceId,
+        locks,
+        runs,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          totalRuns: total
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Override (or clear) a user's concurrent device limit
+ */
+export const setDeviceLimit = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { maxDevices, reason } = req.body;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const before = { maxDevicesOverride: user.maxDevicesOverride ?? null };
+
+    user.maxDevicesOverride = maxDevices;
+    await user.save({ validateBeforeSave: false });
+
+    await auditService.record(req, {
+      action: 'user.device_limit',
+      targetUser: user._id,
+      before,
+      after: { maxDevicesOverride: maxDevices },
+      reason: reason || null
+    });
+
+    const effectiveMaxDevices = await sessionService.resolveMaxSessions(user);
+
+    logger.info(`Device limit for ${user.email} set to ${maxDevices ?? 'default'} by admin: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: maxDevices === null ? 'Device limit override removed' : 'Device limit updated successfully',
+      data: {
+        userId: user._id,
+        userEmail: user.email,
+        maxDevicesOverride: maxDevices,
+        effectiveMaxDevices
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
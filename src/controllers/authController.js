@@ -1,16 +1,38 @@
 import User from '../models/User.js';
 import jwtHelper from '../utils/jwt.js';
 import logger from '../utils/logger.js';
+import { setAuthCookies, clearAuthCookies } from '../utils/cookies.js';
 import emailService from '../services/emailService.js';
 import sessionService from '../services/sessionService.js';
+import subscriptionService from '../services/subscriptionService.js';
+import twoFactorService from '../services/twoFactorService.js';
+import otpService from '../services/otpService.js';
+import lockoutService from '../services/lockoutService.js';
+import loginHistoryService from '../services/loginHistoryService.js';
 import {connectDB} from '../config/database.js';
 import { 
   AuthenticationError, 
+  AuthorizationError,
   ValidationError, 
   ConflictError,
   NotFoundError 
 } from '../utils/errors.js';
 
+/**
+ * Create a session for a user who has just proved their identity and set the auth cookies
+ * @returns {Promise<Object>} { session, tokens }
+ */
+const startSession = async (req, res, user) => {
+  const maxSessions = await sessionService.resolveMaxSessions(user);
+  const session = await sessionService.createSession(user._id, user.email, req.ip, req.get('User-Agent'), maxSessions);
+  const tokens = await sessionService.issueTokens(user, session);
+  setAuthCookies(res, tokens);
+
+  await loginHistoryService.recordLogin(req, user, session, { method: 'registration' });
+
+  return { session, tokens };
+};
+
 export const sendRegistrationOTP = async (req, res, next) => {
   try {
     const { name, email } = req.body;
@@ -46,6 +68,9 @@ export const sendRegistrationOTP = async (req, res, next) => {
       });
     }
 
+    // Enforce lockout and resend cool-down
+    await otpService.assertCanSend(email, req.ip);
+
     // Generate and save OTP
     const verificationOTP = tempUser.createEmailOTP();
     await tempUser.save({ validateBeforeSave: false });
@@ -53,6 +78,7 @@ export const sendRegistrationOTP = async (req, res, next) => {
     // Send OTP email
     try {
       await emailService.sendVerificationOTP(email, name, verificationOTP);
+      await otpService.recordSent(email);
       logger.info(`Registration OTP sent to: ${email}`);
     } catch (emailError) {
       logger.error(`Failed to send registration OTP to ${email}:`, {
@@ -99,8 +125,8 @@ export const register = async (req, res, next) => {
       throw new AuthenticationError('Please verify your email first by sending an OTP.');
     }
 
-    // Verify OTP
-    if (!tempUser.verifyOTP(otp)) {
+    // Verify OTP (attempt-limited per email and IP)
+    if (!await otpService.verify(tempUser, otp, { email, ipAddress: req.ip })) {
       throw new AuthenticationError('Invalid or expired OTP');
     }
 
@@ -128,22 +154,8 @@ export const register = async (req, res, next) => {
 
     await tempUser.save();
 
-    // Generate JWT token for immediate login
-    const token = jwtHelper.generateToken({
-      id: tempUser._id,
-      email: tempUser.email,
-      role: tempUser.role
-    });
-
-    // Set cookie
-    const cookieOptions = {
-      expires: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
-    };
-
-    res.cookie('access_token', token, cookieOptions);
+    // Start a session for immediate login
+    const { session, tokens } = await startSession(req, res, tempUser);
 
     // Send welcome email
     try {
@@ -162,7 +174,14 @@ export const register = async (req, res, next) => {
       message: 'Registration completed successfully! Welcome to GoChart.',
       data: {
         user: tempUser,
-        token
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn,
+        session: {
+          sessionId: session.sessionId,
+          expiresAt: session.expiresAt,
+          deviceInfo: session.deviceInfo
+        }
       }
     });
 
@@ -185,17 +204,13 @@ export const verifyEmailOTP = async (req, res, next) => {
     // Find user by email
     const user = await User.findOne({ email });
 
-    if (!user) {
-      throw new AuthenticationError('Invalid email or OTP');
-    }
-
-    if (user.isEmailVerified) {
+    if (user?.isEmailVerified) {
       throw new ValidationError('Email is already verified');
     }
 
-    // Verify OTP
-    if (!user.verifyOTP(otp)) {
-      throw new AuthenticationError('Invalid or expired OTP');
+    // Verify OTP (attempt-limited per email and IP; unknown emails count as failures)
+    if (!await otpService.verify(user, otp, { email, ipAddress: req.ip })) {
+      throw new AuthenticationError('Invalid email or OTP');
     }
 
     // Mark email as verified and clear OTP fields
@@ -211,22 +226,8 @@ export const verifyEmailOTP = async (req, res, next) => {
       logger.error(`Failed to send welcome email to ${user.email}:`, emailError);
     }
 
-    // Generate JWT token for automatic login
-    const jwtToken = jwtHelper.generateToken({
-      id: user._id,
-      email: user.email,
-      role: user.role
-    });
-
-    // Set cookie
-    const cookieOptions = {
-      expires: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
-    };
-
-    res.cookie('access_token', jwtToken, cookieOptions);
+    // Start a session for automatic login
+    const { session, tokens } = await startSession(req, res, user);
 
     logger.info(`Email verified successfully for user: ${user.email}`);
 
@@ -240,7 +241,14 @@ export const verifyEmailOTP = async (req, res, next) => {
           email: user.email,
           isEmailVerified: user.isEmailVerified
         },
-        token: jwtToken
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn,
+        session: {
+          sessionId: session.sessionId,
+          expiresAt: session.expiresAt,
+          deviceInfo: session.deviceInfo
+        }
       }
     });
 
@@ -260,6 +268,9 @@ export const resendVerificationEmail = async (req, res, next) => {
       throw new ValidationError('Email is required');
     }
 
+    // Enforce lockout and resend cool-down
+    await otpService.assertCanSend(email, req.ip);
+
     const user = await User.findOne({ email });
 
     if (!user) {
@@ -286,6 +297,7 @@ export const resendVerificationEmail = async (req, res, next) => {
     // Send verification OTP email
     try {
       await emailService.sendVerificationOTP(email, user.name, verificationOTP);
+      await otpService.recordSent(email);
       logger.info(`Verification OTP resent to: ${email}`);
     } catch (emailError) {
       logger.error(`Failed to resend verification OTP to ${email}:`, emailError);
@@ -314,6 +326,9 @@ export const sendPasswordResetOTP = async (req, res, next) => {
       throw new ValidationError('Email is required');
     }
 
+    // Enforce lockout and resend cool-down
+    await otpService.assertCanSend(email, req.ip);
+
     const user = await User.findOne({ email });
 
     if (!user) {
@@ -336,6 +351,7 @@ export const sendPasswordResetOTP = async (req, res, next) => {
     // Send OTP email
     try {
       await emailService.sendPasswordResetOTP(email, user.name, otp);
+      await otpService.recordSent(email);
       logger.info(`Password reset OTP sent to: ${email}`);
     } catch (emailError) {
       logger.error(`Failed to send password reset OTP to ${email}:`, emailError);
@@ -366,25 +382,24 @@ export const verifyOTPAndResetPassword = async (req, res, next) => {
 
     const user = await User.findOne({ email });
 
-    if (!user) {
+    // Verify OTP (attempt-limited per email and IP; unknown emails count as failures)
+    if (!await otpService.verify(user, otp, { email, ipAddress: req.ip })) {
       throw new AuthenticationError('Invalid email or OTP');
     }
 
-    // Verify OTP
-    if (!user.verifyOTP(otp)) {
-      throw new AuthenticationError('Invalid or expired OTP');
-    }
-
     // Update password and clear OTP fields
     user.password = password;
     user.emailOTP = undefined;
     user.emailOTPExpires = undefined;
-    user.passwordChangedAt = new Date();
+    user.markPasswordChanged();
     await user.save();
 
+    // Sign out every device that was using the old password
+    const signedOutDevices = await sessionService.revokeSessionsAfterPasswordChange(user._id);
+
     // Send password change notification
     try {
-      await emailService.sendPasswordChangeNotification(user.email, user.name);
+      await emailService.sendPasswordChangeNotification(user.email, user.name, { signedOutDevices });
     } catch (emailError) {
       logger.error(`Failed to send password change notification to ${user.email}:`, emailError);
     }
@@ -403,117 +418,180 @@ export const verifyOTPAndResetPassword = async (req, res, next) => {
 };
 
 /**
- * User login with session management
+ * Create the session, issue tokens and send the login response once every
+ * credential (password and, if required, second factor) has been checked
+ * @param {Object} options - { force, method, message, data }
  */
-export const login = async (req, res, next) => {
-  try {
-    // Ensure database connection for serverless
-    await connectDB();
-    
-    const { email, password } = req.body;
-    const ipAddress = req.ip;
-    const userAgent = req.get('User-Agent');
-
-    // Find user with password field
-    const user = await User.findOne({ email }).select('+password');
-
-    // Check if user exists and account is not locked
-    if (!user) {
-      throw new AuthenticationError('Invalid email or password');
-    }
-
-    if (!user.isActive) {
-      throw new AuthenticationError('Account has been deactivated');
-    }
-
-    if (!user.isEmailVerified) {
-      throw new AuthenticationError('Please verify your email before logging in. Check your inbox for verification link.');
-    }
-
-    if (user.isLocked) {
-      throw new AuthenticationError(
-        `Account is locked until ${user.lockUntil.toLocaleString()}`
-      );
-    }
-
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
+const completeLogin = async (req, res, user, { force = false, method = 'password', message = null, data = {} } = {}) => {
+  const ipAddress = req.ip;
+  const userAgent = req.get('User-Agent');
 
-    if (!isPasswordValid) {
-      // Increment login attempts
-      await user.incLoginAttempts();
-      throw new AuthenticationError('Invalid email or password');
-    }
+  // Reset login attempts on successful login
+  await user.resetLoginAttempts();
 
-    // Reset login attempts on successful login
-    await user.resetLoginAttempts();
+  // Device limit from the user's override, plan or the default
+  const maxSessions = await sessionService.resolveMaxSessions(user);
 
+  if (!force) {
     // Check session limits
     const validationResult = await sessionService.validateLoginAttempt(
       user._id, 
-      email, 
+      user.email, 
       ipAddress, 
-      userAgent
+      userAgent,
+      maxSessions
     );
 
     if (!validationResult.canLogin) {
       return res.status(409).json({
         success: false,
-        message: 'You are already signed in on 2 devices. Please contact our support team to clear your sessions or sign out from other devices.',
+        message: `You are already signed in on ${maxSessions} device${maxSessions === 1 ? '' : 's'}. Please contact our support team to clear your sessions or sign out from other devices.`,
         code: 'SESSION_LIMIT_EXCEEDED',
         data: {
-          maxSessions: 2,
-          activeSessions: validationResult.activeSessions
+          maxSessions,
+          activeSessions: validationResult.activeSessions,
+          // Lets the client sign out one of the devices without re-entering credentials
+          ...(await sessionService.createSessionLimitChallenge(user))
         }
       });
     }
+  }
 
-    // Create session
-    const session = await sessionService.createSession(user._id, email, ipAddress, userAgent);
+  // Create session (force login terminates the oldest one if the limit is reached)
+  const session = force
+    ? await sessionService.forceLogin(user._id, user.email, ipAddress, userAgent, maxSessions)
+    : await sessionService.createSession(user._id, user.email, ipAddress, userAgent, maxSessions);
+
+  // Update user login info
+  user.lastLogin = new Date();
+  user.lastActivity = new Date();
+  user.ipAddress = ipAddress;
+  user.userAgent = userAgent;
+  await user.save({ validateBeforeSave: false });
+
+  // Issue short-lived access token and rotating refresh token bound to the session
+  const tokens = await sessionService.issueTokens(user, session);
+  setAuthCookies(res, tokens);
+
+  // Login history; alerts the user by email when this is a new device
+  await loginHistoryService.recordLogin(req, user, session, { forced: force, method });
+
+  // Remove password from response
+  user.password = undefined;
+
+  logger.info(`${force ? 'Force login successful' : 'User logged in'}: ${user.email} (Session: ${session.sessionId})`);
+
+  res.status(200).json({
+    success: true,
+    message: message || (force ? 'Login successful - oldest session terminated' : 'Login successful'),
+    data: {
+      user,
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
+      session: {
+        sessionId: session.sessionId,
+        expiresAt: session.expiresAt,
+        deviceInfo: session.deviceInfo
+      },
+      ...data
+    }
+  });
+};
 
-    // Update user login info
-    user.lastLogin = new Date();
-    user.lastActivity = new Date();
-    user.ipAddress = ipAddress;
-    user.userAgent = userAgent;
-    await user.save({ validateBeforeSave: false });
+/**
+ * Record a rejected login attempt and return the error to throw
+ */
+const rejectLogin = async (req, { user = null, email, failureReason, locked = false }, error) => {
+  await loginHistoryService.record(req, {
+    user,
+    email,
+    outcome: locked ? 'locked' : 'failed',
+    failureReason
+  });
+  return error;
+};
 
-    // Generate JWT token with session ID
-    const token = jwtHelper.generateToken({
-      id: user._id,
-      email: user.email,
-      role: user.role,
-      sessionId: session.sessionId
-    });
+/**
+ * Check email and password; returns the user or throws
+ */
+const verifyPasswordCredentials = async (req, email, password) => {
+  // Find user with password field
+  const user = await User.findOne({ email }).select('+password');
+
+  // Check if user exists and account is not locked
+  if (!user) {
+    throw await rejectLogin(req, { email, failureReason: 'unknown_email' },
+      new AuthenticationError('Invalid email or password'));
+  }
 
-    // Set cookie
-    const cookieOptions = {
-      expires: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
-    };
+  if (!user.isActive) {
+    throw await rejectLogin(req, { user, failureReason: 'account_inactive' },
+      new AuthenticationError('Account has been deactivated'));
+  }
 
-    res.cookie('access_token', token, cookieOptions);
+  if (!user.isEmailVerified) {
+    throw await rejectLogin(req, { user, failureReason: 'email_not_verified' },
+      new AuthenticationError('Please verify your email before logging in. Check your inbox for verification link.'));
+  }
 
-    // Remove password from response
-    user.password = undefined;
+  if (user.isAccountLocked) {
+    throw await rejectLogin(req, { user, failureReason: 'account_locked' },
+      lockoutService.lockedError(user.lockUntil));
+  }
 
-    logger.info(`User logged in: ${email} (Session: ${session.sessionId})`);
+  // Check password
+  const isPasswordValid = await user.comparePassword(password);
 
-    res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user,
-        token,
-        session: {
-          sessionId: session.sessionId,
-          expiresAt: session.expiresAt,
-          deviceInfo: session.deviceInfo
-        }
-      }
-    });
+  if (!isPasswordValid) {
+    // Increment login attempts (locks the account and emails an unlock link at the limit)
+    const { locked, lockUntil } = await lockoutService.recordFailedLogin(user, { ipAddress: req.ip });
+    throw await rejectLogin(req, { user, failureReason: 'invalid_password', locked },
+      locked ? lockoutService.lockedError(lockUntil) : new AuthenticationError('Invalid email or password'));
+  }
+
+  return user;
+};
+
+/**
+ * Respond with a two-factor challenge instead of logging in
+ */
+const sendTwoFactorChallenge = (res, user, { force = false } = {}) => {
+  const { challengeToken, purpose, expiresIn } = twoFactorService.createChallenge(user, { force });
+
+  logger.info(`Two-factor ${purpose} challenge issued: ${user.email}`);
+
+  return res.status(200).json({
+    success: true,
+    message: purpose === 'enroll'
+      ? 'Two-factor authentication must be set up before you can log in'
+      : 'Enter the code from your authenticator app',
+    data: {
+      twoFactorRequired: true,
+      enrollmentRequired: purpose === 'enroll',
+      challengeToken,
+      expiresIn
+    }
+  });
+};
+
+/**
+ * User login with session management
+ */
+export const login = async (req, res, next) => {
+  try {
+    // Ensure database connection for serverless
+    await connectDB();
+    
+    const { email, password } = req.body;
+    const user = await verifyPasswordCredentials(req, email, password);
+
+    // Second step required: the session is only created after /2fa/login
+    if (twoFactorService.isRequired(user)) {
+      return sendTwoFactorChallenge(res, user);
+    }
+
+    await completeLogin(req, res, user);
 
   } catch (error) {
     logger.error('Login error details:', {
@@ -535,100 +613,209 @@ export const forceLogin = async (req, res, next) => {
     await connectDB();
     
     const { email, password } = req.body;
-    const ipAddress = req.ip;
-    const userAgent = req.get('User-Agent');
-
-    // Find user with password field
-    const user = await User.findOne({ email }).select('+password');
+    const user = await verifyPasswordCredentials(req, email, password);
 
-    // Check if user exists and account is not locked
-    if (!user) {
-      throw new AuthenticationError('Invalid email or password');
+    if (twoFactorService.isRequired(user)) {
+      return sendTwoFactorChallenge(res, user, { force: true });
     }
 
-    if (!user.isActive) {
+    await completeLogin(req, res, user, { force: true });
+
+  } catch (error) {
+    logger.error('Force login error details:', {
+      message: error.message,
+      stack: error.stack,
+      name: error.name,
+      code: error.code
+    });
+    next(error);
+  }
+};
+
+/**
+ * Complete login with a TOTP or recovery code
+ */
+export const twoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge = await twoFactorService.verifyChallenge(challengeToken, 'login');
+    const user = await twoFactorService.findUserWithSecrets(challenge.id);
+
+    if (!user || !user.isActive) {
       throw new AuthenticationError('Account has been deactivated');
     }
 
-    if (!user.isEmailVerified) {
-      throw new AuthenticationError('Please verify your email before logging in. Check your inbox for verification link.');
+    if (user.isAccountLocked) {
+      throw await rejectLogin(req, { user, failureReason: 'account_locked' },
+        lockoutService.lockedError(user.lockUntil));
     }
 
-    if (user.isLocked) {
-      throw new AuthenticationError(
-        `Account is locked until ${user.lockUntil.toLocaleString()}`
-      );
+    const { valid, method } = await twoFactorService.verifyLoginCode(user, { code, recoveryCode });
+
+    if (!valid) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      const { locked, lockUntil } = await lockoutService.recordFailedLogin(user, { ipAddress: req.ip });
+      const failureReason = method === 'recovery_code' ? 'invalid_recovery_code' : 'invalid_two_factor_code';
+      throw await rejectLogin(req, { user, failureReason, locked },
+        locked
+          ? lockoutService.lockedError(lockUntil)
+          : new AuthenticationError(method === 'recovery_code' ? 'Invalid recovery code' : 'Invalid two-factor code'));
     }
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
+    const loginUser = await User.findById(user._id);
+    await completeLogin(req, res, loginUser, {
+      force: !!challenge.force,
+      method: method === 'recovery_code' ? 'recovery_code' : 'two_factor',
+      ...(method === 'recovery_code' && { data: { recoveryCodesRemaining: user.twoFactorRecoveryCodes.length - 1 } })
+    });
 
-    if (!isPasswordValid) {
-      // Increment login attempts
-      await user.incLoginAttempts();
-      throw new AuthenticationError('Invalid email or password');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign out a chosen device and finish a login that hit the session limit
+ */
+export const evictSessionAndLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, sessionId } = req.body;
+
+    const challenge = await sessionService.verifySessionLimitChallenge(challengeToken);
+    const user = await User.findById(challenge.id);
+
+    if (!user || !user.isActive) {
+      throw new AuthenticationError('Account has been deactivated');
     }
 
-    // Reset login attempts on successful login
-    await user.resetLoginAttempts();
+    lockoutService.assertNotLocked(user);
 
-    // Force login by terminating oldest session if limit exceeded
-    await sessionService.forceLogin(user._id, email, ipAddress, userAgent);
+    const result = await sessionService.terminateSession(sessionId, user._id, 'signed_in_elsewhere');
 
-    // Create new session
-    const session = await sessionService.createSession(user._id, email, ipAddress, userAgent);
+    if (!result.success) {
+      throw new NotFoundError(result.message);
+    }
 
-    // Update user login info
-    user.lastLogin = new Date();
-    user.lastActivity = new Date();
-    user.ipAddress = ipAddress;
-    user.userAgent = userAgent;
-    await user.save({ validateBeforeSave: false });
+    logger.info(`Session ${sessionId} signed out to make room for a new login: ${user.email}`);
 
-    // Generate JWT token with session ID
-    const token = jwtHelper.generateToken({
-      id: user._id,
-      email: user.email,
-      role: user.role,
-      sessionId: session.sessionId
+    await completeLogin(req, res, user, {
+      message: 'Selected device signed out. Login successful',
+      data: { signedOutSessionId: sessionId }
     });
 
-    // Set cookie
-    const cookieOptions = {
-      expires: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
-    };
+  } catch (error) {
+    next(error);
+  }
+};
 
-    res.cookie('access_token', token, cookieOptions);
+/**
+ * Start two-factor enrolment (logged in, or with an enrolment challenge from login)
+ */
+export const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await twoFactorService.findUserWithSecrets(req.user._id);
 
-    // Remove password from response
-    user.password = undefined;
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
 
-    logger.info(`Force login successful: ${email} (Session: ${session.sessionId})`);
+    const { secret, otpauthUri } = await twoFactorService.createEnrollment(user);
 
     res.status(200).json({
       success: true,
-      message: 'Login successful - oldest session terminated',
+      message: 'Scan the QR code with your authenticator app, then verify a code to finish setup',
       data: {
-        user,
-        token,
-        session: {
-          sessionId: session.sessionId,
-          expiresAt: session.expiresAt,
-          deviceInfo: session.deviceInfo
-        }
+        secret,
+        otpauthUri
       }
     });
 
   } catch (error) {
-    logger.error('Force login error details:', {
-      message: error.message,
-      stack: error.stack,
-      name: error.name,
-      code: error.code
+    next(error);
+  }
+};
+
+/**
+ * Finish two-factor enrolment; with an enrolment challenge this also logs in
+ */
+export const verifyTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await twoFactorService.findUserWithSecrets(req.user._id);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const recoveryCodes = await twoFactorService.confirmEnrollment(user, code);
+
+    if (req.twoFactorChallenge) {
+      const loginUser = await User.findById(user._id);
+      return await completeLogin(req, res, loginUser, {
+        force: !!req.twoFactorChallenge.force,
+        method: 'two_factor',
+        message: 'Two-factor authentication enabled. Login successful',
+        data: { recoveryCodes }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again',
+      data: {
+        recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Disable two-factor authentication (not allowed for admins)
+ */
+export const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await twoFactorService.findUserWithSecrets(req.user._id).select('+password');
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (user.role === 'admin') {
+      throw new AuthorizationError('Two-factor authentication is required for admin accounts');
+    }
+
+    if (!user.twoFactorEnabled) {
+      throw new ValidationError('Two-factor authentication is not enabled');
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+
+    if (!isPasswordValid) {
+      throw new AuthenticationError('Password is incorrect');
+    }
+
+    const { valid } = await twoFactorService.verifyLoginCode(user, { code, recoveryCode });
+
+    if (!valid) {
+      throw new AuthenticationError('Invalid two-factor code');
+    }
+
+    await twoFactorService.disable(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+      data: null
     });
+
+  } catch (error) {
     next(error);
   }
 };
@@ -638,14 +825,14 @@ export const forceLogin = async (req, res, next) => {
  */
 export const logout = async (req, res, next) => {
   try {
-    const sessionId = req.user?.sessionId;
+    const sessionId = req.authSession?.sessionId;
     const email = req.user?.email;
     const userId = req.user?._id;
 
     // Terminate session if sessionId is available
     if (sessionId && userId) {
       try {
-        await sessionService.terminateSession(sessionId, userId);
+        await sessionService.terminateSession(sessionId, userId, 'logout');
         logger.info(`Session terminated during logout: ${email} (Session: ${sessionId})`);
       } catch (sessionError) {
         // Log the error but don't fail the logout process
@@ -653,13 +840,8 @@ export const logout = async (req, res, next) => {
       }
     }
 
-    // Clear cookie
-    res.cookie('access_token', '', {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-      expires: new Date(0)
-    });
+    // Clear access and refresh cookies
+    clearAuthCookies(res);
 
     logger.info(`User logged out: ${email || 'Unknown'} (Session: ${sessionId || 'Unknown'})`);
 
@@ -674,6 +856,122 @@ export const logout = async (req, res, next) => {
   }
 };
 
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ */
+export const refreshToken = async (req, res, next) => {
+  try {
+    const presentedToken = req.cookies?.refresh_token || req.body?.refreshToken;
+
+    if (!presentedToken) {
+      throw new AuthenticationError('Refresh token is required');
+    }
+
+    const { user, session, tokens } = await sessionService.rotateRefreshToken(presentedToken);
+    setAuthCookies(res, tokens);
+
+    logger.info(`Tokens refreshed: ${user.email} (Session: ${session.sessionId})`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn,
+        session: {
+          sessionId: session.sessionId,
+          expiresAt: session.expiresAt
+        }
+      }
+    });
+
+  } catch (error) {
+    clearAuthCookies(res);
+    next(error);
+  }
+};
+
+/**
+ * Unlock a locked account with the token from the lock email
+ */
+export const unlockAccount = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    const user = await lockoutService.unlockWithToken(token);
+
+    if (!user) {
+      throw new AuthenticationError('Invalid or expired unlock link');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Your account has been unlocked. You can log in again.',
+      data: null
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign out every device after a sign-in was reported as not the user's
+ */
+export const secureAccount = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    const result = await loginHistoryService.revokeWithToken(token);
+
+    if (!result) {
+      throw new AuthenticationError('Invalid or expired link');
+    }
+
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'All devices have been signed out. Please reset your password to secure your account.',
+      data: {
+        sessionsTerminated: result.sessionsTerminated
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's login history
+ */
+export const getLoginHistory = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { events, total } = await loginHistoryService.getHistory(req.user._id, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      message: 'Login history retrieved successfully',
+      data: {
+        events,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalEvents: total
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get current user profile
  */
@@ -688,7 +986,12 @@ export const getMe = async (req, res, next) => {
     res.status(200).json({
       success: true,
       message: 'User profile retrieved successfully',
-      data: user
+      data: {
+        ...user.toObject(),
+        // Legacy users have no stored state; expose the derived one ("grace" while in the grace period)
+        subscriptionState: subscriptionService.getState(user),
+        graceEndsAt: user.graceEndsAt || null
+      }
     });
 
   } catch (error) {
@@ -752,7 +1055,7 @@ export const updateProfile = async (req, res, next) => {
  */
 export const changePassword = async (req, res, next) => {
   try {
-    const { currentPassword, newPassword } = req.body;
+    const { currentPassword, newPassword, keepCurrentSession = true } = req.body;
 
     const user = await User.findById(req.user._id).select('+password');
 
@@ -767,19 +1070,47 @@ export const changePassword = async (req, res, next) => {
       throw new AuthenticationError('Current password is incorrect');
     }
 
-    // Update password
+    // Update password; tokens reissued below for the kept session carry the new password version
     user.password = newPassword;
-    user.passwordChangedAt = new Date();
+    user.markPasswordChanged();
     await user.save();
 
-    // Password changed successfully - user should log in again with new password
+    // Sign out every other device; the current one is kept unless asked otherwise
+    const currentSessionId = keepCurrentSession ? req.authSession.sessionId : null;
+    const signedOutDevices = await sessionService.revokeSessionsAfterPasswordChange(user._id, {
+      keepSessionId: currentSessionId
+    });
+
+    // Tokens issued before the change are rejected, so reissue them for the kept session
+    let tokens = null;
+    if (currentSessionId) {
+      tokens = await sessionService.issueTokens(user, { sessionId: currentSessionId });
+      setAuthCookies(res, tokens);
+    } else {
+      clearAuthCookies(res);
+    }
+
+    try {
+      await emailService.sendPasswordChangeNotification(user.email, user.name, { signedOutDevices });
+    } catch (emailError) {
+      logger.error(`Failed to send password change notification to ${user.email}:`, emailError);
+    }
 
-    logger.info(`Password changed for user: ${user.email}`);
+    logger.info(`Password changed for user: ${user.email} (${signedOutDevices.length} sessions signed out)`);
 
     res.status(200).json({
       success: true,
-      message: 'Password changed successfully',
-      data: null
+      message: currentSessionId
+        ? 'Password changed successfully. Other devices have been signed out'
+        : 'Password changed successfully. Please log in again',
+      data: {
+        signedOutSessions: signedOutDevices.length,
+        ...(tokens && {
+          token: tokens.accessToken,
+          refreshToken: tokens.refreshToken,
+          expiresIn: tokens.expiresIn
+        })
+      }
     });
 
   } catch (error) {
@@ -852,10 +1183,17 @@ export const resetPassword = async (req, res, next) => {
     user.password = password;
     user.passwordResetToken = undefined;
     user.passwordResetExpires = undefined;
-    user.passwordChangedAt = new Date();
+    user.markPasswordChanged();
     await user.save();
 
-    // Password reset - user will need to login again
+    // Password reset - sign out every device; user will need to login again
+    const signedOutDevices = await sessionService.revokeSessionsAfterPasswordChange(user._id);
+
+    try {
+      await emailService.sendPasswordChangeNotification(user.email, user.name, { signedOutDevices });
+    } catch (emailError) {
+      logger.error(`Failed to send password change notification to ${user.email}:`, emailError);
+    }
 
     logger.info(`Password reset successful for user: ${user.email}`);
 
@@ -876,10 +1214,11 @@ export const resetPassword = async (req, res, next) => {
 export const getActiveSessions = async (req, res, next) => {
   try {
     const userId = req.user._id;
-    const currentSessionId = req.user.sessionId;
+    const currentSessionId = req.authSession.sessionId;
 
     const sessions = await sessionService.getUserSessions(userId);
-    
+    const maxSessions = await sessionService.resolveMaxSessions(req.user);
+
     // Mark current session
     const sessionsWithCurrent = sessions.map(session => ({
       ...session,
@@ -891,7 +1230,7 @@ export const getActiveSessions = async (req, res, next) => {
       message: 'Active sessions retrieved successfully',
       data: {
         sessions: sessionsWithCurrent,
-        maxSessions: 2
+        maxSessions
       }
     });
 
@@ -931,7 +1270,7 @@ export const terminateSession = async (req, res, next) => {
 export const terminateAllOtherSessions = async (req, res, next) => {
   try {
     const userId = req.user._id;
-    const currentSessionId = req.user.sessionId;
+    const currentSessionId = req.authSession.sessionId;
 
     const result = await sessionService.terminateAllOtherSessions(userId, currentSessionId);
 
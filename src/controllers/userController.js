@@ -1,7 +1,15 @@
 import User from '../models/User.js';
 import PayInfo from '../models/PayInfo.js';
+import Payment from '../models/Payment.js';
+import paymentService from '../services/paymentService.js';
+import subscriptionService from '../services/subscriptionService.js';
+import auditService from '../services/auditService.js';
+import paymentProofService from '../services/paymentProofService.js';
+import paymentGatewayService from '../services/paymentGatewayService.js';
+import cryptoPaymentService from '../services/cryptoPaymentService.js';
 import { NotFoundError, ValidationError } from '../utils/errors.js';
 import logger from '../utils/logger.js';
+import { renderQrCode } from '../utils/upi.js';
 
 /**
  * Get current user (uses JWT authentication)
@@ -39,6 +47,7 @@ export const updateSubscription = async (req, res, next) => {
   try {
     const { userId } = req.params;
     const { 
+      subscriptionState,
       isPremium, 
       status, 
       premiumStartDate, 
@@ -56,18 +65,31 @@ export const updateSubscription = async (req, res, next) => {
       throw new NotFoundError('User not found');
     }
 
-    // Update subscription fields
-    if (typeof isPremium !== 'undefined') user.isPremium = isPremium;
-    if (status) user.status = status;
-    if (premiumStartDate) user.premiumStartDate = new Date(premiumStartDate);
-    if (premiumEndDate) user.premiumEndDate = new Date(premiumEndDate);
-    if (subscriptionMonths) user.subscriptionMonths = subscriptionMonths;
+    const before = auditService.subscriptionSnapshot(user);
+
+    // Update payment details
     if (paymentType) user.paymentType = paymentType;
     if (paymentAmount) user.paymentAmount = paymentAmount;
     if (transactionId) user.transactionId = transactionId;
     if (utrNo) user.utrNo = utrNo;
 
-    await user.save();
+    // Premium fields only change through the subscription state machine
+    await subscriptionService.applyAdminChange(user, {
+      state: subscriptionState,
+      isPremium,
+      status,
+      startDate: premiumStartDate,
+      endDate: premiumEndDate,
+      months: subscriptionMonths
+    });
+
+    await auditService.record(req, {
+      action: 'subscription.update',
+      targetUser: user._id,
+      before,
+      after: auditService.subscriptionSnapshot(user),
+      metadata: { paymentType, paymentAmount, transactionId, utrNo }
+    });
 
     logger.info(`User subscription updated: ${user.email}`);
 
@@ -141,6 +163,18 @@ export const deleteUser = async (req, res, next) => {
     if (!user) {
       throw new NotFoundError('User not found');
     }
+
+    await auditService.record(req, {
+      action: 'user.delete',
+      targetUser: user._id,
+      before: {
+        name: user.name,
+        email: user.email,
+        phone: user.phone,
+        role: user.role,
+        ...auditService.subscriptionSnapshot(user)
+      }
+    });
     
     logger.info(`User deleted: ${user.email}`);
     
@@ -160,13 +194,36 @@ export const deleteUser = async (req, res, next) => {
  */
 export const payment = async (req, res, next) => {
   try {
-    const { utrNo, Months, price, type, paymentPlanId } = req.body;
+    const { utrNo, paymentId } = req.body;
+    let { type, paymentPlanId } = req.body;
+    // Multipart submissions (with a proof file) send every field as a string
+    let Months = Number(req.body.Months);
+    let price = Number(req.body.price);
     
     // Validation
     if (!utrNo) {
       throw new ValidationError('UTR number is required');
     }
 
+    // Paying a UPI checkout: the plan and amount were fixed when it was started
+    let checkout = null;
+    if (paymentId) {
+      checkout = await Payment.findOne({
+        _id: paymentId,
+        userId: req.user._id,
+        decision: 'initiated',
+        transactionNote: { $type: 'string' }
+      });
+      if (!checkout) {
+        throw new NotFoundError('Checkout not found or already submitted');
+      }
+
+      type = checkout.plan.type;
+      Months = checkout.plan.month;
+      price = checkout.amount;
+      paymentPlanId = checkout.plan.planId;
+    }
+
     if (!Months || Months <= 0) {
       throw new ValidationError('Valid subscription months is required');
     }
@@ -185,8 +242,9 @@ export const payment = async (req, res, next) => {
     }
 
     // Verify payment plan exists if paymentPlanId is provided
-    if (paymentPlanId) {
-      const paymentPlan = await PayInfo.findById(paymentPlanId);
+    let paymentPlan = null;
+    if (paymentPlanId && !checkout) {
+      paymentPlan = await PayInfo.findById(paymentPlanId);
       if (!paymentPlan || !paymentPlan.isActive) {
         throw new ValidationError('Invalid payment plan selected');
       }
@@ -203,40 +261,66 @@ export const payment = async (req, res, next) => {
       throw new ValidationError('User authentication required');
     }
 
-    // Update user with payment information
-    const updateData = {
-      utrNo: utrNo.trim(),
-      status: 'pending',
-      subscriptionMonths: parseInt(Months),
-      paymentType: type,
-      paymentAmount: Number(price),
-      paymentPlanId: paymentPlanId || null,
-      // Reset premium status while payment is pending
-      isPremium: false,
-      isSubscriptionActive: false
-    };
+    // Validate, re-encode and store the screenshot/PDF before recording the payment
+    const proof = req.file ? await paymentProofService.store(userId, req.file) : null;
+
+    // Record the submission as its own document so history survives resubmissions.
+    // Rejects UTRs already used by any user with DUPLICATE_UTR.
+    let paymentRecord;
+    try {
+      paymentRecord = checkout
+        ? await paymentService.submitCheckout(checkout, { utrNo: utrNo.trim(), proof })
+        : await paymentService.createPayment({
+          userId,
+          utrNo: utrNo.trim(),
+          plan: {
+            planId: paymentPlan ? paymentPlan._id : null,
+            type,
+            month: parseInt(Months),
+            price: paymentPlan ? paymentPlan.price : Number(price)
+          },
+          amount: Number(price),
+          currency: Payment.currencyForType(type),
+          proof,
+          submittedAt: new Date()
+        });
+    } catch (error) {
+      if (proof) {
+        await paymentProofService.remove(proof);
+      }
+      throw error;
+    }
 
-    const user = await User.findByIdAndUpdate(
-      userId,
-      updateData,
-      { new: true, select: '-password' }
-    );
+    const user = await User.findById(userId);
 
     if (!user) {
       throw new NotFoundError('User not found');
     }
 
+    // Mirror the latest submission on the user (kept for frontend compatibility)
+    user.utrNo = utrNo.trim();
+    user.subscriptionMonths = parseInt(Months);
+    user.paymentType = type;
+    user.paymentAmount = Number(price);
+    user.paymentPlanId = paymentPlanId || null;
+
+    // Moves the subscription to pending; premium users renewing early keep access
+    await subscriptionService.markPending(user);
+
     logger.info(`Payment submitted: ${user.email} - UTR: ${utrNo} - Amount: ${price} - Type: ${type}`);
 
     res.status(200).json({
       success: true,
       message: 'Payment request submitted successfully',
       data: {
+        paymentId: paymentRecord._id,
         utrNo: user.utrNo,
         subscriptionMonths: user.subscriptionMonths,
         paymentType: user.paymentType,
         paymentAmount: user.paymentAmount,
         paymentPlanId: user.paymentPlanId,
+        transactionNote: paymentRecord.transactionNote || null,
+        hasProof: !!proof,
         status: user.status
       }
     });
@@ -246,6 +330,194 @@ export const payment = async (req, res, next) => {
   }
 };
 
+/**
+ * Start a UPI checkout for a plan: returns the exact amount, a transaction note
+ * to keep in the payment remarks, and a QR code encoding both
+ */
+export const startCheckout = async (req, res, next) => {
+  try {
+    const { paymentPlanId } = req.body;
+
+    const paymentPlan = await PayInfo.findById(paymentPlanId);
+    if (!paymentPlan || !paymentPlan.isActive) {
+      throw new ValidationError('Invalid payment plan selected');
+    }
+
+    const checkout = await paymentService.initiateUpiCheckout(req.user, paymentPlan);
+    const qrBase = `/api/${process.env.API_VERSION || 'v1'}/user/payment/${checkout._id}/qr`;
+
+    res.status(200).json({
+      success: true,
+      message: 'Checkout started',
+      data: {
+        paymentId: checkout._id,
+        transactionNote: checkout.transactionNote,
+        amount: checkout.amount,
+        currency: checkout.currency,
+        payee: {
+          vpa: paymentPlan.upiVpa,
+          name: paymentPlan.payeeName || null
+        },
+        upiUri: checkout.upiUri,
+        qrCode: {
+          png: `${qrBase}?format=png`,
+          svg: `${qrBase}?format=svg`
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a payment gateway order for a gateway plan; the subscription is
+ * activated by the gateway's webhook once the user pays
+ */
+export const createGatewayOrder = async (req, res, next) => {
+  try {
+    const { paymentPlanId } = req.body;
+
+    const paymentPlan = await PayInfo.findById(paymentPlanId);
+    if (!paymentPlan || !paymentPlan.isActive) {
+      throw new ValidationError('Invalid payment plan selected');
+    }
+
+    const { payment, checkout } = await paymentGatewayService.createOrder(req.user, paymentPlan);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment order created',
+      data: {
+        paymentId: payment._id,
+        provider: payment.gateway.provider,
+        orderId: payment.gateway.orderId,
+        amount: payment.amount,
+        currency: payment.currency,
+        checkout
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * QR code image for one of the current user's open checkouts
+ */
+export const getCheckoutQr = async (req, res, next) => {
+  try {
+    const format = req.query.format === 'svg' ? 'svg' : 'png';
+
+    if (!/^[0-9a-fA-F]{24}$/.test(req.params.paymentId)) {
+      throw new ValidationError('Invalid checkout ID format');
+    }
+
+    const checkout = await Payment.findOne({
+      _id: req.params.paymentId,
+      userId: req.user._id,
+      decision: 'initiated'
+    }).select('upiUri');
+
+    if (!checkout || !checkout.upiUri) {
+      throw new NotFoundError('Checkout not found or already submitted');
+    }
+
+    const image = await renderQrCode(checkout.upiUri, format);
+
+    res.set('Content-Type', format === 'svg' ? 'image/svg+xml' : 'image/png');
+    res.set('Cache-Control', 'private, no-store');
+    res.send(image);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start a crypto payment for a crypto plan: returns the exact amount to send,
+ * unique among open payments so the transfer identifies this one
+ */
+export const startCryptoPayment = async (req, res, next) => {
+  try {
+    const { paymentPlanId } = req.body;
+
+    const paymentPlan = await PayInfo.findById(paymentPlanId);
+    if (!paymentPlan || !paymentPlan.isActive) {
+      throw new ValidationError('Invalid payment plan selected');
+    }
+
+    const intent = await cryptoPaymentService.createIntent(req.user, paymentPlan);
+
+    res.status(200).json({
+      success: true,
+      message: 'Crypto payment started',
+      data: cryptoPaymentService.intentSummary(intent)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * One of the current user's crypto payments
+ */
+const findCryptoPayment = async (req) => {
+  if (!/^[0-9a-fA-F]{24}$/.test(req.params.paymentId)) {
+    throw new ValidationError('Invalid payment ID format');
+  }
+
+  const payment = await Payment.findOne({
+    _id: req.params.paymentId,
+    userId: req.user._id,
+    crypto: { $ne: null }
+  });
+
+  if (!payment) {
+    throw new NotFoundError('Crypto payment not found');
+  }
+
+  return payment;
+};
+
+/**
+ * Get the status of a crypto payment
+ */
+export const getCryptoPayment = async (req, res, next) => {
+  try {
+    const payment = await findCryptoPayment(req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Crypto payment retrieved successfully',
+      data: cryptoPaymentService.intentSummary(payment)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Submit the transaction hash of a crypto payment. The subscription is activated
+ * once the transfer has enough confirmations; until then the scheduled recheck
+ * (or another call) picks it up.
+ */
+export const confirmCryptoPayment = async (req, res, next) => {
+  try {
+    const payment = await findCryptoPayment(req);
+    const { verified, payment: updated } = await cryptoPaymentService.confirmIntent(payment, req.body.txHash.trim());
+
+    res.status(200).json({
+      success: true,
+      message: verified
+        ? 'Payment verified, your subscription is active'
+        : 'Transaction found, waiting for confirmations',
+      data: cryptoPaymentService.intentSummary(updated)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get last 5 chart history entries for current user
  */
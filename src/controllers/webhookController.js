@@ -0,0 +1,32 @@
+import paymentGatewayService from '../services/paymentGatewayService.js';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Receive a payment gateway webhook. Answers 2xx once the event is applied
+ * (or was already), so the gateway stops retrying it.
+ */
+export const handlePaymentWebhook = async (req, res, next) => {
+  try {
+    const { provider } = req.params;
+
+    // Signatures are computed over the exact bytes sent, captured by the JSON parser
+    if (!req.rawBody || !req.rawBody.length) {
+      throw new ValidationError('Webhook body is required');
+    }
+
+    const result = await paymentGatewayService.handleWebhook(provider, req.rawBody, req.headers);
+
+    res.status(200).json({
+      success: true,
+      message: result.duplicate ? 'Event already processed' : 'Event processed',
+      data: {
+        status: result.status,
+        paymentId: result.paymentId,
+        activated: result.activated
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
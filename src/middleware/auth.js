@@ -1,5 +1,8 @@
 import jwtHelper from '../utils/jwt.js';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import twoFactorService from '../services/twoFactorService.js';
+import sessionService from '../services/sessionService.js';
 import { AuthenticationError, AuthorizationError } from '../utils/errors.js';
 import logger from '../utils/logger.js';
 
@@ -26,7 +29,84 @@ const extractToken = (req) => {
 };
 
 /**
- * Middleware to authenticate user
+ * Clear the access token cookie after a failed authentication
+ */
+const clearAccessCookie = (res) => {
+  res.cookie('access_token', '', {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+    expires: new Date(0)
+  });
+};
+
+/**
+ * Resolve an access token to its user and live session. Throws if the token,
+ * session or account is no longer valid, so a revoked session stops working
+ * on every route at once.
+ * @returns {Promise<Object>} { user, session }
+ */
+const resolveAccessToken = async (token) => {
+  // Verify token
+  const decoded = await jwtHelper.verifyToken(token);
+  
+  if (!decoded || !decoded.id) {
+    throw new AuthenticationError('Invalid token payload');
+  }
+
+  // Refresh tokens are only accepted by /auth/refresh
+  if (decoded.type === 'refresh') {
+    throw new AuthenticationError('Invalid token type');
+  }
+
+  if (!decoded.sessionId) {
+    throw new AuthenticationError('Invalid token format. Please login again.');
+  }
+
+  // Validate session exists and is active
+  const session = await Session.findOne({
+    sessionId: decoded.sessionId,
+    userId: decoded.id,
+    isActive: true,
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (!session) {
+    // Tell the client why, e.g. it was signed out from another device
+    const endedSession = await Session.findOne({ sessionId: decoded.sessionId, userId: decoded.id });
+    throw sessionService.sessionEndedError(endedSession);
+  }
+
+  // Get user from database
+  const user = await User.findById(decoded.id);
+  
+  if (!user) {
+    throw new AuthenticationError('User no longer exists');
+  }
+
+  // Check if user is active
+  if (!user.isActive) {
+    // Invalidate session if user is inactive
+    await session.invalidate('account_inactive');
+    throw new AuthenticationError('Account has been deactivated');
+  }
+
+  // Check if user is locked
+  if (user.isAccountLocked) {
+    throw new AuthenticationError('Account is temporarily locked');
+  }
+
+  // Check if password was changed after token was issued
+  if (user.tokenPredatesPasswordChange(decoded)) {
+    throw new AuthenticationError('Password was changed recently. Please log in again');
+  }
+
+  return { user, session };
+};
+
+/**
+ * Middleware to authenticate user with session validation.
+ * Sets req.user (User document), req.authSession (Session document) and req.token.
  */
 export const authenticate = async (req, res, next) => {
   try {
@@ -36,53 +116,61 @@ export const authenticate = async (req, res, next) => {
       throw new AuthenticationError('Access token is required');
     }
 
-    // Verify token
-    const decoded = await jwtHelper.verifyToken(token);
-    
-    if (!decoded || !decoded.id) {
-      throw new AuthenticationError('Invalid token payload');
-    }
+    const { user, session } = await resolveAccessToken(token);
 
-    // Get user from database
-    const user = await User.findById(decoded.id).select('+password');
+    // Update last activity
+    const now = new Date();
+    await Promise.all([
+      Session.updateOne({ _id: session._id }, { $set: { lastActivity: now } }),
+      User.updateOne(
+        { _id: user._id },
+        { $set: { lastActivity: now, ipAddress: req.ip, userAgent: req.get('User-Agent') } }
+      )
+    ]);
+
+    // Attach user and session to request
+    req.user = user;
+    req.authSession = session;
+    req.token = token;
     
-    if (!user) {
-      throw new AuthenticationError('User no longer exists');
-    }
+    next();
+  } catch (error) {
+    clearAccessCookie(res);
+    logger.warn(`Authentication failed: ${error.message}`, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      url: req.originalUrl
+    });
+    next(error);
+  }
+};
 
-    // Check if user is active
-    if (!user.isActive) {
-      throw new AuthenticationError('Account has been deactivated');
-    }
+/**
+ * Authenticate for two-factor enrolment: either a normal session, or the
+ * enrolment challenge issued at login to users (admins) who must set up 2FA
+ * before they can log in
+ */
+export const authenticateForTwoFactorEnrollment = async (req, res, next) => {
+  if (!req.body?.challengeToken) {
+    return authenticate(req, res, next);
+  }
 
-    // Check if user is locked
-    if (user.isLocked) {
-      throw new AuthenticationError('Account is temporarily locked');
-    }
+  try {
+    const challenge = await twoFactorService.verifyChallenge(req.body.challengeToken, 'enroll');
+    const user = await User.findById(challenge.id);
 
-    // Check if password was changed after token was issued
-    if (user.changedPasswordAfter(decoded.iat)) {
-      throw new AuthenticationError('Password was changed recently. Please log in again');
+    if (!user || !user.isActive) {
+      throw new AuthenticationError('User account not found or inactive.');
     }
 
-    // Update last activity
-    user.lastActivity = new Date();
-    user.ipAddress = req.ip;
-    user.userAgent = req.get('User-Agent');
-    await user.save({ validateBeforeSave: false });
-
-    // Attach user to request
     req.user = user;
-    req.token = token;
-    
+    req.twoFactorChallenge = challenge;
     next();
   } catch (error) {
-    logger.error('Authentication error:', error.message);
     next(error);
   }
 };
 
-
 /**
  * Middleware to authorize user roles
  * @param {...string} roles - Required roles
@@ -127,16 +215,10 @@ export const optionalAuth = async (req, res, next) => {
       return next();
     }
 
-    const decoded = await jwtHelper.verifyToken(token);
-    
-    if (decoded && decoded.id) {
-      const user = await User.findById(decoded.id);
-      
-      if (user && user.isActive && !user.isLocked) {
-        req.user = user;
-        req.token = token;
-      }
-    }
+    const { user, session } = await resolveAccessToken(token);
+    req.user = user;
+    req.authSession = session;
+    req.token = token;
     
     next();
   } catch (error) {
@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import { authenticate, authorize } from './auth.js';
+import { AuthenticationError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Constant-time string comparison
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Sign a scheduler request: HMAC-SHA256 (hex) of `${timestamp}.${METHOD}.${originalUrl}`
+ * @param {string} secret - CRON_SECRET
+ * @param {number|string} timestamp - Unix time in seconds
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path including query string
+ * @returns {string} Hex signature
+ */
+export const signCronRequest = (secret, timestamp, method, path) => {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${method.toUpperCase()}.${path}`)
+    .digest('hex');
+};
+
+/**
+ * Check the shared secret or HMAC signature sent by a scheduler
+ * @returns {{ method: string|null, reason: string|null }} How the request was authenticated, or why it failed
+ */
+const verifySchedulerCredentials = (req, secret) => {
+  // Vercel Cron sends `Authorization: Bearer <CRON_SECRET>`
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ') && safeEqual(authHeader.substring(7), secret)) {
+    return { method: 'bearer', reason: null };
+  }
+
+  const secretHeader = req.get('x-cron-secret');
+  if (secretHeader) {
+    return safeEqual(secretHeader, secret)
+      ? { method: 'secret', reason: null }
+      : { method: null, reason: 'invalid x-cron-secret' };
+  }
+
+  const timestamp = req.get('x-cron-timestamp');
+  const signature = req.get('x-cron-signature');
+  if (timestamp || signature) {
+    if (!timestamp || !signature) {
+      return { method: null, reason: 'incomplete signature headers' };
+    }
+
+    const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!Number.isFinite(age) || age > SIGNATURE_TOLERANCE_SECONDS) {
+      return { method: null, reason: 'signature timestamp outside tolerance' };
+    }
+
+    const expected = signCronRequest(secret, timestamp, req.method, req.originalUrl);
+    return safeEqual(signature, expected)
+      ? { method: 'signature', reason: null }
+      : { method: null, reason: 'invalid signature' };
+  }
+
+  return { method: null, reason: null };
+};
+
+/**
+ * Middleware for scheduler-triggered endpoints. Accepts CRON_SECRET as a
+ * Bearer token or x-cron-secret header, an HMAC-signed request, or an admin JWT.
+ */
+export const authenticateCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+
+  if (secret) {
+    const { method, reason } = verifySchedulerCredentials(req, secret);
+
+    if (method) {
+      req.cronAuth = method;
+      return next();
+    }
+
+    if (reason) {
+      logger.warn(`Rejected scheduler request to ${req.originalUrl} from ${req.ip}: ${reason}`);
+      return next(new AuthenticationError('Invalid scheduler credentials'));
+    }
+  }
+
+  // No scheduler credentials: fall back to an admin session
+  authenticate(req, res, (error) => {
+    if (error) {
+      logger.warn(`Rejected scheduler request to ${req.originalUrl} from ${req.ip}: ${error.message}`);
+      return next(error);
+    }
+
+    authorize('admin')(req, res, (authError) => {
+      if (authError) {
+        logger.warn(`Rejected scheduler request to ${req.originalUrl} from ${req.ip}: not an admin (${req.user.email})`);
+        return next(authError);
+      }
+
+      req.cronAuth = 'admin';
+      next();
+    });
+  });
+};
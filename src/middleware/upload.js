@@ -0,0 +1,50 @@
+import multer from 'multer';
+import { ValidationError } from '../utils/errors.js';
+import { getPaymentProofConfig } from '../config/storage.js';
+import { getReconciliationConfig } from '../config/reconciliation.js';
+
+/**
+ * Accept one optional file in a multipart field, kept in memory. JSON
+ * requests pass through untouched.
+ * @param {string} field - Multipart field name
+ * @param {number} maxBytes - Largest accepted file
+ * @param {string} label - What the file is, for error messages
+ */
+const singleFileUpload = (req, res, next, { field, maxBytes, label }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1, fields: 20 }
+  }).single(field);
+
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: `${label} cannot be larger than ${Math.round(maxBytes / (1024 * 1024) * 10) / 10} MB`,
+        LIMIT_FILE_COUNT: `Upload a single ${label.toLowerCase()}`,
+        LIMIT_UNEXPECTED_FILE: `Upload the ${label.toLowerCase()} in the "${field}" field`
+      };
+      return next(new ValidationError(messages[error.code] || error.message));
+    }
+
+    next(error);
+  });
+};
+
+/**
+ * Accept an optional payment proof in the multipart field "proof". Its
+ * content is checked by paymentProofService.
+ */
+export const uploadPaymentProof = (req, res, next) => {
+  const { maxBytes } = getPaymentProofConfig();
+  singleFileUpload(req, res, next, { field: 'proof', maxBytes, label: 'Payment proof' });
+};
+
+/**
+ * Accept a bank statement CSV in the multipart field "statement"
+ */
+export const uploadBankStatement = (req, res, next) => {
+  const { maxBytes } = getReconciliationConfig();
+  singleFileUpload(req, res, next, { field: 'statement', maxBytes, label: 'Bank statement' });
+};
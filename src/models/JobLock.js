@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+const jobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Instance ID plus a per-run suffix, so two runs on one instance don't share the lock
+  owner: {
+    type: String,
+    default: null
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  // The lock is free once this passes, even if the owner crashed without releasing it
+  lockedUntil: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Instance method to check if the lock is currently held
+jobLockSchema.methods.isHeld = function() {
+  return !!(this.lockedUntil && this.lockedUntil > Date.now());
+};
+
+export default mongoose.model('JobLock', jobLockSchema);
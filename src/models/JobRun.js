@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+const jobRunSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  instanceId: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'http'],
+    default: 'schedule'
+  },
+  outcome: {
+    type: String,
+    enum: ['running', 'success', 'failed'],
+    default: 'running'
+  },
+  counts: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Indexes for history queries; runs are kept for 30 days
+jobRunSchema.index({ name: 1, startedAt: -1 });
+jobRunSchema.index({ outcome: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+
+const loginEventSchema = new mongoose.Schema({
+  // Null when the email doesn't belong to an account
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'forced', 'failed', 'locked'],
+    required: true
+  },
+  // How the user proved who they are (successful logins only)
+  method: {
+    type: String,
+    enum: ['password', 'two_factor', 'recovery_code', 'registration', null],
+    default: null
+  },
+  failureReason: {
+    type: String,
+    enum: [
+      'unknown_email',
+      'invalid_password',
+      'invalid_two_factor_code',
+      'invalid_recovery_code',
+      'account_locked',
+      'account_inactive',
+      'email_not_verified',
+      null
+    ],
+    default: null
+  },
+  deviceInfo: {
+    userAgent: {
+      type: String,
+      default: null
+    },
+    ipAddress: {
+      type: String,
+      default: null
+    },
+    platform: {
+      type: String,
+      default: null
+    },
+    browser: {
+      type: String,
+      default: null
+    }
+  },
+  location: {
+    country: {
+      type: String,
+      default: null
+    },
+    countryCode: {
+      type: String,
+      default: null
+    },
+    city: {
+      type: String,
+      default: null
+    },
+    timezone: {
+      type: String,
+      default: null
+    }
+  },
+  sessionId: {
+    type: String,
+    default: null
+  },
+  // First successful login from this browser; triggers the sign-in alert email
+  isNewDevice: {
+    type: Boolean,
+    default: false
+  },
+  // Hash of the "this wasn't me" token sent in the sign-in alert
+  revokeTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  revokeTokenExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  // Set when the user reported this sign-in as not theirs
+  reportedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for history queries and new-device checks
+loginEventSchema.index({ userId: 1, createdAt: -1 });
+loginEventSchema.index({ email: 1, createdAt: -1 });
+loginEventSchema.index({ outcome: 1, createdAt: -1 });
+loginEventSchema.index({ 'deviceInfo.ipAddress': 1, createdAt: -1 });
+loginEventSchema.index({ userId: 1, 'deviceInfo.userAgent': 1, outcome: 1 });
+loginEventSchema.index({ revokeTokenHash: 1 }, { sparse: true });
+
+// Static method to get a user's login history
+loginEventSchema.statics.getHistory = function(userId, { page = 1, limit = 20 } = {}) {
+  return this.find({ userId })
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+};
+
+export default mongoose.model('LoginEvent', loginEventSchema);
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+const otpAttemptSchema = new mongoose.Schema({
+  // "email:<address>" or "ip:<address>"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // OTP emails sent since the last successful verification (email keys only)
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: {
+    type: Date,
+    default: null
+  },
+  // Records are dropped a day after the last activity
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 24 * 60 * 60 * 1000),
+    index: { expireAfterSeconds: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+// Instance method to check if the key is locked
+otpAttemptSchema.methods.isLocked = function() {
+  return !!(this.lockedUntil && this.lockedUntil > Date.now());
+};
+
+export default mongoose.model('OtpAttempt', otpAttemptSchema);
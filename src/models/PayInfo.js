@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { isValidVpa } from '../utils/upi.js';
+import { CRYPTO_NETWORKS } from '../config/crypto.js';
 
 const payInfoSchema = new mongoose.Schema({
   price: {
@@ -11,19 +13,64 @@ const payInfoSchema = new mongoose.Schema({
     required: [true, 'Month duration is required'],
     min: [1, 'Month duration must be at least 1']
   },
+  // Static QR image; optional once the plan has a UPI VPA (QR codes are then generated per checkout)
+  // and unused by gateway plans and crypto plans with a wallet address
   qrcodeUrl: {
     type: String,
-    required: [true, 'QR code URL is required'],
+    required: [
+      function() { return !this.upiVpa && !this.walletAddress && this.type !== 'gateway'; },
+      'QR code URL, UPI VPA or wallet address is required'
+    ],
     trim: true
   },
+  upiVpa: {
+    type: String,
+    default: null,
+    trim: true,
+    lowercase: true,
+    validate: {
+      validator: (value) => value === null || isValidVpa(value),
+      message: 'UPI VPA must look like name@bank'
+    }
+  },
+  // Shown by the UPI app as the payee
+  payeeName: {
+    type: String,
+    default: null,
+    trim: true,
+    maxlength: [50, 'Payee name cannot exceed 50 characters']
+  },
+  // Crypto plans: receiving wallet and the network it is paid on (enables verified crypto intents)
+  walletAddress: {
+    type: String,
+    default: null,
+    trim: true,
+    lowercase: true,
+    match: [/^0x[0-9a-f]{40}$/, 'Wallet address must be a 0x-prefixed EVM address']
+  },
+  network: {
+    type: String,
+    default: null,
+    enum: {
+      values: [...Object.keys(CRYPTO_NETWORKS), null],
+      message: `Network must be one of ${Object.keys(CRYPTO_NETWORKS).join(', ')}`
+    }
+  },
   type: {
     type: String,
     required: [true, 'Payment type is required'],
     enum: {
-      values: ['crypto', 'regular'],
-      message: 'Payment type must be either crypto or regular'
+      // gateway: paid through a payment gateway checkout and activated by its webhook
+      values: ['crypto', 'regular', 'gateway'],
+      message: 'Payment type must be crypto, regular or gateway'
     }
   },
+  // Concurrent devices allowed while this plan is active (null = DEFAULT_MAX_DEVICES)
+  maxDevices: {
+    type: Number,
+    default: null,
+    min: [1, 'Device limit must be at least 1']
+  },
   isActive: {
     type: Boolean,
     default: true
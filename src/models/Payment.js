@@ -0,0 +1,317 @@
+import mongoose from 'mongoose';
+import { normalizeUtr, utrMatchKeys } from '../utils/utr.js';
+
+// Uploaded screenshot or PDF of the payment (see paymentProofService)
+const proofSchema = new mongoose.Schema({
+  storage: {
+    type: String,
+    enum: ['local', 's3'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  sha256: {
+    type: String,
+    required: true
+  },
+  originalName: {
+    type: String,
+    default: null
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Order at a payment gateway (see paymentGatewayService)
+const gatewaySchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  orderId: {
+    type: String,
+    required: true
+  },
+  // Options the frontend passes to the gateway's checkout widget
+  checkout: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Gateway's id for the successful payment, set by its webhook
+  paymentId: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['created', 'paid', 'failed'],
+    default: 'created'
+  }
+}, { _id: false });
+
+// Crypto payment intent: the exact amount to send and its on-chain verification (see cryptoPaymentService)
+const cryptoIntentSchema = new mongoose.Schema({
+  network: {
+    type: String,
+    required: true
+  },
+  token: {
+    type: String,
+    required: true
+  },
+  contract: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  decimals: {
+    type: Number,
+    required: true
+  },
+  address: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  // Exact amount in base units, unique among open intents (price plus a small offset)
+  amountUnits: {
+    type: String,
+    required: true
+  },
+  // Holds the amount while the intent is open and for a cooldown after it closes
+  amountKey: {
+    type: String,
+    default: null
+  },
+  // When a closed intent gives its amount back (amountKey is then cleared)
+  amountHeldUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['awaiting_payment', 'confirming', 'verified', 'expired'],
+    default: 'awaiting_payment'
+  },
+  confirmations: {
+    type: Number,
+    default: 0
+  },
+  requiredConfirmations: {
+    type: Number,
+    required: true
+  },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  lastCheckedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+const paymentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // Not known yet while a UPI checkout is only initiated; gateway payments have none
+  utrNo: {
+    type: String,
+    required: [function() { return this.decision !== 'initiated' && !this.gateway; }, 'UTR number is required'],
+    trim: true
+  },
+  // Case- and whitespace-insensitive form of utrNo, unique across all payments
+  utrNormalized: {
+    type: String
+  },
+  // First and last characters of utrNormalized, indexed for near-duplicate lookups
+  utrPrefix: {
+    type: String
+  },
+  utrSuffix: {
+    type: String
+  },
+  // Unique note embedded in the UPI intent, used to match the credit to this payment
+  transactionNote: {
+    type: String,
+    default: null
+  },
+  // upi://pay intent generated at checkout (the QR code payload)
+  upiUri: {
+    type: String,
+    default: null
+  },
+  gateway: {
+    type: gatewaySchema,
+    default: null
+  },
+  crypto: {
+    type: cryptoIntentSchema,
+    default: null
+  },
+  // Snapshot of the plan at submission time, so later plan edits don't rewrite history
+  plan: {
+    planId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PayInfo',
+      default: null
+    },
+    type: {
+      type: String,
+      enum: ['crypto', 'regular', 'gateway'],
+      required: [true, 'Payment type is required']
+    },
+    month: {
+      type: Number,
+      required: [true, 'Subscription months is required'],
+      min: [1, 'Subscription months must be at least 1']
+    },
+    price: {
+      type: Number,
+      default: null
+    }
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Payment amount is required'],
+    min: [0, 'Payment amount must be positive']
+  },
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    trim: true
+  },
+  proof: {
+    type: proofSchema,
+    default: null
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  decision: {
+    type: String,
+    // initiated: UPI checkout, gateway order or crypto intent started, not paid yet
+    enum: ['initiated', 'pending', 'approved', 'declined'],
+    default: 'pending'
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for history and review queues
+// Partial so initiated checkouts without a UTR don't collide
+paymentSchema.index(
+  { utrNormalized: 1 },
+  { unique: true, partialFilterExpression: { utrNormalized: { $type: 'string' } } }
+);
+paymentSchema.index(
+  { transactionNote: 1 },
+  { unique: true, partialFilterExpression: { transactionNote: { $type: 'string' } } }
+);
+paymentSchema.index(
+  { 'gateway.provider': 1, 'gateway.orderId': 1 },
+  { unique: true, partialFilterExpression: { 'gateway.orderId': { $type: 'string' } } }
+);
+paymentSchema.index(
+  { 'crypto.amountKey': 1 },
+  { unique: true, partialFilterExpression: { 'crypto.amountKey': { $type: 'string' } } }
+);
+// Newest first per key, so near-duplicate lookups read only the candidates they keep
+paymentSchema.index(
+  { utrPrefix: 1, submittedAt: -1 },
+  { partialFilterExpression: { utrPrefix: { $type: 'string' } } }
+);
+paymentSchema.index(
+  { utrSuffix: 1, submittedAt: -1 },
+  { partialFilterExpression: { utrSuffix: { $type: 'string' } } }
+);
+paymentSchema.index({ 'crypto.status': 1, 'crypto.expiresAt': 1 });
+paymentSchema.index({ 'crypto.amountHeldUntil': 1 }, { sparse: true });
+paymentSchema.index({ userId: 1, decision: 1, 'plan.planId': 1 });
+paymentSchema.index({ userId: 1, submittedAt: -1 });
+paymentSchema.index({ decision: 1, submittedAt: -1 });
+paymentSchema.index({ 'plan.type': 1 });
+
+// Pre-validate middleware to keep the normalized UTR and its lookup keys in sync
+paymentSchema.pre('validate', function(next) {
+  if (this.isModified('utrNo')) {
+    this.utrNormalized = normalizeUtr(this.utrNo);
+
+    const { utrPrefix, utrSuffix } = utrMatchKeys(this.utrNormalized);
+    this.utrPrefix = utrPrefix || undefined;
+    this.utrSuffix = utrSuffix || undefined;
+  }
+  next();
+});
+
+// Static method to resolve the currency for a payment type
+paymentSchema.statics.currencyForType = function(type) {
+  if (type === 'crypto') {
+    return process.env.PAYMENT_CURRENCY_CRYPTO || 'USDT';
+  }
+  if (type === 'gateway') {
+    return process.env.PAYMENT_CURRENCY_GATEWAY || 'INR';
+  }
+  return process.env.PAYMENT_CURRENCY_REGULAR || 'INR';
+};
+
+// Static method to get the latest pending payment for a user
+paymentSchema.statics.getLatestPending = function(userId) {
+  return this.findOne({ userId, decision: 'pending' }).sort({ submittedAt: -1 });
+};
+
+// Static method to get full payment history for a user
+paymentSchema.statics.getHistory = function(userId) {
+  return this.find({ userId, decision: { $ne: 'initiated' } })
+    .populate('reviewedBy', 'name email')
+    .sort({ submittedAt: -1 });
+};
+
+// Instance method to record an admin decision
+paymentSchema.methods.review = function(decision, reviewerId, reason = null) {
+  this.decision = decision;
+  this.reviewedBy = reviewerId || null;
+  this.reviewedAt = new Date();
+  this.reason = reason;
+  return this.save();
+};
+
+export default mongoose.model('Payment', paymentSchema);
@@ -44,11 +44,16 @@ const sessionSchema = new mongoose.Schema({
       default: null
     }
   },
+  // Resolved from the IP address at login (see geoipService)
   location: {
     country: {
       type: String,
       default: null
     },
+    countryCode: {
+      type: String,
+      default: null
+    },
     city: {
       type: String,
       default: null
@@ -58,6 +63,22 @@ const sessionSchema = new mongoose.Schema({
       default: null
     }
   },
+  // Hash of the ID of the only refresh token that may still be used for this session
+  refreshTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // Hash of the refresh token rotated away last, still redeemable for a short grace period
+  previousRefreshTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  refreshTokenRotatedAt: {
+    type: Date,
+    default: null
+  },
   lastActivity: {
     type: Date,
     default: Date.now
@@ -70,6 +91,29 @@ const sessionSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Why the session ended, shown to the signed-out client on its next request
+  terminationReason: {
+    type: String,
+    enum: [
+      'logout',
+      'user_terminated',
+      'signed_in_elsewhere',
+      'password_change',
+      'admin_terminated',
+      'account_inactive',
+      'refresh_token_reuse',
+      'reported_sign_in',
+      null
+    ],
+    default: null
+  },
+  // Optional explanation from the admin who ended the session
+  terminationNote: {
+    type: String,
+    default: null,
+    trim: true,
+    maxlength: [200, 'Termination reason cannot exceed 200 characters']
+  },
   expiresAt: {
     type: Date,
     default: function() {
@@ -110,10 +154,12 @@ sessionSchema.methods.setOffline = function() {
 };
 
 // Instance method to invalidate session
-sessionSchema.methods.invalidate = function() {
+sessionSchema.methods.invalidate = function(reason = 'logout', note = null) {
   this.isActive = false;
   this.isOnline = false;
   this.logoutTime = new Date();
+  this.terminationReason = reason;
+  this.terminationNote = note;
   return this.save();
 };
 
@@ -136,6 +182,13 @@ sessionSchema.statics.getActiveSessions = function(userId) {
   }).sort({ lastActivity: -1 });
 };
 
+// Static method to get active and recently ended sessions for a user
+sessionSchema.statics.getSessionHistory = function(userId, limit = 20) {
+  return this.find({ userId })
+    .sort({ isActive: -1, lastActivity: -1 })
+    .limit(limit);
+};
+
 // Static method to get online users count
 sessionSchema.statics.getOnlineUsersCount = function() {
   return this.countDocuments({
@@ -146,14 +199,16 @@ sessionSchema.statics.getOnlineUsersCount = function() {
 };
 
 // Static method to terminate all sessions for a user
-sessionSchema.statics.terminateUserSessions = function(userId) {
+sessionSchema.statics.terminateUserSessions = function(userId, reason = 'logout', note = null) {
   return this.updateMany(
     { userId, isActive: true },
     {
       $set: {
         isActive: false,
         isOnline: false,
-        logoutTime: new Date()
+        logoutTime: new Date(),
+        terminationReason: reason,
+        terminationNote: note
       }
     }
   );
@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
+import { getLockoutConfig, getLockDuration } from '../config/security.js';
 
 const Schema = mongoose.Schema;
 const userSchema = new Schema({
@@ -30,6 +31,7 @@ const userSchema = new Schema({
   },
   emailOTP: String,
   emailOTPExpires: Date,
+  // Legacy flag kept in sync for old readers; lock state is derived from lockUntil (isAccountLocked)
   isLocked: {
     type: Boolean,
     default: false
@@ -39,13 +41,62 @@ const userSchema = new Schema({
     type: Number,
     default: 0
   },
+  // Locks since the last successful login; each one lasts longer
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  unlockToken: {
+    type: String,
+    select: false
+  },
+  unlockTokenExpires: {
+    type: Date,
+    select: false
+  },
   lastLogin: Date,
   lastActivity: Date,
   ipAddress: String,
   userAgent: String,
   passwordChangedAt: Date,
+  // Bumped on every password change; tokens carry the version they were issued under
+  passwordVersion: {
+    type: Number,
+    default: 0
+  },
   passwordResetToken: String,
   passwordResetExpires: Date,
+
+  // Two-factor authentication (TOTP); secrets are AES-256-GCM encrypted
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: Date,
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret issued by /2fa/setup, moved to twoFactorSecret once a code is verified
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // SHA-256 hashes of unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last accepted TOTP time step, so a code can't be replayed
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  // Hash of the nonce in the only session limit challenge that can still be redeemed
+  sessionLimitChallengeHash: {
+    type: String,
+    select: false
+  },
   
   // Premium fields
   isPremium: { type: Boolean, default: false },
@@ -59,6 +110,22 @@ const userSchema = new Schema({
     default: "cancel",
     enum: ["pending", "paid", "cancel"],
   },
+  // Owned by services/subscriptionService.js; no default so legacy users are mapped from their other fields
+  subscriptionState: {
+    type: String,
+    enum: ["none", "pending", "active", "grace", "expired", "cancelled", "refunded"],
+  },
+  subscriptionStateChangedAt: { type: Date, default: null },
+  // End of the grace period while subscriptionState is "grace"
+  graceEndsAt: { type: Date, default: null },
+  // Expiry reminders already sent, per subscription period (keyed by its end date)
+  subscriptionReminders: [
+    {
+      days: { type: Number, required: true },
+      periodEnd: { type: Date, required: true },
+      sentAt: { type: Date, default: Date.now },
+    },
+  ],
   premiumStartDate: { type: Date, default: null },
   utrNo: { type: String },
   subscriptionMonths: { type: Number },
@@ -67,7 +134,7 @@ const userSchema = new Schema({
   // Payment information
   paymentType: { 
     type: String, 
-    enum: ["crypto", "regular", null], 
+    enum: ["crypto", "regular", "gateway", null], 
     default: null 
   },
   paymentAmount: { 
@@ -78,6 +145,12 @@ const userSchema = new Schema({
     type: String, 
     default: null 
   },
+  // Admin override of the concurrent device limit (null = use the plan or default limit)
+  maxDevicesOverride: {
+    type: Number,
+    default: null,
+    min: [1, 'Device limit must be at least 1']
+  },
   // Per-user recent chart history (max 5 entries, managed by controller)
   recentCharts: [
     {
@@ -91,6 +164,15 @@ const userSchema = new Schema({
   timestamps: true
 });
 
+// Pre-validate middleware to keep premium users from losing their expiry date
+userSchema.pre('validate', function(next) {
+  const premiumChanged = this.isModified('isPremium') || this.isModified('premiumEndDate');
+  if (premiumChanged && this.isPremium && !this.premiumEndDate) {
+    this.invalidate('premiumEndDate', 'Premium users must have a premium end date');
+  }
+  next();
+});
+
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -115,31 +197,55 @@ userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
   return false;
 };
 
+// Instance method to record a password change, invalidating every token issued before it
+userSchema.methods.markPasswordChanged = function() {
+  this.passwordChangedAt = new Date();
+  this.passwordVersion = (this.passwordVersion || 0) + 1;
+};
+
+// Instance method to check if a decoded token was issued before the last password change
+userSchema.methods.tokenPredatesPasswordChange = function(decoded) {
+  // Tokens issued before versions were embedded fall back to the (whole-second) issue time
+  if (decoded.passwordVersion === undefined) {
+    return this.changedPasswordAfter(decoded.iat);
+  }
+  return decoded.passwordVersion !== (this.passwordVersion || 0);
+};
+
 // Instance method to increment login attempts
-userSchema.methods.incLoginAttempts = function() {
+// Resolves to { locked, lockUntil } so callers can notify the user when a lock starts
+userSchema.methods.incLoginAttempts = async function() {
   // If we have a previous lock that has expired, restart at 1
   if (this.lockUntil && this.lockUntil < Date.now()) {
-    return this.updateOne({
+    await this.updateOne({
       $set: {
-        loginAttempts: 1
+        loginAttempts: 1,
+        isLocked: false
       },
       $unset: {
         lockUntil: 1
       }
     });
+    return { locked: false, lockUntil: null };
   }
+
   const updates = { $inc: { loginAttempts: 1 } };
-  // If we have max attempts and we're not locked, lock the account
-  const maxAttempts = 5; // You can make this configurable
-  const lockTime = 2 * 60 * 60 * 1000; // 2 hours
+  const { maxAttempts } = getLockoutConfig();
   
-  if (this.loginAttempts + 1 >= maxAttempts && !this.isLocked) {
+  // If we have max attempts and we're not locked, lock the account
+  if (this.loginAttempts + 1 >= maxAttempts && !this.isAccountLocked) {
+    const lockUntil = new Date(Date.now() + getLockDuration(this.lockCount || 0));
     updates.$set = {
-      lockUntil: Date.now() + lockTime,
+      lockUntil,
       isLocked: true
     };
+    updates.$inc.lockCount = 1;
+    await this.updateOne(updates);
+    return { locked: true, lockUntil };
   }
-  return this.updateOne(updates);
+
+  await this.updateOne(updates);
+  return { locked: false, lockUntil: null };
 };
 
 // Instance method to reset login attempts
@@ -147,7 +253,25 @@ userSchema.methods.resetLoginAttempts = function() {
   return this.updateOne({
     $unset: {
       loginAttempts: 1,
-      lockUntil: 1
+      lockUntil: 1,
+      unlockToken: 1,
+      unlockTokenExpires: 1
+    },
+    $set: {
+      isLocked: false,
+      lockCount: 0
+    }
+  });
+};
+
+// Instance method to lift a lock without resetting the progressive lock count
+userSchema.methods.unlock = function() {
+  return this.updateOne({
+    $unset: {
+      loginAttempts: 1,
+      lockUntil: 1,
+      unlockToken: 1,
+      unlockTokenExpires: 1
     },
     $set: {
       isLocked: false
@@ -155,6 +279,17 @@ userSchema.methods.resetLoginAttempts = function() {
   });
 };
 
+// Instance method to generate a self-service unlock token
+userSchema.methods.createUnlockToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const { unlockTokenHours } = getLockoutConfig();
+
+  this.unlockToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.unlockTokenExpires = new Date(Date.now() + unlockTokenHours * 60 * 60 * 1000);
+
+  return token;
+};
+
 // Virtual for checking if account is locked
 userSchema.virtual('isAccountLocked').get(function() {
   return !!(this.lockUntil && this.lockUntil > Date.now());
@@ -162,7 +297,7 @@ userSchema.virtual('isAccountLocked').get(function() {
 
 // Instance method to generate email OTP
 userSchema.methods.createEmailOTP = function() {
-  const otp = Math.floor(100000 + Math.random() * 900000).toString(); // 6-digit OTP
+  const otp = crypto.randomInt(100000, 1000000).toString(); // 6-digit OTP from a CSPRNG
   
   this.emailOTP = crypto.createHash('sha256').update(otp).digest('hex');
   this.emailOTPExpires = new Date(Date.now() + (parseInt(process.env.OTP_EXPIRY_MINUTES) || 10) * 60 * 1000);
@@ -180,9 +315,11 @@ userSchema.methods.verifyOTP = function(otp) {
     return false;
   }
   
-  const hashedOTP = crypto.createHash('sha256').update(otp).digest('hex');
+  const hashedOTP = crypto.createHash('sha256').update(String(otp)).digest('hex');
   
-  return hashedOTP === this.emailOTP;
+  // Constant-time comparison (both are hex SHA-256 digests of equal length)
+  return hashedOTP.length === this.emailOTP.length &&
+    crypto.timingSafeEqual(Buffer.from(hashedOTP), Buffer.from(this.emailOTP));
 };
 
 export default mongoose.model('User', userSchema);
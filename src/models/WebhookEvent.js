@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+// Gateways retry for a few days at most; keep events a while longer for support
+const RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+// An event still "processing" after this long was left behind by a crashed instance
+const PROCESSING_LEASE_MS = 5 * 60 * 1000;
+
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // Id assigned by the gateway; the same on every retry of an event
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    default: null
+  },
+  orderId: {
+    type: String,
+    default: null
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  status: {
+    type: String,
+    // failed events (and processing ones past their lease) are processed again when the gateway retries them
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing'
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Each gateway event is handled once
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ orderId: 1 });
+webhookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+/**
+ * Claim an event for processing. Returns null if it was already handled
+ * (or is being handled); events that failed before, or whose handler died
+ * mid-way (processing for longer than the lease), are claimed again.
+ */
+webhookEventSchema.statics.claim = async function({ provider, eventId, event, orderId }) {
+  try {
+    return await this.create({ provider, eventId, event, orderId });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    return this.findOneAndUpdate(
+      {
+        provider,
+        eventId,
+        $or: [
+          { status: 'failed' },
+          { status: 'processing', updatedAt: { $lt: new Date(Date.now() - PROCESSING_LEASE_MS) } }
+        ]
+      },
+      { $set: { status: 'processing', error: null }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+  }
+};
+
+export default mongoose.model('WebhookEvent', webhookEventSchema);
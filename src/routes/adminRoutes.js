@@ -1,12 +1,18 @@
 import express from 'express';
 import * as adminController from '../controllers/adminController.js';
 import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticateCron } from '../middleware/cronAuth.js';
+import { uploadBankStatement } from '../middleware/upload.js';
 import { 
   validate,
   createPaymentPlanSchema,
   updatePaymentPlanSchema,
   userStatusSchema,
   changeSubMonthsSchema,
+  deviceLimitSchema,
+  terminateSessionSchema,
+  reconcileStatementSchema,
+  approveReconciledSchema,
   validatePaymentType
 } from '../validators/paymentValidator.js';
 
@@ -14,10 +20,10 @@ const router = express.Router();
 
 /**
  * @route   GET /api/v1/admin/check-premium-status
- * @desc    Check and update premium status (cron job endpoint)
- * @access  Public (called by cron job)
+ * @desc    Run the premium status check on demand (also runs in-process on a schedule)
+ * @access  Private (CRON_SECRET, signed scheduler request or Admin)
  */
-router.get('/check-premium-status', adminController.checkPremiumStatus);
+router.get('/check-premium-status', authenticateCron, adminController.checkPremiumStatus);
 
 /**
  * @route   GET /api/v1/admin/dashboard-stats
@@ -47,6 +53,27 @@ router.get('/users/:userId/payment', authenticate, authorize('admin'), adminCont
  */
 router.get('/payments', authenticate, authorize('admin'), adminController.getAllPayments);
 
+/**
+ * @route   GET /api/v1/admin/payments/:id/proof
+ * @desc    View the screenshot or PDF uploaded with a payment
+ * @access  Private (Admin)
+ */
+router.get('/payments/:id/proof', authenticate, authorize('admin'), adminController.getPaymentProof);
+
+/**
+ * @route   POST /api/v1/admin/payments/reconcile
+ * @desc    Match a bank statement CSV against pending payments (matched, ambiguous, unmatched)
+ * @access  Private (Admin)
+ */
+router.post('/payments/reconcile', authenticate, authorize('admin'), uploadBankStatement, validate(reconcileStatementSchema), adminController.reconcilePayments);
+
+/**
+ * @route   POST /api/v1/admin/payments/reconcile/approve
+ * @desc    Approve reconciled payments in one call
+ * @access  Private (Admin)
+ */
+router.post('/payments/reconcile/approve', authenticate, authorize('admin'), validate(approveReconciledSchema), adminController.approveReconciledPayments);
+
 /**
  * @route   GET /api/v1/admin/online-users
  * @desc    Get online users
@@ -98,6 +125,66 @@ router.post('/change-sub-months', authenticate, authorize('admin'), validate(cha
  */
 router.delete('/delete-user-sessions', authenticate, authorize('admin'), adminController.deleteUserSessions);
 
+/**
+ * @route   GET /api/v1/admin/locked-accounts
+ * @desc    Get accounts that are currently locked out
+ * @access  Private (Admin)
+ */
+router.get('/locked-accounts', authenticate, authorize('admin'), adminController.getLockedAccounts);
+
+/**
+ * @route   POST /api/v1/admin/users/:userId/unlock
+ * @desc    Unlock a locked account
+ * @access  Private (Admin)
+ */
+router.post('/users/:userId/unlock', authenticate, authorize('admin'), adminController.unlockUser);
+
+/**
+ * @route   GET /api/v1/admin/login-events
+ * @desc    Query login successes, failures, lockouts and forced logins
+ * @access  Private (Admin)
+ */
+router.get('/login-events', authenticate, authorize('admin'), adminController.getLoginEvents);
+
+/**
+ * @route   GET /api/v1/admin/users/:userId/sessions
+ * @desc    Get a user's active and recent sessions
+ * @access  Private (Admin)
+ */
+router.get('/users/:userId/sessions', authenticate, authorize('admin'), adminController.getUserSessions);
+
+/**
+ * @route   DELETE /api/v1/admin/users/:userId/sessions/:sessionId
+ * @desc    Sign out one of a user's devices with an optional reason shown to that device
+ * @access  Private (Admin)
+ */
+router.delete('/users/:userId/sessions/:sessionId', authenticate, authorize('admin'), validate(terminateSessionSchema), adminController.terminateUserSession);
+
+/**
+ * @route   PUT /api/v1/admin/users/:userId/device-limit
+ * @desc    Override a user's concurrent device limit (null restores the plan limit)
+ * @access  Private (Admin)
+ */
+router.put('/users/:userId/device-limit', authenticate, authorize('admin'), validate(deviceLimitSchema), adminController.setDeviceLimit);
+
+// ============= AUDIT LOG =============
+
+/**
+ * @route   GET /api/v1/admin/audit-log
+ * @desc    Get audit log entries (filter by actor, target, action, date range; format=csv to export)
+ * @access  Private (Admin)
+ */
+router.get('/audit-log', authenticate, authorize('admin'), adminController.getAuditLog);
+
+// ============= SCHEDULED JOBS =============
+
+/**
+ * @route   GET /api/v1/admin/jobs
+ * @desc    Get scheduled job run history (filter by name, outcome) and current locks
+ * @access  Private (Admin)
+ */
+router.get('/jobs', authenticate, authorize('admin'), adminController.getJobs);
+
 // ============= PAYMENT PLAN MANAGEMENT =============
 
 /**
@@ -1,10 +1,8 @@
 import express from 'express';
 import * as authController from '../controllers/authController.js';
-import { authenticate } from '../middleware/auth.js';
-import { authenticateWithSession } from '../middleware/sessionAuth.js';
+import { authenticate, authenticateForTwoFactorEnrollment } from '../middleware/auth.js';
 import { 
   validate,
-  registerSchema,
   sendRegistrationOTPSchema,
   registerWithOTPSchema,
   loginSchema,
@@ -15,7 +13,14 @@ import {
   verifyEmailOTPSchema,
   resendVerificationSchema,
   sendOTPSchema,
-  verifyOTPSchema
+  verifyOTPSchema,
+  twoFactorLoginSchema,
+  evictSessionSchema,
+  secureAccountSchema,
+  twoFactorSetupSchema,
+  twoFactorVerifySchema,
+  twoFactorDisableSchema,
+  unlockAccountSchema
 } from '../validators/authValidator.js';
 
 const router = express.Router();
@@ -41,12 +46,19 @@ router.post('/register', validate(registerWithOTPSchema), authController.registe
  */
 router.post('/login', validate(loginSchema), authController.login);
 
+/**
+ * @route   POST /api/v1/auth/refresh
+ * @desc    Rotate refresh token and issue a new access token
+ * @access  Public (requires refresh token cookie or body)
+ */
+router.post('/refresh', authController.refreshToken);
+
 /**
  * @route   POST /api/v1/auth/logout
  * @desc    User logout
  * @access  Private
  */
-router.post('/logout', authenticateWithSession, authController.logout);
+router.post('/logout', authenticate, authController.logout);
 
 /**
  * @route   POST /api/v1/auth/forgot-password
@@ -97,14 +109,77 @@ router.post('/verify-otp-reset', validate(verifyOTPSchema), authController.verif
  */
 router.post('/force-login', validate(loginSchema), authController.forceLogin);
 
-// Protected routes (require authentication with session validation)
+/**
+ * @route   POST /api/v1/auth/login/evict-session
+ * @desc    Sign out a chosen device and finish a login that hit the session limit
+ * @access  Public (requires challenge token from SESSION_LIMIT_EXCEEDED)
+ */
+router.post('/login/evict-session', validate(evictSessionSchema), authController.evictSessionAndLogin);
+
+/**
+ * @route   POST /api/v1/auth/unlock-account
+ * @desc    Unlock a locked account with the token from the lock email
+ * @access  Public
+ */
+router.post('/unlock-account', validate(unlockAccountSchema), authController.unlockAccount);
+
+/**
+ * @route   POST /api/v1/auth/secure-account
+ * @desc    Sign out every device using the "this wasn't me" link from a new sign-in email
+ * @access  Public
+ */
+router.post('/secure-account', validate(secureAccountSchema), authController.secureAccount);
+
+// Two-factor authentication routes
+
+/**
+ * @route   POST /api/v1/auth/2fa/login
+ * @desc    Complete login with a TOTP or recovery code
+ * @access  Public (requires challenge token from login)
+ */
+router.post('/2fa/login', validate(twoFactorLoginSchema), authController.twoFactorLogin);
+
+/**
+ * @route   POST /api/v1/auth/2fa/setup
+ * @desc    Start two-factor enrolment (returns secret and otpauth URI)
+ * @access  Private (or enrolment challenge token from login)
+ */
+router.post('/2fa/setup',
+  validate(twoFactorSetupSchema),
+  authenticateForTwoFactorEnrollment,
+  authController.setupTwoFactor
+);
+
+/**
+ * @route   POST /api/v1/auth/2fa/verify
+ * @desc    Verify a code to enable two-factor authentication (returns recovery codes)
+ * @access  Private (or enrolment challenge token from login)
+ */
+router.post('/2fa/verify',
+  validate(twoFactorVerifySchema),
+  authenticateForTwoFactorEnrollment,
+  authController.verifyTwoFactor
+);
+
+/**
+ * @route   POST /api/v1/auth/2fa/disable
+ * @desc    Disable two-factor authentication (not available to admins)
+ * @access  Private
+ */
+router.post('/2fa/disable',
+  authenticate,
+  validate(twoFactorDisableSchema),
+  authController.disableTwoFactor
+);
+
+// Protected routes (require authentication)
 
 /**
  * @route   GET /api/v1/auth/me
  * @desc    Get current user profile
  * @access  Private
  */
-router.get('/me', authenticateWithSession, authController.getMe);
+router.get('/me', authenticate, authController.getMe);
 
 /**
  * @route   PUT /api/v1/auth/profile
@@ -112,7 +187,7 @@ router.get('/me', authenticateWithSession, authController.getMe);
  * @access  Private
  */
 router.put('/profile', 
-  authenticateWithSession, 
+  authenticate, 
   validate(updateProfileSchema), 
   authController.updateProfile
 );
@@ -123,32 +198,39 @@ router.put('/profile',
  * @access  Private
  */
 router.put('/change-password', 
-  authenticateWithSession, 
+  authenticate, 
   validate(changePasswordSchema), 
   authController.changePassword
 );
 
 // Session management routes
 
+/**
+ * @route   GET /api/v1/auth/login-history
+ * @desc    Get the current user's recent logins and failed attempts
+ * @access  Private
+ */
+router.get('/login-history', authenticate, authController.getLoginHistory);
+
 /**
  * @route   GET /api/v1/auth/sessions
  * @desc    Get user's active sessions
  * @access  Private
  */
-router.get('/sessions', authenticateWithSession, authController.getActiveSessions);
+router.get('/sessions', authenticate, authController.getActiveSessions);
 
 /**
  * @route   DELETE /api/v1/auth/sessions/:sessionId
  * @desc    Terminate a specific session
  * @access  Private
  */
-router.delete('/sessions/:sessionId', authenticateWithSession, authController.terminateSession);
+router.delete('/sessions/:sessionId', authenticate, authController.terminateSession);
 
 /**
  * @route   DELETE /api/v1/auth/sessions/others
  * @desc    Terminate all other sessions (except current)
  * @access  Private
  */
-router.delete('/sessions/others', authenticateWithSession, authController.terminateAllOtherSessions);
+router.delete('/sessions/others', authenticate, authController.terminateAllOtherSessions);
 
 export default router;
\ No newline at end of file
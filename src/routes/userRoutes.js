@@ -1,7 +1,8 @@
 import express from 'express';
 import * as userController from '../controllers/userController.js';
 import { authenticate, authorize } from '../middleware/auth.js';
-import { validate, userPaymentSchema } from '../validators/paymentValidator.js';
+import { uploadPaymentProof } from '../middleware/upload.js';
+import { validate, userPaymentSchema, checkoutSchema, confirmCryptoSchema } from '../validators/paymentValidator.js';
 
 const router = express.Router();
 
@@ -14,10 +15,58 @@ router.get('/', authenticate, userController.getUser);
 
 /**
  * @route   POST /api/v1/user/payment
- * @desc    Submit payment details (compatible with old backend)
+ * @desc    Submit payment details (compatible with old backend), optionally as
+ *          multipart/form-data with a screenshot or PDF in the "proof" field
  * @access  Private
  */
-router.post('/payment', authenticate, validate(userPaymentSchema), userController.payment);
+router.post('/payment', authenticate, uploadPaymentProof, validate(userPaymentSchema), userController.payment);
+
+/**
+ * @route   POST /api/v1/user/payment/checkout
+ * @desc    Start a UPI checkout for a plan (amount, transaction note and QR code)
+ * @access  Private
+ */
+router.post('/payment/checkout', authenticate, validate(checkoutSchema), userController.startCheckout);
+
+/**
+ * @route   POST /api/v1/user/payment/gateway-order
+ * @desc    Create a payment gateway order for a gateway plan
+ * @access  Private
+ */
+router.post('/payment/gateway-order', authenticate, validate(checkoutSchema), userController.createGatewayOrder);
+
+/**
+ * @route   POST /api/v1/user/payment/crypto-intent
+ * @desc    Start a crypto payment for a crypto plan (exact amount, network and wallet address)
+ * @access  Private
+ */
+router.post('/payment/crypto-intent', authenticate, validate(checkoutSchema), userController.startCryptoPayment);
+
+/**
+ * @route   GET /api/v1/user/payment/crypto-intent/:paymentId
+ * @desc    Status of a crypto payment (confirmations, expiry)
+ * @access  Private
+ */
+router.get('/payment/crypto-intent/:paymentId', authenticate, userController.getCryptoPayment);
+
+/**
+ * @route   POST /api/v1/user/payment/crypto-intent/:paymentId/confirm
+ * @desc    Submit the transaction hash of a crypto payment for on-chain verification
+ * @access  Private
+ */
+router.post(
+  '/payment/crypto-intent/:paymentId/confirm',
+  authenticate,
+  validate(confirmCryptoSchema),
+  userController.confirmCryptoPayment
+);
+
+/**
+ * @route   GET /api/v1/user/payment/:paymentId/qr
+ * @desc    UPI QR code for an open checkout (?format=png|svg)
+ * @access  Private
+ */
+router.get('/payment/:paymentId/qr', authenticate, userController.getCheckoutQr);
 
 /**
  * @route   GET /api/v1/user/chart-history
@@ -0,0 +1,13 @@
+import express from 'express';
+import * as webhookController from '../controllers/webhookController.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/v1/webhooks/payments/:provider
+ * @desc    Payment gateway webhook (e.g. razorpay); activates the subscription once paid
+ * @access  Public (verified by the gateway's signature)
+ */
+router.post('/payments/:provider', webhookController.handlePaymentWebhook);
+
+export default router;
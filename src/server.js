@@ -2,10 +2,13 @@ import 'dotenv/config';
 import app from './app.js';
 import { connectDB } from './config/database.js';
 import cronJobs from './services/cronJobs.js';
+import { validatePaymentGatewayConfig } from './config/paymentGateway.js';
 const PORT = process.env.PORT || 5001;
 
 (async () => {
   try {
+    validatePaymentGatewayConfig();
+
     // Start server first
     const server = app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT} (env: ${process.env.NODE_ENV})`);
@@ -0,0 +1,85 @@
+import AuditLog from '../models/AuditLog.js';
+import logger from '../utils/logger.js';
+
+class AuditService {
+  /**
+   * Reduce two snapshots to the fields that actually changed
+   */
+  diff(before = {}, after = {}) {
+    const changes = { before: {}, after: {} };
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    keys.forEach(key => {
+      const previous = before?.[key] ?? null;
+      const next = after?.[key] ?? null;
+
+      if (JSON.stringify(previous) !== JSON.stringify(next)) {
+        changes.before[key] = previous;
+        changes.after[key] = next;
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Subscription fields captured before/after subscription changes
+   */
+  subscriptionSnapshot(user) {
+    if (!user) return {};
+    return {
+      subscriptionState: user.subscriptionState || null,
+      status: user.status,
+      isPremium: user.isPremium,
+      premiumStartDate: user.premiumStartDate,
+      premiumEndDate: user.premiumEndDate,
+      subscriptionMonths: user.subscriptionMonths ?? null
+    };
+  }
+
+  /**
+   * Payment plan fields captured before/after plan changes
+   */
+  planSnapshot(plan) {
+    if (!plan) return {};
+    return {
+      price: plan.price,
+      month: plan.month,
+      qrcodeUrl: plan.qrcodeUrl,
+      upiVpa: plan.upiVpa ?? null,
+      payeeName: plan.payeeName ?? null,
+      walletAddress: plan.walletAddress ?? null,
+      network: plan.network ?? null,
+      type: plan.type,
+      maxDevices: plan.maxDevices ?? null,
+      isActive: plan.isActive
+    };
+  }
+
+  /**
+   * Record a privileged action. Failures are logged and never break the action itself.
+   * @param {Object} req - Express request (actor, IP and user agent are taken from it)
+   * @param {Object} entry - { action, targetUser, targetPlan, before, after, reason, metadata }
+   */
+  async record(req, { action, targetUser = null, targetPlan = null, before = {}, after = {}, reason = null, metadata = {} }) {
+    try {
+      return await AuditLog.create({
+        actor: req?.user?._id || null,
+        actorEmail: req?.user?.email || null,
+        action,
+        targetUser,
+        targetPlan,
+        changes: this.diff(before, after),
+        reason,
+        metadata,
+        ipAddress: req?.ip || null,
+        userAgent: req?.get ? req.get('User-Agent') || null : null
+      });
+    } catch (error) {
+      logger.error(`Failed to write audit log for ${action}:`, error.message);
+      return null;
+    }
+  }
+}
+
+export default new AuditService();
@@ -1,9 +1,12 @@
 import cron from 'node-cron';
+import Session from '../models/Session.js';
+import jobRunner from './jobRunner.js';
+import subscriptionService from './subscriptionService.js';
+import cryptoPaymentService from './cryptoPaymentService.js';
 import logger from '../utils/logger.js';
 
 class CronJobService {
   constructor() {
-    this.baseUrl = 'https://api.gochart.in';
     // Python Quotex EURUSD candles endpoint. You can override this via QUOTEX_CANDLES_URL env.
     this.quotexCandlesUrl = 'https://python.gochart.in/api/eurusd/candles'
     //http://127.0.0.1:5000/api/eurusd/candles;
@@ -15,13 +18,14 @@ class CronJobService {
   start() {
     this.startPremiumStatusCheck();
     this.startSessionCleanup();
+    this.startCryptoConfirmationCheck();
     this.startQuotexKeepAlive();
     logger.info('🕐 Cron jobs started successfully');
   }
 
   /**
    * Premium status check cron job
-   * Runs every 6 hours by default
+   * Runs every 6 hours by default; only one instance runs it at a time
    */
   startPremiumStatusCheck() {
     const cronPattern = process.env.SUBSCRIPTION_CHECK_CRON || '0 */6 * * *';
@@ -29,15 +33,7 @@ class CronJobService {
     cron.schedule(cronPattern, async () => {
       try {
         logger.info('Starting premium status check...');
-        
-        const response = await fetch(`${this.baseUrl}/api/v1/admin/check-premium-status`);
-        const data = await response.json();
-        
-        if (data.success) {
-          logger.info(`Premium status check completed: ${data.message}`);
-        } else {
-          logger.error('Premium status check failed:', data.message);
-        }
+        await jobRunner.run('premium-status-check', () => subscriptionService.runStatusCheck());
       } catch (error) {
         logger.error('Error in premium status cron job:', error.message);
       }
@@ -49,6 +45,28 @@ class CronJobService {
     logger.info(`Premium status check cron job scheduled: ${cronPattern}`);
   }
 
+  /**
+   * Crypto payment confirmation check
+   * Runs every 2 minutes by default: activates transfers that reached enough
+   * confirmations and expires unpaid intents; only one instance runs it at a time
+   */
+  startCryptoConfirmationCheck() {
+    const cronPattern = process.env.CRYPTO_CONFIRMATION_CRON || '*/2 * * * *';
+
+    cron.schedule(cronPattern, async () => {
+      try {
+        await jobRunner.run('crypto-confirmations', () => cryptoPaymentService.recheckConfirming());
+      } catch (error) {
+        logger.error('Error in crypto confirmation cron job:', error.message);
+      }
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+
+    logger.info(`Crypto confirmation check cron job scheduled: ${cronPattern}`);
+  }
+
   /**
    * Quotex EURUSD candles keep-alive cron job
    * Calls the Python Quotex API every 5 minutes
@@ -81,17 +99,16 @@ class CronJobService {
 
   /**
    * Session cleanup cron job
-   * Runs daily at 2 AM
+   * Runs daily at 2 AM; only one instance runs it at a time
    */
   startSessionCleanup() {
     cron.schedule('0 2 * * *', async () => {
       try {
         logger.info('Starting session cleanup...');
-        
-        const { default: Session } = await import('../models/Session.js');
-        const deletedCount = await Session.cleanupExpired();
-        
-        logger.info(`Session cleanup completed. ${deletedCount.deletedCount || 0} sessions removed.`);
+        await jobRunner.run('session-cleanup', async () => {
+          const result = await Session.cleanupExpired();
+          return { deletedCount: result.deletedCount || 0 };
+        });
       } catch (error) {
         logger.error('Error in session cleanup cron job:', error.message);
       }
@@ -0,0 +1,399 @@
+import Payment from '../models/Payment.js';
+import User from '../models/User.js';
+import EtherscanExplorer from './explorers/etherscanExplorer.js';
+import FakeExplorer from './explorers/fakeExplorer.js';
+import paymentService from './paymentService.js';
+import auditService from './auditService.js';
+import logger from '../utils/logger.js';
+import { NotFoundError, TooManyRequestsError, ValidationError } from '../utils/errors.js';
+import { normalizeUtr } from '../utils/utr.js';
+import { toBaseUnits, fromBaseUnits } from '../utils/cryptoAmount.js';
+import { CRYPTO_NETWORKS, getCryptoPaymentConfig } from '../config/crypto.js';
+
+// Confirming intents rechecked per scheduled run
+const RECHECK_BATCH_SIZE = 50;
+
+class CryptoPaymentService {
+  constructor() {
+    this.explorer = null;
+  }
+
+  /**
+   * Create the configured chain explorer adapter on first use (CRYPTO_EXPLORER=etherscan|fake)
+   */
+  getExplorer() {
+    if (!this.explorer) {
+      const config = getCryptoPaymentConfig();
+
+      if (config.explorer === 'fake' && process.env.NODE_ENV !== 'production') {
+        this.explorer = new FakeExplorer({ transfersFile: config.fakeTransfersFile });
+      } else {
+        if (config.explorer !== 'etherscan') {
+          logger.warn(`Unknown CRYPTO_EXPLORER "${config.explorer}", using etherscan`);
+        }
+        this.explorer = new EtherscanExplorer(config.etherscan);
+      }
+    }
+
+    return this.explorer;
+  }
+
+  /**
+   * Network and token contract a crypto plan is paid with
+   * @returns {Object} { networkKey, network, token, asset: { contract, decimals } }
+   */
+  resolveAsset(plan) {
+    const network = CRYPTO_NETWORKS[plan.network];
+    const token = Payment.currencyForType('crypto').toUpperCase();
+    const asset = network?.tokens[token];
+
+    if (plan.type !== 'crypto' || !plan.walletAddress || !asset) {
+      throw new ValidationError('This plan does not support crypto checkout');
+    }
+
+    return { networkKey: plan.network, network, token, asset };
+  }
+
+  /**
+   * When a closed intent's amount may be handed out again
+   */
+  amountCooldownEnd(from = new Date()) {
+    return new Date(from.getTime() + getCryptoPaymentConfig().amountCooldownHours * 60 * 60 * 1000);
+  }
+
+  /**
+   * Expire intents nobody paid in time (their amounts stay held for the cooldown)
+   * and free the amounts whose cooldown is over
+   * @returns {Promise<number>} Intents expired
+   */
+  async releaseExpired(now = new Date()) {
+    const result = await Payment.updateMany(
+      { decision: 'initiated', 'crypto.status': 'awaiting_payment', 'crypto.expiresAt': { $lte: now } },
+      { $set: { 'crypto.status': 'expired', 'crypto.amountHeldUntil': this.amountCooldownEnd(now) } }
+    );
+
+    await Payment.updateMany(
+      { 'crypto.amountKey': { $type: 'string' }, 'crypto.amountHeldUntil': { $lte: now } },
+      { $set: { 'crypto.amountKey': null } }
+    );
+
+    return result.modifiedCount || 0;
+  }
+
+  /**
+   * Start a crypto payment intent for a plan: the plan price plus a small
+   * offset no other open intent uses, so the transfer identifies the payment.
+   * An open intent for the same plan is returned instead of a new one.
+   * @returns {Promise<Object>} Initiated payment with its crypto intent
+   */
+  async createIntent(user, plan) {
+    const { networkKey, network, token, asset } = this.resolveAsset(plan);
+    const config = getCryptoPaymentConfig();
+    const address = plan.walletAddress.toLowerCase();
+    const now = new Date();
+
+    await this.releaseExpired(now);
+
+    const existing = await Payment.findOne({
+      userId: user._id,
+      decision: 'initiated',
+      'plan.planId': plan._id,
+      'plan.price': plan.price,
+      'crypto.status': { $in: ['awaiting_payment', 'confirming'] },
+      'crypto.network': networkKey,
+      'crypto.token': token,
+      'crypto.address': address
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    const keyPrefix = `${networkKey}:${asset.contract}:${address}:`;
+    const base = toBaseUnits(plan.price, asset.decimals);
+    const step = toBaseUnits(config.dustStep, asset.decimals);
+
+    const taken = new Set(
+      (await Payment.find({ 'crypto.amountKey': { $type: 'string' }, 'crypto.network': networkKey, 'crypto.address': address })
+        .select('crypto.amountKey')
+        .lean())
+        .map(payment => payment.crypto.amountKey)
+    );
+
+    // Offsets start at one step so a round amount sent by mistake never matches an intent
+    for (let offset = 1; offset <= config.dustSteps; offset++) {
+      const amountUnits = (base + step * BigInt(offset)).toString();
+      const amountKey = keyPrefix + amountUnits;
+
+      if (taken.has(amountKey)) continue;
+
+      try {
+        const payment = await Payment.create({
+          userId: user._id,
+          plan: { planId: plan._id, type: plan.type, month: plan.month, price: plan.price },
+          amount: Number(fromBaseUnits(amountUnits, asset.decimals)),
+          currency: token,
+          decision: 'initiated',
+          submittedAt: now,
+          crypto: {
+            network: networkKey,
+            token,
+            contract: asset.contract,
+            decimals: asset.decimals,
+            address,
+            amountUnits,
+            amountKey,
+            expiresAt: new Date(now.getTime() + config.intentTtlMinutes * 60 * 1000),
+            requiredConfirmations: config.minConfirmations || network.minConfirmations
+          }
+        });
+
+        logger.info(`Crypto intent for ${user.email}: ${payment.amount} ${token} on ${networkKey} to ${address}`);
+        return payment;
+      } catch (error) {
+        // Another intent took this amount in the meantime
+        if (error.code === 11000 && (error.keyPattern?.['crypto.amountKey'] || error.keyValue?.['crypto.amountKey'])) {
+          continue;
+        }
+        throw error;
+      }
+    }
+
+    throw new TooManyRequestsError('Too many crypto payments are open right now, please try again in a few minutes', 'CRYPTO_AMOUNTS_EXHAUSTED');
+  }
+
+  /**
+   * Submit the transaction hash for an intent and verify it
+   * @returns {Promise<Object>} { verified, payment }
+   */
+  async confirmIntent(payment, txHash) {
+    const { crypto } = payment;
+
+    if (crypto.status === 'verified') {
+      return { verified: true, payment };
+    }
+
+    if (payment.utrNo) {
+      if (normalizeUtr(payment.utrNo) !== normalizeUtr(txHash)) {
+        throw new ValidationError('A different transaction was already submitted for this payment');
+      }
+    } else {
+      if (crypto.status === 'expired' || crypto.expiresAt <= new Date()) {
+        throw new ValidationError('This payment request has expired, please start a new one');
+      }
+      await paymentService.assertUtrAvailable(txHash);
+    }
+
+    return this.verifyIntent(payment, txHash);
+  }
+
+  /**
+   * Check a transaction against an intent: recipient, token, exact amount and
+   * timing, then confirmations. Once enough confirmations are in, the payment
+   * is marked verified and the subscription is activated.
+   * @returns {Promise<Object>} { verified, payment }
+   */
+  async verifyIntent(payment, txHash) {
+    const { crypto } = payment;
+    const network = CRYPTO_NETWORKS[crypto.network];
+    const transaction = await this.getExplorer().getTokenTransfer(network, txHash);
+
+    crypto.lastCheckedAt = new Date();
+
+    if (!transaction) {
+      throw new NotFoundError(`Transaction not found on ${network.name} yet. Check the hash or try again in a minute`);
+    }
+
+    if (transaction.status === 'failed') {
+      throw new ValidationError('This transaction failed on chain');
+    }
+
+    // Checked before the hash is reserved, so nobody can tie up a hash that doesn't pay this intent.
+    // Pending transactions carry the transfer decoded from their call data.
+    const transfer = transaction.transfers.find(item =>
+      item.contract === crypto.contract && item.to === crypto.address
+    );
+
+    if (!transfer) {
+      if (transaction.status === 'pending') {
+        throw new ValidationError('This transaction is still pending and cannot be checked yet. Submit it again once it is confirmed');
+      }
+      throw new ValidationError(`This transaction did not send ${crypto.token} on ${network.name} to the payment address`);
+    }
+
+    if (transfer.amount !== crypto.amountUnits) {
+      throw new ValidationError(
+        `This transaction sent ${fromBaseUnits(transfer.amount, crypto.decimals)} ${crypto.token}, ` +
+        `but this payment needs exactly ${fromBaseUnits(crypto.amountUnits, crypto.decimals)} ${crypto.token}`
+      );
+    }
+
+    if (transaction.timestamp) {
+      // Block times have one-second precision
+      const createdAt = Math.floor(payment.createdAt.getTime() / 1000) * 1000;
+
+      if (transaction.timestamp.getTime() < createdAt) {
+        throw new ValidationError('This transaction was sent before the payment request was created');
+      }
+
+      if (transaction.timestamp > crypto.expiresAt) {
+        throw new ValidationError('This transaction was sent after the payment request expired, please contact support');
+      }
+    }
+
+    // Reserve the hash for this payment; the UTR index rejects it if another payment has it
+    if (!payment.utrNo) {
+      payment.utrNo = txHash;
+      crypto.status = 'confirming';
+    }
+    crypto.confirmations = transaction.confirmations;
+    crypto.lastError = null;
+
+    try {
+      await payment.save();
+    } catch (error) {
+      if (paymentService.isDuplicateUtrError(error)) {
+        throw paymentService.duplicateUtrError();
+      }
+      throw error;
+    }
+
+    if (transaction.status !== 'success' || transaction.confirmations < crypto.requiredConfirmations) {
+      return { verified: false, payment };
+    }
+
+    // Only one caller gets to activate (the user polling and the scheduled recheck can overlap)
+    const verified = await Payment.findOneAndUpdate(
+      { _id: payment._id, decision: 'initiated', 'crypto.status': 'confirming' },
+      {
+        $set: {
+          decision: 'pending',
+          submittedAt: new Date(),
+          'crypto.status': 'verified',
+          'crypto.verifiedAt': new Date(),
+          'crypto.amountHeldUntil': this.amountCooldownEnd()
+        }
+      },
+      { new: true }
+    );
+
+    if (!verified) {
+      return { verified: true, payment: await Payment.findById(payment._id) };
+    }
+
+    await this.activate(verified, network);
+    return { verified: true, payment: verified };
+  }
+
+  /**
+   * Approve a verified payment through the normal approval flow.
+   * If this fails the payment waits in the admin review queue as pending.
+   */
+  async activate(payment, network) {
+    const user = await User.findById(payment.userId);
+    if (!user) {
+      logger.warn(`Verified crypto payment ${payment._id} belongs to a deleted user, left pending`);
+      return;
+    }
+
+    const before = auditService.subscriptionSnapshot(user);
+
+    // Mirror the payment on the user like manual submissions do
+    user.utrNo = payment.utrNo;
+    user.paymentType = payment.plan.type;
+    user.paymentAmount = payment.amount;
+    user.paymentPlanId = payment.plan.planId ? String(payment.plan.planId) : null;
+    user.subscriptionMonths = payment.plan.month;
+
+    const reason = `Verified on ${network.name} (${payment.crypto.confirmations} confirmations)`;
+    await paymentService.approvePayment(user, { payment, reason });
+
+    // No admin involved: recorded without an actor
+    await auditService.record(null, {
+      action: 'payment.approve',
+      targetUser: user._id,
+      before,
+      after: auditService.subscriptionSnapshot(user),
+      reason,
+      metadata: {
+        paymentId: payment._id,
+        utrNo: payment.utrNo,
+        amount: payment.amount,
+        source: 'crypto',
+        network: payment.crypto.network,
+        token: payment.crypto.token
+      }
+    });
+
+    logger.info(`Subscription activated for ${user.email} by ${payment.amount} ${payment.crypto.token} on ${payment.crypto.network} (${payment.utrNo})`);
+  }
+
+  /**
+   * Recheck intents waiting for confirmations and expire unpaid ones (scheduled)
+   * @returns {Promise<Object>} { checked, verified, expired }
+   */
+  async recheckConfirming() {
+    const expired = await this.releaseExpired();
+    const payments = await Payment.find({ decision: 'initiated', 'crypto.status': 'confirming' })
+      .sort({ 'crypto.lastCheckedAt': 1 })
+      .limit(RECHECK_BATCH_SIZE);
+
+    let verified = 0;
+
+    for (const payment of payments) {
+      try {
+        const result = await this.verifyIntent(payment, payment.utrNo);
+        if (result.verified) verified++;
+      } catch (error) {
+        logger.warn(`Crypto payment ${payment._id} recheck failed: ${error.message}`);
+
+        // The transaction turned out wrong or was dropped: release the hash so the user
+        // can submit another one (the intent expires as usual if they don't)
+        const rejected = error instanceof ValidationError || error instanceof NotFoundError;
+
+        await Payment.updateOne(
+          { _id: payment._id, 'crypto.status': 'confirming' },
+          {
+            $set: {
+              'crypto.lastError': error.message,
+              'crypto.lastCheckedAt': new Date(),
+              ...(rejected ? { 'crypto.status': 'awaiting_payment', 'crypto.confirmations': 0 } : {})
+            },
+            ...(rejected ? { $unset: { utrNo: 1, utrNormalized: 1, utrPrefix: 1, utrSuffix: 1 } } : {})
+          }
+        );
+      }
+    }
+
+    return { checked: payments.length, verified, expired };
+  }
+
+  /**
+   * Public view of an intent for the paying user
+   */
+  intentSummary(payment) {
+    const { crypto } = payment;
+    const network = CRYPTO_NETWORKS[crypto.network];
+
+    return {
+      paymentId: payment._id,
+      network: crypto.network,
+      networkName: network?.name || crypto.network,
+      chainId: network?.chainId || null,
+      token: crypto.token,
+      contract: crypto.contract,
+      address: crypto.address,
+      amount: fromBaseUnits(crypto.amountUnits, crypto.decimals),
+      amountUnits: crypto.amountUnits,
+      expiresAt: crypto.expiresAt,
+      status: crypto.status,
+      txHash: payment.utrNo || null,
+      confirmations: crypto.confirmations,
+      requiredConfirmations: crypto.requiredConfirmations,
+      lastError: crypto.lastError,
+      decision: payment.decision
+    };
+  }
+}
+
+export default new CryptoPaymentService();
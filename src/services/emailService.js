@@ -305,8 +305,16 @@ class EmailService {
     return await this.sendEmail(email, subject, html);
   }
 
-  async sendPasswordChangeNotification(email, name) {
+  async sendPasswordChangeNotification(email, name, { signedOutDevices = [] } = {}) {
     const subject = 'GoChart Password Changed Successfully';
+    const deviceList = signedOutDevices.length
+      ? `
+            <p><strong>For your security, these devices were signed out:</strong></p>
+            <ul>
+              ${signedOutDevices.map(({ deviceInfo = {}, lastActivity }) => `
+              <li>${deviceInfo.browser || 'Unknown browser'} on ${deviceInfo.platform || 'unknown device'} (IP: ${deviceInfo.ipAddress || 'unknown'}, last active ${new Date(lastActivity).toLocaleString()})</li>`).join('')}
+            </ul>`
+      : '';
     
     const html = `
       <!DOCTYPE html>
@@ -340,6 +348,7 @@ class EmailService {
               <li>Account: ${email}</li>
               <li>Action: Password Reset Completed</li>
             </ul>
+            ${deviceList}
             
             <p>If you did not make this change, please contact our support team immediately.</p>
             
@@ -357,6 +366,263 @@ class EmailService {
 
     return await this.sendEmail(email, subject, html);
   }
+
+  async sendSubscriptionExpiryReminder(email, name, { daysLeft, endDate }) {
+    const subject = `Your GoChart Premium expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+    const renewUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: white; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+          .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; }
+          .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>⏳ Premium Expiring Soon</h1>
+            <p>GoChart Subscription Reminder</p>
+          </div>
+          <div class="content">
+            <h2>Hi ${name},</h2>
+            
+            <div class="warning">
+              <strong>⚠️ Heads up:</strong> Your GoChart Premium subscription expires in <strong>${daysLeft} day${daysLeft === 1 ? '' : 's'}</strong>, on ${new Date(endDate).toLocaleString()}.
+            </div>
+            
+            <p>Renew before then to keep uninterrupted access to premium charts and analysis tools. Any days you have left are added on top of your renewal.</p>
+            
+            <div style="text-align: center;">
+              <a href="${renewUrl}" class="button">Renew Premium</a>
+            </div>
+            
+            <p>Best regards,<br>The GoChart Team</p>
+          </div>
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} GoChart. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail(email, subject, html);
+  }
+
+  async sendSubscriptionGraceNotice(email, name, { graceEndsAt }) {
+    const subject = 'Your GoChart Premium has ended - grace period active';
+    const renewUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: white; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+          .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; }
+          .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Premium Subscription Ended</h1>
+            <p>GoChart Subscription Notice</p>
+          </div>
+          <div class="content">
+            <h2>Hi ${name},</h2>
+            
+            <div class="warning">
+              <strong>⚠️ Grace period:</strong> Your subscription period has ended, but you keep premium access until <strong>${new Date(graceEndsAt).toLocaleString()}</strong>.
+            </div>
+            
+            <p>Renew before the grace period ends to avoid losing access to premium features.</p>
+            
+            <div style="text-align: center;">
+              <a href="${renewUrl}" class="button">Renew Premium</a>
+            </div>
+            
+            <p>Best regards,<br>The GoChart Team</p>
+          </div>
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} GoChart. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail(email, subject, html);
+  }
+
+  async sendSubscriptionExpiredNotice(email, name) {
+    const subject = 'Your GoChart Premium has expired';
+    const renewUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: white; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+          .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Premium Subscription Expired</h1>
+            <p>GoChart Subscription Notice</p>
+          </div>
+          <div class="content">
+            <h2>Hi ${name},</h2>
+            <p>Your GoChart Premium subscription has expired and premium features are no longer available on your account.</p>
+            
+            <p>You can renew at any time to pick up where you left off.</p>
+            
+            <div style="text-align: center;">
+              <a href="${renewUrl}" class="button">Renew Premium</a>
+            </div>
+            
+            <p>Best regards,<br>The GoChart Team</p>
+          </div>
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} GoChart. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail(email, subject, html);
+  }
+
+  async sendAccountLockedEmail(email, name, { lockUntil, unlockUrl }) {
+    const subject = 'Your GoChart account has been locked';
+    
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: white; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+          .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; }
+          .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🔒 Account Locked</h1>
+            <p>GoChart Security Notification</p>
+          </div>
+          <div class="content">
+            <h2>Hi ${name},</h2>
+            
+            <div class="warning">
+              <strong>⚠️ Too many failed sign-in attempts:</strong> Your GoChart account is locked until <strong>${new Date(lockUntil).toLocaleString()}</strong>.
+            </div>
+            
+            <p>If this was you, you can unlock your account now:</p>
+            
+            <div style="text-align: center;">
+              <a href="${unlockUrl}" class="button">Unlock My Account</a>
+            </div>
+            
+            <p>If this wasn't you, someone may be trying to guess your password. Leave the account locked and consider changing your password once you're back in.</p>
+            
+            <p>Best regards,<br>The GoChart Security Team</p>
+          </div>
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} GoChart. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail(email, subject, html);
+  }
+
+  async sendNewSignInEmail(email, name, { deviceInfo = {}, location = {}, signedInAt, revokeUrl }) {
+    const device = `${deviceInfo.browser || 'Unknown browser'} on ${deviceInfo.platform || 'unknown device'}`;
+    const place = [location.city, location.country].filter(Boolean).join(', ');
+    const subject = `New sign-in to GoChart from ${device}`;
+    
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: white; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+          .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; }
+          .button { display: inline-block; background: #f5576c; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🔔 New Sign-in</h1>
+            <p>GoChart Security Notification</p>
+          </div>
+          <div class="content">
+            <h2>Hi ${name},</h2>
+            
+            <p>Your GoChart account was just used to sign in from a new device:</p>
+            
+            <ul>
+              <li>Device: ${device}</li>
+              <li>IP address: ${deviceInfo.ipAddress || 'unknown'}</li>${place ? `
+              <li>Location: ${place} (approximate)</li>` : ''}
+              <li>Date: ${new Date(signedInAt).toLocaleString()}</li>
+            </ul>
+            
+            <p>If this was you, you don't need to do anything.</p>
+            
+            <div class="warning">
+              <strong>⚠️ Wasn't you?</strong> Sign out every device right away, then change your password.
+            </div>
+            
+            <div style="text-align: center;">
+              <a href="${revokeUrl}" class="button">This Wasn't Me</a>
+            </div>
+            
+            <p>Best regards,<br>The GoChart Security Team</p>
+          </div>
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} GoChart. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail(email, subject, html);
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,121 @@
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+
+// keccak256("Transfer(address,address,uint256)")
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
+// transfer(address,uint256) selector
+const TRANSFER_SELECTOR = '0xa9059cbb';
+
+const topicToAddress = (topic) => `0x${topic.slice(-40)}`.toLowerCase();
+
+/**
+ * Transfer a pending transaction will make, decoded from a direct ERC-20 transfer call
+ */
+const decodeTransferCall = (transaction) => {
+  const input = (transaction.input || '').toLowerCase();
+  if (!transaction.to || !input.startsWith(TRANSFER_SELECTOR) || input.length < 138) return [];
+
+  return [{
+    contract: transaction.to.toLowerCase(),
+    from: (transaction.from || '').toLowerCase(),
+    to: `0x${input.slice(34, 74)}`,
+    amount: BigInt(`0x${input.slice(74, 138)}`).toString()
+  }];
+};
+
+/**
+ * Looks up ERC-20 transfers through an Etherscan-compatible API
+ * (Etherscan V2 serves every supported chain, selected by chainId).
+ *
+ * Explorer adapters implement getTokenTransfer(network, txHash), returning null
+ * for an unknown hash, or { txHash, status: "success"|"failed"|"pending",
+ * blockNumber, confirmations, timestamp, transfers: [{ contract, from, to, amount }] }
+ * with amounts as base-unit integer strings. For pending transactions the
+ * transfers are the ones the transaction will make if it succeeds.
+ */
+class EtherscanExplorer {
+  constructor({ apiUrl, apiKey }) {
+    if (!apiKey) {
+      throw new Error('The Etherscan explorer requires ETHERSCAN_API_KEY');
+    }
+
+    this.apiUrl = apiUrl;
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * Call a JSON-RPC proxy action
+   * @returns {Promise<*>} The "result" field
+   */
+  async proxy(network, action, params) {
+    const url = new URL(this.apiUrl);
+    url.search = new URLSearchParams({
+      chainid: String(network.chainId),
+      module: 'proxy',
+      action,
+      ...params,
+      apikey: this.apiKey
+    }).toString();
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+    if (!response.ok) {
+      throw new Error(`Explorer ${action} failed with ${response.status}`);
+    }
+
+    const body = await response.json();
+
+    if (body.error) {
+      throw new Error(`Explorer ${action} failed: ${body.error.message || body.error}`);
+    }
+    // Rate limits and bad keys come back as { status: "0", message: "NOTOK", result: "<reason>" }
+    if (body.status === '0') {
+      throw new Error(`Explorer ${action} failed: ${body.result || body.message}`);
+    }
+
+    return body.result;
+  }
+
+  async getTokenTransfer(network, txHash) {
+    const receipt = await this.proxy(network, 'eth_getTransactionReceipt', { txhash: txHash });
+
+    if (!receipt) {
+      // Either unknown or still in the mempool
+      const transaction = await this.proxy(network, 'eth_getTransactionByHash', { txhash: txHash });
+      if (!transaction) return null;
+
+      return {
+        txHash,
+        status: 'pending',
+        blockNumber: null,
+        confirmations: 0,
+        timestamp: null,
+        transfers: decodeTransferCall(transaction)
+      };
+    }
+
+    const [latest, block] = await Promise.all([
+      this.proxy(network, 'eth_blockNumber', {}),
+      this.proxy(network, 'eth_getBlockByNumber', { tag: receipt.blockNumber, boolean: 'false' })
+    ]);
+
+    const blockNumber = parseInt(receipt.blockNumber, 16);
+
+    return {
+      txHash,
+      status: receipt.status === '0x1' ? 'success' : 'failed',
+      blockNumber,
+      confirmations: Math.max(0, parseInt(latest, 16) - blockNumber + 1),
+      timestamp: block?.timestamp ? new Date(parseInt(block.timestamp, 16) * 1000) : null,
+      transfers: (receipt.logs || [])
+        .filter(log => log.topics?.[0] === TRANSFER_TOPIC && log.topics.length === 3)
+        .map(log => ({
+          contract: log.address.toLowerCase(),
+          from: topicToAddress(log.topics[1]),
+          to: topicToAddress(log.topics[2]),
+          amount: BigInt(log.data).toString()
+        }))
+    };
+  }
+}
+
+export default EtherscanExplorer;
@@ -0,0 +1,81 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+/**
+ * In-memory chain explorer for development and tests. Transactions are
+ * added by hand (addTransfer) or listed in a JSON file (CRYPTO_FAKE_TRANSFERS_FILE),
+ * and "mined" further by raising their confirmations.
+ */
+class FakeExplorer {
+  constructor({ transfersFile = null } = {}) {
+    this.transactions = new Map();
+    this.transfersFile = transfersFile;
+  }
+
+  /**
+   * Record a token transfer
+   * @param {Object} transfer - { to, amount (base units), contract, from, status, confirmations, timestamp, txHash }
+   * @returns {string} Transaction hash
+   */
+  addTransfer({
+    to,
+    amount,
+    contract,
+    from = `0x${crypto.randomBytes(20).toString('hex')}`,
+    status = 'success',
+    confirmations = 1,
+    timestamp = new Date(),
+    txHash = `0x${crypto.randomBytes(32).toString('hex')}`
+  }) {
+    this.transactions.set(txHash.toLowerCase(), {
+      txHash,
+      status,
+      blockNumber: status === 'pending' ? null : 1000,
+      confirmations: status === 'pending' ? 0 : confirmations,
+      timestamp: status === 'pending' ? null : new Date(timestamp),
+      // Like a real explorer, a pending transfer is known from its call data
+      transfers: [{
+        contract: contract.toLowerCase(),
+        from: from.toLowerCase(),
+        to: to.toLowerCase(),
+        amount: String(amount)
+      }]
+    });
+
+    return txHash;
+  }
+
+  setConfirmations(txHash, confirmations) {
+    const transaction = this.transactions.get(txHash.toLowerCase());
+    if (transaction) transaction.confirmations = confirmations;
+  }
+
+  /**
+   * Load the transfers file: a JSON array of addTransfer arguments, each with a txHash.
+   * Read on every lookup so transfers can be added or confirmed while the server runs.
+   */
+  loadFile() {
+    if (!this.transfersFile) return;
+
+    let transfers;
+    try {
+      transfers = JSON.parse(fs.readFileSync(this.transfersFile, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw new Error(`Fake explorer cannot read ${this.transfersFile}: ${error.message}`);
+    }
+
+    (Array.isArray(transfers) ? transfers : [])
+      .filter(transfer => transfer.txHash)
+      .forEach(transfer => this.addTransfer(transfer));
+  }
+
+  async getTokenTransfer(network, txHash) {
+    this.loadFile();
+
+    const transaction = this.transactions.get(txHash.toLowerCase());
+    return transaction ? { ...transaction, transfers: [...transaction.transfers] } : null;
+  }
+}
+
+export default FakeExplorer;
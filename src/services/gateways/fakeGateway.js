@@ -0,0 +1,80 @@
+import crypto from 'crypto';
+import RazorpayGateway from './razorpayGateway.js';
+
+/**
+ * Local stand-in for Razorpay: creates orders without network calls and
+ * signs Razorpay-shaped webhooks with a test secret, so the whole
+ * order -> webhook -> activation flow runs through the real Razorpay
+ * verification and parsing code.
+ */
+class FakeGateway extends RazorpayGateway {
+  constructor({ webhookSecret }) {
+    if (!webhookSecret) {
+      throw new Error('The fake payment gateway requires FAKE_GATEWAY_WEBHOOK_SECRET');
+    }
+
+    super({ keyId: 'rzp_test_fake', keySecret: 'fake', webhookSecret, apiUrl: 'http://localhost' });
+    this.name = 'fake';
+  }
+
+  async createOrder({ amount, currency }) {
+    const orderId = `order_fake_${crypto.randomBytes(8).toString('hex')}`;
+    const minorAmount = this.toMinorUnits(amount);
+
+    return {
+      orderId,
+      amount: minorAmount,
+      currency,
+      checkout: {
+        key: this.keyId,
+        order_id: orderId,
+        amount: minorAmount,
+        currency
+      }
+    };
+  }
+
+  /**
+   * Build a Razorpay-style payment event for an order
+   * @param {string} orderId - Order to pay
+   * @param {Object} options - { amount (minor units), currency, event }
+   */
+  paymentEvent(orderId, { amount, currency = 'INR', event = 'payment.captured' } = {}) {
+    return {
+      entity: 'event',
+      event,
+      payload: {
+        payment: {
+          entity: {
+            id: `pay_fake_${crypto.randomBytes(8).toString('hex')}`,
+            entity: 'payment',
+            order_id: orderId,
+            amount,
+            currency,
+            status: event === 'payment.failed' ? 'failed' : 'captured'
+          }
+        }
+      },
+      created_at: Math.floor(Date.now() / 1000)
+    };
+  }
+
+  /**
+   * Sign an event the way Razorpay does
+   * @returns {Object} { rawBody, headers } ready to POST to the webhook route
+   */
+  signWebhook(event, { eventId = `evt_fake_${crypto.randomBytes(8).toString('hex')}` } = {}) {
+    const rawBody = JSON.stringify(event);
+
+    return {
+      rawBody,
+      headers: {
+        'content-type': 'application/json',
+        'x-razorpay-event-id': eventId,
+        'x-razorpay-signature': crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest('hex')
+      }
+    };
+  }
+}
+
+export default FakeGateway;
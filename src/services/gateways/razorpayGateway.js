@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import { AuthenticationError, ValidationError } from '../../utils/errors.js';
+
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+
+// Webhook events that mean the order has been paid / a payment attempt failed
+const PAID_EVENTS = ['payment.captured', 'order.paid'];
+const FAILED_EVENTS = ['payment.failed'];
+
+/**
+ * Razorpay orders and webhooks (https://razorpay.com/docs/api/orders/).
+ * Amounts are sent and received in the currency's minor unit (paise).
+ */
+class RazorpayGateway {
+  constructor({ keyId, keySecret, webhookSecret, apiUrl }) {
+    if (!keyId || !keySecret || !webhookSecret) {
+      throw new Error('Razorpay requires RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAY_WEBHOOK_SECRET');
+    }
+
+    this.name = 'razorpay';
+    this.keyId = keyId;
+    this.keySecret = keySecret;
+    this.webhookSecret = webhookSecret;
+    this.apiUrl = new URL(apiUrl || 'https://api.razorpay.com');
+  }
+
+  /**
+   * Convert an amount in major units (rupees) to minor units (paise)
+   */
+  toMinorUnits(amount) {
+    return Math.round(Number(amount) * 100);
+  }
+
+  /**
+   * Call the Razorpay API with basic auth
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  request(method, path, body = null) {
+    const url = new URL(path, this.apiUrl);
+    const payload = body ? JSON.stringify(body) : null;
+    const transport = url.protocol === 'http:' ? http : https;
+
+    const headers = {
+      Authorization: `Basic ${Buffer.from(`${this.keyId}:${this.keySecret}`).toString('base64')}`,
+      Accept: 'application/json'
+    };
+    if (payload) {
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(url, { method, headers, timeout: REQUEST_TIMEOUT_MS }, (res) => {
+        let data = '';
+        res.on('data', chunk => {
+          data += chunk;
+        });
+        res.on('end', () => {
+          let parsed = {};
+          try {
+            parsed = data ? JSON.parse(data) : {};
+          } catch (parseError) {
+            return reject(new Error(`Razorpay ${method} ${path} returned invalid JSON (${res.statusCode})`));
+          }
+
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            return resolve(parsed);
+          }
+
+          const description = parsed.error?.description || `status ${res.statusCode}`;
+          reject(new Error(`Razorpay ${method} ${path} failed: ${description}`));
+        });
+        res.on('error', reject);
+      });
+
+      req.on('timeout', () => req.destroy(new Error(`Razorpay ${method} ${path} timed out`)));
+      req.on('error', reject);
+      req.end(payload || undefined);
+    });
+  }
+
+  /**
+   * Create an order for the client-side checkout
+   * @param {Object} params - { amount (major units), currency, receipt, notes }
+   * @returns {Promise<Object>} { orderId, amount (minor units), currency, checkout }
+   */
+  async createOrder({ amount, currency, receipt, notes = {} }) {
+    const order = await this.request('POST', '/v1/orders', {
+      amount: this.toMinorUnits(amount),
+      currency,
+      receipt,
+      notes
+    });
+
+    return {
+      orderId: order.id,
+      amount: order.amount,
+      currency: order.currency,
+      // Options for Razorpay Checkout on the frontend
+      checkout: {
+        key: this.keyId,
+        order_id: order.id,
+        amount: order.amount,
+        currency: order.currency
+      }
+    };
+  }
+
+  /**
+   * Check the X-Razorpay-Signature header: HMAC-SHA256 of the raw body with the webhook secret
+   */
+  verifySignature(rawBody, signature) {
+    if (!signature || typeof signature !== 'string') return false;
+
+    const expected = crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest('hex');
+    const given = Buffer.from(signature, 'utf8');
+
+    return given.length === expected.length && crypto.timingSafeEqual(given, Buffer.from(expected, 'utf8'));
+  }
+
+  /**
+   * Verify and normalize a webhook
+   * @param {Buffer|string} rawBody - Body exactly as received
+   * @param {Object} headers - Request headers (lower-case names)
+   * @returns {Object} { eventId, event, status: "paid"|"failed"|null, orderId, paymentId, amount, currency }
+   */
+  parseWebhook(rawBody, headers) {
+    if (!this.verifySignature(rawBody, headers['x-razorpay-signature'])) {
+      throw new AuthenticationError('Invalid webhook signature', 'INVALID_WEBHOOK_SIGNATURE');
+    }
+
+    let body;
+    try {
+      body = JSON.parse(rawBody.toString('utf8'));
+    } catch (parseError) {
+      throw new ValidationError('Invalid webhook payload');
+    }
+
+    const payment = body.payload?.payment?.entity || null;
+    const order = body.payload?.order?.entity || null;
+
+    let status = null;
+    if (PAID_EVENTS.includes(body.event)) status = 'paid';
+    if (FAILED_EVENTS.includes(body.event)) status = 'failed';
+
+    return {
+      // Razorpay sends the same event id on retries
+      eventId: headers['x-razorpay-event-id'] || crypto.createHash('sha256').update(rawBody).digest('hex'),
+      event: body.event || null,
+      status,
+      orderId: payment?.order_id || order?.id || null,
+      paymentId: payment?.id || null,
+      amount: payment?.amount ?? order?.amount_paid ?? null,
+      currency: payment?.currency || order?.currency || null
+    };
+  }
+}
+
+export default RazorpayGateway;
@@ -0,0 +1,94 @@
+import maxmind from 'maxmind';
+import logger from '../utils/logger.js';
+
+class GeoIpService {
+  constructor() {
+    this.reader = null;
+    this.loading = null;
+    this.disabled = false;
+  }
+
+  /**
+   * Open the MaxMind database at GEOIP_DB_PATH once. Without a path, or if the
+   * file can't be read, lookups are disabled and return empty locations.
+   * @returns {Promise<Object|null>} Database reader
+   */
+  async getReader() {
+    if (this.reader || this.disabled) return this.reader;
+
+    if (!this.loading) {
+      const dbPath = process.env.GEOIP_DB_PATH;
+
+      if (!dbPath) {
+        this.disabled = true;
+        return null;
+      }
+
+      this.loading = maxmind.open(dbPath)
+        .then(reader => {
+          this.reader = reader;
+          logger.info(`GeoIP database loaded: ${dbPath}`);
+          return reader;
+        })
+        .catch(error => {
+          this.disabled = true;
+          logger.warn(`GeoIP lookups disabled, could not open ${dbPath}: ${error.message}`);
+          return null;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Location with every field unknown
+   */
+  emptyLocation() {
+    return { country: null, countryCode: null, city: null, timezone: null };
+  }
+
+  /**
+   * Strip the IPv4-mapped IPv6 prefix Express reports for IPv4 clients
+   */
+  normalizeIp(ipAddress) {
+    if (!ipAddress) return null;
+    return String(ipAddress).trim().replace(/^::ffff:/i, '');
+  }
+
+  /**
+   * Resolve an IP address to a location. Never throws; unknown, private and
+   * invalid addresses resolve to an empty location.
+   * @param {string} ipAddress - Client IP address
+   * @returns {Promise<Object>} { country, countryCode, city, timezone }
+   */
+  async lookup(ipAddress) {
+    const ip = this.normalizeIp(ipAddress);
+    if (!ip || !maxmind.validate(ip)) return this.emptyLocation();
+
+    const reader = await this.getReader();
+    if (!reader) return this.emptyLocation();
+
+    try {
+      const result = reader.get(ip);
+      if (!result) return this.emptyLocation();
+
+      // Country databases have no city or time zone; fall back to the registered country
+      const country = result.country || result.registered_country;
+
+      return {
+        country: country?.names?.en || null,
+        countryCode: country?.iso_code || null,
+        city: result.city?.names?.en || null,
+        timezone: result.location?.time_zone || null
+      };
+    } catch (error) {
+      logger.warn(`GeoIP lookup failed for ${ip}: ${error.message}`);
+      return this.emptyLocation();
+    }
+  }
+}
+
+export default new GeoIpService();
@@ -0,0 +1,128 @@
+import os from 'os';
+import { nanoid } from 'nanoid';
+import JobLock from '../models/JobLock.js';
+import JobRun from '../models/JobRun.js';
+import logger from '../utils/logger.js';
+
+class JobRunner {
+  constructor() {
+    this.instanceId = `${os.hostname()}-${process.pid}-${nanoid(6)}`;
+    this.DEFAULT_LOCK_TTL = 10 * 60 * 1000; // 10 minutes
+  }
+
+  /**
+   * Try to take the lock for a job. Only one run can hold it at a time, even
+   * within this instance; an expired lock can be taken over.
+   * @param {string} name - Job name
+   * @param {string} owner - Token of the run taking the lock
+   * @returns {Promise<boolean>} True if the run now holds the lock
+   */
+  async acquireLock(name, owner, ttlMs = this.DEFAULT_LOCK_TTL) {
+    const now = new Date();
+
+    try {
+      const lock = await JobLock.findOneAndUpdate(
+        { name, lockedUntil: { $lte: now } },
+        {
+          $set: {
+            owner,
+            lockedAt: now,
+            lockedUntil: new Date(now.getTime() + ttlMs)
+          }
+        },
+        { upsert: true, new: true }
+      );
+
+      return !!lock;
+    } catch (error) {
+      // The upsert collides with the unique name while another run holds the lock
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Keep extending a held lock while its job runs, so a job that outlasts the
+   * TTL isn't taken over by another run. Stop with clearInterval.
+   * @returns {Object} Interval handle
+   */
+  startHeartbeat(name, owner, ttlMs = this.DEFAULT_LOCK_TTL) {
+    const heartbeat = setInterval(async () => {
+      try {
+        const result = await JobLock.updateOne(
+          { name, owner },
+          { $set: { lockedUntil: new Date(Date.now() + ttlMs) } }
+        );
+
+        if (result.matchedCount === 0) {
+          logger.warn(`Job ${name} lost its lock while running`);
+        }
+      } catch (error) {
+        logger.error(`Job ${name} lock heartbeat failed:`, error.message);
+      }
+    }, Math.floor(ttlMs / 3));
+
+    heartbeat.unref();
+    return heartbeat;
+  }
+
+  /**
+   * Release a lock if the given run still holds it
+   */
+  async releaseLock(name, owner) {
+    await JobLock.updateOne(
+      { name, owner },
+      { $set: { lockedUntil: new Date() } }
+    );
+  }
+
+  /**
+   * Run a job at most once at a time across all instances and record it in the job history
+   * @param {string} name - Job name
+   * @param {Function} handler - Async function returning counts for the run history
+   * @param {Object} options - { lockTtlMs, trigger }
+   * @returns {Promise<Object>} { ran, run }
+   */
+  async run(name, handler, { lockTtlMs = this.DEFAULT_LOCK_TTL, trigger = 'schedule' } = {}) {
+    const owner = `${this.instanceId}-${nanoid(8)}`;
+    const acquired = await this.acquireLock(name, owner, lockTtlMs);
+
+    if (!acquired) {
+      logger.info(`Job ${name} skipped: already running`);
+      return { ran: false, run: null };
+    }
+
+    const heartbeat = this.startHeartbeat(name, owner, lockTtlMs);
+
+    try {
+      const run = await JobRun.create({
+        name,
+        instanceId: this.instanceId,
+        trigger,
+        startedAt: new Date()
+      });
+
+      try {
+        const counts = await handler();
+        run.outcome = 'success';
+        run.counts = counts || {};
+        logger.info(`Job ${name} completed`, run.counts);
+      } catch (error) {
+        run.outcome = 'failed';
+        run.error = error.message;
+        logger.error(`Job ${name} failed:`, error.message);
+      }
+
+      run.finishedAt = new Date();
+      run.durationMs = run.finishedAt - run.startedAt;
+      await run.save();
+
+      return { ran: true, run };
+    } finally {
+      clearInterval(heartbeat);
+      await this.releaseLock(name, owner);
+    }
+  }
+}
+
+export default new JobRunner();
@@ -0,0 +1,97 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import emailService from './emailService.js';
+import logger from '../utils/logger.js';
+import { AuthenticationError } from '../utils/errors.js';
+
+class LockoutService {
+  /**
+   * Error returned while an account is locked
+   */
+  lockedError(lockUntil) {
+    return new AuthenticationError(
+      `Account is locked until ${lockUntil.toLocaleString()}`,
+      'ACCOUNT_LOCKED'
+    );
+  }
+
+  /**
+   * Throw ACCOUNT_LOCKED if the lock on a user is still running
+   */
+  assertNotLocked(user) {
+    if (user.isAccountLocked) {
+      throw this.lockedError(user.lockUntil);
+    }
+  }
+
+  /**
+   * Count a failed login (password or two-factor code). When this starts a
+   * lock, the user is emailed a self-service unlock link.
+   * @returns {Promise<Object>} { locked, lockUntil }
+   */
+  async recordFailedLogin(user, { ipAddress } = {}) {
+    const result = await user.incLoginAttempts();
+
+    if (result.locked) {
+      logger.warn(`Account locked: ${user.email} until ${result.lockUntil.toISOString()} (IP: ${ipAddress || 'unknown'})`);
+
+      try {
+        const token = user.createUnlockToken();
+        await User.updateOne(
+          { _id: user._id },
+          { $set: { unlockToken: user.unlockToken, unlockTokenExpires: user.unlockTokenExpires } }
+        );
+
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+        await emailService.sendAccountLockedEmail(user.email, user.name, {
+          lockUntil: result.lockUntil,
+          unlockUrl: `${frontendUrl}/unlock-account?token=${token}`
+        });
+      } catch (emailError) {
+        logger.error(`Failed to send account locked email to ${user.email}:`, emailError.message);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Unlock an account with the token from the lock email
+   * @returns {Promise<Object|null>} The unlocked user, or null if the token is invalid or expired
+   */
+  async unlockWithToken(token) {
+    const hashedToken = crypto.createHash('sha256').update(String(token)).digest('hex');
+
+    const user = await User.findOne({
+      unlockToken: hashedToken,
+      unlockTokenExpires: { $gt: new Date() }
+    });
+
+    if (!user) return null;
+
+    await user.unlock();
+    logger.info(`Account unlocked via email link: ${user.email}`);
+
+    return user;
+  }
+
+  /**
+   * Get accounts that are currently locked
+   * @returns {Promise<Object>} { users, total }
+   */
+  async getLockedAccounts({ page = 1, limit = 20 } = {}) {
+    const query = { lockUntil: { $gt: new Date() } };
+
+    const users = await User.find(query)
+      .select('name email role loginAttempts lockUntil lockCount lastLogin ipAddress userAgent')
+      .sort({ lockUntil: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await User.countDocuments(query);
+
+    return { users, total };
+  }
+}
+
+export default new LockoutService();
@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import LoginEvent from '../models/LoginEvent.js';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import sessionService from './sessionService.js';
+import emailService from './emailService.js';
+import geoipService from './geoipService.js';
+import logger from '../utils/logger.js';
+import { getLoginHistoryConfig } from '../config/security.js';
+
+class LoginHistoryService {
+  /**
+   * Device details for a request, in the same shape as Session.deviceInfo
+   */
+  deviceInfoFor(req) {
+    const deviceInfo = sessionService.parseUserAgent(req.get('User-Agent'));
+    deviceInfo.ipAddress = req.ip;
+    return deviceInfo;
+  }
+
+  /**
+   * Record a login attempt. Failures are logged and never break the login itself.
+   * @param {Object} req - Express request (IP address and user agent are taken from it)
+   * @param {Object} entry - { user, email, outcome, method, failureReason, sessionId, isNewDevice }
+   * @returns {Promise<Object|null>} The login event, or null if it could not be saved
+   */
+  async record(req, { user = null, email, outcome, method = null, failureReason = null, sessionId = null, isNewDevice = false }) {
+    try {
+      const { retentionDays } = getLoginHistoryConfig();
+
+      return await LoginEvent.create({
+        userId: user?._id || null,
+        email: user?.email || String(email || 'unknown').trim().toLowerCase(),
+        outcome,
+        method,
+        failureReason,
+        deviceInfo: this.deviceInfoFor(req),
+        location: await geoipService.lookup(req.ip),
+        sessionId,
+        isNewDevice,
+        expiresAt: new Date(Date.now() + retentionDays * 24 * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      logger.error(`Failed to record login event for ${user?.email || email}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record a successful login and, when it comes from a browser the user has
+   * never signed in from before, email a sign-in alert with a "this wasn't me" link
+   * @param {Object} options - { forced, method }
+   */
+  async recordLogin(req, user, session, { forced = false, method = 'password' } = {}) {
+    const userAgent = req.get('User-Agent') || null;
+
+    // The very first login is not a "new" device
+    const [seenBefore, hasHistory] = await Promise.all([
+      LoginEvent.exists({ userId: user._id, outcome: { $in: ['success', 'forced'] }, 'deviceInfo.userAgent': userAgent }),
+      LoginEvent.exists({ userId: user._id, outcome: { $in: ['success', 'forced'] } })
+    ]);
+    const isNewDevice = !seenBefore && !!hasHistory;
+
+    const event = await this.record(req, {
+      user,
+      outcome: forced ? 'forced' : 'success',
+      method,
+      sessionId: session.sessionId,
+      isNewDevice
+    });
+
+    if (isNewDevice && event) {
+      await this.sendNewDeviceAlert(user, event);
+    }
+
+    return event;
+  }
+
+  /**
+   * Email a new sign-in alert with a single-use link that signs out every device
+   */
+  async sendNewDeviceAlert(user, event) {
+    try {
+      const { revokeLinkHours } = getLoginHistoryConfig();
+      const token = crypto.randomBytes(32).toString('hex');
+
+      await LoginEvent.updateOne(
+        { _id: event._id },
+        {
+          $set: {
+            revokeTokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+            revokeTokenExpires: new Date(Date.now() + revokeLinkHours * 60 * 60 * 1000)
+          }
+        }
+      );
+
+      const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+      await emailService.sendNewSignInEmail(user.email, user.name, {
+        deviceInfo: event.deviceInfo,
+        location: event.location,
+        signedInAt: event.createdAt,
+        revokeUrl: `${frontendUrl}/secure-account?token=${token}`
+      });
+
+      logger.info(`New device sign-in alert sent to ${user.email} (IP: ${event.deviceInfo.ipAddress})`);
+    } catch (error) {
+      logger.error(`Failed to send new sign-in alert to ${user.email}:`, error.message);
+    }
+  }
+
+  /**
+   * Handle a "this wasn't me" link: sign out every device of the account
+   * @returns {Promise<Object|null>} { user, event, sessionsTerminated }, or null if the token is invalid or expired
+   */
+  async revokeWithToken(token) {
+    const revokeTokenHash = crypto.createHash('sha256').update(String(token)).digest('hex');
+
+    // Single use: the hash is cleared in the same update that claims it
+    const event = await LoginEvent.findOneAndUpdate(
+      { revokeTokenHash, revokeTokenExpires: { $gt: new Date() } },
+      { $set: { reportedAt: new Date(), revokeTokenHash: null, revokeTokenExpires: null } },
+      { new: true }
+    );
+
+    if (!event) return null;
+
+    const user = await User.findById(event.userId);
+    if (!user) return null;
+
+    const result = await Session.terminateUserSessions(user._id, 'reported_sign_in');
+
+    logger.warn(`Sign-in reported as not theirs by ${user.email}: ${result.modifiedCount} session(s) signed out (event: ${event._id})`);
+
+    return { user, event, sessionsTerminated: result.modifiedCount };
+  }
+
+  /**
+   * Get a user's own login history
+   * @returns {Promise<Object>} { events, total }
+   */
+  async getHistory(userId, { page = 1, limit = 20 } = {}) {
+    const [events, total] = await Promise.all([
+      LoginEvent.getHistory(userId, { page, limit }),
+      LoginEvent.countDocuments({ userId })
+    ]);
+
+    return { events, total };
+  }
+}
+
+export default new LoginHistoryService();
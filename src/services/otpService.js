@@ -0,0 +1,162 @@
+import OtpAttempt from '../models/OtpAttempt.js';
+import User from '../models/User.js';
+import logger from '../utils/logger.js';
+import { TooManyRequestsError } from '../utils/errors.js';
+import { getOtpConfig } from '../config/security.js';
+
+const ACTIVITY_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+class OtpService {
+  emailKey(email) {
+    return `email:${String(email).trim().toLowerCase()}`;
+  }
+
+  ipKey(ipAddress) {
+    return `ip:${ipAddress || 'unknown'}`;
+  }
+
+  /**
+   * Error returned by every OTP endpoint while an email or IP is locked
+   */
+  lockedError(lockedUntil) {
+    const minutes = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 60000));
+    return new TooManyRequestsError(
+      `Too many incorrect codes. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+      'OTP_LOCKED'
+    );
+  }
+
+  /**
+   * Throw OTP_LOCKED if the email or the IP address is locked
+   */
+  async assertNotLocked(email, ipAddress) {
+    const attempts = await OtpAttempt.find({
+      key: { $in: [this.emailKey(email), this.ipKey(ipAddress)] },
+      lockedUntil: { $gt: new Date() }
+    });
+
+    if (attempts.length) {
+      const lockedUntil = new Date(Math.max(...attempts.map(attempt => attempt.lockedUntil.getTime())));
+      throw this.lockedError(lockedUntil);
+    }
+  }
+
+  /**
+   * Count a failed verification for a key, locking it once the limit is hit
+   * @returns {Promise<boolean>} True if the key is now locked
+   */
+  async registerFailure(key, maxAttempts, lockMs) {
+    const now = new Date();
+
+    // Start a fresh window once a previous lock has run out
+    await OtpAttempt.updateOne(
+      { key, lockedUntil: { $lte: now } },
+      { $set: { failedAttempts: 0, lockedUntil: null } }
+    );
+
+    const attempt = await OtpAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failedAttempts: 1 },
+        $set: { expiresAt: new Date(now.getTime() + ACTIVITY_TTL) }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    if (attempt.failedAttempts < maxAttempts) return false;
+
+    if (!attempt.isLocked()) {
+      attempt.lockedUntil = new Date(now.getTime() + lockMs);
+      attempt.expiresAt = new Date(Math.max(attempt.expiresAt.getTime(), attempt.lockedUntil.getTime()));
+      await attempt.save();
+    }
+
+    return true;
+  }
+
+  /**
+   * Verify an OTP for a user with per-email and per-IP attempt limits. After
+   * too many failures the stored OTP is discarded and OTP_LOCKED is thrown.
+   * Unknown emails count as failures too, so they can't be used to probe.
+   * @param {Object|null} user - User document holding the OTP
+   * @param {string} otp - Code entered by the user
+   * @param {Object} context - { email, ipAddress }
+   * @returns {Promise<boolean>} True if the OTP is valid
+   */
+  async verify(user, otp, { email, ipAddress }) {
+    await this.assertNotLocked(email, ipAddress);
+
+    if (user && user.verifyOTP(otp)) {
+      await OtpAttempt.deleteOne({ key: this.emailKey(email) });
+      return true;
+    }
+
+    const { maxAttempts, maxAttemptsPerIp, lockMinutes } = getOtpConfig();
+    const lockMs = lockMinutes * 60 * 1000;
+
+    const emailLocked = await this.registerFailure(this.emailKey(email), maxAttempts, lockMs);
+    const ipLocked = await this.registerFailure(this.ipKey(ipAddress), maxAttemptsPerIp, lockMs);
+
+    if (emailLocked) {
+      // The code may have leaked through guessing; make the user request a new one
+      await User.updateOne(
+        { email: String(email).trim().toLowerCase() },
+        { $unset: { emailOTP: 1, emailOTPExpires: 1 } }
+      );
+      logger.warn(`OTP locked for ${email} after ${maxAttempts} failed attempts (IP: ${ipAddress})`);
+    }
+
+    if (ipLocked) {
+      logger.warn(`OTP verification locked for IP ${ipAddress}`);
+    }
+
+    if (emailLocked || ipLocked) {
+      throw this.lockedError(new Date(Date.now() + lockMs));
+    }
+
+    return false;
+  }
+
+  /**
+   * Enforce the resend cool-down (doubling with every send) before emailing an OTP
+   */
+  async assertCanSend(email, ipAddress) {
+    await this.assertNotLocked(email, ipAddress);
+
+    const attempt = await OtpAttempt.findOne({ key: this.emailKey(email) });
+    if (!attempt || !attempt.lastSentAt || !attempt.sendCount) return;
+
+    const { resendCooldownSeconds, resendMaxCooldownSeconds } = getOtpConfig();
+    const cooldownSeconds = Math.min(
+      resendCooldownSeconds * 2 ** (attempt.sendCount - 1),
+      resendMaxCooldownSeconds
+    );
+    const retryAt = attempt.lastSentAt.getTime() + cooldownSeconds * 1000;
+
+    if (retryAt > Date.now()) {
+      const seconds = Math.ceil((retryAt - Date.now()) / 1000);
+      throw new TooManyRequestsError(
+        `Please wait ${seconds} second${seconds === 1 ? '' : 's'} before requesting another code.`,
+        'OTP_RESEND_COOLDOWN'
+      );
+    }
+  }
+
+  /**
+   * Record that an OTP email was sent
+   */
+  async recordSent(email) {
+    const now = new Date();
+
+    await OtpAttempt.updateOne(
+      { key: this.emailKey(email) },
+      {
+        $inc: { sendCount: 1 },
+        $set: { lastSentAt: now, expiresAt: new Date(now.getTime() + ACTIVITY_TTL) }
+      },
+      { upsert: true }
+    );
+  }
+}
+
+export default new OtpService();
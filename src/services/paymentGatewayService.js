@@ -0,0 +1,233 @@
+import Payment from '../models/Payment.js';
+import User from '../models/User.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import RazorpayGateway from './gateways/razorpayGateway.js';
+import FakeGateway from './gateways/fakeGateway.js';
+import paymentService from './paymentService.js';
+import auditService from './auditService.js';
+import logger from '../utils/logger.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { getPaymentGatewayConfig } from '../config/paymentGateway.js';
+
+// Adapters by provider name; each implements createOrder, toMinorUnits and parseWebhook
+const ADAPTERS = {
+  razorpay: (config) => new RazorpayGateway(config.razorpay),
+  fake: (config) => new FakeGateway(config.fake)
+};
+
+class PaymentGatewayService {
+  constructor() {
+    this.gateways = new Map();
+  }
+
+  /**
+   * Whether a provider is enabled in PAYMENT_GATEWAYS (the fake never is in production)
+   */
+  isEnabled(provider) {
+    if (provider === 'fake' && process.env.NODE_ENV === 'production') return false;
+    return !!ADAPTERS[provider] && getPaymentGatewayConfig().enabled.includes(provider);
+  }
+
+  /**
+   * Adapter for an enabled provider, created on first use
+   */
+  getGateway(provider) {
+    const name = String(provider || '').toLowerCase();
+
+    if (!this.isEnabled(name)) {
+      throw new NotFoundError(`Payment provider "${provider}" is not enabled`);
+    }
+
+    if (!this.gateways.has(name)) {
+      this.gateways.set(name, ADAPTERS[name](getPaymentGatewayConfig()));
+    }
+
+    return this.gateways.get(name);
+  }
+
+  /**
+   * Create a gateway order for a plan, recorded as an initiated payment.
+   * An unpaid order for the same plan and amount is reused.
+   * @returns {Promise<Object>} { payment, checkout }
+   */
+  async createOrder(user, plan) {
+    if (plan.type !== 'gateway') {
+      throw new ValidationError('This plan is not paid through a payment gateway');
+    }
+
+    const { defaultProvider } = getPaymentGatewayConfig();
+    if (!defaultProvider || !this.isEnabled(defaultProvider)) {
+      throw new ValidationError('Online payments are not available right now');
+    }
+
+    const gateway = this.getGateway(defaultProvider);
+    const currency = Payment.currencyForType(plan.type);
+
+    const existing = await Payment.findOne({
+      userId: user._id,
+      decision: 'initiated',
+      'plan.planId': plan._id,
+      'gateway.provider': gateway.name,
+      'gateway.status': 'created',
+      amount: plan.price
+    });
+
+    if (existing) {
+      return { payment: existing, checkout: existing.gateway.checkout };
+    }
+
+    const order = await gateway.createOrder({
+      amount: plan.price,
+      currency,
+      receipt: `${user._id}-${Date.now()}`.slice(0, 40),
+      notes: { userId: String(user._id), planId: String(plan._id) }
+    });
+
+    const payment = await Payment.create({
+      userId: user._id,
+      plan: { planId: plan._id, type: plan.type, month: plan.month, price: plan.price },
+      amount: plan.price,
+      currency,
+      decision: 'initiated',
+      gateway: { provider: gateway.name, orderId: order.orderId, checkout: order.checkout },
+      submittedAt: new Date()
+    });
+
+    logger.info(`Gateway order ${order.orderId} (${gateway.name}) for ${user.email}: ${plan.price} ${currency}`);
+
+    return { payment, checkout: order.checkout };
+  }
+
+  /**
+   * Verify and apply a gateway webhook. Each event is applied once; retries of
+   * an event that was already handled are acknowledged without side effects.
+   * @param {string} provider - Provider from the webhook URL
+   * @param {Buffer} rawBody - Body exactly as received (signatures cover the raw bytes)
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Object>} { duplicate, status, paymentId, activated }
+   */
+  async handleWebhook(provider, rawBody, headers) {
+    const gateway = this.getGateway(provider);
+    const event = gateway.parseWebhook(rawBody, headers);
+
+    const record = await WebhookEvent.claim({
+      provider: gateway.name,
+      eventId: event.eventId,
+      event: event.event,
+      orderId: event.orderId
+    });
+
+    if (!record) {
+      logger.info(`Duplicate ${gateway.name} webhook ${event.eventId} ignored`);
+      return { duplicate: true, status: 'duplicate', paymentId: null, activated: false };
+    }
+
+    try {
+      const outcome = await this.applyEvent(gateway, event);
+
+      record.status = outcome.status;
+      record.paymentId = outcome.paymentId;
+      record.processedAt = new Date();
+      await record.save();
+
+      return { duplicate: false, ...outcome };
+    } catch (error) {
+      record.status = 'failed';
+      record.error = error.message;
+      await record.save();
+      throw error;
+    }
+  }
+
+  /**
+   * Update the payment behind a verified event and activate the subscription once paid
+   * @returns {Promise<Object>} { status: "processed"|"ignored", paymentId, activated }
+   */
+  async applyEvent(gateway, event) {
+    const ignored = { status: 'ignored', paymentId: null, activated: false };
+
+    if (!event.status || !event.orderId) {
+      return ignored;
+    }
+
+    const orderQuery = { 'gateway.provider': gateway.name, 'gateway.orderId': event.orderId };
+
+    if (event.status === 'failed') {
+      // The user can retry the same order
+      const payment = await Payment.findOneAndUpdate(
+        { ...orderQuery, decision: 'initiated' },
+        { $set: { 'gateway.status': 'failed' } },
+        { new: true }
+      );
+      return payment ? { status: 'processed', paymentId: payment._id, activated: false } : ignored;
+    }
+
+    // Claim the order atomically: payment.captured and order.paid both arrive for one payment.
+    // If activation fails after this, the payment waits in the admin review queue as pending.
+    const payment = await Payment.findOneAndUpdate(
+      { ...orderQuery, decision: 'initiated' },
+      {
+        $set: {
+          decision: 'pending',
+          submittedAt: new Date(),
+          'gateway.status': 'paid',
+          'gateway.paymentId': event.paymentId
+        }
+      },
+      { new: true }
+    );
+
+    if (!payment) {
+      return ignored;
+    }
+
+    const expectedAmount = gateway.toMinorUnits(payment.amount);
+    if (event.amount !== expectedAmount || (event.currency && event.currency !== payment.currency)) {
+      // Left pending for an admin to look at
+      logger.warn(`Gateway payment ${event.paymentId} for order ${event.orderId} paid ${event.amount} ${event.currency}, expected ${expectedAmount} ${payment.currency}`);
+      payment.reason = `Gateway amount ${event.amount} ${event.currency} does not match the order`;
+      await payment.save();
+      return { status: 'processed', paymentId: payment._id, activated: false };
+    }
+
+    const user = await User.findById(payment.userId);
+    if (!user) {
+      logger.warn(`Gateway payment ${event.paymentId} belongs to a deleted user, left pending`);
+      return { status: 'processed', paymentId: payment._id, activated: false };
+    }
+
+    const before = auditService.subscriptionSnapshot(user);
+
+    // Mirror the payment on the user like manual submissions do
+    user.paymentType = payment.plan.type;
+    user.paymentAmount = payment.amount;
+    user.paymentPlanId = payment.plan.planId ? String(payment.plan.planId) : null;
+    user.subscriptionMonths = payment.plan.month;
+
+    const reason = `Paid via ${gateway.name} (${event.paymentId})`;
+    await paymentService.approvePayment(user, { payment, reason });
+
+    // No admin involved: recorded without an actor
+    await auditService.record(null, {
+      action: 'payment.approve',
+      targetUser: user._id,
+      before,
+      after: auditService.subscriptionSnapshot(user),
+      reason,
+      metadata: {
+        paymentId: payment._id,
+        amount: payment.amount,
+        source: 'gateway',
+        provider: gateway.name,
+        orderId: event.orderId,
+        gatewayPaymentId: event.paymentId
+      }
+    });
+
+    logger.info(`Subscription activated for ${user.email} by ${gateway.name} payment ${event.paymentId}`);
+
+    return { status: 'processed', paymentId: payment._id, activated: true };
+  }
+}
+
+export default new PaymentGatewayService();
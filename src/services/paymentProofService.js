@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import storageService from './storageService.js';
+import logger from '../utils/logger.js';
+import { ValidationError } from '../utils/errors.js';
+import { detectFileType, isImageType } from '../utils/fileType.js';
+import { getPaymentProofConfig } from '../config/storage.js';
+
+// Refuse decompression bombs before sharp allocates the full image
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+class PaymentProofService {
+  /**
+   * Validate an uploaded proof by its content and re-encode images, which
+   * drops EXIF/GPS metadata and anything hidden after the image data
+   * @param {Object} file - Multer file ({ buffer, originalname })
+   * @returns {Promise<Object>} { body, mime, ext }
+   */
+  async process(file) {
+    const fileType = detectFileType(file.buffer);
+
+    if (!fileType) {
+      throw new ValidationError('Payment proof must be a JPEG, PNG or WebP image, or a PDF');
+    }
+
+    if (isImageType(fileType)) {
+      const { maxImageDimension } = getPaymentProofConfig();
+
+      try {
+        const body = await sharp(file.buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+          .rotate() // Apply the EXIF orientation before the metadata is dropped
+          .resize({ width: maxImageDimension, height: maxImageDimension, fit: 'inside', withoutEnlargement: true })
+          .toFormat(fileType.ext === 'jpg' ? 'jpeg' : fileType.ext)
+          .toBuffer();
+
+        return { body, ...fileType };
+      } catch (error) {
+        logger.warn(`Rejected unreadable payment proof image: ${error.message}`);
+        throw new ValidationError('Payment proof image could not be read');
+      }
+    }
+
+    // PDFs can't be re-encoded; refuse the features that make them active content.
+    // Names may escape characters as #xx (e.g. /J#61vaScript), so decode them first
+    const names = file.buffer.toString('latin1')
+      .replace(/#([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+    if (/\/(JavaScript|JS|Launch|EmbeddedFiles?|OpenAction)\b/.test(names)) {
+      throw new ValidationError('PDFs with scripts, actions or attachments are not accepted');
+    }
+
+    return { body: file.buffer, ...fileType };
+  }
+
+  /**
+   * Validate and store a proof for a user
+   * @returns {Promise<Object>} Proof metadata for Payment.proof
+   */
+  async store(userId, file) {
+    const { body, mime, ext } = await this.process(file);
+    const key = `payment-proofs/${userId}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}.${ext}`;
+
+    await storageService.put(key, body, { contentType: mime });
+
+    logger.info(`Payment proof stored: ${key} (${mime}, ${body.length} bytes)`);
+
+    return {
+      storage: storageService.driver,
+      key,
+      contentType: mime,
+      size: body.length,
+      sha256: crypto.createHash('sha256').update(body).digest('hex'),
+      originalName: file.originalname ? String(file.originalname).slice(0, 200) : null,
+      uploadedAt: new Date()
+    };
+  }
+
+  /**
+   * Admin URL for viewing a payment's proof, or null if none was uploaded
+   */
+  proofUrl(payment) {
+    return payment.proof
+      ? `/api/${process.env.API_VERSION || 'v1'}/admin/payments/${payment._id}/proof`
+      : null;
+  }
+
+  /**
+   * Read a stored proof
+   * @returns {Promise<Buffer>}
+   */
+  async read(proof) {
+    if (proof.storage !== storageService.driver) {
+      throw new Error(`Payment proof ${proof.key} is in "${proof.storage}" storage but STORAGE_DRIVER is "${storageService.driver}"`);
+    }
+
+    const { body } = await storageService.get(proof.key);
+    return body;
+  }
+
+  /**
+   * Delete a stored proof (e.g. when the payment it belonged to was rejected). Never throws.
+   */
+  async remove(proof) {
+    try {
+      await storageService.delete(proof.key);
+    } catch (error) {
+      logger.error(`Failed to delete payment proof ${proof.key}:`, error.message);
+    }
+  }
+}
+
+export default new PaymentProofService();
@@ -0,0 +1,320 @@
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import PayInfo from '../models/PayInfo.js';
+import subscriptionService from './subscriptionService.js';
+import logger from '../utils/logger.js';
+import { ConflictError, ValidationError } from '../utils/errors.js';
+import { normalizeUtr, isNearDuplicateUtr, utrMatchKeys } from '../utils/utr.js';
+import { buildUpiUri, generateTransactionNote } from '../utils/upi.js';
+
+// Most recent near-duplicate candidates fetched per UTR lookup key
+const NEAR_DUPLICATE_CANDIDATE_LIMIT = 200;
+
+class PaymentService {
+  /**
+   * Ensure a UTR has never been submitted before (by any user)
+   */
+  async assertUtrAvailable(utrNo) {
+    const utrNormalized = normalizeUtr(utrNo);
+    const existing = await Payment.findOne({ utrNormalized }).select('_id userId decision');
+
+    if (existing) {
+      logger.warn(`Duplicate UTR rejected: ${utrNormalized} (existing payment: ${existing._id})`);
+      throw this.duplicateUtrError();
+    }
+  }
+
+  /**
+   * Error returned whenever a UTR collides with an existing payment
+   */
+  duplicateUtrError() {
+    return new ConflictError(
+      'This UTR / transaction reference has already been submitted',
+      'DUPLICATE_UTR'
+    );
+  }
+
+  /**
+   * Check whether an error is the unique index violation on the normalized UTR
+   */
+  isDuplicateUtrError(error) {
+    return error?.code === 11000 && !!(error.keyPattern?.utrNormalized || error.keyValue?.utrNormalized);
+  }
+
+  /**
+   * Create a payment record, mapping UTR index collisions to DUPLICATE_UTR
+   */
+  async createPayment(data) {
+    await this.assertUtrAvailable(data.utrNo);
+
+    try {
+      return await Payment.create(data);
+    } catch (error) {
+      // Two submissions can race past the pre-check; the unique index has the final say
+      if (this.isDuplicateUtrError(error)) {
+        throw this.duplicateUtrError();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Start (or resume) a UPI checkout for a plan: an initiated payment holding
+   * the exact amount and a unique transaction note. The same checkout is
+   * reused until the user submits a UTR for it.
+   * @returns {Promise<Object>} Initiated payment with transactionNote and upiUri
+   */
+  async initiateUpiCheckout(user, plan) {
+    if (plan.type !== 'regular' || !plan.upiVpa) {
+      throw new ValidationError('This plan does not support UPI checkout');
+    }
+
+    let payment = await Payment.findOne({ userId: user._id, decision: 'initiated', 'plan.planId': plan._id });
+
+    if (!payment) {
+      payment = new Payment({
+        userId: user._id,
+        plan: { planId: plan._id, type: plan.type },
+        currency: Payment.currencyForType(plan.type),
+        decision: 'initiated',
+        transactionNote: generateTransactionNote()
+      });
+    }
+
+    // Follow plan edits made since the checkout was started
+    payment.plan.month = plan.month;
+    payment.plan.price = plan.price;
+    payment.amount = plan.price;
+    payment.submittedAt = new Date();
+    payment.upiUri = buildUpiUri({
+      vpa: plan.upiVpa,
+      payeeName: plan.payeeName,
+      amount: plan.price,
+      currency: payment.currency,
+      note: payment.transactionNote
+    });
+
+    await payment.save();
+    logger.info(`UPI checkout ${payment.transactionNote} for ${user.email}: ${payment.amount} ${payment.currency}`);
+
+    return payment;
+  }
+
+  /**
+   * Attach the user's UTR (and proof) to an initiated checkout and queue it for review
+   * @param {Object} payment - Initiated payment document
+   * @param {Object} details - { utrNo, proof }
+   */
+  async submitCheckout(payment, { utrNo, proof = null }) {
+    await this.assertUtrAvailable(utrNo);
+
+    payment.utrNo = utrNo;
+    payment.proof = proof;
+    payment.decision = 'pending';
+    payment.submittedAt = new Date();
+
+    try {
+      return await payment.save();
+    } catch (error) {
+      if (this.isDuplicateUtrError(error)) {
+        throw this.duplicateUtrError();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve how many months a payment buys: the plan linked to the payment,
+   * then the snapshot taken at submission, then the user's linked plan and
+   * finally the user's requested months
+   */
+  async resolvePlanMonths(payment, user) {
+    const planIds = [payment?.plan?.planId, user.paymentPlanId]
+      .filter(planId => planId && mongoose.isValidObjectId(planId));
+
+    if (planIds[0]) {
+      const plan = await PayInfo.findById(planIds[0]).select('month');
+      if (plan?.month) return plan.month;
+    }
+
+    if (payment?.plan?.month) return payment.plan.month;
+
+    if (planIds[1]) {
+      const plan = await PayInfo.findById(planIds[1]).select('month');
+      if (plan?.month) return plan.month;
+    }
+
+    return user.subscriptionMonths || null;
+  }
+
+  /**
+   * Record a decision on a pending payment, atomically: only the first of two
+   * concurrent reviews (double clicks, retries, bulk approvals) gets the payment
+   * @returns {Promise<Object>} The reviewed payment
+   * @throws {ConflictError} PAYMENT_ALREADY_REVIEWED when it was no longer pending
+   */
+  async claimPayment(payment, decision, { reviewerId = null, reason = null } = {}) {
+    const claimed = await Payment.findOneAndUpdate(
+      { _id: payment._id, decision: 'pending' },
+      { $set: { decision, reviewedBy: reviewerId || null, reviewedAt: new Date(), reason } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      throw new ConflictError('This payment has already been reviewed', 'PAYMENT_ALREADY_REVIEWED');
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Find the payment a review applies to: the given one or the user's latest pending payment
+   * @throws {ConflictError} NO_PENDING_PAYMENT when the user has nothing to review
+   */
+  async resolvePendingPayment(user, payment) {
+    const pendingPayment = payment || await Payment.getLatestPending(user._id);
+
+    if (!pendingPayment) {
+      throw new ConflictError('This user has no pending payment to review', 'NO_PENDING_PAYMENT');
+    }
+
+    return pendingPayment;
+  }
+
+  /**
+   * Approve a user's payment and extend their subscription. The payment is
+   * claimed before the subscription is touched, so a payment extends it once.
+   * The end date is always computed server-side; overrideEndDate replaces it
+   * only when an admin explicitly asks for it (the caller is responsible for auditing that).
+   * @param {Object} user - User document
+   * @param {Object} options - { payment, reviewerId, reason, overrideEndDate }
+   * @returns {Promise<Object>} { user, payment, previousEndDate, computedEndDate, newEndDate, monthsAdded, overridden }
+   * @throws {ConflictError} When there is no pending payment or it was already reviewed
+   */
+  async approvePayment(user, { payment, reviewerId = null, reason = null, overrideEndDate = null } = {}) {
+    const pendingPayment = await this.resolvePendingPayment(user, payment);
+    const previousEndDate = user.premiumEndDate;
+    const months = await this.resolvePlanMonths(pendingPayment, user);
+
+    if (!months && !overrideEndDate) {
+      throw new ValidationError('Cannot determine the subscription length for this payment');
+    }
+
+    const approvedPayment = await this.claimPayment(pendingPayment, 'approved', { reviewerId, reason });
+    const { endDate: computedEndDate } = subscriptionService.computeExtension(user, months);
+
+    try {
+      await subscriptionService.extend(user, months, {
+        endDate: overrideEndDate ? new Date(overrideEndDate) : null
+      });
+    } catch (error) {
+      // Put the payment back in the review queue so it can be approved again
+      await Payment.updateOne(
+        { _id: approvedPayment._id, decision: 'approved' },
+        { $set: { decision: 'pending', reviewedBy: null, reviewedAt: null, reason: null } }
+      );
+      throw error;
+    }
+
+    logger.info(`Payment approved for ${user.email}: ${previousEndDate || 'none'} -> ${user.premiumEndDate}${overrideEndDate ? ' (override)' : ''}`);
+
+    return {
+      user,
+      payment: approvedPayment,
+      previousEndDate,
+      computedEndDate,
+      newEndDate: user.premiumEndDate,
+      monthsAdded: months,
+      overridden: !!overrideEndDate
+    };
+  }
+
+  /**
+   * Decline a user's payment. A declined renewal keeps the running subscription.
+   * @param {Object} options - { payment, reviewerId, reason }
+   * @throws {ConflictError} When the payment was already reviewed
+   */
+  async declinePayment(user, { payment, reviewerId = null, reason = null } = {}) {
+    const pendingPayment = payment || await Payment.getLatestPending(user._id);
+    const declinedPayment = pendingPayment
+      ? await this.claimPayment(pendingPayment, 'declined', { reviewerId, reason })
+      : null;
+
+    if (!subscriptionService.isPremiumState(subscriptionService.getState(user))) {
+      user.subscriptionMonths = 0;
+    }
+    user.utrNo = '';
+    await subscriptionService.decline(user);
+
+    logger.info(`Payment declined for ${user.email}`);
+
+    return { user, payment: declinedPayment };
+  }
+
+  /**
+   * Find exact and near-duplicate UTRs for a list of payments
+   * @returns {Map<string, Object>} Flags keyed by payment id
+   */
+  async findSuspectedDuplicates(payments) {
+    const flags = new Map();
+    if (!payments.length) return flags;
+
+    const utrs = [...new Set(payments.map(payment => normalizeUtr(payment.utrNo)).filter(Boolean))];
+    const keys = utrs.map(utrMatchKeys);
+    const fields = 'userId utrNo utrNormalized decision submittedAt';
+
+    // Exact matches through the unique UTR index; near duplicates only among
+    // payments sharing a prefix or suffix key (see utrMatchKeys). Each key is
+    // looked up on its own, newest first, so a busy prefix can't crowd out the
+    // candidates of another UTR or of the other key
+    const nearLookup = (path, key, utrNormalized) => Payment.find({ [path]: key, utrNormalized: { $ne: utrNormalized } })
+      .select(fields)
+      .sort({ submittedAt: -1 })
+      .limit(NEAR_DUPLICATE_CANDIDATE_LIMIT)
+      .lean();
+
+    const [exact, ...near] = !utrs.length ? [[]] : await Promise.all([
+      Payment.find({ utrNormalized: { $in: utrs } }).select(fields).lean(),
+      ...utrs.flatMap((utrNormalized, index) => [
+        nearLookup('utrPrefix', keys[index].utrPrefix, utrNormalized),
+        nearLookup('utrSuffix', keys[index].utrSuffix, utrNormalized)
+      ])
+    ]);
+
+    const candidates = [...new Map([...exact, ...near.flat()].map(candidate => [String(candidate._id), candidate])).values()];
+
+    payments.forEach(payment => {
+      const utrNormalized = normalizeUtr(payment.utrNo);
+      const duplicates = [];
+      const nearDuplicates = [];
+
+      candidates.forEach(candidate => {
+        if (String(candidate._id) === String(payment._id)) return;
+
+        const summary = {
+          paymentId: candidate._id,
+          userId: candidate.userId,
+          utrNo: candidate.utrNo,
+          decision: candidate.decision,
+          submittedAt: candidate.submittedAt
+        };
+
+        if (candidate.utrNormalized === utrNormalized) {
+          duplicates.push(summary);
+        } else if (isNearDuplicateUtr(utrNormalized, candidate.utrNormalized)) {
+          nearDuplicates.push(summary);
+        }
+      });
+
+      flags.set(String(payment._id), {
+        suspected: duplicates.length > 0 || nearDuplicates.length > 0,
+        duplicates,
+        nearDuplicates
+      });
+    });
+
+    return flags;
+  }
+}
+
+export default new PaymentService();
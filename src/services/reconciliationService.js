@@ -0,0 +1,323 @@
+import Payment from '../models/Payment.js';
+import logger from '../utils/logger.js';
+import { ValidationError } from '../utils/errors.js';
+import { parseCsv } from '../utils/csv.js';
+import { BANK_STATEMENT_PRESETS, getReconciliationConfig } from '../config/reconciliation.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statement dates are calendar days in India (UTC+5:30)
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+// Banks export the header after a few lines of account details
+const HEADER_SEARCH_ROWS = 30;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Parse a statement date (day first, as Indian banks export them), e.g.
+ * "05/03/24", "05-03-2024", "5 Mar 2024", "05-Mar-2024" or "2024-03-05"
+ * @returns {Date|null} Start of that day in IST
+ */
+export const parseStatementDate = (value) => {
+  const text = String(value || '').trim();
+  let year;
+  let month;
+  let day;
+  let match;
+
+  if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})[/\-. ](\d{1,2})[/\-. ](\d{4}|\d{2})\b/))) {
+    [, day, month, year] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})[/\-. ]([A-Za-z]{3})[A-Za-z]*[/\-., ]+(\d{4}|\d{2})\b/))) {
+    day = Number(match[1]);
+    month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+    year = Number(match[3]);
+  } else {
+    return null;
+  }
+
+  if (year < 100) year += 2000;
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  const date = new Date(Date.UTC(year, month - 1, day) - IST_OFFSET_MS);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Parse an amount such as "1,499.00", "₹ 499" or "499.00 Cr"
+ * @returns {number|null}
+ */
+export const parseAmount = (value) => {
+  const text = String(value || '').replace(/[,\s₹]|INR|Rs\.?|Cr|Dr/gi, '');
+  if (!text) return null;
+
+  const amount = Number(text);
+  return Number.isFinite(amount) ? amount : null;
+};
+
+/**
+ * Words and numbers in a credit's reference and narration, upper-cased.
+ * Reference columns often zero-pad the UTR, so tokens are also kept without leading zeros.
+ */
+const referenceTokens = (credit) => {
+  const tokens = new Set();
+
+  `${credit.reference} ${credit.narration}`.toUpperCase().split(/[^A-Z0-9]+/).forEach(token => {
+    if (!token) return;
+    tokens.add(token);
+    tokens.add(token.replace(/^0+/, ''));
+  });
+
+  tokens.delete('');
+  return tokens;
+};
+
+// Users type UTRs with stray separators now and then
+const utrKey = (utrNormalized) => (utrNormalized || '').replace(/[^A-Z0-9]/g, '');
+
+class ReconciliationService {
+  /**
+   * Column mapping for a bank preset, with optional per-field overrides
+   * @param {string} bank - Preset key (see BANK_STATEMENT_PRESETS)
+   * @param {Object} overrides - { date, narration, reference, credit, debit, amount, type }: header name(s)
+   */
+  resolveMapping(bank = 'generic', overrides = {}) {
+    const preset = BANK_STATEMENT_PRESETS[bank];
+
+    if (!preset) {
+      throw new ValidationError(`Unknown bank "${bank}". Supported: ${Object.keys(BANK_STATEMENT_PRESETS).join(', ')}`);
+    }
+
+    const mapping = { ...preset.columns };
+    Object.entries(overrides || {}).forEach(([field, headers]) => {
+      const custom = (Array.isArray(headers) ? headers : [headers]).filter(Boolean).map(String);
+      mapping[field] = [...custom, ...(mapping[field] || [])];
+    });
+
+    return mapping;
+  }
+
+  /**
+   * Index of the first header matching one of the names, exactly or as a prefix
+   */
+  findColumn(headerRow, names = []) {
+    const headers = headerRow.map(normalizeHeader);
+
+    for (const name of names.map(normalizeHeader).filter(Boolean)) {
+      const exact = headers.indexOf(name);
+      if (exact !== -1) return exact;
+
+      const prefixed = headers.findIndex(header => header.startsWith(name));
+      if (prefixed !== -1) return prefixed;
+    }
+
+    return -1;
+  }
+
+  /**
+   * Parse the credits out of a bank statement CSV
+   * @param {string} text - CSV export
+   * @param {Object} options - { bank, columns }
+   * @returns {Object} { bank, credits: [{ row, date, amount, reference, narration }], skippedRows }
+   */
+  parseStatement(text, { bank = 'generic', columns = {} } = {}) {
+    const mapping = this.resolveMapping(bank, columns);
+    const rows = parseCsv(text || '');
+
+    if (!rows.length) {
+      throw new ValidationError('The bank statement is empty');
+    }
+
+    let headerIndex = -1;
+    let index = {};
+
+    for (let i = 0; i < Math.min(rows.length, HEADER_SEARCH_ROWS); i++) {
+      const candidate = Object.fromEntries(
+        Object.keys(mapping).map(field => [field, this.findColumn(rows[i], mapping[field])])
+      );
+
+      if (candidate.date !== -1 && (candidate.credit !== -1 || candidate.amount !== -1)) {
+        headerIndex = i;
+        index = candidate;
+        break;
+      }
+    }
+
+    if (headerIndex === -1) {
+      throw new ValidationError('Could not find the statement header row. Check the bank or the column mapping');
+    }
+
+    const cell = (row, field) => (index[field] >= 0 ? (row[index[field]] || '').trim() : '');
+    const credits = [];
+    let skippedRows = 0;
+
+    rows.slice(headerIndex + 1).forEach((row, offset) => {
+      const date = parseStatementDate(cell(row, 'date'));
+
+      // Opening balance lines, page footers and the like
+      if (!date) {
+        skippedRows++;
+        return;
+      }
+
+      let amount;
+      if (index.credit !== -1) {
+        amount = parseAmount(cell(row, 'credit'));
+      } else {
+        amount = parseAmount(cell(row, 'amount'));
+        const type = cell(row, 'type');
+        if (type && !/^c/i.test(type)) amount = null;
+      }
+
+      // Debits
+      if (!amount || amount <= 0) return;
+
+      credits.push({
+        row: headerIndex + offset + 2,
+        date,
+        amount,
+        reference: cell(row, 'reference'),
+        narration: cell(row, 'narration')
+      });
+    });
+
+    return { bank, credits, skippedRows };
+  }
+
+  /**
+   * Whether a payment was submitted within the window around a credit's day
+   */
+  isWithinWindow(payment, credit, windowDays) {
+    const submittedAt = new Date(payment.submittedAt).getTime();
+    const from = credit.date.getTime() - windowDays * DAY_MS;
+    const to = credit.date.getTime() + DAY_MS + windowDays * DAY_MS;
+
+    return submittedAt >= from && submittedAt < to;
+  }
+
+  /**
+   * Summary of a pending payment for the reconciliation report
+   */
+  paymentSummary(payment) {
+    // userId is populated with name and email; null if the user was deleted
+    const user = payment.userId;
+
+    return {
+      paymentId: payment._id,
+      userId: user ? user._id : null,
+      name: user ? user.name : null,
+      email: user ? user.email : null,
+      utrNo: payment.utrNo,
+      transactionNote: payment.transactionNote || null,
+      amount: payment.amount,
+      currency: payment.currency,
+      plan: payment.plan,
+      submittedAt: payment.submittedAt
+    };
+  }
+
+  /**
+   * Match statement credits to pending INR payments.
+   *
+   * A credit is matched when its reference or narration contains the UTR (or
+   * the UPI transaction note) of exactly one pending payment, the amount is
+   * equal and the payment was submitted within the date window. Credits that
+   * only agree on amount and date, or that disagree on either, are ambiguous
+   * and left for an admin to decide.
+   * @param {Array<Object>} credits - From parseStatement
+   * @param {Object} options - { windowDays }
+   * @returns {Promise<Object>} { summary, matched, ambiguous, unmatched }
+   */
+  async reconcile(credits, { windowDays = getReconciliationConfig().dateWindowDays } = {}) {
+    const pending = await Payment.find({ decision: 'pending', currency: 'INR' })
+      .populate('userId', 'name email');
+
+    const byReference = new Map();
+    pending.forEach(payment => {
+      const key = utrKey(payment.utrNormalized);
+      if (key) byReference.set(key, payment);
+      if (payment.transactionNote) byReference.set(payment.transactionNote, payment);
+    });
+
+    const matched = [];
+    const ambiguous = [];
+    const unmatched = [];
+
+    credits.forEach(credit => {
+      const tokens = referenceTokens(credit);
+      const hits = [...new Set([...tokens].map(token => byReference.get(token)).filter(Boolean))];
+
+      if (hits.length === 1) {
+        const [payment] = hits;
+        const reasons = [];
+
+        if (Math.abs(payment.amount - credit.amount) >= 0.005) reasons.push('amount_mismatch');
+        if (!this.isWithinWindow(payment, credit, windowDays)) reasons.push('outside_date_window');
+
+        if (reasons.length) {
+          ambiguous.push({ credit, candidates: [payment], reasons });
+        } else {
+          matched.push({ credit, payment });
+        }
+        return;
+      }
+
+      if (hits.length > 1) {
+        ambiguous.push({ credit, candidates: hits, reasons: ['multiple_payments'] });
+        return;
+      }
+
+      // No reference we know of: same amount in the window is only a hint
+      const lookalikes = pending.filter(payment =>
+        Math.abs(payment.amount - credit.amount) < 0.005 && this.isWithinWindow(payment, credit, windowDays)
+      );
+
+      if (lookalikes.length) {
+        ambiguous.push({ credit, candidates: lookalikes, reasons: ['no_reference'] });
+      } else {
+        unmatched.push({ credit });
+      }
+    });
+
+    // A payment can only be settled by one credit
+    const creditsPerPayment = new Map();
+    matched.forEach(({ payment }) => {
+      const id = String(payment._id);
+      creditsPerPayment.set(id, (creditsPerPayment.get(id) || 0) + 1);
+    });
+
+    const uniqueMatches = matched.filter(({ credit, payment }) => {
+      if (creditsPerPayment.get(String(payment._id)) === 1) return true;
+      ambiguous.push({ credit, candidates: [payment], reasons: ['multiple_credits'] });
+      return false;
+    });
+
+    logger.info(`Bank statement reconciled: ${credits.length} credits, ${uniqueMatches.length} matched, ${ambiguous.length} ambiguous, ${unmatched.length} unmatched`);
+
+    return {
+      summary: {
+        credits: credits.length,
+        matched: uniqueMatches.length,
+        ambiguous: ambiguous.length,
+        unmatched: unmatched.length,
+        pendingPayments: pending.length,
+        windowDays
+      },
+      matched: uniqueMatches.map(({ credit, payment }) => ({ credit, payment: this.paymentSummary(payment) })),
+      ambiguous: ambiguous
+        .sort((a, b) => a.credit.row - b.credit.row)
+        .map(({ credit, candidates, reasons }) => ({
+          credit,
+          reasons,
+          candidates: candidates.map(payment => this.paymentSummary(payment))
+        })),
+      unmatched
+    };
+  }
+}
+
+export default new ReconciliationService();
@@ -1,11 +1,18 @@
+import mongoose from 'mongoose';
 import Session from '../models/Session.js';
+import User from '../models/User.js';
+import PayInfo from '../models/PayInfo.js';
+import subscriptionService from './subscriptionService.js';
+import geoipService from './geoipService.js';
+import jwtHelper from '../utils/jwt.js';
 import logger from '../utils/logger.js';
-import { ConflictError } from '../utils/errors.js';
+import { AuthenticationError } from '../utils/errors.js';
+import { getDeviceLimitConfig } from '../config/security.js';
 
 class SessionService {
   constructor() {
-    this.MAX_ACTIVE_SESSIONS = 2;
     this.SESSION_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+    this.REFRESH_GRACE_PERIOD = 30 * 1000; // 30 seconds
   }
 
   /**
@@ -46,14 +53,34 @@ class SessionService {
     return deviceInfo;
   }
 
+  /**
+   * Resolve how many devices a user may be signed in on: the admin override,
+   * then the limit of the user's active plan, then DEFAULT_MAX_DEVICES
+   * @param {Object} user - User document
+   * @returns {Promise<number>}
+   */
+  async resolveMaxSessions(user) {
+    if (user.maxDevicesOverride) return user.maxDevicesOverride;
+
+    const isPremium = subscriptionService.isPremiumState(subscriptionService.getState(user));
+    if (isPremium && user.paymentPlanId && mongoose.isValidObjectId(user.paymentPlanId)) {
+      const plan = await PayInfo.findById(user.paymentPlanId).select('maxDevices');
+      if (plan?.maxDevices) return plan.maxDevices;
+    }
+
+    return getDeviceLimitConfig().defaultMaxDevices;
+  }
+
   /**
    * Create a new session for user login
+   * @param {number} maxSessions - Device limit from resolveMaxSessions
    */
-  async createSession(userId, email, ipAddress, userAgent) {
+  async createSession(userId, email, ipAddress, userAgent, maxSessions = getDeviceLimitConfig().defaultMaxDevices) {
     try {
       // Parse device information
       const deviceInfo = this.parseUserAgent(userAgent);
       deviceInfo.ipAddress = ipAddress;
+      const location = await geoipService.lookup(ipAddress);
 
       // Check current active sessions
       const activeSessions = await Session.getActiveSessions(userId);
@@ -62,7 +89,7 @@ class SessionService {
       logger.info(`User ${email} has ${activeCount} active sessions`);
 
       // If user has reached the maximum limit
-      if (activeCount >= this.MAX_ACTIVE_SESSIONS) {
+      if (activeCount >= maxSessions) {
         // Check if this is the same device (same user agent and IP)
         const sameDevice = activeSessions.find(session => 
           session.deviceInfo.userAgent === userAgent && 
@@ -75,18 +102,21 @@ class SessionService {
           sameDevice.loginTime = new Date();
           sameDevice.isOnline = true;
           sameDevice.expiresAt = new Date(Date.now() + this.SESSION_DURATION);
+          sameDevice.location = location;
           await sameDevice.save();
           
           logger.info(`Updated existing session for user ${email} on same device`);
           return sameDevice;
         } else {
-          // Terminate the oldest session to make room for new one
-          const oldestSession = activeSessions.sort((a, b) => 
-            new Date(a.lastActivity) - new Date(b.lastActivity)
-          )[0];
+          // Terminate the oldest sessions to make room for new one (the limit may have been lowered)
+          const oldestSessions = activeSessions
+            .sort((a, b) => new Date(a.lastActivity) - new Date(b.lastActivity))
+            .slice(0, activeCount - maxSessions + 1);
 
-          await oldestSession.invalidate();
-          logger.info(`Terminated oldest session for user ${email} due to device limit`);
+          for (const oldestSession of oldestSessions) {
+            await oldestSession.invalidate('signed_in_elsewhere');
+          }
+          logger.info(`Terminated ${oldestSessions.length} oldest session(s) for user ${email} due to device limit`);
         }
       }
 
@@ -97,6 +127,7 @@ class SessionService {
         isActive: true,
         isOnline: true,
         deviceInfo,
+        location,
         lastActivity: new Date(),
         loginTime: new Date(),
         expiresAt: new Date(Date.now() + this.SESSION_DURATION)
@@ -115,14 +146,15 @@ class SessionService {
 
   /**
    * Validate if user can login (check session limits)
+   * @param {number} maxSessions - Device limit from resolveMaxSessions
    */
-  async validateLoginAttempt(userId, email, ipAddress, userAgent) {
+  async validateLoginAttempt(userId, email, ipAddress, userAgent, maxSessions = getDeviceLimitConfig().defaultMaxDevices) {
     try {
       const activeSessions = await Session.getActiveSessions(userId);
       const activeCount = activeSessions.length;
 
       // If under the limit, allow login
-      if (activeCount < this.MAX_ACTIVE_SESSIONS) {
+      if (activeCount < maxSessions) {
         return { canLogin: true, message: 'Login allowed' };
       }
 
@@ -139,7 +171,8 @@ class SessionService {
       // At the limit and different device
       return {
         canLogin: false,
-        message: `Maximum ${this.MAX_ACTIVE_SESSIONS} devices allowed. Please logout from another device first.`,
+        message: `Maximum ${maxSessions} device${maxSessions === 1 ? '' : 's'} allowed. Please logout from another device first.`,
+        maxSessions,
         activeSessions: activeSessions.map(session => ({
           sessionId: session.sessionId,
           deviceInfo: session.deviceInfo,
@@ -175,10 +208,35 @@ class SessionService {
     }
   }
 
+  /**
+   * Get a user's active and recently ended sessions (for admins)
+   * @param {number} limit - Maximum number of sessions
+   */
+  async getSessionHistory(userId, limit = 20) {
+    const sessions = await Session.getSessionHistory(userId, limit);
+    const now = new Date();
+
+    return sessions.map(session => ({
+      sessionId: session.sessionId,
+      deviceInfo: session.deviceInfo,
+      location: session.location,
+      loginTime: session.loginTime,
+      lastActivity: session.lastActivity,
+      logoutTime: session.logoutTime,
+      expiresAt: session.expiresAt,
+      isActive: session.isActive && session.expiresAt > now,
+      isOnline: session.isOnline,
+      terminationReason: session.terminationReason,
+      terminationNote: session.terminationNote
+    }));
+  }
+
   /**
    * Terminate a specific session
+   * @param {string} reason - Termination reason shown to the signed-out client
+   * @param {string|null} note - Optional admin explanation, shown alongside the reason
    */
-  async terminateSession(sessionId, userId) {
+  async terminateSession(sessionId, userId, reason = 'user_terminated', note = null) {
     try {
       const session = await Session.findOne({
         sessionId,
@@ -190,8 +248,8 @@ class SessionService {
         return { success: false, message: 'Session not found' };
       }
 
-      await session.invalidate();
-      logger.info(`Session terminated: ${sessionId} for user: ${userId}`);
+      await session.invalidate(reason, note);
+      logger.info(`Session terminated: ${sessionId} for user: ${userId} (${reason})`);
       
       return { success: true, message: 'Session terminated successfully' };
     } catch (error) {
@@ -203,7 +261,7 @@ class SessionService {
   /**
    * Terminate all sessions for a user (except current one)
    */
-  async terminateAllOtherSessions(userId, currentSessionId) {
+  async terminateAllOtherSessions(userId, currentSessionId, reason = 'user_terminated') {
     try {
       const result = await Session.updateMany(
         { 
@@ -215,7 +273,8 @@ class SessionService {
           $set: {
             isActive: false,
             isOnline: false,
-            logoutTime: new Date()
+            logoutTime: new Date(),
+            terminationReason: reason
           }
         }
       );
@@ -228,6 +287,38 @@ class SessionService {
     }
   }
 
+  /**
+   * Sign out every session of a user after a password change or reset,
+   * optionally keeping the session that made the change, and void any
+   * outstanding session limit challenge
+   * @returns {Promise<Array>} Devices that were signed out
+   */
+  async revokeSessionsAfterPasswordChange(userId, { keepSessionId = null } = {}) {
+    try {
+      const sessions = await Session.getActiveSessions(userId);
+      const revoked = sessions.filter(session => session.sessionId !== keepSessionId);
+
+      if (keepSessionId) {
+        await this.terminateAllOtherSessions(userId, keepSessionId, 'password_change');
+      } else {
+        await Session.terminateUserSessions(userId, 'password_change');
+      }
+
+      await User.updateOne({ _id: userId }, { $unset: { sessionLimitChallengeHash: 1 } });
+
+      logger.info(`Password change: signed out ${revoked.length} sessions for user: ${userId}`);
+
+      return revoked.map(session => ({
+        sessionId: session.sessionId,
+        deviceInfo: session.deviceInfo,
+        lastActivity: session.lastActivity
+      }));
+    } catch (error) {
+      logger.error('Error revoking sessions after password change:', error);
+      throw error;
+    }
+  }
+
   /**
    * Update session activity
    */
@@ -261,7 +352,7 @@ class SessionService {
       });
 
       if (session) {
-        await session.invalidate();
+        await session.invalidate('logout');
         logger.info(`User logged out from session: ${sessionId}`);
         return { success: true, message: 'Logout successful' };
       }
@@ -273,6 +364,214 @@ class SessionService {
     }
   }
 
+  /**
+   * Error for a token whose session is gone, explaining why it ended
+   * @param {Object|null} session - The (inactive or expired) session, if it still exists
+   */
+  sessionEndedError(session) {
+    switch (session?.terminationReason) {
+      case 'signed_in_elsewhere':
+        return new AuthenticationError(
+          'You were signed out because your account signed in on another device.',
+          'SIGNED_OUT_OTHER_DEVICE'
+        );
+      case 'user_terminated':
+        return new AuthenticationError('This device was signed out from another device.', 'SESSION_REVOKED');
+      case 'password_change':
+        return new AuthenticationError('You were signed out because your password was changed.', 'SESSION_REVOKED');
+      case 'admin_terminated':
+        return new AuthenticationError(
+          session.terminationNote
+            ? `You were signed out by an administrator: ${session.terminationNote}`
+            : 'You were signed out by an administrator.',
+          'SESSION_REVOKED'
+        );
+      case 'reported_sign_in':
+        return new AuthenticationError('You were signed out because a sign-in to your account was reported as not yours.', 'SESSION_REVOKED');
+      case 'refresh_token_reuse':
+        return new AuthenticationError('You were signed out for security reasons. Please login again.', 'SESSION_REVOKED');
+      default:
+        return new AuthenticationError('Session expired or invalid. Please login again.');
+    }
+  }
+
+  /**
+   * Short-lived token returned with SESSION_LIMIT_EXCEEDED. It proves the
+   * user already passed every login step, so they can pick a device to sign
+   * out without re-entering their password. Only the newest challenge can be
+   * redeemed, and only once.
+   * @returns {Promise<Object>} { challengeToken, expiresIn }
+   */
+  async createSessionLimitChallenge(user) {
+    const nonce = jwtHelper.generateSecureToken(16);
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { sessionLimitChallengeHash: jwtHelper.hashToken(nonce) } }
+    );
+
+    const challengeToken = jwtHelper.generateToken(
+      { id: user._id, type: 'session_limit_challenge', nonce, passwordVersion: user.passwordVersion || 0 },
+      '5m'
+    );
+
+    return { challengeToken, expiresIn: 5 * 60 };
+  }
+
+  /**
+   * Verify and consume a session limit challenge
+   * @returns {Promise<Object>} Decoded challenge
+   */
+  async verifySessionLimitChallenge(challengeToken) {
+    let decoded;
+    try {
+      decoded = await jwtHelper.verifyToken(challengeToken);
+    } catch (error) {
+      throw new AuthenticationError('Login challenge has expired. Please login again.');
+    }
+
+    if (decoded.type !== 'session_limit_challenge' || !decoded.id || !decoded.nonce) {
+      throw new AuthenticationError('Invalid login challenge. Please login again.');
+    }
+
+    // Consume atomically so two requests can't both redeem the same challenge
+    const user = await User.findOneAndUpdate(
+      { _id: decoded.id, sessionLimitChallengeHash: jwtHelper.hashToken(decoded.nonce) },
+      { $unset: { sessionLimitChallengeHash: 1 } }
+    ).select('passwordChangedAt passwordVersion');
+
+    if (!user) {
+      throw new AuthenticationError('Login challenge has already been used. Please login again.');
+    }
+
+    if (user.tokenPredatesPasswordChange(decoded)) {
+      throw new AuthenticationError('Password was changed recently. Please log in again');
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Sign an access/refresh token pair for a session
+   * @returns {Object} { accessToken, refreshToken, expiresIn, refreshExpiresIn }
+   */
+  signTokens(user, session, refreshTokenId) {
+    const { accessToken, refreshToken, expiresIn, refreshExpiresIn } = jwtHelper.generateTokenPair({
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      sessionId: session.sessionId,
+      passwordVersion: user.passwordVersion || 0
+    }, refreshTokenId);
+
+    return { accessToken, refreshToken, expiresIn, refreshExpiresIn };
+  }
+
+  /**
+   * Issue an access/refresh token pair for a new session. Only the newest
+   * refresh token stays valid; earlier ones are treated as reuse.
+   * @returns {Promise<Object>} { accessToken, refreshToken, expiresIn, refreshExpiresIn }
+   */
+  async issueTokens(user, session) {
+    const refreshTokenId = jwtHelper.generateSecureToken(16);
+    const tokens = this.signTokens(user, session, refreshTokenId);
+
+    await Session.updateOne(
+      { sessionId: session.sessionId },
+      {
+        $set: {
+          refreshTokenHash: jwtHelper.hashToken(refreshTokenId),
+          previousRefreshTokenHash: null,
+          refreshTokenRotatedAt: new Date()
+        }
+      }
+    );
+
+    return tokens;
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair. Presenting a refresh token
+   * that was already rotated revokes the whole session, since either the
+   * client or an attacker holds a stolen copy. The exception is a concurrent
+   * refresh (e.g. two tabs) of the token rotated away within the grace
+   * period, which gets the same replacement token.
+   * @returns {Promise<Object>} { user, session, tokens }
+   */
+  async rotateRefreshToken(refreshToken) {
+    let decoded;
+    try {
+      decoded = await jwtHelper.verifyToken(refreshToken);
+    } catch (error) {
+      throw new AuthenticationError('Refresh token is invalid or expired. Please login again.');
+    }
+
+    if (decoded.type !== 'refresh' || !decoded.sessionId || !decoded.tokenId) {
+      throw new AuthenticationError('Invalid refresh token. Please login again.');
+    }
+
+    const session = await Session.findOne({ sessionId: decoded.sessionId, userId: decoded.id })
+      .select('+refreshTokenHash');
+
+    if (!session || !session.isActive || session.expiresAt <= new Date()) {
+      throw this.sessionEndedError(session);
+    }
+
+    // Checked before reuse detection so a pre-change token doesn't revoke a session kept on password change
+    const owner = await User.findById(decoded.id).select('passwordChangedAt passwordVersion');
+    if (owner && owner.tokenPredatesPasswordChange(decoded)) {
+      throw new AuthenticationError('Password was changed recently. Please log in again');
+    }
+
+    const presentedHash = jwtHelper.hashToken(decoded.tokenId);
+    const nextTokenId = jwtHelper.deriveRefreshTokenId(decoded.tokenId);
+    const nextHash = jwtHelper.hashToken(nextTokenId);
+    const now = new Date();
+
+    // Rotate atomically so two requests can't both redeem the same token
+    let rotated = await Session.findOneAndUpdate(
+      { _id: session._id, isActive: true, refreshTokenHash: presentedHash },
+      {
+        $set: {
+          refreshTokenHash: nextHash,
+          previousRefreshTokenHash: presentedHash,
+          refreshTokenRotatedAt: now,
+          lastActivity: now,
+          expiresAt: new Date(now.getTime() + this.SESSION_DURATION)
+        }
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      // Lost a race with a refresh of the same token that nothing has rotated past yet
+      rotated = await Session.findOne({
+        _id: session._id,
+        isActive: true,
+        previousRefreshTokenHash: presentedHash,
+        refreshTokenHash: nextHash,
+        refreshTokenRotatedAt: { $gt: new Date(now.getTime() - this.REFRESH_GRACE_PERIOD) }
+      });
+    }
+
+    if (!rotated) {
+      await session.invalidate('refresh_token_reuse');
+      logger.warn(`Refresh token reuse detected for ${session.email}; session revoked: ${session.sessionId}`);
+      throw new AuthenticationError('Refresh token has already been used. Please login again.', 'REFRESH_TOKEN_REUSED');
+    }
+
+    const user = await User.findById(decoded.id);
+
+    if (!user || !user.isActive) {
+      await rotated.invalidate('account_inactive');
+      throw new AuthenticationError('User account not found or inactive.');
+    }
+
+    const tokens = this.signTokens(user, rotated, nextTokenId);
+
+    return { user, session: rotated, tokens };
+  }
+
   /**
    * Cleanup expired sessions
    */
@@ -289,24 +588,27 @@ class SessionService {
 
   /**
    * Force login by terminating oldest session
+   * @param {number} maxSessions - Device limit from resolveMaxSessions
    */
-  async forceLogin(userId, email, ipAddress, userAgent) {
+  async forceLogin(userId, email, ipAddress, userAgent, maxSessions = getDeviceLimitConfig().defaultMaxDevices) {
     try {
       // Get active sessions
       const activeSessions = await Session.getActiveSessions(userId);
       
-      if (activeSessions.length >= this.MAX_ACTIVE_SESSIONS) {
-        // Terminate oldest session
-        const oldestSession = activeSessions.sort((a, b) => 
-          new Date(a.lastActivity) - new Date(b.lastActivity)
-        )[0];
-
-        await oldestSession.invalidate();
-        logger.info(`Force login: Terminated oldest session for user ${email}`);
+      if (activeSessions.length >= maxSessions) {
+        // Terminate oldest sessions (more than one if the limit was lowered)
+        const oldestSessions = activeSessions
+          .sort((a, b) => new Date(a.lastActivity) - new Date(b.lastActivity))
+          .slice(0, activeSessions.length - maxSessions + 1);
+
+        for (const oldestSession of oldestSessions) {
+          await oldestSession.invalidate('signed_in_elsewhere');
+        }
+        logger.info(`Force login: Terminated ${oldestSessions.length} oldest session(s) for user ${email}`);
       }
 
       // Create new session
-      return await this.createSession(userId, email, ipAddress, userAgent);
+      return await this.createSession(userId, email, ipAddress, userAgent, maxSessions);
     } catch (error) {
       logger.error('Error during force login:', error);
       throw error;
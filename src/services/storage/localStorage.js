@@ -0,0 +1,50 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { NotFoundError } from '../../utils/errors.js';
+
+/**
+ * Stores files on the local disk under a root directory. Only suitable for
+ * a single long-running server (not serverless deployments).
+ */
+class LocalStorage {
+  constructor({ rootDir }) {
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  /**
+   * Map a key to a path inside the root directory
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  async put(key, body) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, body, { flag: 'wx' });
+    return { key };
+  }
+
+  async get(key) {
+    try {
+      return { body: await fs.readFile(this.resolve(key)) };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new NotFoundError('File not found');
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+}
+
+export default LocalStorage;
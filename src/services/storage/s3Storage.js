@@ -0,0 +1,163 @@
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import { NotFoundError } from '../../utils/errors.js';
+
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// S3 expects RFC 3986 encoding of each path segment
+const encodeSegment = (segment) => encodeURIComponent(segment)
+  .replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Stores files in an S3-compatible bucket (AWS S3, Cloudflare R2, MinIO, ...)
+ * using plain HTTPS requests signed with AWS Signature Version 4.
+ */
+class S3Storage {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+
+    this.bucket = bucket;
+    this.region = region;
+    this.endpoint = endpoint ? new URL(endpoint) : new URL(`https://s3.${region}.amazonaws.com`);
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.forcePathStyle = forcePathStyle;
+  }
+
+  /**
+   * URL of an object, virtual-hosted style unless path style is forced
+   */
+  objectUrl(key) {
+    const encodedKey = key.split('/').map(encodeSegment).join('/');
+    const basePath = this.endpoint.pathname.replace(/\/$/, '');
+
+    if (this.forcePathStyle) {
+      return new URL(`${this.endpoint.protocol}//${this.endpoint.host}${basePath}/${this.bucket}/${encodedKey}`);
+    }
+
+    return new URL(`${this.endpoint.protocol}//${this.bucket}.${this.endpoint.host}${basePath}/${encodedKey}`);
+  }
+
+  /**
+   * Add AWS Signature Version 4 headers to a request
+   * @returns {Object} Headers including Authorization
+   */
+  sign(method, url, headers, payloadHash, now = new Date()) {
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+
+    const allHeaders = {
+      ...headers,
+      host: url.host,
+      'x-amz-date': amzDate,
+      'x-amz-content-sha256': payloadHash
+    };
+
+    const lowerHeaders = Object.fromEntries(
+      Object.entries(allHeaders).map(([name, value]) => [name.toLowerCase(), String(value).trim()])
+    );
+    const headerNames = Object.keys(lowerHeaders).sort();
+    const signedHeaders = headerNames.join(';');
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      url.searchParams.toString(),
+      headerNames.map(name => `${name}:${lowerHeaders[name]}\n`).join(''),
+      signedHeaders,
+      payloadHash
+    ].join('\n');
+
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+      ...allHeaders,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+  }
+
+  /**
+   * Send a signed request for an object
+   * @returns {Promise<Object>} { statusCode, headers, body }
+   */
+  request(method, key, { body = null, headers = {} } = {}) {
+    const url = this.objectUrl(key);
+    const payload = body || Buffer.alloc(0);
+    const signedHeaders = this.sign(method, url, headers, sha256Hex(payload));
+    const transport = url.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(url, { method, headers: signedHeaders, timeout: REQUEST_TIMEOUT_MS }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks)
+        }));
+        res.on('error', reject);
+      });
+
+      req.on('timeout', () => req.destroy(new Error(`S3 ${method} ${key} timed out`)));
+      req.on('error', reject);
+      req.end(body || undefined);
+    });
+  }
+
+  /**
+   * Error for an unexpected S3 response, with the S3 error code when present
+   */
+  responseError(method, key, response) {
+    const code = response.body.toString('utf8').match(/<Code>([^<]+)<\/Code>/)?.[1];
+    return new Error(`S3 ${method} ${key} failed with ${response.statusCode}${code ? ` (${code})` : ''}`);
+  }
+
+  async put(key, body, { contentType = 'application/octet-stream' } = {}) {
+    const response = await this.request('PUT', key, {
+      body,
+      headers: {
+        'content-type': contentType,
+        'content-length': body.length
+      }
+    });
+
+    if (response.statusCode !== 200) {
+      throw this.responseError('PUT', key, response);
+    }
+
+    return { key };
+  }
+
+  async get(key) {
+    const response = await this.request('GET', key);
+
+    if (response.statusCode === 404) {
+      throw new NotFoundError('File not found');
+    }
+    if (response.statusCode !== 200) {
+      throw this.responseError('GET', key, response);
+    }
+
+    return { body: response.body };
+  }
+
+  async delete(key) {
+    const response = await this.request('DELETE', key);
+
+    if (![200, 204, 404].includes(response.statusCode)) {
+      throw this.responseError('DELETE', key, response);
+    }
+  }
+}
+
+export default S3Storage;
@@ -0,0 +1,61 @@
+import LocalStorage from './storage/localStorage.js';
+import S3Storage from './storage/s3Storage.js';
+import logger from '../utils/logger.js';
+import { getStorageConfig } from '../config/storage.js';
+
+class StorageService {
+  constructor() {
+    this.adapter = null;
+  }
+
+  /**
+   * Create the configured adapter on first use (STORAGE_DRIVER=local|s3)
+   */
+  getAdapter() {
+    if (!this.adapter) {
+      const { driver, localDir, s3 } = getStorageConfig();
+
+      if (driver === 's3') {
+        this.adapter = new S3Storage(s3);
+      } else {
+        if (driver !== 'local') {
+          logger.warn(`Unknown STORAGE_DRIVER "${driver}", using local storage`);
+        }
+        this.adapter = new LocalStorage({ rootDir: localDir });
+      }
+    }
+
+    return this.adapter;
+  }
+
+  /**
+   * Name of the active driver, recorded with every stored file
+   */
+  get driver() {
+    return this.getAdapter() instanceof S3Storage ? 's3' : 'local';
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Storage key, e.g. "payment-proofs/<userId>/<id>.jpg"
+   * @param {Buffer} body - File content
+   * @param {Object} options - { contentType }
+   */
+  async put(key, body, options = {}) {
+    return this.getAdapter().put(key, body, options);
+  }
+
+  /**
+   * Read a file; throws NotFoundError if it doesn't exist
+   * @returns {Promise<Object>} { body }
+   */
+  async get(key) {
+    return this.getAdapter().get(key);
+  }
+
+  async delete(key) {
+    return this.getAdapter().delete(key);
+  }
+}
+
+export default new StorageService();
@@ -0,0 +1,423 @@
+import User from '../models/User.js';
+import emailService from './emailService.js';
+import logger from '../utils/logger.js';
+import { getSubscriptionConfig } from '../config/subscription.js';
+import { ConflictError, ValidationError } from '../utils/errors.js';
+
+export const SUBSCRIPTION_STATES = ['none', 'pending', 'active', 'grace', 'expired', 'cancelled', 'refunded'];
+
+// Allowed moves between states. Staying in the same state is always allowed
+// (e.g. extending an active subscription or resubmitting a pending payment).
+const TRANSITIONS = {
+  none: ['pending', 'active', 'cancelled'],
+  pending: ['active', 'cancelled'],
+  active: ['grace', 'expired', 'cancelled', 'refunded'],
+  grace: ['active', 'expired', 'cancelled', 'refunded'],
+  expired: ['pending', 'active', 'cancelled'],
+  cancelled: ['pending', 'active'],
+  refunded: ['pending', 'active']
+};
+
+// States in which the user has premium access
+const PREMIUM_STATES = ['active', 'grace'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Legacy User.status values kept for frontend compatibility
+const LEGACY_STATUS = {
+  none: 'cancel',
+  pending: 'pending',
+  active: 'paid',
+  grace: 'paid',
+  expired: 'cancel',
+  cancelled: 'cancel',
+  refunded: 'cancel'
+};
+
+class SubscriptionService {
+  /**
+   * Get the current subscription state of a user.
+   * Users created before the state machine are mapped from their legacy fields.
+   */
+  getState(user) {
+    if (user.subscriptionState) {
+      return user.subscriptionState;
+    }
+
+    if (user.isPremium) return 'active';
+    if (user.status === 'pending') return 'pending';
+    if (user.premiumEndDate) return 'expired';
+    return 'none';
+  }
+
+  /**
+   * Check whether a user has premium access in their current state
+   */
+  isPremiumState(state) {
+    return PREMIUM_STATES.includes(state);
+  }
+
+  /**
+   * Check whether a move between two states is allowed
+   */
+  canTransition(from, to) {
+    if (!SUBSCRIPTION_STATES.includes(to)) return false;
+    return from === to || TRANSITIONS[from].includes(to);
+  }
+
+  /**
+   * Add whole months to a date
+   */
+  addMonths(date, months) {
+    const result = new Date(date);
+    result.setMonth(result.getMonth() + parseInt(months));
+    return result;
+  }
+
+  /**
+   * Move a user to a new state and update every premium field to match.
+   * This is the only place premium fields are written.
+   * @param {Object} user - User document
+   * @param {string} to - Target state
+   * @param {Object} options - { startDate, endDate, months, graceEndsAt }
+   * @returns {Promise<Object>} Saved user
+   */
+  async transition(user, to, options = {}) {
+    const from = this.getState(user);
+
+    if (!this.canTransition(from, to)) {
+      throw new ConflictError(
+        `Cannot change subscription from ${from} to ${to}`,
+        'INVALID_SUBSCRIPTION_TRANSITION'
+      );
+    }
+
+    const { startDate, endDate, months, graceEndsAt } = options;
+
+    if (to === 'grace' && !graceEndsAt && !user.graceEndsAt) {
+      throw new ValidationError('A grace end date is required to enter the grace period');
+    }
+
+    if (this.isPremiumState(to)) {
+      const premiumEndDate = endDate || user.premiumEndDate;
+      if (!premiumEndDate) {
+        throw new ValidationError('A premium end date is required to activate a subscription');
+      }
+
+      user.premiumStartDate = startDate || user.premiumStartDate || new Date();
+      user.premiumEndDate = premiumEndDate;
+      if (months) user.subscriptionMonths = parseInt(months);
+    } else if (to === 'none' || to === 'cancelled' || to === 'refunded') {
+      user.premiumStartDate = null;
+      user.premiumEndDate = null;
+    }
+    // 'pending' and 'expired' keep the previous dates for reference
+
+    user.graceEndsAt = to === 'grace' ? (graceEndsAt || user.graceEndsAt) : null;
+    user.isPremium = this.isPremiumState(to);
+    user.isSubscriptionActive = this.isPremiumState(to);
+    user.status = LEGACY_STATUS[to];
+    user.subscriptionState = to;
+    if (from !== to) {
+      user.subscriptionStateChangedAt = new Date();
+    }
+
+    await user.save();
+
+    if (from !== to) {
+      logger.info(`Subscription for ${user.email}: ${from} -> ${to}`);
+    }
+
+    return user;
+  }
+
+  /**
+   * Record that the user submitted a payment. Premium users renewing early keep
+   * their access while the payment is reviewed.
+   */
+  async markPending(user) {
+    const state = this.getState(user);
+
+    if (this.isPremiumState(state)) {
+      user.status = 'pending';
+      await user.save();
+      return user;
+    }
+
+    return this.transition(user, 'pending');
+  }
+
+  /**
+   * Activate (or extend) a subscription.
+   * @param {Object} options - { months, startDate, endDate }; endDate defaults to startDate + months
+   */
+  async activate(user, { months, startDate, endDate } = {}) {
+    const start = startDate || new Date();
+    const end = endDate || (months ? this.addMonths(start, months) : null);
+
+    return this.transition(user, 'active', { startDate: start, endDate: end, months });
+  }
+
+  /**
+   * Extend a subscription by a number of months. Time left on a running
+   * subscription is kept: the months are added to the later of now or the
+   * current end date. An explicit endDate replaces the computed one.
+   */
+  async extend(user, months, { endDate } = {}) {
+    const extension = this.computeExtension(user, months);
+    const premiumEndDate = endDate || extension.endDate;
+
+    return this.transition(user, 'active', {
+      startDate: extension.startDate,
+      endDate: premiumEndDate,
+      months: this.monthsBetween(extension.startDate, premiumEndDate)
+    });
+  }
+
+  /**
+   * Work out the start and end dates an extension would produce, without saving
+   * @returns {Object} { startDate, endDate } (endDate is null when months is unknown)
+   */
+  computeExtension(user, months) {
+    const now = new Date();
+    const state = this.getState(user);
+    const hasTimeLeft = this.isPremiumState(state)
+      && user.premiumEndDate
+      && user.premiumEndDate > now;
+
+    return {
+      startDate: hasTimeLeft ? (user.premiumStartDate || now) : now,
+      endDate: months ? this.addMonths(hasTimeLeft ? user.premiumEndDate : now, months) : null
+    };
+  }
+
+  /**
+   * Whole calendar months between two dates
+   */
+  monthsBetween(startDate, endDate) {
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    return (end.getFullYear() - start.getFullYear()) * 12 + (end.getMonth() - start.getMonth());
+  }
+
+  /**
+   * Decline a submitted payment. A renewal decline leaves the running subscription untouched.
+   */
+  async decline(user) {
+    const state = this.getState(user);
+
+    if (this.isPremiumState(state)) {
+      user.status = LEGACY_STATUS[state];
+      await user.save();
+      return user;
+    }
+
+    return this.transition(user, 'cancelled');
+  }
+
+  /**
+   * Change the length of the current subscription, counted from its start date.
+   * An end date in the past expires a running subscription; one that never
+   * started (none, pending) is cancelled instead.
+   */
+  async changeMonths(user, months) {
+    if (!user.premiumStartDate) {
+      throw new ValidationError('User does not have a premium start date');
+    }
+
+    const endDate = this.addMonths(user.premiumStartDate, months);
+    const state = this.getState(user);
+    let to;
+    if (endDate > new Date()) {
+      to = this.isPremiumState(state) ? state : 'active';
+    } else if (this.canTransition(state, 'expired')) {
+      to = 'expired';
+    } else {
+      to = this.canTransition(state, 'cancelled') ? 'cancelled' : state;
+    }
+
+    if (!this.isPremiumState(to)) {
+      user.premiumEndDate = endDate;
+      user.subscriptionMonths = parseInt(months);
+    }
+
+    return this.transition(user, to, {
+      startDate: user.premiumStartDate,
+      endDate,
+      months
+    });
+  }
+
+  /**
+   * Apply an admin edit expressed in legacy fields (isPremium/status) or as an explicit state
+   * @param {Object} changes - { state, isPremium, status, startDate, endDate, months }
+   */
+  async applyAdminChange(user, { state, isPremium, status, startDate, endDate, months } = {}) {
+    let to = state;
+
+    if (!to) {
+      if (isPremium === true || status === 'paid') to = 'active';
+      else if (isPremium === false || status === 'cancel') to = 'cancelled';
+      else if (status === 'pending') to = 'pending';
+      else to = this.getState(user);
+    }
+
+    if (this.isPremiumState(to)) {
+      const start = startDate ? new Date(startDate) : (user.premiumStartDate || new Date());
+      const end = endDate
+        ? new Date(endDate)
+        : (months ? this.addMonths(start, months) : user.premiumEndDate);
+
+      return this.transition(user, to, { startDate: start, endDate: end, months });
+    }
+
+    if (months) user.subscriptionMonths = parseInt(months);
+    return this.transition(user, to);
+  }
+
+  /**
+   * Scheduled status check: process lapsed subscriptions, then send due reminders
+   * @returns {Promise<Object>} { updatedCount, graceCount, expiredCount, remindersSent, checkedAt }
+   */
+  async runStatusCheck(now = new Date()) {
+    const { updatedCount, graceCount, expiredCount } = await this.processExpirations(now);
+    const remindersSent = await this.sendExpiryReminders(now);
+
+    return { updatedCount, graceCount, expiredCount, remindersSent, checkedAt: now };
+  }
+
+  /**
+   * Move subscriptions past their end date into grace (when configured) and
+   * expire those whose grace period is over
+   * @returns {Promise<Object>} { updatedCount, graceCount, expiredCount }
+   */
+  async processExpirations(now = new Date()) {
+    const { gracePeriodDays } = getSubscriptionConfig();
+
+    const lapsedUsers = await User.find({
+      isPremium: true,
+      premiumEndDate: { $lt: now }
+    });
+
+    let graceCount = 0;
+    let expiredCount = 0;
+
+    for (const user of lapsedUsers) {
+      try {
+        const state = this.getState(user);
+
+        if (state === 'grace') {
+          if (user.graceEndsAt && user.graceEndsAt > now) continue;
+          await this.expire(user);
+          expiredCount++;
+          continue;
+        }
+
+        const graceEndsAt = new Date(user.premiumEndDate.getTime() + gracePeriodDays * DAY_MS);
+
+        if (gracePeriodDays > 0 && graceEndsAt > now) {
+          await this.transition(user, 'grace', { graceEndsAt });
+          graceCount++;
+          logger.info(`Premium entered grace period for user: ${user.email} (until ${graceEndsAt.toISOString()})`);
+
+          try {
+            await emailService.sendSubscriptionGraceNotice(user.email, user.name, { graceEndsAt });
+          } catch (emailError) {
+            logger.error(`Failed to send grace notice to ${user.email}:`, emailError.message);
+          }
+          continue;
+        }
+
+        await this.expire(user);
+        expiredCount++;
+      } catch (error) {
+        logger.error(`Failed to update lapsed subscription for ${user.email}:`, error.message);
+      }
+    }
+
+    return {
+      updatedCount: graceCount + expiredCount,
+      graceCount,
+      expiredCount
+    };
+  }
+
+  /**
+   * Expire a subscription and notify the user
+   */
+  async expire(user) {
+    await this.transition(user, 'expired');
+    logger.info(`Premium expired for user: ${user.email}`);
+
+    try {
+      await emailService.sendSubscriptionExpiredNotice(user.email, user.name);
+    } catch (emailError) {
+      logger.error(`Failed to send expiry notice to ${user.email}:`, emailError.message);
+    }
+
+    return user;
+  }
+
+  /**
+   * Email expiry reminders at the configured days before premiumEndDate.
+   * Each reminder is claimed atomically per subscription period before it is
+   * sent, so it never goes out twice.
+   * @returns {Promise<number>} Number of reminders sent
+   */
+  async sendExpiryReminders(now = new Date()) {
+    const { reminderDays } = getSubscriptionConfig();
+    if (!reminderDays.length) return 0;
+
+    const windowEnd = new Date(now.getTime() + reminderDays[0] * DAY_MS);
+    const users = await User.find({
+      isPremium: true,
+      subscriptionState: { $ne: 'grace' },
+      premiumEndDate: { $gt: now, $lte: windowEnd }
+    }).select('name email premiumEndDate subscriptionReminders');
+
+    let sentCount = 0;
+
+    for (const user of users) {
+      const daysLeft = Math.ceil((user.premiumEndDate - now) / DAY_MS);
+      // The tightest reminder window the user is in, e.g. 3 when 2 days are left with [7, 3, 1]
+      const days = Math.min(...reminderDays.filter(day => day >= daysLeft));
+      const periodEnd = user.premiumEndDate;
+
+      // Skip if this or a later (smaller) reminder already went out for this period
+      const alreadySent = (user.subscriptionReminders || []).some(reminder =>
+        reminder.periodEnd.getTime() === periodEnd.getTime() && reminder.days <= days
+      );
+      if (alreadySent) continue;
+
+      const claim = await User.updateOne(
+        {
+          _id: user._id,
+          premiumEndDate: periodEnd,
+          subscriptionReminders: { $not: { $elemMatch: { periodEnd, days: { $lte: days } } } }
+        },
+        { $push: { subscriptionReminders: { days, periodEnd, sentAt: new Date() } } }
+      );
+      if (claim.modifiedCount !== 1) continue;
+
+      try {
+        await emailService.sendSubscriptionExpiryReminder(user.email, user.name, {
+          daysLeft,
+          endDate: periodEnd
+        });
+        sentCount++;
+        logger.info(`Expiry reminder (${days}d) sent to ${user.email}`);
+      } catch (emailError) {
+        // Release the claim so the next run retries
+        await User.updateOne(
+          { _id: user._id },
+          { $pull: { subscriptionReminders: { periodEnd, days } } }
+        );
+        logger.error(`Failed to send expiry reminder to ${user.email}:`, emailError.message);
+      }
+    }
+
+    return sentCount;
+  }
+}
+
+export default new SubscriptionService();
@@ -0,0 +1,206 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import jwtHelper from '../utils/jwt.js';
+import logger from '../utils/logger.js';
+import { encrypt, decrypt } from '../utils/encryption.js';
+import { generateSecret, verifyCode, buildOtpauthUri } from '../utils/totp.js';
+import { AuthenticationError, ValidationError } from '../utils/errors.js';
+
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+class TwoFactorService {
+  constructor() {
+    this.ISSUER = process.env.TWO_FACTOR_ISSUER || 'GoChart';
+    this.CHALLENGE_EXPIRES_IN = '5m';
+    this.RECOVERY_CODE_COUNT = 10;
+  }
+
+  /**
+   * Load a user with the (normally hidden) two-factor fields
+   */
+  findUserWithSecrets(userId) {
+    return User.findById(userId).select(TWO_FACTOR_FIELDS);
+  }
+
+  /**
+   * Whether a user must pass a second factor to log in. Admins always must,
+   * and are sent through enrolment first if they haven't set it up.
+   */
+  isRequired(user) {
+    return !!user.twoFactorEnabled || user.role === 'admin';
+  }
+
+  /**
+   * Create a short-lived challenge token that stands in for the password
+   * between the two login steps
+   * @param {Object} user - User document
+   * @param {Object} options - { force } carried over from /force-login
+   * @returns {Object} { challengeToken, purpose, expiresIn }
+   */
+  createChallenge(user, { force = false } = {}) {
+    const purpose = user.twoFactorEnabled ? 'login' : 'enroll';
+    const challengeToken = jwtHelper.generateToken(
+      { id: user._id, type: '2fa_challenge', purpose, force },
+      this.CHALLENGE_EXPIRES_IN
+    );
+
+    return { challengeToken, purpose, expiresIn: 5 * 60 };
+  }
+
+  /**
+   * Verify a challenge token issued for the given purpose
+   * @returns {Promise<Object>} Decoded challenge
+   */
+  async verifyChallenge(challengeToken, purpose) {
+    let decoded;
+    try {
+      decoded = await jwtHelper.verifyToken(challengeToken);
+    } catch (error) {
+      throw new AuthenticationError('Two-factor challenge has expired. Please login again.');
+    }
+
+    if (decoded.type !== '2fa_challenge' || decoded.purpose !== purpose) {
+      throw new AuthenticationError('Invalid two-factor challenge. Please login again.');
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Start enrolment: generate a secret and keep it pending until verified
+   * @returns {Promise<Object>} { secret, otpauthUri }
+   */
+  async createEnrollment(user) {
+    if (user.twoFactorEnabled) {
+      throw new ValidationError('Two-factor authentication is already enabled');
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = encrypt(secret);
+    await user.save({ validateBeforeSave: false });
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: this.ISSUER })
+    };
+  }
+
+  /**
+   * Finish enrolment with a code from the authenticator app
+   * @returns {Promise<string[]>} One-time recovery codes (shown once)
+   */
+  async confirmEnrollment(user, code) {
+    if (user.twoFactorEnabled) {
+      throw new ValidationError('Two-factor authentication is already enabled');
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      throw new ValidationError('Start two-factor setup first');
+    }
+
+    const secret = decrypt(user.twoFactorPendingSecret);
+    const step = verifyCode(secret, code);
+
+    if (step === null) {
+      throw new AuthenticationError('Invalid two-factor code');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorRecoveryCodes = recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode));
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Two-factor authentication enabled for user: ${user.email}`);
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Check a TOTP code or a recovery code for a user with 2FA enabled.
+   * Accepted TOTP steps and recovery codes can't be used again.
+   * @param {Object} user - User document loaded with findUserWithSecrets
+   * @param {Object} credentials - { code, recoveryCode }
+   * @returns {Promise<Object>} { valid, method }
+   */
+  async verifyLoginCode(user, { code, recoveryCode } = {}) {
+    if (!user.twoFactorEnabled || !user.twoFactorSecret) {
+      return { valid: false, method: null };
+    }
+
+    if (recoveryCode) {
+      const hash = this.hashRecoveryCode(recoveryCode);
+
+      // Pull atomically so a recovery code can only be redeemed once
+      const result = await User.updateOne(
+        { _id: user._id, twoFactorRecoveryCodes: hash },
+        { $pull: { twoFactorRecoveryCodes: hash } }
+      );
+
+      if (result.modifiedCount === 1) {
+        logger.warn(`Recovery code used by ${user.email}`);
+        return { valid: true, method: 'recovery_code' };
+      }
+
+      return { valid: false, method: 'recovery_code' };
+    }
+
+    const step = verifyCode(decrypt(user.twoFactorSecret), code);
+    if (step === null) {
+      return { valid: false, method: 'totp' };
+    }
+
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { twoFactorLastUsedStep: { $exists: false } },
+          { twoFactorLastUsedStep: null },
+          { twoFactorLastUsedStep: { $lt: step } }
+        ]
+      },
+      { $set: { twoFactorLastUsedStep: step } }
+    );
+
+    return { valid: result.modifiedCount === 1, method: 'totp' };
+  }
+
+  /**
+   * Turn two-factor authentication off and forget the secret and recovery codes
+   */
+  async disable(user) {
+    user.twoFactorEnabled = false;
+    user.twoFactorEnabledAt = undefined;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Two-factor authentication disabled for user: ${user.email}`);
+  }
+
+  /**
+   * Generate recovery codes like "a1b2c-3d4e5"
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: this.RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  /**
+   * Hash a recovery code (case and dashes ignored)
+   */
+  hashRecoveryCode(recoveryCode) {
+    const normalized = String(recoveryCode).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return jwtHelper.hashToken(normalized);
+  }
+}
+
+export default new TwoFactorService();
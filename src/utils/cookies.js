@@ -0,0 +1,48 @@
+/**
+ * Auth cookie helpers. The access token cookie is sent on every request; the
+ * refresh token cookie is scoped to the auth routes so it only travels to
+ * /auth/refresh and /auth/logout.
+ */
+
+const REFRESH_COOKIE_PATH = `/api/${process.env.API_VERSION || 'v1'}/auth`;
+
+const baseCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
+});
+
+/**
+ * Set the access and refresh token cookies
+ * @param {Object} res - Express response object
+ * @param {Object} tokens - Token pair from jwtHelper.generateTokenPair
+ */
+export const setAuthCookies = (res, { accessToken, refreshToken, expiresIn, refreshExpiresIn }) => {
+  res.cookie('access_token', accessToken, {
+    ...baseCookieOptions(),
+    expires: new Date(Date.now() + expiresIn * 1000)
+  });
+
+  res.cookie('refresh_token', refreshToken, {
+    ...baseCookieOptions(),
+    path: REFRESH_COOKIE_PATH,
+    expires: new Date(Date.now() + refreshExpiresIn * 1000)
+  });
+};
+
+/**
+ * Clear the access and refresh token cookies
+ * @param {Object} res - Express response object
+ */
+export const clearAuthCookies = (res) => {
+  res.cookie('access_token', '', {
+    ...baseCookieOptions(),
+    expires: new Date(0)
+  });
+
+  res.cookie('refresh_token', '', {
+    ...baseCookieOptions(),
+    path: REFRESH_COOKIE_PATH,
+    expires: new Date(0)
+  });
+};
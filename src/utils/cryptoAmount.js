@@ -0,0 +1,35 @@
+/**
+ * Convert a decimal amount to integer base units without floating point
+ * rounding, e.g. ("10.5", 6) -> 10500000n
+ * @param {string|number} value - Amount in token units
+ * @param {number} decimals - Token decimals
+ * @returns {bigint} Amount in base units
+ */
+export const toBaseUnits = (value, decimals) => {
+  const text = String(value).trim();
+
+  if (!/^\d+(\.\d+)?$/.test(text)) {
+    throw new Error(`Invalid token amount: ${value}`);
+  }
+
+  const [whole, fraction = ''] = text.split('.');
+  if (fraction.length > decimals && /[1-9]/.test(fraction.slice(decimals))) {
+    throw new Error(`Token amount ${value} has more than ${decimals} decimals`);
+  }
+
+  return BigInt(whole) * 10n ** BigInt(decimals) + BigInt(fraction.slice(0, decimals).padEnd(decimals, '0') || '0');
+};
+
+/**
+ * Format base units as a decimal amount without trailing zeros, e.g. (10003700n, 6) -> "10.0037"
+ * @param {bigint|string} units - Amount in base units
+ * @param {number} decimals - Token decimals
+ * @returns {string} Amount in token units
+ */
+export const fromBaseUnits = (units, decimals) => {
+  const value = BigInt(units);
+  const base = 10n ** BigInt(decimals);
+  const fraction = (value % base).toString().padStart(decimals, '0').replace(/0+$/, '');
+
+  return fraction ? `${value / base}.${fraction}` : `${value / base}`;
+};
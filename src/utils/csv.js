@@ -0,0 +1,96 @@
+/**
+ * Escape a single CSV cell. Values that spreadsheet apps would run as
+ * formulas are prefixed with a quote.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : value;
+  if (typeof text === 'object') {
+    // ObjectIds export as their hex string, other objects as JSON
+    text = typeof text.toHexString === 'function' ? text.toHexString() : JSON.stringify(text);
+  }
+  text = String(text);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+/**
+ * Convert rows to CSV
+ * @param {Array<Object>} rows - Rows to export
+ * @param {Array<{key: string, header: string, value?: Function}>} columns - Column definitions
+ * @returns {string} CSV text
+ */
+export const toCsv = (rows, columns) => {
+  const header = columns.map(column => escapeCell(column.header)).join(',');
+  const lines = rows.map(row => columns
+    .map(column => escapeCell(column.value ? column.value(row) : row[column.key]))
+    .join(','));
+
+  return [header, ...lines].join('\r\n');
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted cells, escaped quotes, CRLF or LF line ends)
+ * @param {string} text - CSV text; a leading byte order mark is ignored
+ * @param {Object} options - { delimiter }
+ * @returns {Array<Array<string>>} Rows of cells; blank lines are skipped
+ */
+export const parseCsv = (text, { delimiter = ',' } = {}) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.some(value => value.trim() !== '')) {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length) {
+    endRow();
+  }
+
+  return rows;
+};
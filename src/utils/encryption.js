@@ -0,0 +1,50 @@
+import crypto from 'crypto';
+
+/**
+ * AES-256-GCM encryption for secrets stored at rest (e.g. TOTP secrets).
+ * Ciphertext format: base64(iv).base64(authTag).base64(data)
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Derive the 32-byte key from TWO_FACTOR_ENCRYPTION_KEY
+ * @returns {Buffer}
+ */
+const getKey = () => {
+  const secret = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+
+  if (!secret) {
+    throw new Error('TWO_FACTOR_ENCRYPTION_KEY is required in environment variables');
+  }
+
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a string
+ * @param {string} plaintext
+ * @returns {string} Ciphertext
+ */
+export const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [iv, authTag, data].map(part => part.toString('base64')).join('.');
+};
+
+/**
+ * Decrypt a string produced by encrypt()
+ * @param {string} ciphertext
+ * @returns {string} Plaintext
+ */
+export const decrypt = (ciphertext) => {
+  const [iv, authTag, data] = String(ciphertext).split('.').map(part => Buffer.from(part, 'base64'));
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+};
@@ -1,8 +1,9 @@
 class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, code = null) {
     super(message);
     
     this.statusCode = statusCode;
+    this.code = code;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
     this.isOperational = true;
 
@@ -18,8 +19,8 @@ class ValidationError extends AppError {
 }
 
 class AuthenticationError extends AppError {
-  constructor(message = 'Authentication failed') {
-    super(message, 401);
+  constructor(message = 'Authentication failed', code = null) {
+    super(message, 401, code);
     this.name = 'AuthenticationError';
   }
 }
@@ -39,12 +40,19 @@ class NotFoundError extends AppError {
 }
 
 class ConflictError extends AppError {
-  constructor(message = 'Resource already exists') {
-    super(message, 409);
+  constructor(message = 'Resource already exists', code = null) {
+    super(message, 409, code);
     this.name = 'ConflictError';
   }
 }
 
+class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests', code = null) {
+    super(message, 429, code);
+    this.name = 'TooManyRequestsError';
+  }
+}
+
 class DatabaseError extends AppError {
   constructor(message = 'Database operation failed') {
     super(message, 500);
@@ -59,5 +67,6 @@ export {
   AuthorizationError,
   NotFoundError,
   ConflictError,
+  TooManyRequestsError,
   DatabaseError,
 };
\ No newline at end of file
@@ -0,0 +1,36 @@
+/**
+ * File types accepted as uploads, identified by their leading bytes
+ */
+const SIGNATURES = [
+  { mime: 'image/jpeg', ext: 'jpg', matches: (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]) },
+  { mime: 'image/png', ext: 'png', matches: (buffer) => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  {
+    mime: 'image/webp',
+    ext: 'webp',
+    matches: (buffer) => buffer.length >= 12 &&
+      buffer.toString('ascii', 0, 4) === 'RIFF' &&
+      buffer.toString('ascii', 8, 12) === 'WEBP'
+  },
+  { mime: 'application/pdf', ext: 'pdf', matches: (buffer) => buffer.toString('ascii', 0, 5) === '%PDF-' }
+];
+
+const startsWith = (buffer, bytes) => {
+  return buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte);
+};
+
+/**
+ * Detect a file's type from its content, ignoring the client-supplied name and MIME type
+ * @param {Buffer} buffer - File content
+ * @returns {Object|null} { mime, ext }, or null if the type is not supported
+ */
+export const detectFileType = (buffer) => {
+  if (!Buffer.isBuffer(buffer)) return null;
+
+  const signature = SIGNATURES.find(({ matches }) => matches(buffer));
+  return signature ? { mime: signature.mime, ext: signature.ext } : null;
+};
+
+/**
+ * Whether a detected type is an image
+ */
+export const isImageType = (fileType) => !!fileType && fileType.mime.startsWith('image/');
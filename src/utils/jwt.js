@@ -48,22 +48,36 @@ class JWTHelper {
   /**
    * Generate access and refresh token pair
    * @param {Object} payload - Token payload
+   * @param {string} refreshTokenId - Unique ID embedded in the refresh token for rotation
    * @returns {Object} Token pair
    */
-  generateTokenPair(payload) {
+  generateTokenPair(payload, refreshTokenId = this.generateSecureToken(16)) {
     const accessToken = this.generateToken(payload, '15m'); // 15 minutes
     const refreshToken = this.generateToken(
-      { ...payload, type: 'refresh' }, 
+      { ...payload, type: 'refresh', tokenId: refreshTokenId }, 
       '7d' // 7 days
     );
     
     return {
       accessToken,
       refreshToken,
-      expiresIn: 15 * 60 // 15 minutes in seconds
+      refreshTokenId,
+      expiresIn: 15 * 60, // 15 minutes in seconds
+      refreshExpiresIn: 7 * 24 * 60 * 60 // 7 days in seconds
     };
   }
 
+  /**
+   * Derive the ID of the refresh token that replaces the given one. Keyed with
+   * the JWT secret, so it can't be predicted from a leaked token, and stable,
+   * so concurrent refreshes of the same token get the same successor.
+   * @param {string} refreshTokenId - ID of the refresh token being rotated
+   * @returns {string} Successor token ID
+   */
+  deriveRefreshTokenId(refreshTokenId) {
+    return crypto.createHmac('sha256', this.secret).update(refreshTokenId).digest('hex').slice(0, 32);
+  }
+
   /**
    * Generate secure random token
    * @param {number} length - Token length
@@ -0,0 +1,68 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+
+// Handle: letters, digits, dot, underscore, hyphen; provider: starts with a letter (e.g. name@okaxis)
+export const VPA_PATTERN = /^[a-zA-Z0-9._-]{2,256}@[a-zA-Z][a-zA-Z0-9.-]{1,63}$/;
+
+// No 0/O or 1/I so notes survive being read out or retyped
+const NOTE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Check a UPI virtual payment address (VPA)
+ */
+export const isValidVpa = (vpa) => typeof vpa === 'string' && VPA_PATTERN.test(vpa.trim());
+
+/**
+ * Generate a transaction note, e.g. "GC7KQ2MZ4TXP". Alphanumeric only, so banks
+ * keep it intact in the remarks of the credit.
+ * @param {string} prefix - Fixed prefix identifying our payments
+ * @param {number} length - Random characters after the prefix
+ */
+export const generateTransactionNote = (prefix = 'GC', length = 10) => {
+  const bytes = crypto.randomBytes(length);
+  let note = prefix;
+
+  for (let i = 0; i < length; i++) {
+    note += NOTE_ALPHABET[bytes[i] % NOTE_ALPHABET.length];
+  }
+
+  return note;
+};
+
+/**
+ * Build a upi://pay intent for an exact amount
+ * @param {Object} params - { vpa, payeeName, amount, note, currency }
+ * @returns {string} UPI deep link, also used as the QR payload
+ */
+export const buildUpiUri = ({ vpa, payeeName, amount, note, currency = 'INR' }) => {
+  const params = {
+    pa: vpa.trim(),
+    pn: payeeName || '',
+    am: Number(amount).toFixed(2),
+    cu: currency,
+    tn: note
+  };
+
+  // Some UPI apps show "+" literally and reject an encoded "@" in the VPA
+  const query = Object.entries(params)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%40/g, '@')}`)
+    .join('&');
+
+  return `upi://pay?${query}`;
+};
+
+/**
+ * Render a QR code for a UPI intent
+ * @param {string} uri - upi://pay link
+ * @param {string} format - "png" or "svg"
+ * @returns {Promise<Buffer|string>} PNG buffer or SVG markup
+ */
+export const renderQrCode = (uri, format = 'png') => {
+  const options = { errorCorrectionLevel: 'M', margin: 2 };
+
+  if (format === 'svg') {
+    return QRCode.toString(uri, { ...options, type: 'svg' });
+  }
+
+  return QRCode.toBuffer(uri, { ...options, type: 'png', width: 512 });
+};
@@ -0,0 +1,65 @@
+/**
+ * Normalize a UTR / transaction reference for comparison
+ * @param {string} utrNo - Reference as typed by the user
+ * @returns {string} Reference without whitespace, upper-cased
+ */
+export const normalizeUtr = (utrNo) => {
+  if (utrNo === null || utrNo === undefined) return '';
+  return String(utrNo).replace(/\s+/g, '').toUpperCase();
+};
+
+// Length of the stored prefix/suffix keys used to find near-duplicate candidates
+export const UTR_KEY_LENGTH = 6;
+
+/**
+ * Indexed keys for near-duplicate lookups. Two references of 12 or more
+ * characters that are one edit apart always share their first or their last
+ * UTR_KEY_LENGTH characters, so candidates can be fetched by key instead of
+ * comparing against every payment.
+ * @param {string} utrNormalized - Normalized reference
+ * @returns {Object} { utrPrefix, utrSuffix } (null for an empty reference)
+ */
+export const utrMatchKeys = (utrNormalized) => {
+  if (!utrNormalized) return { utrPrefix: null, utrSuffix: null };
+
+  return {
+    utrPrefix: utrNormalized.slice(0, UTR_KEY_LENGTH),
+    utrSuffix: utrNormalized.slice(-UTR_KEY_LENGTH)
+  };
+};
+
+/**
+ * Check whether two normalized references differ by exactly one edit
+ * (one substituted, inserted or deleted character)
+ * @param {string} a - Normalized reference
+ * @param {string} b - Normalized reference
+ * @returns {boolean} True if the references are one edit apart
+ */
+export const isNearDuplicateUtr = (a, b) => {
+  if (!a || !b || a === b) return false;
+  if (Math.abs(a.length - b.length) > 1) return false;
+
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+
+  while (i < shorter.length && j < longer.length) {
+    if (shorter[i] === longer[j]) {
+      i++;
+      j++;
+      continue;
+    }
+
+    edits++;
+    if (edits > 1) return false;
+
+    if (shorter.length === longer.length) {
+      i++;
+    }
+    j++;
+  }
+
+  // Any trailing character on the longer reference counts as one more edit
+  return edits + (longer.length - j) === 1;
+};
@@ -191,7 +191,11 @@ export const changePasswordSchema = Joi.object({
       'string.empty': 'New password is required',
       'string.min': 'Password must be at least 8 characters long',
       'string.max': 'Password must not exceed 50 characters'
-    })
+    }),
+
+  // Keep this device signed in; every other session is always signed out
+  keepCurrentSession: Joi.boolean()
+    .default(true)
 });
 
 // Profile update validation
@@ -360,6 +364,97 @@ export const verifyOTPSchema = Joi.object({
     })
 });
 
+// Self-service account unlock validation
+export const unlockAccountSchema = Joi.object({
+  token: Joi.string()
+    .hex()
+    .required()
+    .messages({
+      'string.empty': 'Unlock token is required',
+      'string.hex': 'Invalid unlock token'
+    })
+});
+
+// "This wasn't me" link from a new sign-in email
+export const secureAccountSchema = Joi.object({
+  token: Joi.string()
+    .hex()
+    .required()
+    .messages({
+      'string.empty': 'Token is required',
+      'string.hex': 'Invalid token'
+    })
+});
+
+// Two-factor code fields
+const twoFactorCode = Joi.string()
+  .trim()
+  .pattern(/^[0-9]{6}$/)
+  .messages({
+    'string.empty': 'Two-factor code is required',
+    'string.pattern.base': 'Two-factor code must be a 6-digit number'
+  });
+
+const recoveryCode = Joi.string()
+  .trim()
+  .max(20)
+  .messages({
+    'string.empty': 'Recovery code is required'
+  });
+
+const challengeToken = Joi.string()
+  .messages({
+    'string.empty': 'Challenge token is required'
+  });
+
+// Two-factor login (second step) validation
+export const twoFactorLoginSchema = Joi.object({
+  challengeToken: challengeToken.required(),
+  code: twoFactorCode,
+  recoveryCode
+}).xor('code', 'recoveryCode')
+  .messages({
+    'object.missing': 'Two-factor code or recovery code is required',
+    'object.xor': 'Provide either a two-factor code or a recovery code, not both'
+  });
+
+// Sign out a device after SESSION_LIMIT_EXCEEDED validation
+export const evictSessionSchema = Joi.object({
+  challengeToken: challengeToken.required(),
+  sessionId: Joi.string()
+    .trim()
+    .required()
+    .messages({
+      'string.empty': 'Session ID is required'
+    })
+});
+
+// Two-factor setup validation (challengeToken only when enrolling during login)
+export const twoFactorSetupSchema = Joi.object({
+  challengeToken
+});
+
+// Two-factor enrolment verification validation
+export const twoFactorVerifySchema = Joi.object({
+  challengeToken,
+  code: twoFactorCode.required()
+});
+
+// Two-factor disable validation
+export const twoFactorDisableSchema = Joi.object({
+  password: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Password is required'
+    }),
+  code: twoFactorCode,
+  recoveryCode
+}).xor('code', 'recoveryCode')
+  .messages({
+    'object.missing': 'Two-factor code or recovery code is required',
+    'object.xor': 'Provide either a two-factor code or a recovery code, not both'
+  });
+
 // Middleware to validate request body
 export const validate = (schema) => {
   return (req, res, next) => {
@@ -1,5 +1,10 @@
 import Joi from 'joi';
 import { ValidationError } from '../utils/errors.js';
+import { VPA_PATTERN } from '../utils/upi.js';
+import { BANK_STATEMENT_PRESETS } from '../config/reconciliation.js';
+import { CRYPTO_NETWORKS } from '../config/crypto.js';
+
+const WALLET_ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
 
 /**
  * Generic validation middleware
@@ -45,18 +50,72 @@ export const createPaymentPlanSchema = Joi.object({
   
   qrcodeUrl: Joi.string()
     .uri()
-    .required()
+    .when('type', {
+      is: 'gateway',
+      then: Joi.optional(),
+      otherwise: Joi.when('upiVpa', {
+        is: Joi.exist(),
+        then: Joi.optional(),
+        otherwise: Joi.when('walletAddress', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() })
+      })
+    })
     .messages({
       'string.uri': 'QR code URL must be a valid URL',
-      'any.required': 'QR code URL is required'
+      'any.required': 'QR code URL is required unless a UPI ID or wallet address is set'
+    }),
+
+  upiVpa: Joi.string()
+    .trim()
+    .lowercase()
+    .pattern(VPA_PATTERN)
+    .optional()
+    .messages({
+      'string.pattern.base': 'UPI ID must look like name@bank'
+    }),
+
+  payeeName: Joi.string()
+    .trim()
+    .max(50)
+    .optional()
+    .messages({
+      'string.max': 'Payee name cannot exceed 50 characters'
+    }),
+
+  walletAddress: Joi.string()
+    .trim()
+    .pattern(WALLET_ADDRESS_PATTERN)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Wallet address must be a 0x-prefixed EVM address'
+    }),
+
+  network: Joi.string()
+    .valid(...Object.keys(CRYPTO_NETWORKS))
+    .when('walletAddress', { is: Joi.exist(), then: Joi.required(), otherwise: Joi.optional() })
+    .messages({
+      'any.only': `Network must be one of ${Object.keys(CRYPTO_NETWORKS).join(', ')}`,
+      'any.required': 'Network is required with a wallet address'
     }),
   
   type: Joi.string()
-    .valid('crypto', 'regular')
+    .valid('crypto', 'regular', 'gateway')
     .required()
     .messages({
-      'any.only': 'Type must be either crypto or regular',
+      'any.only': 'Type must be crypto, regular or gateway',
       'any.required': 'Payment type is required'
+    }),
+
+  maxDevices: Joi.number()
+    .integer()
+    .min(1)
+    .max(20)
+    .allow(null)
+    .optional()
+    .messages({
+      'number.base': 'Device limit must be a number',
+      'number.integer': 'Device limit must be an integer',
+      'number.min': 'Device limit must be at least 1',
+      'number.max': 'Device limit cannot exceed 20'
     })
 });
 
@@ -98,12 +157,61 @@ export const updatePaymentPlanSchema = Joi.object({
     .messages({
       'string.uri': 'QR code URL must be a valid URL'
     }),
+
+  upiVpa: Joi.string()
+    .trim()
+    .lowercase()
+    .pattern(VPA_PATTERN)
+    .allow(null)
+    .optional()
+    .messages({
+      'string.pattern.base': 'UPI ID must look like name@bank'
+    }),
+
+  payeeName: Joi.string()
+    .trim()
+    .max(50)
+    .allow(null, '')
+    .optional()
+    .messages({
+      'string.max': 'Payee name cannot exceed 50 characters'
+    }),
+
+  walletAddress: Joi.string()
+    .trim()
+    .pattern(WALLET_ADDRESS_PATTERN)
+    .allow(null)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Wallet address must be a 0x-prefixed EVM address'
+    }),
+
+  network: Joi.string()
+    .valid(...Object.keys(CRYPTO_NETWORKS))
+    .allow(null)
+    .optional()
+    .messages({
+      'any.only': `Network must be one of ${Object.keys(CRYPTO_NETWORKS).join(', ')}`
+    }),
   
   type: Joi.string()
-    .valid('crypto', 'regular')
+    .valid('crypto', 'regular', 'gateway')
+    .optional()
+    .messages({
+      'any.only': 'Type must be crypto, regular or gateway'
+    }),
+
+  maxDevices: Joi.number()
+    .integer()
+    .min(1)
+    .max(20)
+    .allow(null)
     .optional()
     .messages({
-      'any.only': 'Type must be either crypto or regular'
+      'number.base': 'Device limit must be a number',
+      'number.integer': 'Device limit must be an integer',
+      'number.min': 'Device limit must be at least 1',
+      'number.max': 'Device limit cannot exceed 20'
     })
 });
 
@@ -122,11 +230,12 @@ export const userPaymentSchema = Joi.object({
       'any.required': 'UTR number is required'
     }),
   
+  // Plan details come from the checkout when paymentId is given
   Months: Joi.number()
     .integer()
     .min(1)
     .max(120)
-    .required()
+    .when('paymentId', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() })
     .messages({
       'number.base': 'Months must be a number',
       'number.integer': 'Months must be an integer',
@@ -137,7 +246,7 @@ export const userPaymentSchema = Joi.object({
   
   price: Joi.number()
     .positive()
-    .required()
+    .when('paymentId', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() })
     .messages({
       'number.base': 'Price must be a number',
       'number.positive': 'Price must be positive',
@@ -146,7 +255,7 @@ export const userPaymentSchema = Joi.object({
   
   type: Joi.string()
     .valid('crypto', 'regular')
-    .required()
+    .when('paymentId', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() })
     .messages({
       'any.only': 'Payment type must be either crypto or regular',
       'any.required': 'Payment type is required'
@@ -157,6 +266,40 @@ export const userPaymentSchema = Joi.object({
     .optional()
     .messages({
       'string.pattern.base': 'Invalid payment plan ID format'
+    }),
+
+  paymentId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Invalid checkout ID format'
+    })
+});
+
+/**
+ * UPI checkout schema
+ */
+export const checkoutSchema = Joi.object({
+  paymentPlanId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid payment plan ID format',
+      'any.required': 'Payment plan ID is required'
+    })
+});
+
+/**
+ * Crypto payment confirmation schema
+ */
+export const confirmCryptoSchema = Joi.object({
+  txHash: Joi.string()
+    .trim()
+    .pattern(/^0x[0-9a-fA-F]{64}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Transaction hash must be a 0x-prefixed 64 character hex string',
+      'any.required': 'Transaction hash is required'
     })
 });
 
@@ -178,11 +321,37 @@ export const userStatusSchema = Joi.object({
       'any.required': 'User ID is required'
     }),
   
-  premiumEndDate: Joi.date()
+  // Sent by older admin clients; ignored because the end date is computed server-side
+  premiumEndDate: Joi.any()
+    .optional(),
+
+  // Explicit admin override of the computed end date; always audited
+  overridePremiumEndDate: Joi.date()
     .iso()
+    .greater('now')
+    .optional()
+    .messages({
+      'date.format': 'Override end date must be in ISO format',
+      'date.greater': 'Override end date must be in the future'
+    }),
+
+  overrideReason: Joi.string()
+    .trim()
+    .min(3)
+    .max(500)
+    .when('overridePremiumEndDate', { is: Joi.exist(), then: Joi.required() })
+    .messages({
+      'string.min': 'Override reason must be at least 3 characters',
+      'any.required': 'A reason is required when overriding the end date'
+    }),
+
+  reason: Joi.string()
+    .trim()
+    .max(500)
     .optional()
+    .allow('')
     .messages({
-      'date.format': 'Premium end date must be in ISO format'
+      'string.max': 'Reason cannot exceed 500 characters'
     })
 });
 
@@ -212,14 +381,112 @@ export const changeSubMonthsSchema = Joi.object({
     })
 });
 
+/**
+ * Device limit override schema (null removes the override)
+ */
+export const deviceLimitSchema = Joi.object({
+  maxDevices: Joi.number()
+    .integer()
+    .min(1)
+    .max(20)
+    .allow(null)
+    .required()
+    .messages({
+      'number.base': 'Device limit must be a number',
+      'number.integer': 'Device limit must be an integer',
+      'number.min': 'Device limit must be at least 1',
+      'number.max': 'Device limit cannot exceed 20',
+      'any.required': 'Device limit is required (null to use the plan limit)'
+    }),
+
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .optional()
+});
+
+/**
+ * Admin session termination schema
+ */
+export const terminateSessionSchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .max(200)
+    .optional()
+    .messages({
+      'string.max': 'Reason cannot exceed 200 characters'
+    })
+});
+
+/**
+ * Bank statement reconciliation schema (JSON or multipart fields)
+ */
+export const reconcileStatementSchema = Joi.object({
+  bank: Joi.string()
+    .valid(...Object.keys(BANK_STATEMENT_PRESETS))
+    .optional()
+    .messages({
+      'any.only': `Bank must be one of: ${Object.keys(BANK_STATEMENT_PRESETS).join(', ')}`
+    }),
+
+  // Header overrides, e.g. { "credit": "Amount Credited" }; a JSON string in multipart requests
+  columns: Joi.alternatives()
+    .try(Joi.object().pattern(/^(date|narration|reference|credit|debit|amount|type)$/, Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string()))), Joi.string())
+    .optional()
+    .messages({
+      'alternatives.match': 'Columns must map date, narration, reference, credit, debit, amount or type to header names'
+    }),
+
+  windowDays: Joi.number()
+    .integer()
+    .min(0)
+    .max(30)
+    .optional()
+    .messages({
+      'number.base': 'Window must be a number of days',
+      'number.max': 'Window cannot exceed 30 days'
+    }),
+
+  // The CSV itself when it isn't uploaded as a file
+  csv: Joi.string()
+    .optional()
+});
+
+/**
+ * Bulk approval of reconciled payments
+ */
+export const approveReconciledSchema = Joi.object({
+  paymentIds: Joi.array()
+    .items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/))
+    .min(1)
+    .max(100)
+    .unique()
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid payment ID format',
+      'array.min': 'Select at least one payment',
+      'array.max': 'Approve at most 100 payments at a time',
+      'array.unique': 'Payment IDs must be unique',
+      'any.required': 'Payment IDs are required'
+    }),
+
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .optional()
+    .messages({
+      'string.max': 'Reason cannot exceed 500 characters'
+    })
+});
+
 /**
  * Payment type parameter validation
  */
 export const validatePaymentType = (req, res, next) => {
   const { type } = req.params;
   
-  if (!type || !['crypto', 'regular'].includes(type)) {
-    return next(new ValidationError('Payment type must be either crypto or regular'));
+  if (!type || !['crypto', 'regular', 'gateway'].includes(type)) {
+    return next(new ValidationError('Payment type must be crypto, regular or gateway'));
   }
   
   next();
@@ -0,0 +1,44 @@
+import { validatePaymentGatewayConfig } from '../../src/config/paymentGateway.js';
+
+const ENV_KEYS = ['NODE_ENV', 'PAYMENT_GATEWAYS', 'PAYMENT_GATEWAY_DEFAULT', 'FAKE_GATEWAY_WEBHOOK_SECRET'];
+const saved = {};
+
+beforeEach(() => {
+  ENV_KEYS.forEach(key => {
+    saved[key] = process.env[key];
+    delete process.env[key];
+  });
+});
+
+afterEach(() => {
+  ENV_KEYS.forEach(key => {
+    if (saved[key] === undefined) delete process.env[key];
+    else process.env[key] = saved[key];
+  });
+});
+
+describe('validatePaymentGatewayConfig', () => {
+  it('refuses the fake gateway in production', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.PAYMENT_GATEWAYS = 'razorpay,fake';
+    process.env.FAKE_GATEWAY_WEBHOOK_SECRET = 'whsec_local';
+
+    expect(() => validatePaymentGatewayConfig()).toThrow('cannot be enabled in production');
+  });
+
+  it('requires an explicit webhook secret for the fake gateway', () => {
+    process.env.PAYMENT_GATEWAYS = 'fake';
+
+    expect(() => validatePaymentGatewayConfig()).toThrow('FAKE_GATEWAY_WEBHOOK_SECRET');
+
+    process.env.FAKE_GATEWAY_WEBHOOK_SECRET = 'whsec_local';
+    expect(() => validatePaymentGatewayConfig()).not.toThrow();
+  });
+
+  it('accepts real gateways in production', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.PAYMENT_GATEWAYS = 'razorpay';
+
+    expect(() => validatePaymentGatewayConfig()).not.toThrow();
+  });
+});
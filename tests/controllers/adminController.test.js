@@ -0,0 +1,319 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Payment from '../../src/models/Payment.js';
+import AuditLog from '../../src/models/AuditLog.js';
+import Session from '../../src/models/Session.js';
+import User from '../../src/models/User.js';
+import auditService from '../../src/services/auditService.js';
+import sessionService from '../../src/services/sessionService.js';
+import { authenticate } from '../../src/middleware/auth.js';
+import {
+  approveReconciledPayments,
+  deleteUserSessions,
+  getAuditLog,
+  terminateUserSession,
+  userStatus
+} from '../../src/controllers/adminController.js';
+import { parseCsv } from '../../src/utils/csv.js';
+import { buildReq, buildRes, runMiddleware } from '../helpers/http.js';
+import { memoryModel } from '../helpers/memoryModel.js';
+
+const admin = { _id: new mongoose.Types.ObjectId(), email: 'admin@example.com' };
+
+const callUserStatus = async (body) => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+  const next = jest.fn();
+  await userStatus({ body, user: admin }, res, next);
+  return { res, next };
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /admin/userstatus', () => {
+  let user;
+  let payment;
+
+  beforeEach(() => {
+    user = new User({ email: 'payer@example.com', name: 'Payer', subscriptionState: 'pending' });
+    payment = new Payment({
+      userId: user._id,
+      utrNo: '412356787890',
+      plan: { type: 'regular', month: 1, price: 499 },
+      amount: 499,
+      decision: 'pending'
+    });
+
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(Payment, 'getLatestPending').mockResolvedValue(payment);
+    jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (payment.decision !== filter.decision) return null;
+      payment.set(update.$set);
+      return payment;
+    });
+    jest.spyOn(auditService, 'record').mockResolvedValue(null);
+  });
+
+  it('approves the pending payment and audits it', async () => {
+    const { res, next } = await callUserStatus({ status: true, id: String(user._id) });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(payment.decision).toBe('approved');
+    expect(auditService.record).toHaveBeenCalledTimes(1);
+    expect(auditService.record.mock.calls[0][1].action).toBe('payment.approve');
+  });
+
+  it('answers 409 to a repeated approval without extending or auditing again', async () => {
+    await callUserStatus({ status: true, id: String(user._id) });
+    const endDate = user.premiumEndDate;
+
+    const { res, next } = await callUserStatus({ status: true, id: String(user._id) });
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 409, code: 'PAYMENT_ALREADY_REVIEWED' });
+    expect(user.premiumEndDate).toEqual(endDate);
+    expect(auditService.record).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('POST /admin/payments/reconcile/approve', () => {
+  let user;
+  let payment;
+
+  const callApprove = async (paymentIds) => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+    const next = jest.fn();
+    await approveReconciledPayments({ body: { paymentIds }, user: admin }, res, next);
+    return res.json.mock.calls[0]?.[0];
+  };
+
+  beforeEach(() => {
+    user = new User({ email: 'payer@example.com', name: 'Payer', subscriptionState: 'pending' });
+    payment = new Payment({
+      userId: user._id,
+      utrNo: '412356787890',
+      plan: { type: 'regular', month: 1, price: 499 },
+      amount: 499,
+      decision: 'pending'
+    });
+
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    // Every read sees the payment as it was before either approval claimed it
+    jest.spyOn(Payment, 'findById').mockImplementation(async () => new Payment(payment.toObject()));
+    jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (payment.decision !== filter.decision) return null;
+      payment.set(update.$set);
+      return payment;
+    });
+    jest.spyOn(auditService, 'record').mockResolvedValue(null);
+  });
+
+  it('skips a payment that was claimed by a concurrent approval', async () => {
+    const [first, second] = await Promise.all([
+      callApprove([String(payment._id)]),
+      callApprove([String(payment._id)])
+    ]);
+
+    const approved = [first, second].map(body => body.data.approved);
+    const skipped = [first, second].map(body => body.data.skipped);
+
+    expect(approved.sort()).toEqual([0, 1]);
+    expect(skipped.sort()).toEqual([0, 1]);
+    expect(user.save).toHaveBeenCalledTimes(1);
+    expect(auditService.record).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('GET /admin/audit-log', () => {
+  const otherAdmin = { _id: new mongoose.Types.ObjectId(), email: 'other-admin@example.com' };
+  const member = new mongoose.Types.ObjectId();
+  const plan = new mongoose.Types.ObjectId();
+
+  const callGetAuditLog = async (query) => {
+    const res = buildRes();
+    const next = jest.fn();
+    await getAuditLog({ query, user: admin }, res, next);
+    return { res, next };
+  };
+
+  const actionsIn = (res) => res.json.mock.calls[0][0].data.entries.map(entry => entry.action);
+
+  beforeEach(async () => {
+    memoryModel(AuditLog);
+
+    const entries = [
+      { actor: admin._id, actorEmail: admin.email, action: 'user.block', targetUser: member, createdAt: new Date('2024-03-01T10:00:00Z') },
+      { actor: admin._id, actorEmail: admin.email, action: 'plan.update', targetPlan: plan, createdAt: new Date('2024-03-02T10:00:00Z') },
+      { actor: otherAdmin._id, actorEmail: otherAdmin.email, action: 'user.unblock', targetUser: member, createdAt: new Date('2024-03-03T10:00:00Z') },
+      {
+        actor: otherAdmin._id,
+        actorEmail: otherAdmin.email,
+        action: 'payment.approve',
+        targetUser: member,
+        reason: '=HYPERLINK("http://evil.example","Click")',
+        changes: { before: { status: 'pending' }, after: { status: 'paid, "approved"' } },
+        createdAt: new Date('2024-03-04T10:00:00Z')
+      }
+    ];
+
+    for (const entry of entries) {
+      const log = await AuditLog.create(entry);
+      // Timestamps are set on save; keep the fixture's
+      log.createdAt = entry.createdAt;
+    }
+  });
+
+  it('lists the newest entries first with pagination', async () => {
+    const { res, next } = await callGetAuditLog({ limit: '3', page: '1' });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(actionsIn(res)).toEqual(['payment.approve', 'user.unblock', 'plan.update']);
+    expect(res.json.mock.calls[0][0].data.pagination).toEqual({ currentPage: 1, totalPages: 2, totalEntries: 4 });
+  });
+
+  it('filters by actor ID or email, case-insensitively', async () => {
+    const byId = await callGetAuditLog({ actor: String(otherAdmin._id) });
+    const byEmail = await callGetAuditLog({ actor: 'ADMIN@example.com' });
+
+    expect(actionsIn(byId.res)).toEqual(['payment.approve', 'user.unblock']);
+    expect(actionsIn(byEmail.res)).toEqual(['plan.update', 'user.block']);
+  });
+
+  it('filters by target user or plan', async () => {
+    const { res } = await callGetAuditLog({ target: String(plan) });
+
+    expect(actionsIn(res)).toEqual(['plan.update']);
+  });
+
+  it('rejects a target that is not an ID', async () => {
+    const { next } = await callGetAuditLog({ target: 'member@example.com' });
+
+    expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 400, message: 'Target must be a valid user or plan ID' });
+  });
+
+  it('filters by a list of actions and a date range', async () => {
+    const { res } = await callGetAuditLog({
+      action: 'user.block, user.unblock,payment.approve',
+      startDate: '2024-03-02T00:00:00Z',
+      endDate: '2024-03-03T23:59:59Z'
+    });
+
+    expect(actionsIn(res)).toEqual(['user.unblock']);
+  });
+
+  it('exports the filtered entries as CSV with formulas and separators escaped', async () => {
+    const { res } = await callGetAuditLog({ format: 'csv', action: 'payment.approve' });
+
+    expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'text/csv; charset=utf-8');
+    expect(res.setHeader).toHaveBeenCalledWith('Content-Disposition', expect.stringMatching(/^attachment; filename="audit-log-\d{4}-\d{2}-\d{2}\.csv"$/));
+
+    const [header, row, ...rest] = parseCsv(res.send.mock.calls[0][0]);
+    const cell = (name) => row[header.indexOf(name)];
+
+    expect(rest).toEqual([]);
+    expect(cell('Action')).toBe('payment.approve');
+    expect(cell('Actor ID')).toBe(String(otherAdmin._id));
+    expect(cell('Reason')).toBe(`'=HYPERLINK("http://evil.example","Click")`);
+    expect(JSON.parse(cell('After'))).toEqual({ status: 'paid, "approved"' });
+  });
+});
+
+describe('admin session revocation', () => {
+  let member;
+  let laptop;
+  let phone;
+
+  const signIn = async () => {
+    const session = await Session.create({ userId: member._id, email: member.email });
+    const { accessToken } = await sessionService.issueTokens(member, session);
+    return { session, accessToken };
+  };
+
+  const callAdmin = async (handler, { params = {}, body = {} } = {}) => {
+    const res = buildRes();
+    const next = jest.fn();
+    await handler({ params, body, user: admin, ip: '203.0.113.9', get: () => null }, res, next);
+    return { res, next };
+  };
+
+  const authenticateToken = (token) => runMiddleware(authenticate, buildReq({ headers: { Authorization: `Bearer ${token}` } }));
+
+  beforeEach(async () => {
+    memoryModel(User);
+    memoryModel(Session);
+    memoryModel(AuditLog);
+    member = await User.create({ name: 'Member', phone: '9000000015', email: 'revoked@example.com', password: 'x' });
+    laptop = await signIn();
+    phone = await signIn();
+  });
+
+  describe('DELETE /admin/users/:userId/sessions/:sessionId', () => {
+    const terminate = (session, reason) => callAdmin(terminateUserSession, {
+      params: { userId: String(member._id), sessionId: session.sessionId },
+      body: { reason }
+    });
+
+    it('signs out only that device and tells it why', async () => {
+      const { res, next } = await terminate(laptop.session, 'Shared account');
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(laptop.session.isActive).toBe(false);
+      expect(phone.session.isActive).toBe(true);
+
+      await expect(authenticateToken(laptop.accessToken)).resolves.toMatchObject({
+        code: 'SESSION_REVOKED',
+        message: 'You were signed out by an administrator: Shared account'
+      });
+      await expect(authenticateToken(phone.accessToken)).resolves.toBeUndefined();
+    });
+
+    it('records the sign-out in the audit log', async () => {
+      await terminate(laptop.session, 'Shared account');
+
+      const entry = await AuditLog.findOne({ action: 'sessions.terminate' });
+      expect(entry).toMatchObject({ actorEmail: admin.email, reason: 'Shared account', metadata: { sessionId: laptop.session.sessionId } });
+      expect(String(entry.targetUser)).toBe(String(member._id));
+    });
+
+    it('answers 404 for an ended session or one of another user', async () => {
+      await terminate(laptop.session);
+      const other = await Session.create({ userId: new mongoose.Types.ObjectId(), email: 'other@example.com' });
+
+      const again = await terminate(laptop.session);
+      const foreign = await terminate(other);
+
+      expect(again.next.mock.calls[0][0]).toMatchObject({ statusCode: 404 });
+      expect(foreign.next.mock.calls[0][0]).toMatchObject({ statusCode: 404 });
+      expect(other.isActive).toBe(true);
+      expect(await AuditLog.countDocuments({ action: 'sessions.terminate' })).toBe(1);
+    });
+  });
+
+  describe('DELETE /admin/delete-user-sessions', () => {
+    it('signs out every device of the user and audits it', async () => {
+      const { res } = await callAdmin(deleteUserSessions, { body: { userId: String(member._id), reason: ' Fraud review ' } });
+
+      expect(res.json.mock.calls[0][0].data.sessionsTerminated).toBe(2);
+      for (const { accessToken } of [laptop, phone]) {
+        await expect(authenticateToken(accessToken)).resolves.toMatchObject({
+          message: 'You were signed out by an administrator: Fraud review'
+        });
+      }
+      expect(await AuditLog.findOne({ action: 'sessions.terminate_all' })).toMatchObject({ metadata: { sessionsTerminated: 2 } });
+    });
+
+    it('rejects a missing or unknown user', async () => {
+      const missing = await callAdmin(deleteUserSessions, { body: {} });
+      const unknown = await callAdmin(deleteUserSessions, { body: { userId: String(new mongoose.Types.ObjectId()) } });
+
+      expect(missing.next.mock.calls[0][0]).toMatchObject({ statusCode: 400 });
+      expect(unknown.next.mock.calls[0][0]).toMatchObject({ statusCode: 404 });
+      expect(laptop.session.isActive).toBe(true);
+    });
+  });
+});
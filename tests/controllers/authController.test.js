@@ -0,0 +1,97 @@
+import { jest } from '@jest/globals';
+import bcrypt from 'bcryptjs';
+import Session from '../../src/models/Session.js';
+import User from '../../src/models/User.js';
+import emailService from '../../src/services/emailService.js';
+import sessionService from '../../src/services/sessionService.js';
+import { authenticate } from '../../src/middleware/auth.js';
+import { changePassword } from '../../src/controllers/authController.js';
+import { buildReq, buildRes, runMiddleware } from '../helpers/http.js';
+import { memoryModel } from '../helpers/memoryModel.js';
+
+const OLD_PASSWORD = 'OldPassw0rd!';
+const NEW_PASSWORD = 'NewPassw0rd!';
+
+const authenticateToken = (token) => runMiddleware(authenticate, buildReq({ headers: { Authorization: `Bearer ${token}` } }));
+
+describe('PUT /auth/change-password', () => {
+  let user;
+  let current;
+  let other;
+
+  const signIn = async () => {
+    const session = await Session.create({ userId: user._id, email: user.email });
+    const tokens = await sessionService.issueTokens(user, session);
+    return { session, tokens };
+  };
+
+  const callChangePassword = async (body = {}) => {
+    const req = buildReq({ method: 'PUT', body: { currentPassword: OLD_PASSWORD, newPassword: NEW_PASSWORD, ...body } });
+    req.user = user;
+    req.authSession = current.session;
+    const res = buildRes();
+    const next = jest.fn();
+    await changePassword(req, res, next);
+    return { res, next };
+  };
+
+  beforeEach(async () => {
+    memoryModel(User);
+    memoryModel(Session);
+    jest.spyOn(emailService, 'sendPasswordChangeNotification').mockResolvedValue(null);
+
+    // memoryModel skips save middleware, so store the hash the pre-save hook would have written
+    const password = await bcrypt.hash(OLD_PASSWORD, 4);
+    user = await User.create({ name: 'Member', phone: '9000000012', email: 'change@example.com', password });
+    current = await signIn();
+    other = await signIn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('signs out the other sessions and keeps the current one with fresh tokens', async () => {
+    const { res, next } = await callChangePassword();
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+    const { data } = res.json.mock.calls[0][0];
+    expect(data.signedOutSessions).toBe(1);
+
+    expect(other.session.isActive).toBe(false);
+    expect(other.session.terminationReason).toBe('password_change');
+    expect(current.session.isActive).toBe(true);
+
+    await expect(authenticateToken(data.token)).resolves.toBeUndefined();
+    await expect(sessionService.rotateRefreshToken(data.refreshToken)).resolves.toBeTruthy();
+  });
+
+  it('rejects every token issued before the change, even within the same second', async () => {
+    const { res } = await callChangePassword();
+    const { data } = res.json.mock.calls[0][0];
+
+    await expect(authenticateToken(current.tokens.accessToken))
+      .resolves.toMatchObject({ message: 'Password was changed recently. Please log in again' });
+    await expect(authenticateToken(other.tokens.accessToken)).resolves.toMatchObject({ statusCode: 401 });
+    await expect(sessionService.rotateRefreshToken(current.tokens.refreshToken))
+      .rejects.toThrow('Password was changed recently');
+    await expect(authenticateToken(data.token)).resolves.toBeUndefined();
+  });
+
+  it('signs out the current session too when asked', async () => {
+    const { res } = await callChangePassword({ keepCurrentSession: false });
+
+    expect(res.json.mock.calls[0][0].data).toEqual({ signedOutSessions: 2 });
+    expect(current.session.isActive).toBe(false);
+    expect(other.session.isActive).toBe(false);
+  });
+
+  it('keeps everything when the current password is wrong', async () => {
+    const { next } = await callChangePassword({ currentPassword: 'wrong' });
+
+    expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 401 });
+    expect(other.session.isActive).toBe(true);
+    await expect(authenticateToken(current.tokens.accessToken)).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,38 @@
+import { jest } from '@jest/globals';
+
+/**
+ * Minimal Express request for calling middleware directly
+ * @param {Object} options - { method, url, headers, cookies, body, ip }
+ */
+export const buildReq = ({ method = 'GET', url = '/', headers = {}, cookies = {}, body = {}, ip = '203.0.113.7' } = {}) => {
+  const lowered = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return {
+    method,
+    url,
+    originalUrl: url,
+    headers: lowered,
+    cookies,
+    body,
+    ip,
+    get: (name) => lowered[name.toLowerCase()]
+  };
+};
+
+/**
+ * Express response stand-in recording status, headers, body and cookies
+ */
+export const buildRes = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn().mockReturnThis(),
+  send: jest.fn().mockReturnThis(),
+  setHeader: jest.fn().mockReturnThis(),
+  cookie: jest.fn().mockReturnThis(),
+  clearCookie: jest.fn().mockReturnThis()
+});
+
+/**
+ * Run a middleware and resolve with the error passed to next (undefined when it passed)
+ */
+export const runMiddleware = (middleware, req, res = buildRes()) => new Promise((resolve, reject) => {
+  Promise.resolve(middleware(req, res, resolve)).catch(reject);
+});
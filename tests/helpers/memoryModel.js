@@ -0,0 +1,220 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+const isOperatorObject = (value) => value && typeof value === 'object' && !Array.isArray(value)
+  && !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId)
+  && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+
+const isPlainFilter = (value) => value && typeof value === 'object' && !Array.isArray(value)
+  && !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId) && !isOperatorObject(value);
+
+const isMissing = (value) => value === null || value === undefined;
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  return value;
+};
+
+const equals = (actual, expected) => {
+  if (expected === null) return isMissing(actual);
+  return comparable(actual) === comparable(expected) || String(comparable(actual)) === String(comparable(expected));
+};
+
+const matchesCondition = (actual, condition) => {
+  // Like MongoDB, a value matches an array that contains it
+  if (Array.isArray(actual) && !Array.isArray(condition) && !isOperatorObject(condition)) {
+    return actual.some(item => equals(item, condition));
+  }
+  if (!isOperatorObject(condition)) return equals(actual, condition);
+
+  return Object.entries(condition).every(([operator, expected]) => {
+    switch (operator) {
+    case '$in': return expected.some(item => equals(actual, item));
+    case '$nin': return !expected.some(item => equals(actual, item));
+    case '$ne': return !equals(actual, expected);
+    case '$exists': return (actual !== undefined) === expected;
+    case '$type': return expected === 'string' ? typeof actual === 'string' : actual !== undefined && actual !== null;
+    case '$lt': return !isMissing(actual) && comparable(actual) < comparable(expected);
+    case '$lte': return !isMissing(actual) && comparable(actual) <= comparable(expected);
+    case '$gt': return !isMissing(actual) && comparable(actual) > comparable(expected);
+    case '$gte': return !isMissing(actual) && comparable(actual) >= comparable(expected);
+    case '$not': return !matchesCondition(actual, expected);
+    case '$elemMatch': return Array.isArray(actual) && actual.some(item => matches(item, expected));
+    default: throw new Error(`memoryModel does not support ${operator}`);
+    }
+  });
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([path, condition]) => {
+  if (path === '$or') return condition.some(branch => matches(doc, branch));
+  if (path === '$and') return condition.every(branch => matches(doc, branch));
+  // Array elements in $elemMatch may be subdocuments or plain values
+  const actual = typeof doc.get === 'function' ? doc.get(path) : doc[path];
+  return matchesCondition(actual, condition);
+});
+
+const applyUpdate = (doc, update) => {
+  Object.entries(update.$set || {}).forEach(([path, value]) => doc.set(path, value));
+  Object.keys(update.$unset || {}).forEach(path => doc.set(path, undefined));
+  Object.entries(update.$inc || {}).forEach(([path, value]) => doc.set(path, (doc.get(path) || 0) + value));
+  Object.entries(update.$push || {}).forEach(([path, value]) => doc.set(path, [...(doc.get(path) || []), value]));
+  Object.entries(update.$pull || {}).forEach(([path, value]) => {
+    // A plain object pulls the elements matching it as a filter
+    const pulled = isPlainFilter(value) ? (item) => matches(item, value) : (item) => equals(item, value);
+    doc.set(path, (doc.get(path) || []).filter(item => !pulled(item)));
+  });
+  if (doc.schema.path('updatedAt')) doc.set('updatedAt', new Date());
+};
+
+// Order two documents by a { path: 1 | -1 } sort specification
+const compareBy = (a, b, sort) => {
+  for (const [path, direction] of Object.entries(sort)) {
+    const [left, right] = [comparable(a.get(path)), comparable(b.get(path))];
+    if (left < right) return -direction;
+    if (left > right) return direction;
+  }
+  return 0;
+};
+
+/**
+ * Query stand-in: chainable like a mongoose query and awaitable
+ */
+const query = (run) => {
+  const options = { lean: false, skip: 0, limit: null, sort: null };
+  const chain = {
+    select: () => chain,
+    // Document.prototype.updateOne registers document middleware on the query
+    pre: () => chain,
+    post: () => chain,
+    sort: (sort) => {
+      options.sort = sort;
+      return chain;
+    },
+    populate: () => chain,
+    skip: (skip) => {
+      options.skip = skip;
+      return chain;
+    },
+    limit: (limit) => {
+      options.limit = limit;
+      return chain;
+    },
+    lean: () => {
+      options.lean = true;
+      return chain;
+    },
+    then: (resolve, reject) => Promise.resolve()
+      .then(() => run(options))
+      .then(resolve, reject)
+  };
+  return chain;
+};
+
+/**
+ * Back a mongoose model with an in-memory collection for the length of a test.
+ * Supports the queries and updates the services use (equality, array membership,
+ * $in, $ne, $type, $lt(e)/$gt(e), $exists, $not, $elemMatch, $or; $set, $unset,
+ * $inc, $push, $pull; sort, skip and limit; upserts and deletes) and the given unique paths.
+ * Restore with jest.restoreAllMocks().
+ * @param {Object} Model - Mongoose model
+ * @param {Object} options - { unique: ['path', ['compound', 'path'], ...] }
+ * @returns {Map<string, Object>} The stored documents by id
+ */
+export const memoryModel = (Model, { unique = [] } = {}) => {
+  const store = new Map();
+  const all = () => [...store.values()];
+
+  const assertUnique = (doc) => {
+    unique.forEach(key => {
+      const paths = [].concat(key);
+      const values = paths.map(path => doc.get(path));
+      // Unique indexes here are partial: documents without the key never clash
+      if (values.some(value => value === null || value === undefined)) return;
+
+      const clash = all().find(other => String(other._id) !== String(doc._id)
+        && paths.every((path, index) => equals(other.get(path), values[index])));
+      if (clash) {
+        throw Object.assign(new Error(`E11000 duplicate key error: ${paths.join(', ')}`), {
+          code: 11000,
+          keyPattern: Object.fromEntries(paths.map(path => [path, 1])),
+          keyValue: Object.fromEntries(paths.map((path, index) => [path, values[index]]))
+        });
+      }
+    });
+  };
+
+  const save = async (doc) => {
+    await doc.validate();
+    assertUnique(doc);
+    const now = new Date();
+    if (doc.schema.path('createdAt') && !doc.get('createdAt')) doc.set('createdAt', now);
+    if (doc.schema.path('updatedAt')) doc.set('updatedAt', now);
+    store.set(String(doc._id), doc);
+    return doc;
+  };
+
+  const found = (docs, { lean, skip, limit, sort }) => {
+    const sorted = sort ? [...docs].sort((a, b) => compareBy(a, b, sort)) : docs;
+    const limited = sorted.slice(skip, limit ? skip + limit : undefined);
+    return lean ? limited.map(doc => doc.toObject()) : limited;
+  };
+
+  // Insert for an upsert that matched nothing: the filter's plain values plus the update
+  const upsert = async (filter, update) => {
+    const values = Object.entries(filter).filter(([path, value]) => !path.startsWith('$') && !isOperatorObject(value));
+    const doc = new Model(Object.fromEntries(values));
+    applyUpdate(doc, update);
+    return save(doc);
+  };
+
+  jest.spyOn(Model.prototype, 'save').mockImplementation(function() {
+    return save(this);
+  });
+  jest.spyOn(Model, 'create').mockImplementation(async (data) => save(new Model(data)));
+  jest.spyOn(Model, 'find').mockImplementation((filter) => query(options => found(all().filter(doc => matches(doc, filter)), options)));
+  jest.spyOn(Model, 'findOne').mockImplementation((filter) => query(options => {
+    const doc = all().find(item => matches(item, filter));
+    return doc ? found([doc], options)[0] : null;
+  }));
+  jest.spyOn(Model, 'findById').mockImplementation((id) => query(options => {
+    const doc = store.get(String(id));
+    return doc ? found([doc], options)[0] : null;
+  }));
+  jest.spyOn(Model, 'exists').mockImplementation((filter) => query(() => {
+    const doc = all().find(item => matches(item, filter));
+    return doc ? { _id: doc._id } : null;
+  }));
+  jest.spyOn(Model, 'countDocuments').mockImplementation(async (filter) => all().filter(doc => matches(doc, filter)).length);
+  jest.spyOn(Model, 'findOneAndUpdate').mockImplementation((filter, update, options = {}) => query(async () => {
+    const doc = all().find(item => matches(item, filter));
+    if (!doc) return options.upsert ? upsert(filter, update) : null;
+    applyUpdate(doc, update);
+    assertUnique(doc);
+    return doc;
+  }));
+  jest.spyOn(Model, 'updateOne').mockImplementation((filter, update, options = {}) => query(async () => {
+    const doc = all().find(item => matches(item, filter));
+    if (doc) applyUpdate(doc, update);
+    else if (options.upsert) await upsert(filter, update);
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0, upsertedCount: !doc && options.upsert ? 1 : 0 };
+  }));
+  jest.spyOn(Model, 'updateMany').mockImplementation(async (filter, update) => {
+    const docs = all().filter(doc => matches(doc, filter));
+    docs.forEach(doc => applyUpdate(doc, update));
+    return { matchedCount: docs.length, modifiedCount: docs.length };
+  });
+
+  jest.spyOn(Model, 'deleteOne').mockImplementation((filter) => query(async () => {
+    const doc = all().find(item => matches(item, filter));
+    if (doc) store.delete(String(doc._id));
+    return { deletedCount: doc ? 1 : 0 };
+  }));
+  jest.spyOn(Model, 'deleteMany').mockImplementation((filter) => query(async () => {
+    const docs = all().filter(doc => matches(doc, filter));
+    docs.forEach(doc => store.delete(String(doc._id)));
+    return { deletedCount: docs.length };
+  }));
+
+  return store;
+};
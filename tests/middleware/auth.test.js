@@ -0,0 +1,95 @@
+import { jest } from '@jest/globals';
+import Session from '../../src/models/Session.js';
+import User from '../../src/models/User.js';
+import sessionService from '../../src/services/sessionService.js';
+import jwtHelper from '../../src/utils/jwt.js';
+import { authenticate } from '../../src/middleware/auth.js';
+import { buildReq, buildRes, runMiddleware } from '../helpers/http.js';
+import { memoryModel } from '../helpers/memoryModel.js';
+
+const authenticateToken = (token, res) =>
+  runMiddleware(authenticate, buildReq({ headers: { Authorization: `Bearer ${token}` } }), res);
+
+describe('authenticate', () => {
+  let user;
+  let session;
+  let accessToken;
+
+  beforeEach(async () => {
+    memoryModel(User);
+    memoryModel(Session);
+    user = await User.create({ name: 'Member', phone: '9000000013', email: 'auth@example.com', password: 'x' });
+    session = await Session.create({ userId: user._id, email: user.email });
+    ({ accessToken } = await sessionService.issueTokens(user, session));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('attaches the user and session for a live token', async () => {
+    const req = buildReq({ headers: { Authorization: `Bearer ${accessToken}` } });
+
+    await expect(runMiddleware(authenticate, req)).resolves.toBeUndefined();
+
+    expect(String(req.user._id)).toBe(String(user._id));
+    expect(req.authSession).toBe(session);
+    expect(req.token).toBe(accessToken);
+  });
+
+  it('rejects a token whose session was revoked and says why', async () => {
+    await session.invalidate('user_terminated');
+    const res = buildRes();
+
+    await expect(authenticateToken(accessToken, res))
+      .resolves.toMatchObject({ statusCode: 401, code: 'SESSION_REVOKED' });
+    expect(res.cookie).toHaveBeenCalledWith('access_token', '', expect.objectContaining({ expires: new Date(0) }));
+  });
+
+  it('rejects a token without a session ID', async () => {
+    const token = jwtHelper.generateToken({ id: user._id, email: user.email });
+
+    await expect(authenticateToken(token))
+      .resolves.toMatchObject({ statusCode: 401, message: 'Invalid token format. Please login again.' });
+  });
+
+  it('rejects a refresh token', async () => {
+    const { refreshToken } = await sessionService.issueTokens(user, session);
+
+    await expect(authenticateToken(refreshToken)).resolves.toMatchObject({ message: 'Invalid token type' });
+  });
+
+  it('rejects an inactive user and ends the session', async () => {
+    user.isActive = false;
+
+    await expect(authenticateToken(accessToken)).resolves.toMatchObject({ message: 'Account has been deactivated' });
+    expect(session.isActive).toBe(false);
+    expect(session.terminationReason).toBe('account_inactive');
+  });
+
+  it('rejects a locked account', async () => {
+    user.lockUntil = new Date(Date.now() + 60 * 1000);
+
+    await expect(authenticateToken(accessToken)).resolves.toMatchObject({ message: 'Account is temporarily locked' });
+    expect(session.isActive).toBe(true);
+  });
+
+  it('rejects a token issued under an earlier password version', async () => {
+    user.markPasswordChanged();
+
+    await expect(authenticateToken(accessToken))
+      .resolves.toMatchObject({ message: 'Password was changed recently. Please log in again' });
+  });
+
+  it('falls back to the issue time for tokens without a password version', async () => {
+    const issuedAt = Math.floor(Date.now() / 1000) - 60;
+    const token = jwtHelper.generateToken({ id: user._id, sessionId: session.sessionId, iat: issuedAt });
+
+    await expect(authenticateToken(token)).resolves.toBeUndefined();
+
+    user.passwordChangedAt = new Date((issuedAt + 30) * 1000);
+
+    await expect(authenticateToken(token))
+      .resolves.toMatchObject({ message: 'Password was changed recently. Please log in again' });
+  });
+});
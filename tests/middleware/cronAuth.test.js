@@ -0,0 +1,134 @@
+import { jest } from '@jest/globals';
+import Session from '../../src/models/Session.js';
+import User from '../../src/models/User.js';
+import sessionService from '../../src/services/sessionService.js';
+import { authenticateCron, signCronRequest } from '../../src/middleware/cronAuth.js';
+import { buildReq, runMiddleware } from '../helpers/http.js';
+import { memoryModel } from '../helpers/memoryModel.js';
+
+const SECRET = 'cron_test_secret';
+const URL = '/api/v1/admin/check-premium-status?source=scheduler';
+
+const now = () => Math.floor(Date.now() / 1000);
+
+const signedHeaders = ({ timestamp = now(), method = 'GET', url = URL, secret = SECRET } = {}) => ({
+  'x-cron-timestamp': String(timestamp),
+  'x-cron-signature': signCronRequest(secret, timestamp, method, url)
+});
+
+const authenticateWith = async (headers, { method = 'GET', url = URL } = {}) => {
+  const req = buildReq({ method, url, headers });
+  const error = await runMiddleware(authenticateCron, req);
+  return { req, error };
+};
+
+describe('authenticateCron', () => {
+  beforeEach(() => {
+    process.env.CRON_SECRET = SECRET;
+    memoryModel(User);
+    memoryModel(Session);
+  });
+
+  afterEach(() => {
+    delete process.env.CRON_SECRET;
+    jest.restoreAllMocks();
+  });
+
+  describe('shared secret', () => {
+    it('accepts CRON_SECRET as a Bearer token', async () => {
+      const { req, error } = await authenticateWith({ Authorization: `Bearer ${SECRET}` });
+
+      expect(error).toBeUndefined();
+      expect(req.cronAuth).toBe('bearer');
+    });
+
+    it('accepts CRON_SECRET in x-cron-secret', async () => {
+      const { req, error } = await authenticateWith({ 'x-cron-secret': SECRET });
+
+      expect(error).toBeUndefined();
+      expect(req.cronAuth).toBe('secret');
+    });
+
+    it('rejects a wrong x-cron-secret without trying other credentials', async () => {
+      const { req, error } = await authenticateWith({ 'x-cron-secret': 'wrong', ...signedHeaders() });
+
+      expect(error).toMatchObject({ statusCode: 401, message: 'Invalid scheduler credentials' });
+      expect(req.cronAuth).toBeUndefined();
+    });
+  });
+
+  describe('signed request', () => {
+    it('accepts an HMAC over the timestamp, method and URL', async () => {
+      const { req, error } = await authenticateWith(signedHeaders());
+
+      expect(error).toBeUndefined();
+      expect(req.cronAuth).toBe('signature');
+    });
+
+    it('accepts a timestamp within five minutes', async () => {
+      const { error } = await authenticateWith(signedHeaders({ timestamp: now() - 4 * 60 }));
+
+      expect(error).toBeUndefined();
+    });
+
+    it.each([
+      ['replayed after the tolerance', { timestamp: now() - 6 * 60 }],
+      ['dated in the future beyond the tolerance', { timestamp: now() + 6 * 60 }],
+      ['signed with another secret', { secret: 'other_secret' }],
+      ['signed for another method', { method: 'POST' }],
+      ['signed for another URL', { url: '/api/v1/admin/check-premium-status' }]
+    ])('rejects a signature %s', async (description, options) => {
+      const { req, error } = await authenticateWith(signedHeaders(options));
+
+      expect(error).toMatchObject({ statusCode: 401, message: 'Invalid scheduler credentials' });
+      expect(req.cronAuth).toBeUndefined();
+    });
+
+    it('rejects a signature without its timestamp', async () => {
+      const { 'x-cron-signature': signature } = signedHeaders();
+      const { error } = await authenticateWith({ 'x-cron-signature': signature });
+
+      expect(error).toMatchObject({ statusCode: 401 });
+    });
+  });
+
+  describe('admin JWT fallback', () => {
+    const tokenFor = async (role) => {
+      const user = await User.create({ name: 'Caller', phone: '9000000010', email: `${role}@example.com`, password: 'x', role });
+      const session = await Session.create({ userId: user._id, email: user.email });
+      const { accessToken } = await sessionService.issueTokens(user, session);
+      return accessToken;
+    };
+
+    it('accepts an admin access token', async () => {
+      const { req, error } = await authenticateWith({ Authorization: `Bearer ${await tokenFor('admin')}` });
+
+      expect(error).toBeUndefined();
+      expect(req.cronAuth).toBe('admin');
+    });
+
+    it('rejects a non-admin access token', async () => {
+      const { req, error } = await authenticateWith({ Authorization: `Bearer ${await tokenFor('user')}` });
+
+      expect(error).toMatchObject({ statusCode: 403 });
+      expect(req.cronAuth).toBeUndefined();
+    });
+
+    it('rejects a request without credentials', async () => {
+      const { error } = await authenticateWith({});
+
+      expect(error).toMatchObject({ statusCode: 401 });
+    });
+
+    it('falls back to the admin session when CRON_SECRET is not set', async () => {
+      delete process.env.CRON_SECRET;
+
+      const { error: secretError } = await authenticateWith({ 'x-cron-secret': SECRET });
+      const { req, error } = await authenticateWith({ Authorization: `Bearer ${await tokenFor('admin')}` });
+
+      expect(secretError).toMatchObject({ statusCode: 401 });
+      expect(error).toBeUndefined();
+      expect(req.cronAuth).toBe('admin');
+    });
+  });
+});
@@ -0,0 +1,43 @@
+import { jest } from '@jest/globals';
+import WebhookEvent from '../../src/models/WebhookEvent.js';
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('WebhookEvent.claim', () => {
+  const event = { provider: 'razorpay', eventId: 'evt_1', event: 'payment.captured', orderId: 'order_1' };
+
+  it('claims a new event', async () => {
+    const record = new WebhookEvent(event);
+    jest.spyOn(WebhookEvent, 'create').mockResolvedValue(record);
+
+    await expect(WebhookEvent.claim(event)).resolves.toBe(record);
+  });
+
+  it('reclaims failed events and processing ones past their lease', async () => {
+    jest.spyOn(WebhookEvent, 'create').mockRejectedValue(duplicateKeyError());
+    const reclaim = jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockResolvedValue(null);
+    const before = Date.now();
+
+    await expect(WebhookEvent.claim(event)).resolves.toBeNull();
+
+    const [filter, update] = reclaim.mock.calls[0];
+    expect(filter).toMatchObject({ provider: 'razorpay', eventId: 'evt_1' });
+    expect(filter.$or[0]).toEqual({ status: 'failed' });
+    expect(filter.$or[1].status).toBe('processing');
+
+    const leaseStart = filter.$or[1].updatedAt.$lt.getTime();
+    expect(leaseStart).toBeLessThanOrEqual(before - 5 * 60 * 1000 + 1000);
+    expect(leaseStart).toBeGreaterThan(before - 6 * 60 * 1000);
+    expect(update).toEqual({ $set: { status: 'processing', error: null }, $inc: { attempts: 1 } });
+  });
+
+  it('passes on other errors', async () => {
+    jest.spyOn(WebhookEvent, 'create').mockRejectedValue(new Error('connection lost'));
+
+    await expect(WebhookEvent.claim(event)).rejects.toThrow('connection lost');
+  });
+});
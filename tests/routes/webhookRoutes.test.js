@@ -0,0 +1,130 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import app from '../../src/app.js';
+import Payment from '../../src/models/Payment.js';
+import PayInfo from '../../src/models/PayInfo.js';
+import User from '../../src/models/User.js';
+import WebhookEvent from '../../src/models/WebhookEvent.js';
+import auditService from '../../src/services/auditService.js';
+import paymentGatewayService from '../../src/services/paymentGatewayService.js';
+import { memoryModel } from '../helpers/memoryModel.js';
+
+const WEBHOOK_URL = '/api/v1/webhooks/payments/fake';
+
+const post = ({ rawBody, headers }) => request(app).post(WEBHOOK_URL).set(headers).send(rawBody);
+
+describe('POST /webhooks/payments/:provider (fake gateway)', () => {
+  let gateway;
+  let user;
+  let plan;
+
+  beforeAll(() => {
+    process.env.PAYMENT_GATEWAYS = 'fake';
+    process.env.FAKE_GATEWAY_WEBHOOK_SECRET = 'whsec_test';
+    gateway = paymentGatewayService.getGateway('fake');
+  });
+
+  beforeEach(async () => {
+    memoryModel(Payment, { unique: ['utrNormalized', ['gateway.provider', 'gateway.orderId']] });
+    memoryModel(PayInfo);
+    memoryModel(User);
+    memoryModel(WebhookEvent, { unique: [['provider', 'eventId']] });
+    jest.spyOn(auditService, 'record').mockResolvedValue(null);
+
+    user = await User.create({ name: 'Payer', phone: '9000000001', email: 'payer@example.com', password: 'x' });
+    plan = await PayInfo.create({ price: 499, month: 3, type: 'gateway' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('activates the subscription for a signed payment and ignores its replay', async () => {
+    const { payment } = await paymentGatewayService.createOrder(user, plan);
+    expect(payment.decision).toBe('initiated');
+
+    const webhook = gateway.signWebhook(
+      gateway.paymentEvent(payment.gateway.orderId, { amount: 49900 }),
+      { eventId: 'evt_paid' }
+    );
+
+    const first = await post(webhook);
+
+    expect(first.status).toBe(200);
+    expect(first.body.data).toMatchObject({ status: 'processed', activated: true });
+
+    const activated = await User.findById(user._id);
+    const endDate = activated.premiumEndDate;
+    expect(activated.subscriptionState).toBe('active');
+    expect(endDate.getTime()).toBeGreaterThan(Date.now() + 88 * 24 * 60 * 60 * 1000);
+    expect((await Payment.findById(payment._id)).decision).toBe('approved');
+    expect(auditService.record).toHaveBeenCalledTimes(1);
+
+    const replay = await post(webhook);
+
+    expect(replay.status).toBe(200);
+    expect(replay.body.message).toBe('Event already processed');
+    expect(replay.body.data.status).toBe('duplicate');
+    expect((await User.findById(user._id)).premiumEndDate).toEqual(endDate);
+    expect(auditService.record).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not extend twice when a second event reports the same order paid', async () => {
+    const { payment } = await paymentGatewayService.createOrder(user, plan);
+    const orderId = payment.gateway.orderId;
+
+    await post(gateway.signWebhook(gateway.paymentEvent(orderId, { amount: 49900 }), { eventId: 'evt_captured' }));
+    const endDate = (await User.findById(user._id)).premiumEndDate;
+
+    const orderPaid = await post(gateway.signWebhook({
+      entity: 'event',
+      event: 'order.paid',
+      payload: { order: { entity: { id: orderId, amount_paid: 49900, currency: 'INR' } } }
+    }, { eventId: 'evt_order_paid' }));
+
+    expect(orderPaid.status).toBe(200);
+    expect(orderPaid.body.data).toMatchObject({ status: 'ignored', activated: false });
+    expect((await User.findById(user._id)).premiumEndDate).toEqual(endDate);
+  });
+
+  it('rejects a webhook with a bad signature', async () => {
+    const { payment } = await paymentGatewayService.createOrder(user, plan);
+    const webhook = gateway.signWebhook(gateway.paymentEvent(payment.gateway.orderId, { amount: 49900 }));
+    webhook.headers['x-razorpay-signature'] = '0'.repeat(64);
+
+    const response = await post(webhook);
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('INVALID_WEBHOOK_SIGNATURE');
+    expect((await Payment.findById(payment._id)).decision).toBe('initiated');
+    expect((await User.findById(user._id)).subscriptionState).not.toBe('active');
+  });
+
+  it('rejects a webhook signed with another secret', async () => {
+    const { payment } = await paymentGatewayService.createOrder(user, plan);
+    const rawBody = JSON.stringify(gateway.paymentEvent(payment.gateway.orderId, { amount: 49900 }));
+    const { default: crypto } = await import('crypto');
+
+    const response = await post({
+      rawBody,
+      headers: {
+        'content-type': 'application/json',
+        'x-razorpay-event-id': 'evt_forged',
+        'x-razorpay-signature': crypto.createHmac('sha256', 'fake_gateway_test_secret').update(rawBody).digest('hex')
+      }
+    });
+
+    expect(response.status).toBe(401);
+    expect((await Payment.findById(payment._id)).decision).toBe('initiated');
+  });
+
+  it('leaves an underpaid order pending for an admin', async () => {
+    const { payment } = await paymentGatewayService.createOrder(user, plan);
+
+    const response = await post(gateway.signWebhook(gateway.paymentEvent(payment.gateway.orderId, { amount: 100 })));
+
+    expect(response.body.data).toMatchObject({ status: 'processed', activated: false });
+    expect((await Payment.findById(payment._id)).decision).toBe('pending');
+    expect((await User.findById(user._id)).subscriptionState).not.toBe('active');
+  });
+});
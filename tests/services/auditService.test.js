@@ -0,0 +1,87 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import AuditLog from '../../src/models/AuditLog.js';
+import auditService from '../../src/services/auditService.js';
+import { buildReq } from '../helpers/http.js';
+import { memoryModel } from '../helpers/memoryModel.js';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('auditService.diff', () => {
+  it('keeps only the fields that changed', () => {
+    const before = { isPremium: false, status: 'pending', subscriptionMonths: 1 };
+    const after = { isPremium: true, status: 'paid', subscriptionMonths: 1 };
+
+    expect(auditService.diff(before, after)).toEqual({
+      before: { isPremium: false, status: 'pending' },
+      after: { isPremium: true, status: 'paid' }
+    });
+  });
+
+  it('records added and removed fields as null on the other side', () => {
+    expect(auditService.diff({ reason: 'fraud' }, { note: 'checked' })).toEqual({
+      before: { reason: 'fraud', note: null },
+      after: { reason: null, note: 'checked' }
+    });
+  });
+
+  it('treats null and undefined as the same value', () => {
+    expect(auditService.diff({ premiumEndDate: null }, { premiumEndDate: undefined })).toEqual({ before: {}, after: {} });
+  });
+
+  it('compares dates and nested values by content', () => {
+    const before = { premiumEndDate: new Date('2024-03-05T00:00:00Z'), plan: { month: 1 } };
+    const after = { premiumEndDate: new Date('2024-03-05T00:00:00Z'), plan: { month: 3 } };
+
+    expect(auditService.diff(before, after)).toEqual({
+      before: { plan: { month: 1 } },
+      after: { plan: { month: 3 } }
+    });
+  });
+
+  it('handles missing snapshots', () => {
+    expect(auditService.diff(null, { isActive: true })).toEqual({ before: { isActive: null }, after: { isActive: true } });
+  });
+});
+
+describe('auditService.record', () => {
+  const admin = { _id: new mongoose.Types.ObjectId(), email: 'admin@example.com' };
+
+  const request = () => {
+    const req = buildReq({ headers: { 'User-Agent': 'AdminPanel/1.0' }, ip: '203.0.113.9' });
+    req.user = admin;
+    return req;
+  };
+
+  it('stores the actor, the request origin and only the changed fields', async () => {
+    memoryModel(AuditLog);
+    const targetUser = new mongoose.Types.ObjectId();
+
+    const entry = await auditService.record(request(), {
+      action: 'user.block',
+      targetUser,
+      before: { isActive: true, email: 'member@example.com' },
+      after: { isActive: false, email: 'member@example.com' },
+      reason: 'Chargeback'
+    });
+
+    expect(entry.toObject()).toMatchObject({
+      actor: admin._id,
+      actorEmail: admin.email,
+      action: 'user.block',
+      targetUser,
+      changes: { before: { isActive: true }, after: { isActive: false } },
+      reason: 'Chargeback',
+      ipAddress: '203.0.113.9',
+      userAgent: 'AdminPanel/1.0'
+    });
+  });
+
+  it('never breaks the audited action', async () => {
+    jest.spyOn(AuditLog, 'create').mockRejectedValue(new Error('Database unavailable'));
+
+    await expect(auditService.record(request(), { action: 'user.block' })).resolves.toBeNull();
+  });
+});
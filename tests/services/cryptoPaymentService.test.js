@@ -0,0 +1,183 @@
+import { jest } from '@jest/globals';
+import Payment from '../../src/models/Payment.js';
+import PayInfo from '../../src/models/PayInfo.js';
+import User from '../../src/models/User.js';
+import auditService from '../../src/services/auditService.js';
+import cryptoPaymentService from '../../src/services/cryptoPaymentService.js';
+import FakeExplorer from '../../src/services/explorers/fakeExplorer.js';
+import { memoryModel } from '../helpers/memoryModel.js';
+
+const WALLET = '0x' + 'ab'.repeat(20);
+const OTHER_WALLET = '0x' + 'cd'.repeat(20);
+const MINUTE_MS = 60 * 1000;
+
+describe('cryptoPaymentService', () => {
+  let explorer;
+  let plan;
+  let payments;
+
+  const createUser = (n) => User.create({ name: `Payer ${n}`, phone: `900000000${n}`, email: `payer${n}@example.com`, password: 'x' });
+
+  const send = (intent, overrides = {}) => explorer.addTransfer({
+    to: intent.crypto.address,
+    contract: intent.crypto.contract,
+    amount: intent.crypto.amountUnits,
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    process.env.CRYPTO_MIN_CONFIRMATIONS = '3';
+    payments = memoryModel(Payment, { unique: ['utrNormalized', 'crypto.amountKey'] });
+    memoryModel(PayInfo);
+    memoryModel(User);
+    jest.spyOn(auditService, 'record').mockResolvedValue(null);
+
+    explorer = new FakeExplorer();
+    cryptoPaymentService.explorer = explorer;
+    plan = await PayInfo.create({ price: 10, month: 1, type: 'crypto', walletAddress: WALLET, network: 'polygon' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.CRYPTO_MIN_CONFIRMATIONS;
+    cryptoPaymentService.explorer = null;
+  });
+
+  describe('createIntent', () => {
+    it('gives each open intent its own amount and reuses an open one', async () => {
+      const [first, second] = [await createUser(1), await createUser(2)];
+
+      const intent = await cryptoPaymentService.createIntent(first, plan);
+      const again = await cryptoPaymentService.createIntent(first, plan);
+      const other = await cryptoPaymentService.createIntent(second, plan);
+
+      expect(again._id).toEqual(intent._id);
+      expect(intent.crypto).toMatchObject({ token: 'USDT', network: 'polygon', address: WALLET, amountUnits: '10000100' });
+      expect(other.crypto.amountUnits).toBe('10000200');
+      expect(intent.crypto.requiredConfirmations).toBe(3);
+    });
+
+    it('keeps a closed intent\'s amount reserved until the cooldown is over', async () => {
+      const [first, second] = [await createUser(1), await createUser(2)];
+      const intent = await cryptoPaymentService.createIntent(first, plan);
+
+      intent.crypto.expiresAt = new Date(Date.now() - MINUTE_MS);
+      expect(await cryptoPaymentService.releaseExpired()).toBe(1);
+      expect(intent.crypto.status).toBe('expired');
+
+      const next = await cryptoPaymentService.createIntent(second, plan);
+      expect(next.crypto.amountUnits).not.toBe(intent.crypto.amountUnits);
+
+      intent.crypto.amountHeldUntil = new Date(Date.now() - MINUTE_MS);
+      await cryptoPaymentService.releaseExpired();
+      expect(intent.crypto.amountKey).toBeNull();
+
+      const third = await cryptoPaymentService.createIntent(await createUser(3), plan);
+      expect(third.crypto.amountUnits).toBe(intent.crypto.amountUnits);
+    });
+  });
+
+  describe('confirmIntent', () => {
+    let user;
+    let intent;
+
+    beforeEach(async () => {
+      user = await createUser(1);
+      intent = await cryptoPaymentService.createIntent(user, plan);
+    });
+
+    it('waits for the required confirmations, then activates the subscription once', async () => {
+      const txHash = send(intent, { confirmations: 1 });
+
+      const pending = await cryptoPaymentService.confirmIntent(intent, txHash);
+      expect(pending.verified).toBe(false);
+      expect(intent.crypto.status).toBe('confirming');
+      expect(intent.utrNo).toBe(txHash);
+      expect((await User.findById(user._id)).subscriptionState).not.toBe('active');
+
+      explorer.setConfirmations(txHash, 3);
+      expect(await cryptoPaymentService.recheckConfirming()).toMatchObject({ checked: 1, verified: 1 });
+
+      const stored = payments.get(String(intent._id));
+      expect(stored.decision).toBe('approved');
+      expect(stored.crypto.status).toBe('verified');
+      expect(stored.crypto.amountHeldUntil.getTime()).toBeGreaterThan(Date.now());
+
+      const activated = await User.findById(user._id);
+      const endDate = activated.premiumEndDate;
+      expect(activated.subscriptionState).toBe('active');
+
+      // Submitting again, or another recheck, changes nothing
+      await cryptoPaymentService.confirmIntent(stored, txHash);
+      expect(await cryptoPaymentService.recheckConfirming()).toMatchObject({ checked: 0 });
+      expect((await User.findById(user._id)).premiumEndDate).toEqual(endDate);
+      expect(auditService.record).toHaveBeenCalledTimes(1);
+    });
+
+    it.each([
+      ['a wrong amount', { amount: '10000000' }, 'needs exactly 10.0001 USDT'],
+      ['a wrong address', { to: OTHER_WALLET }, 'did not send USDT'],
+      ['another token', { contract: '0x' + '11'.repeat(20) }, 'did not send USDT'],
+      ['a transfer made before the intent', { timestamp: new Date(Date.now() - MINUTE_MS) }, 'before the payment request'],
+      ['a failed transaction', { status: 'failed' }, 'failed on chain']
+    ])('rejects %s without reserving the hash', async (label, overrides, message) => {
+      const txHash = send(intent, overrides);
+
+      await expect(cryptoPaymentService.confirmIntent(intent, txHash))
+        .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining(message) });
+      expect(intent.utrNo).toBeUndefined();
+      expect(intent.crypto.status).toBe('awaiting_payment');
+    });
+
+    it('rejects a pending transaction that does not pay the intent', async () => {
+      const txHash = send(intent, { status: 'pending', amount: '1' });
+
+      await expect(cryptoPaymentService.confirmIntent(intent, txHash)).rejects.toMatchObject({ statusCode: 400 });
+      expect(intent.utrNo).toBeUndefined();
+    });
+
+    it('rejects an unknown hash', async () => {
+      await expect(cryptoPaymentService.confirmIntent(intent, '0x' + 'f'.repeat(64)))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('rejects an expired intent', async () => {
+      const txHash = send(intent);
+      intent.crypto.expiresAt = new Date(Date.now() - MINUTE_MS);
+
+      await expect(cryptoPaymentService.confirmIntent(intent, txHash))
+        .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('expired') });
+    });
+
+    it('rejects a transfer mined after the intent expired', async () => {
+      const txHash = send(intent, { timestamp: new Date(intent.crypto.expiresAt.getTime() + MINUTE_MS) });
+
+      await expect(cryptoPaymentService.confirmIntent(intent, txHash))
+        .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('after the payment request expired') });
+    });
+
+    it('does not credit one transaction to two intents', async () => {
+      const txHash = send(intent, { confirmations: 3 });
+      await cryptoPaymentService.confirmIntent(intent, txHash);
+
+      const other = await cryptoPaymentService.createIntent(await createUser(2), plan);
+
+      await expect(cryptoPaymentService.confirmIntent(other, txHash))
+        .rejects.toMatchObject({ statusCode: 409, code: 'DUPLICATE_UTR' });
+    });
+
+    it('releases the hash of a pending transaction that fails once mined', async () => {
+      const txHash = send(intent, { status: 'pending' });
+
+      await cryptoPaymentService.confirmIntent(intent, txHash);
+      expect(intent.crypto.status).toBe('confirming');
+
+      send(intent, { txHash, status: 'failed' });
+      await cryptoPaymentService.recheckConfirming();
+
+      expect(intent.crypto.status).toBe('awaiting_payment');
+      expect(intent.utrNo).toBeUndefined();
+      expect(intent.crypto.lastError).toContain('failed on chain');
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import http from 'http';
+import EtherscanExplorer from '../../../src/services/explorers/etherscanExplorer.js';
+import { CRYPTO_NETWORKS } from '../../../src/config/crypto.js';
+
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+const network = CRYPTO_NETWORKS.polygon;
+const contract = network.tokens.USDT.contract;
+const to = 'ab'.repeat(20);
+const word = (hex) => hex.padStart(64, '0');
+
+describe('EtherscanExplorer', () => {
+  let server;
+  let explorer;
+  let chain;
+  const requests = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const params = new URL(req.url, 'http://localhost').searchParams;
+      requests.push(Object.fromEntries(params));
+      const result = chain[params.get('action')]?.(params) ?? null;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: 1, result }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    explorer = new EtherscanExplorer({ apiUrl: `http://127.0.0.1:${server.address().port}/v2/api`, apiKey: 'key' });
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    requests.length = 0;
+  });
+
+  it('reads ERC-20 transfers, confirmations and block time from a mined transaction', async () => {
+    chain = {
+      eth_getTransactionReceipt: () => ({
+        status: '0x1',
+        blockNumber: '0x10',
+        logs: [{
+          address: contract.toUpperCase().replace('0X', '0x'),
+          topics: [TRANSFER_TOPIC, '0x' + word('11'.repeat(20)), '0x' + word(to)],
+          data: '0x' + word((10000100).toString(16))
+        }]
+      }),
+      eth_blockNumber: () => '0x14',
+      eth_getBlockByNumber: () => ({ timestamp: '0x65000000' })
+    };
+
+    const transaction = await explorer.getTokenTransfer(network, '0xaa');
+
+    expect(transaction).toMatchObject({
+      status: 'success',
+      blockNumber: 16,
+      confirmations: 5,
+      transfers: [{ contract, from: '0x' + '11'.repeat(20), to: '0x' + to, amount: '10000100' }]
+    });
+    expect(transaction.timestamp).toEqual(new Date(0x65000000 * 1000));
+    expect(requests[0]).toMatchObject({ chainid: '137', module: 'proxy', apikey: 'key' });
+  });
+
+  it('decodes the transfer a pending transaction will make', async () => {
+    chain = {
+      eth_getTransactionByHash: () => ({
+        from: '0x' + '11'.repeat(20),
+        to: contract,
+        input: '0xa9059cbb' + word(to) + word((10000100).toString(16))
+      })
+    };
+
+    await expect(explorer.getTokenTransfer(network, '0xbb')).resolves.toMatchObject({
+      status: 'pending',
+      confirmations: 0,
+      timestamp: null,
+      transfers: [{ contract, to: '0x' + to, amount: '10000100' }]
+    });
+  });
+
+  it('returns null for an unknown hash', async () => {
+    chain = {};
+
+    await expect(explorer.getTokenTransfer(network, '0xcc')).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,58 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import FakeExplorer from '../../../src/services/explorers/fakeExplorer.js';
+import { CRYPTO_NETWORKS } from '../../../src/config/crypto.js';
+
+const network = CRYPTO_NETWORKS.polygon;
+const contract = network.tokens.USDT.contract;
+const to = '0x' + 'ab'.repeat(20);
+
+describe('FakeExplorer', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-explorer-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('serves transfers added in code', async () => {
+    const explorer = new FakeExplorer();
+    const txHash = explorer.addTransfer({ to, contract, amount: '10000100', confirmations: 2 });
+
+    explorer.setConfirmations(txHash, 5);
+
+    await expect(explorer.getTokenTransfer(network, txHash.toUpperCase().replace('0X', '0x'))).resolves.toMatchObject({
+      status: 'success',
+      confirmations: 5,
+      transfers: [{ contract, to, amount: '10000100' }]
+    });
+    await expect(explorer.getTokenTransfer(network, '0x' + '0'.repeat(64))).resolves.toBeNull();
+  });
+
+  it('reads transfers from its file on every lookup', async () => {
+    const file = path.join(dir, 'transfers.json');
+    const txHash = '0x' + '1'.repeat(64);
+    const explorer = new FakeExplorer({ transfersFile: file });
+
+    await expect(explorer.getTokenTransfer(network, txHash)).resolves.toBeNull();
+
+    fs.writeFileSync(file, JSON.stringify([{ txHash, to, contract, amount: '10000100', status: 'pending' }]));
+    await expect(explorer.getTokenTransfer(network, txHash)).resolves.toMatchObject({ status: 'pending', confirmations: 0 });
+
+    fs.writeFileSync(file, JSON.stringify([{ txHash, to, contract, amount: '10000100', confirmations: 64, timestamp: '2026-01-01T00:00:00Z' }]));
+    const transaction = await explorer.getTokenTransfer(network, txHash);
+    expect(transaction).toMatchObject({ status: 'success', confirmations: 64 });
+    expect(transaction.timestamp).toEqual(new Date('2026-01-01T00:00:00Z'));
+  });
+
+  it('reports an unreadable file', async () => {
+    const file = path.join(dir, 'transfers.json');
+    fs.writeFileSync(file, '{ not json');
+
+    await expect(new FakeExplorer({ transfersFile: file }).getTokenTransfer(network, '0x1')).rejects.toThrow('Fake explorer cannot read');
+  });
+});
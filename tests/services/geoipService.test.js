@@ -0,0 +1,99 @@
+import { jest } from '@jest/globals';
+import maxmind from 'maxmind';
+import geoipService from '../../src/services/geoipService.js';
+
+const EMPTY = { country: null, countryCode: null, city: null, timezone: null };
+
+// Stand-in for a MaxMind reader: private and unknown addresses have no record
+const RECORDS = {
+  '49.36.10.1': {
+    country: { iso_code: 'IN', names: { en: 'India' } },
+    city: { names: { en: 'Mumbai' } },
+    location: { time_zone: 'Asia/Kolkata' }
+  },
+  '2001:4860::1': { registered_country: { iso_code: 'US', names: { en: 'United States' } } }
+};
+
+const reader = { get: jest.fn(ip => RECORDS[ip] || null) };
+
+describe('geoipService.lookup', () => {
+  beforeEach(() => {
+    geoipService.reader = null;
+    geoipService.loading = null;
+    geoipService.disabled = false;
+    reader.get.mockClear();
+  });
+
+  afterEach(() => {
+    delete process.env.GEOIP_DB_PATH;
+    jest.restoreAllMocks();
+  });
+
+  describe('without a database', () => {
+    it('returns an empty location when GEOIP_DB_PATH is not set', async () => {
+      const open = jest.spyOn(maxmind, 'open');
+
+      await expect(geoipService.lookup('49.36.10.1')).resolves.toEqual(EMPTY);
+      expect(open).not.toHaveBeenCalled();
+    });
+
+    it('returns an empty location and stops trying when the database cannot be opened', async () => {
+      process.env.GEOIP_DB_PATH = '/nonexistent/GeoLite2-City.mmdb';
+      const open = jest.spyOn(maxmind, 'open');
+
+      await expect(geoipService.lookup('49.36.10.1')).resolves.toEqual(EMPTY);
+      await expect(geoipService.lookup('49.36.10.1')).resolves.toEqual(EMPTY);
+
+      expect(open).toHaveBeenCalledTimes(1);
+      expect(geoipService.disabled).toBe(true);
+    });
+  });
+
+  describe('with a database', () => {
+    beforeEach(() => {
+      process.env.GEOIP_DB_PATH = '/data/GeoLite2-City.mmdb';
+      jest.spyOn(maxmind, 'open').mockResolvedValue(reader);
+    });
+
+    it('resolves the country, city and time zone', async () => {
+      await expect(geoipService.lookup('49.36.10.1')).resolves.toEqual({
+        country: 'India',
+        countryCode: 'IN',
+        city: 'Mumbai',
+        timezone: 'Asia/Kolkata'
+      });
+    });
+
+    it('reads IPv4 addresses reported in IPv6 form', async () => {
+      await expect(geoipService.lookup('::ffff:49.36.10.1')).resolves.toMatchObject({ countryCode: 'IN' });
+      expect(reader.get).toHaveBeenCalledWith('49.36.10.1');
+    });
+
+    it('falls back to the registered country', async () => {
+      await expect(geoipService.lookup('2001:4860::1')).resolves.toEqual({ ...EMPTY, country: 'United States', countryCode: 'US' });
+    });
+
+    it.each(['10.0.0.7', '192.168.1.20', '127.0.0.1', '::1'])('returns an empty location for the private address %s', async (ip) => {
+      await expect(geoipService.lookup(ip)).resolves.toEqual(EMPTY);
+    });
+
+    it.each([undefined, null, '', 'not-an-ip', '999.1.1.1'])('returns an empty location for %p without a lookup', async (ip) => {
+      await expect(geoipService.lookup(ip)).resolves.toEqual(EMPTY);
+      expect(reader.get).not.toHaveBeenCalled();
+    });
+
+    it('returns an empty location when the lookup throws', async () => {
+      reader.get.mockImplementationOnce(() => {
+        throw new Error('Corrupt search tree');
+      });
+
+      await expect(geoipService.lookup('49.36.10.1')).resolves.toEqual(EMPTY);
+    });
+
+    it('opens the database once for concurrent lookups', async () => {
+      await Promise.all([geoipService.lookup('49.36.10.1'), geoipService.lookup('49.36.10.1')]);
+
+      expect(maxmind.open).toHaveBeenCalledTimes(1);
+    });
+  });
+});
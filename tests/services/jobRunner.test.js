@@ -0,0 +1,70 @@
+import { jest } from '@jest/globals';
+import JobLock from '../../src/models/JobLock.js';
+import JobRun from '../../src/models/JobRun.js';
+import jobRunner from '../../src/services/jobRunner.js';
+import { memoryModel } from '../helpers/memoryModel.js';
+
+describe('jobRunner.run', () => {
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    memoryModel(JobLock, { unique: ['name'] });
+    memoryModel(JobRun);
+    await JobLock.create({ name: 'long-job', lockedUntil: new Date(Date.now() - 1000) });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('keeps extending the lock while a job outlasts its TTL', async () => {
+    let heldDuringJob;
+
+    const { ran } = await jobRunner.run('long-job', async () => {
+      await jest.advanceTimersByTimeAsync(2500);
+      heldDuringJob = (await JobLock.findOne({ name: 'long-job' })).isHeld();
+      return {};
+    }, { lockTtlMs: 1000 });
+
+    expect(ran).toBe(true);
+    expect(heldDuringJob).toBe(true);
+    expect((await JobLock.findOne({ name: 'long-job' })).isHeld()).toBe(false);
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  it('refuses a second run of the same job on this instance while the first is going', async () => {
+    let finishFirst;
+    let markStarted;
+    const started = new Promise(resolve => {
+      markStarted = resolve;
+    });
+    const handler = jest.fn(() => new Promise(resolve => {
+      finishFirst = resolve;
+      markStarted();
+    }));
+
+    const first = jobRunner.run('long-job', handler, { trigger: 'schedule' });
+    await started;
+    const second = await jobRunner.run('long-job', handler, { trigger: 'http' });
+
+    expect(second).toEqual({ ran: false, run: null });
+    expect((await JobLock.findOne({ name: 'long-job' })).isHeld()).toBe(true);
+
+    finishFirst({ updatedCount: 1 });
+    expect((await first).ran).toBe(true);
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    await expect(jobRunner.run('long-job', async () => ({}))).resolves.toMatchObject({ ran: true });
+  });
+
+  it('releases the lock when the run history cannot be written', async () => {
+    jest.spyOn(JobRun, 'create').mockRejectedValue(new Error('insert failed'));
+    const handler = jest.fn();
+
+    await expect(jobRunner.run('long-job', handler)).rejects.toThrow('insert failed');
+
+    expect(handler).not.toHaveBeenCalled();
+    expect((await JobLock.findOne({ name: 'long-job' })).isHeld()).toBe(false);
+    expect(jest.getTimerCount()).toBe(0);
+  });
+});
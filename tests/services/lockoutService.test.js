@@ -0,0 +1,67 @@
+import { jest } from '@jest/globals';
+import User from '../../src/models/User.js';
+import emailService from '../../src/services/emailService.js';
+import lockoutService from '../../src/services/lockoutService.js';
+import { memoryModel } from '../helpers/memoryModel.js';
+
+const MINUTE = 60 * 1000;
+
+const failTimes = async (user, times) => {
+  let result;
+  for (let attempt = 0; attempt < times; attempt += 1) {
+    result = await lockoutService.recordFailedLogin(user, { ipAddress: '203.0.113.7' });
+  }
+  return result;
+};
+
+describe('account lockout', () => {
+  let user;
+
+  beforeEach(async () => {
+    memoryModel(User);
+    jest.spyOn(emailService, 'sendAccountLockedEmail').mockResolvedValue(null);
+    user = await User.create({ name: 'Member', phone: '9000000007', email: 'locked@example.com', password: 'x' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('locks the account on the fifth failed login and emails an unlock link', async () => {
+    expect(await failTimes(user, 4)).toEqual({ locked: false, lockUntil: null });
+    expect(user.isAccountLocked).toBe(false);
+
+    const { locked, lockUntil } = await failTimes(user, 1);
+
+    expect(locked).toBe(true);
+    expect(lockUntil.getTime()).toBeGreaterThan(Date.now() + 14 * MINUTE);
+    expect(() => lockoutService.assertNotLocked(user)).toThrow(expect.objectContaining({ code: 'ACCOUNT_LOCKED' }));
+    expect(emailService.sendAccountLockedEmail).toHaveBeenCalledTimes(1);
+    expect(emailService.sendAccountLockedEmail.mock.calls[0][2].unlockUrl).toMatch(/unlock-account\?token=[0-9a-f]{64}$/);
+  });
+
+  it('unlocks with the emailed token once, and doubles the next lock', async () => {
+    await failTimes(user, 5);
+    const { unlockUrl } = emailService.sendAccountLockedEmail.mock.calls[0][2];
+    const token = new URL(unlockUrl).searchParams.get('token');
+
+    await expect(lockoutService.unlockWithToken(token)).resolves.toBe(user);
+    expect(user.isAccountLocked).toBe(false);
+    await expect(lockoutService.unlockWithToken(token)).resolves.toBeNull();
+
+    const { locked, lockUntil } = await failTimes(user, 5);
+
+    expect(locked).toBe(true);
+    expect(lockUntil.getTime()).toBeGreaterThan(Date.now() + 29 * MINUTE);
+  });
+
+  it('starts counting again after a lock has run out', async () => {
+    await failTimes(user, 5);
+    user.lockUntil = new Date(Date.now() - 1000);
+
+    await failTimes(user, 1);
+
+    expect(user.loginAttempts).toBe(1);
+    expect(user.isAccountLocked).toBe(false);
+  });
+});
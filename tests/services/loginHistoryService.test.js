@@ -0,0 +1,135 @@
+import { jest } from '@jest/globals';
+import LoginEvent from '../../src/models/LoginEvent.js';
+import Session from '../../src/models/Session.js';
+import User from '../../src/models/User.js';
+import emailService from '../../src/services/emailService.js';
+import geoipService from '../../src/services/geoipService.js';
+import loginHistoryService from '../../src/services/loginHistoryService.js';
+import { buildReq } from '../helpers/http.js';
+import { memoryModel } from '../helpers/memoryModel.js';
+
+const LAPTOP = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+const PHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+
+describe('loginHistoryService', () => {
+  let user;
+  let sendNewSignInEmail;
+
+  const signIn = async (userAgent) => {
+    const session = await Session.create({ userId: user._id, email: user.email });
+    return loginHistoryService.recordLogin(buildReq({ headers: { 'User-Agent': userAgent } }), user, session);
+  };
+
+  // The token only exists in the emailed link
+  const revokeToken = (call = 0) => new URL(sendNewSignInEmail.mock.calls[call][2].revokeUrl).searchParams.get('token');
+
+  beforeEach(async () => {
+    memoryModel(User);
+    memoryModel(Session);
+    memoryModel(LoginEvent);
+    jest.spyOn(geoipService, 'lookup').mockResolvedValue(geoipService.emptyLocation());
+    sendNewSignInEmail = jest.spyOn(emailService, 'sendNewSignInEmail').mockResolvedValue(null);
+    user = await User.create({ name: 'Member', phone: '9000000014', email: 'history@example.com', password: 'x' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('new device detection', () => {
+    it('does not treat the very first login as a new device', async () => {
+      const event = await signIn(LAPTOP);
+
+      expect(event.isNewDevice).toBe(false);
+      expect(sendNewSignInEmail).not.toHaveBeenCalled();
+    });
+
+    it('alerts on a browser the user never signed in from', async () => {
+      await signIn(LAPTOP);
+
+      const event = await signIn(PHONE);
+
+      expect(event.isNewDevice).toBe(true);
+      expect(sendNewSignInEmail).toHaveBeenCalledWith(user.email, user.name, expect.objectContaining({
+        deviceInfo: expect.objectContaining({ userAgent: PHONE }),
+        revokeUrl: expect.stringMatching(/\/secure-account\?token=[0-9a-f]{64}$/)
+      }));
+      expect(event.revokeTokenHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(event.revokeTokenHash).not.toBe(revokeToken());
+    });
+
+    it('stays quiet for a known browser', async () => {
+      await signIn(LAPTOP);
+      await signIn(LAPTOP);
+
+      expect(sendNewSignInEmail).not.toHaveBeenCalled();
+    });
+
+    it('ignores failed attempts from the browser', async () => {
+      await signIn(LAPTOP);
+      await loginHistoryService.record(buildReq({ headers: { 'User-Agent': PHONE } }), { user, outcome: 'failed', failureReason: 'invalid_password' });
+
+      const event = await signIn(PHONE);
+
+      expect(event.isNewDevice).toBe(true);
+    });
+
+    it('still records the login when the alert email fails', async () => {
+      sendNewSignInEmail.mockRejectedValue(new Error('Email provider down'));
+      await signIn(LAPTOP);
+
+      await expect(signIn(PHONE)).resolves.toMatchObject({ outcome: 'success', isNewDevice: true });
+    });
+  });
+
+  describe('revokeWithToken', () => {
+    let sessions;
+
+    beforeEach(async () => {
+      await signIn(LAPTOP);
+      await signIn(PHONE);
+      sessions = await Session.find({ userId: user._id });
+    });
+
+    it('signs out every device of the account', async () => {
+      const result = await loginHistoryService.revokeWithToken(revokeToken());
+
+      expect(result.sessionsTerminated).toBe(2);
+      expect(String(result.user._id)).toBe(String(user._id));
+      expect(result.event.reportedAt).toBeInstanceOf(Date);
+      sessions.forEach(session => {
+        expect(session.isActive).toBe(false);
+        expect(session.terminationReason).toBe('reported_sign_in');
+      });
+    });
+
+    it('works only once', async () => {
+      const token = revokeToken();
+      await loginHistoryService.revokeWithToken(token);
+      await signIn(LAPTOP);
+
+      await expect(loginHistoryService.revokeWithToken(token)).resolves.toBeNull();
+      expect(await Session.countDocuments({ userId: user._id, isActive: true })).toBe(1);
+    });
+
+    it('lets only one of two concurrent uses through', async () => {
+      const token = revokeToken();
+
+      const results = await Promise.all([
+        loginHistoryService.revokeWithToken(token),
+        loginHistoryService.revokeWithToken(token)
+      ]);
+
+      expect(results.filter(Boolean)).toHaveLength(1);
+    });
+
+    it('rejects an expired or unknown token', async () => {
+      const event = await LoginEvent.findOne({ isNewDevice: true });
+      event.revokeTokenExpires = new Date(Date.now() - 1000);
+
+      await expect(loginHistoryService.revokeWithToken(revokeToken())).resolves.toBeNull();
+      await expect(loginHistoryService.revokeWithToken('0'.repeat(64))).resolves.toBeNull();
+      expect(sessions.every(session => session.isActive)).toBe(true);
+    });
+  });
+});
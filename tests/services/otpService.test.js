@@ -0,0 +1,126 @@
+import { jest } from '@jest/globals';
+import OtpAttempt from '../../src/models/OtpAttempt.js';
+import User from '../../src/models/User.js';
+import otpService from '../../src/services/otpService.js';
+import { memoryModel } from '../helpers/memoryModel.js';
+
+const EMAIL = 'otp@example.com';
+const IP = '203.0.113.7';
+
+const failTimes = async (user, times, { email = EMAIL, ipAddress = IP } = {}) => {
+  for (let attempt = 0; attempt < times; attempt += 1) {
+    await otpService.verify(user, '000000', { email, ipAddress });
+  }
+};
+
+const attemptFor = (key) => OtpAttempt.findOne({ key });
+
+describe('OTP verification limits', () => {
+  let user;
+  let otp;
+
+  beforeEach(async () => {
+    memoryModel(User);
+    memoryModel(OtpAttempt, { unique: ['key'] });
+    user = await User.create({ name: 'Member', phone: '9000000011', email: EMAIL, password: 'x' });
+    otp = user.createEmailOTP();
+    // Never the wrong code used below
+    if (otp === '000000') otp = user.createEmailOTP();
+  });
+
+  afterEach(() => {
+    delete process.env.OTP_MAX_ATTEMPTS_PER_IP;
+    jest.restoreAllMocks();
+  });
+
+  it('accepts the right code and forgets earlier failures', async () => {
+    await failTimes(user, 2);
+
+    await expect(otpService.verify(user, otp, { email: EMAIL, ipAddress: IP })).resolves.toBe(true);
+    expect(await attemptFor(otpService.emailKey(EMAIL))).toBeNull();
+  });
+
+  it('locks the email and discards the OTP on the fifth wrong code', async () => {
+    await failTimes(user, 4);
+    expect(user.emailOTP).toBeTruthy();
+
+    await expect(failTimes(user, 1)).rejects.toMatchObject({ statusCode: 429, code: 'OTP_LOCKED' });
+
+    expect(user.emailOTP).toBeUndefined();
+    expect(user.emailOTPExpires).toBeUndefined();
+    await expect(otpService.verify(user, otp, { email: EMAIL, ipAddress: '198.51.100.1' }))
+      .rejects.toMatchObject({ code: 'OTP_LOCKED' });
+  });
+
+  it('matches the email lock regardless of case and spaces', async () => {
+    await expect(failTimes(user, 5, { email: ` ${EMAIL.toUpperCase()} ` })).rejects.toMatchObject({ code: 'OTP_LOCKED' });
+
+    await expect(otpService.assertNotLocked(EMAIL, '198.51.100.1')).rejects.toMatchObject({ code: 'OTP_LOCKED' });
+  });
+
+  it('locks an IP address that fails across many emails', async () => {
+    process.env.OTP_MAX_ATTEMPTS_PER_IP = '3';
+
+    await failTimes(null, 1, { email: 'a@example.com' });
+    await failTimes(null, 1, { email: 'b@example.com' });
+    await expect(failTimes(null, 1, { email: 'c@example.com' })).rejects.toMatchObject({ code: 'OTP_LOCKED' });
+
+    await expect(otpService.assertNotLocked('d@example.com', IP)).rejects.toMatchObject({ code: 'OTP_LOCKED' });
+    await expect(otpService.assertNotLocked('d@example.com', '198.51.100.1')).resolves.toBeUndefined();
+  });
+
+  it('starts a fresh window once a lock has run out', async () => {
+    await expect(failTimes(user, 5)).rejects.toMatchObject({ code: 'OTP_LOCKED' });
+    const attempt = await attemptFor(otpService.emailKey(EMAIL));
+    attempt.lockedUntil = new Date(Date.now() - 1000);
+
+    await expect(otpService.verify(user, '000000', { email: EMAIL, ipAddress: IP })).resolves.toBe(false);
+    expect(attempt.failedAttempts).toBe(1);
+  });
+});
+
+describe('OTP resend cool-down', () => {
+  const sentSecondsAgo = async (seconds) => {
+    const attempt = await attemptFor(otpService.emailKey(EMAIL));
+    attempt.lastSentAt = new Date(Date.now() - seconds * 1000);
+  };
+
+  beforeEach(() => {
+    memoryModel(OtpAttempt, { unique: ['key'] });
+  });
+
+  afterEach(() => {
+    delete process.env.OTP_RESEND_MAX_COOLDOWN_SECONDS;
+    jest.restoreAllMocks();
+  });
+
+  it('lets the first code be sent at once', async () => {
+    await expect(otpService.assertCanSend(EMAIL, IP)).resolves.toBeUndefined();
+  });
+
+  it('doubles the wait after every send', async () => {
+    await otpService.recordSent(EMAIL);
+    await expect(otpService.assertCanSend(EMAIL, IP)).rejects.toMatchObject({ statusCode: 429, code: 'OTP_RESEND_COOLDOWN' });
+
+    await sentSecondsAgo(31);
+    await expect(otpService.assertCanSend(EMAIL, IP)).resolves.toBeUndefined();
+
+    await otpService.recordSent(EMAIL);
+    await sentSecondsAgo(31);
+    await expect(otpService.assertCanSend(EMAIL, IP)).rejects.toThrow(/wait 29 seconds/);
+
+    await sentSecondsAgo(61);
+    await expect(otpService.assertCanSend(EMAIL, IP)).resolves.toBeUndefined();
+  });
+
+  it('caps the wait at the configured maximum', async () => {
+    process.env.OTP_RESEND_MAX_COOLDOWN_SECONDS = '90';
+    for (let send = 0; send < 6; send += 1) {
+      await otpService.recordSent(EMAIL);
+    }
+
+    await sentSecondsAgo(91);
+
+    await expect(otpService.assertCanSend(EMAIL, IP)).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,121 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import paymentProofService from '../../src/services/paymentProofService.js';
+import storageService from '../../src/services/storageService.js';
+
+const image = (format, { width = 40, height = 20 } = {}) => sharp({
+  create: { width, height, channels: 3, background: { r: 200, g: 30, b: 30 } }
+}).toFormat(format);
+
+const pdf = (body = '') => Buffer.from(`%PDF-1.4\n1 0 obj << /Type /Catalog ${body} >> endobj\n%%EOF\n`, 'latin1');
+
+afterEach(() => {
+  delete process.env.PAYMENT_PROOF_MAX_DIMENSION;
+  jest.restoreAllMocks();
+});
+
+describe('paymentProofService.process', () => {
+  it('identifies a file by its content, not its name', async () => {
+    const buffer = await image('png').toBuffer();
+
+    const result = await paymentProofService.process({ buffer, originalname: 'receipt.pdf' });
+
+    expect(result).toMatchObject({ mime: 'image/png', ext: 'png' });
+    expect((await sharp(result.body).metadata()).format).toBe('png');
+  });
+
+  it('rejects content that is not an accepted type whatever it is called', async () => {
+    const buffer = Buffer.from('<html><script>alert(1)</script></html>');
+
+    await expect(paymentProofService.process({ buffer, originalname: 'receipt.png' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Payment proof must be a JPEG, PNG or WebP image, or a PDF' });
+  });
+
+  it('drops anything appended after the image data', async () => {
+    const payload = '<script>alert(document.cookie)</script>';
+    const buffer = Buffer.concat([await image('jpeg').toBuffer(), Buffer.from(payload)]);
+
+    const { body } = await paymentProofService.process({ buffer });
+
+    expect(body.includes(payload)).toBe(false);
+    expect((await sharp(body).metadata()).format).toBe('jpeg');
+  });
+
+  it('strips EXIF metadata such as the location', async () => {
+    const buffer = await image('jpeg')
+      .withExif({ IFD0: { Copyright: 'Taken at 12.97N 77.59E' } })
+      .toBuffer();
+    expect((await sharp(buffer).metadata()).exif).toBeDefined();
+
+    const { body } = await paymentProofService.process({ buffer });
+
+    expect((await sharp(body).metadata()).exif).toBeUndefined();
+    expect(body.includes('12.97N')).toBe(false);
+  });
+
+  it('scales large images down to the configured size', async () => {
+    process.env.PAYMENT_PROOF_MAX_DIMENSION = '50';
+    const buffer = await image('webp', { width: 200, height: 100 }).toBuffer();
+
+    const { body, ext } = await paymentProofService.process({ buffer });
+
+    expect(ext).toBe('webp');
+    expect(await sharp(body).metadata()).toMatchObject({ width: 50, height: 25 });
+  });
+
+  it('rejects an image that only starts like one', async () => {
+    const buffer = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), crypto.randomBytes(64)]);
+
+    await expect(paymentProofService.process({ buffer }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Payment proof image could not be read' });
+  });
+
+  it('keeps a plain PDF as uploaded', async () => {
+    const buffer = pdf('/Pages 2 0 R');
+
+    const result = await paymentProofService.process({ buffer });
+
+    expect(result).toMatchObject({ mime: 'application/pdf', ext: 'pdf' });
+    expect(result.body).toBe(buffer);
+  });
+
+  it.each([
+    '/OpenAction 3 0 R',
+    '/Names << /JavaScript 4 0 R >>',
+    '/AA << /O << /S /JS /JS (app.alert(1)) >> >>',
+    '/A << /S /Launch /F (cmd.exe) >>',
+    '/Names << /EmbeddedFiles 5 0 R >>',
+    '/Names << /J#61vaScript 4 0 R >>'
+  ])('rejects a PDF with active content (%s)', async (body) => {
+    await expect(paymentProofService.process({ buffer: pdf(body) }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'PDFs with scripts, actions or attachments are not accepted' });
+  });
+});
+
+describe('paymentProofService.store', () => {
+  it('stores the re-encoded file under the user with the detected extension', async () => {
+    const put = jest.spyOn(storageService, 'put').mockResolvedValue({});
+    const buffer = await image('png').toBuffer();
+
+    const proof = await paymentProofService.store('user123', { buffer, originalname: '../../receipt.exe' });
+
+    const [key, body, options] = put.mock.calls[0];
+    expect(key).toMatch(/^payment-proofs\/user123\/\d+-[0-9a-f]{16}\.png$/);
+    expect(options).toEqual({ contentType: 'image/png' });
+    expect(proof).toMatchObject({
+      key,
+      contentType: 'image/png',
+      size: body.length,
+      sha256: crypto.createHash('sha256').update(body).digest('hex'),
+      originalName: '../../receipt.exe'
+    });
+  });
+
+  it('stores nothing when the file is rejected', async () => {
+    const put = jest.spyOn(storageService, 'put').mockResolvedValue({});
+
+    await expect(paymentProofService.store('user123', { buffer: pdf('/OpenAction 3 0 R') })).rejects.toMatchObject({ statusCode: 400 });
+    expect(put).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,187 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Payment from '../../src/models/Payment.js';
+import User from '../../src/models/User.js';
+import paymentService from '../../src/services/paymentService.js';
+import { memoryModel } from '../helpers/memoryModel.js';
+
+const buildUser = () => {
+  const user = new User({ email: 'payer@example.com', name: 'Payer' });
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  return user;
+};
+
+const buildPayment = (user) => new Payment({
+  userId: user._id,
+  utrNo: '412356787890',
+  plan: { type: 'regular', month: 3, price: 999 },
+  amount: 999,
+  currency: 'INR',
+  decision: 'pending'
+});
+
+/**
+ * Stand-in for the atomic claim: only a pending payment can be claimed, once
+ */
+const stubClaims = (payment) => jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+  if (String(filter._id) !== String(payment._id) || payment.decision !== filter.decision) {
+    return null;
+  }
+  payment.set(update.$set);
+  return payment;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('paymentService.approvePayment', () => {
+  it('extends the subscription by the plan months', async () => {
+    const user = buildUser();
+    const payment = buildPayment(user);
+    stubClaims(payment);
+    const reviewerId = new mongoose.Types.ObjectId();
+
+    const result = await paymentService.approvePayment(user, { payment, reviewerId, reason: 'ok' });
+
+    expect(result.monthsAdded).toBe(3);
+    expect(result.payment.decision).toBe('approved');
+    expect(String(result.payment.reviewedBy)).toBe(String(reviewerId));
+    expect(user.subscriptionState).toBe('active');
+    expect(user.premiumEndDate).toBe(result.newEndDate);
+    expect(user.premiumEndDate.getTime()).toBeGreaterThan(Date.now() + 88 * 24 * 60 * 60 * 1000);
+  });
+
+  it('extends only once when the same payment is approved twice', async () => {
+    const user = buildUser();
+    const payment = buildPayment(user);
+    stubClaims(payment);
+
+    const first = await paymentService.approvePayment(user, { payment });
+    const endDate = user.premiumEndDate;
+
+    await expect(paymentService.approvePayment(user, { payment }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'PAYMENT_ALREADY_REVIEWED' });
+    expect(user.premiumEndDate).toEqual(endDate);
+    expect(first.newEndDate).toEqual(endDate);
+    expect(user.save).toHaveBeenCalledTimes(1);
+  });
+
+  it('only lets one of two concurrent approvals through', async () => {
+    const user = buildUser();
+    const payment = buildPayment(user);
+    stubClaims(payment);
+
+    const results = await Promise.allSettled([
+      paymentService.approvePayment(user, { payment }),
+      paymentService.approvePayment(user, { payment })
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.filter(result => result.status === 'rejected')[0].reason.code).toBe('PAYMENT_ALREADY_REVIEWED');
+    expect(user.save).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses to extend when the user has no pending payment', async () => {
+    const user = buildUser();
+    jest.spyOn(Payment, 'getLatestPending').mockResolvedValue(null);
+    user.subscriptionMonths = 1;
+
+    await expect(paymentService.approvePayment(user, {}))
+      .rejects.toMatchObject({ statusCode: 409, code: 'NO_PENDING_PAYMENT' });
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  it('puts the payment back in the queue when the extension fails', async () => {
+    const user = buildUser();
+    const payment = buildPayment(user);
+    stubClaims(payment);
+    user.save.mockRejectedValue(new Error('write failed'));
+    const revert = jest.spyOn(Payment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(paymentService.approvePayment(user, { payment })).rejects.toThrow('write failed');
+    expect(revert).toHaveBeenCalledWith(
+      { _id: payment._id, decision: 'approved' },
+      { $set: { decision: 'pending', reviewedBy: null, reviewedAt: null, reason: null } }
+    );
+  });
+});
+
+describe('paymentService.declinePayment', () => {
+  it('does not decline a payment that was approved in the meantime', async () => {
+    const user = buildUser();
+    const payment = buildPayment(user);
+    stubClaims(payment);
+
+    await paymentService.approvePayment(user, { payment });
+
+    await expect(paymentService.declinePayment(user, { payment }))
+      .rejects.toMatchObject({ code: 'PAYMENT_ALREADY_REVIEWED' });
+    expect(user.subscriptionState).toBe('active');
+  });
+});
+
+describe('paymentService.findSuspectedDuplicates', () => {
+  const submitUtr = (utrNo, minutesAgo = 0) => Payment.create({
+    userId: new mongoose.Types.ObjectId(),
+    utrNo,
+    plan: { type: 'regular', month: 1, price: 499 },
+    amount: 499,
+    currency: 'INR',
+    decision: 'pending',
+    submittedAt: new Date(Date.now() - minutesAgo * 60 * 1000)
+  });
+
+  beforeEach(() => {
+    memoryModel(Payment, { unique: ['utrNormalized'] });
+  });
+
+  it('flags exact and one-character-off UTRs but not other references with the same prefix', async () => {
+    const payment = await submitUtr('412356787890');
+    const near = await submitUtr('412356787891', 5);
+    await submitUtr('412356000000', 5);
+
+    const flags = await paymentService.findSuspectedDuplicates([payment]);
+
+    expect(flags.get(String(payment._id))).toEqual({
+      suspected: true,
+      duplicates: [],
+      nearDuplicates: [expect.objectContaining({ paymentId: near._id, utrNo: '412356787891' })]
+    });
+  });
+
+  it('finds the newest near duplicate behind many older payments sharing its prefix', async () => {
+    for (let index = 0; index < 250; index += 1) {
+      await submitUtr(`412356${String(index).padStart(6, '0')}`, 60 + index);
+    }
+    const payment = await submitUtr('412356787890');
+    const near = await submitUtr('412356787899', 1);
+
+    const flags = await paymentService.findSuspectedDuplicates([payment]);
+
+    expect(flags.get(String(payment._id)).nearDuplicates).toEqual([expect.objectContaining({ paymentId: near._id })]);
+  });
+
+  it('finds a near duplicate through its suffix when its prefix is crowded', async () => {
+    const near = await submitUtr('412350787890', 600);
+    for (let index = 0; index < 250; index += 1) {
+      await submitUtr(`412356${String(index).padStart(6, '0')}`, index);
+    }
+    const payment = await submitUtr('412356787890');
+
+    const flags = await paymentService.findSuspectedDuplicates([payment]);
+
+    expect(flags.get(String(payment._id)).nearDuplicates).toEqual([expect.objectContaining({ paymentId: near._id })]);
+  });
+
+  it('stores the lookup keys with the normalized UTR', async () => {
+    const payment = buildPayment(buildUser());
+    payment.utrNo = ' 4123 5678 7890 ';
+
+    await payment.validate();
+
+    expect(payment.utrNormalized).toBe('412356787890');
+    expect(payment.utrPrefix).toBe('412356');
+    expect(payment.utrSuffix).toBe('787890');
+  });
+});
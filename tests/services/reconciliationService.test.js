@@ -0,0 +1,206 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Payment from '../../src/models/Payment.js';
+import reconciliationService, { parseAmount, parseStatementDate } from '../../src/services/reconciliationService.js';
+import { memoryModel } from '../helpers/memoryModel.js';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('parseStatementDate', () => {
+  const march5 = new Date('2024-03-04T18:30:00.000Z');
+
+  it('reads numeric dates day first', () => {
+    expect(parseStatementDate('05/03/2024')).toEqual(march5);
+    expect(parseStatementDate('05-03-24')).toEqual(march5);
+    expect(parseStatementDate('5.3.2024')).toEqual(march5);
+  });
+
+  it('reads month names and ISO dates', () => {
+    expect(parseStatementDate('5 Mar 2024')).toEqual(march5);
+    expect(parseStatementDate('05-Mar-2024')).toEqual(march5);
+    expect(parseStatementDate('05 March, 2024')).toEqual(march5);
+    expect(parseStatementDate('2024-03-05')).toEqual(march5);
+  });
+
+  it('ignores a trailing time', () => {
+    expect(parseStatementDate('05/03/2024 23:59:59')).toEqual(march5);
+  });
+
+  it('starts the day at midnight in India', () => {
+    expect(parseStatementDate('01/01/2024').toISOString()).toBe('2023-12-31T18:30:00.000Z');
+  });
+
+  it('rejects anything that is not a date', () => {
+    expect(parseStatementDate('Opening Balance')).toBeNull();
+    expect(parseStatementDate('')).toBeNull();
+    expect(parseStatementDate('31/13/2024')).toBeNull();
+    expect(parseStatementDate('05 Foo 2024')).toBeNull();
+  });
+});
+
+describe('parseAmount', () => {
+  it('strips grouping, currency and Cr/Dr markers', () => {
+    expect(parseAmount('1,499.00')).toBe(1499);
+    expect(parseAmount('₹ 499')).toBe(499);
+    expect(parseAmount('INR 2,999.50')).toBe(2999.5);
+    expect(parseAmount('Rs. 99')).toBe(99);
+    expect(parseAmount('499.00 Cr')).toBe(499);
+  });
+
+  it('returns null for empty or non-numeric cells', () => {
+    expect(parseAmount('')).toBeNull();
+    expect(parseAmount(null)).toBeNull();
+    expect(parseAmount('n/a')).toBeNull();
+  });
+});
+
+describe('reconciliationService.parseStatement', () => {
+  it('finds the header below the account details and skips non-transaction rows', () => {
+    const csv = [
+      'Account Statement',
+      'Account No,XXXX1234',
+      'Date,Narration,Chq./Ref.No.,Withdrawal Amt.,Deposit Amt.',
+      'Opening Balance,,,,',
+      '05/03/24,"UPI/412356787890/PAYER, NAME",0000412356787890,,"1,499.00"',
+      '06/03/24,ATM WDL,,500.00,',
+      'Page 1 of 1,,,,'
+    ].join('\r\n');
+
+    const { credits, skippedRows } = reconciliationService.parseStatement(csv, { bank: 'hdfc' });
+
+    expect(credits).toEqual([{
+      row: 5,
+      date: new Date('2024-03-04T18:30:00.000Z'),
+      amount: 1499,
+      reference: '0000412356787890',
+      narration: 'UPI/412356787890/PAYER, NAME'
+    }]);
+    expect(skippedRows).toBe(2);
+  });
+
+  it('keeps only credits from an amount column with a Dr/Cr type', () => {
+    const csv = 'Transaction Date,Description,Amount,Dr / Cr\n05-Mar-2024,UPI IN,499.00,CR\n05-Mar-2024,UPI OUT,200.00,DR\n';
+
+    const { credits } = reconciliationService.parseStatement(csv, { bank: 'kotak' });
+
+    expect(credits.map(credit => credit.amount)).toEqual([499]);
+  });
+
+  it('uses a custom column name before the preset ones', () => {
+    const csv = 'Posted On,Info,Money In\n05/03/2024,UPI,499\n';
+
+    const { credits } = reconciliationService.parseStatement(csv, { columns: { date: 'Posted On', credit: 'Money In' } });
+
+    expect(credits).toHaveLength(1);
+  });
+
+  it('rejects a statement without a recognisable header', () => {
+    expect(() => reconciliationService.parseStatement('Foo,Bar\n1,2\n'))
+      .toThrow('Could not find the statement header row');
+    expect(() => reconciliationService.parseStatement(''))
+      .toThrow('The bank statement is empty');
+  });
+});
+
+describe('reconciliationService.reconcile', () => {
+  const day = parseStatementDate('05/03/2024');
+  let nextRow = 1;
+
+  const credit = (fields) => ({ row: nextRow++, date: day, amount: 499, reference: '', narration: '', ...fields });
+
+  const submit = (fields) => Payment.create({
+    userId: new mongoose.Types.ObjectId(),
+    plan: { type: 'regular', month: 1, price: 499 },
+    amount: 499,
+    currency: 'INR',
+    decision: 'pending',
+    // 10:00 on the statement day in India
+    submittedAt: new Date(day.getTime() + 10 * 60 * 60 * 1000),
+    ...fields
+  });
+
+  beforeEach(() => {
+    memoryModel(Payment, { unique: ['utrNormalized', 'transactionNote'] });
+  });
+
+  it('matches a zero-padded UTR in the reference column', async () => {
+    const payment = await submit({ utrNo: '412356787890' });
+
+    const report = await reconciliationService.reconcile([credit({ reference: '0000412356787890' })], { windowDays: 0 });
+
+    expect(report.summary).toMatchObject({ credits: 1, matched: 1, ambiguous: 0, unmatched: 0 });
+    expect(report.matched[0].payment.paymentId).toBe(payment._id);
+  });
+
+  it('matches the UPI transaction note in the narration', async () => {
+    const payment = await submit({ utrNo: '412356787890', transactionNote: 'GCAB12CD34EF' });
+
+    const report = await reconciliationService.reconcile([credit({ narration: 'UPI/CR/998877/GCAB12CD34EF/PAYER' })], { windowDays: 0 });
+
+    expect(report.matched.map(match => match.payment.paymentId)).toEqual([payment._id]);
+  });
+
+  it('flags a reference match with the wrong amount or outside the window as ambiguous', async () => {
+    await submit({ utrNo: '412356787890' });
+    await submit({ utrNo: '412356787891', submittedAt: new Date(day.getTime() - 3 * 24 * 60 * 60 * 1000) });
+
+    const report = await reconciliationService.reconcile([
+      credit({ reference: '412356787890', amount: 999 }),
+      credit({ reference: '412356787891' })
+    ], { windowDays: 1 });
+
+    expect(report.ambiguous.map(entry => entry.reasons)).toEqual([['amount_mismatch'], ['outside_date_window']]);
+  });
+
+  it('compares submission times with the statement day in India', async () => {
+    // 00:30 on 5 March in India, 23:30 on 4 March in India
+    await submit({ utrNo: '412356787890', submittedAt: new Date('2024-03-04T19:00:00.000Z') });
+    await submit({ utrNo: '412356787891', submittedAt: new Date('2024-03-04T18:00:00.000Z') });
+
+    const report = await reconciliationService.reconcile([
+      credit({ reference: '412356787890' }),
+      credit({ reference: '412356787891' })
+    ], { windowDays: 0 });
+
+    expect(report.matched).toHaveLength(1);
+    expect(report.matched[0].payment.utrNo).toBe('412356787890');
+    expect(report.ambiguous[0].reasons).toEqual(['outside_date_window']);
+  });
+
+  it('leaves a credit naming two payments for an admin', async () => {
+    await submit({ utrNo: '412356787890' });
+    await submit({ utrNo: '998877665544' });
+
+    const report = await reconciliationService.reconcile([credit({ narration: '412356787890 998877665544' })], { windowDays: 0 });
+
+    expect(report.ambiguous[0].reasons).toEqual(['multiple_payments']);
+    expect(report.ambiguous[0].candidates).toHaveLength(2);
+  });
+
+  it('treats an amount and date match without a reference as a hint only', async () => {
+    await submit({ utrNo: '412356787890' });
+
+    const report = await reconciliationService.reconcile([
+      credit({ narration: 'NEFT FROM SOMEONE' }),
+      credit({ narration: 'NEFT FROM SOMEONE', amount: 1999 })
+    ], { windowDays: 0 });
+
+    expect(report.ambiguous[0].reasons).toEqual(['no_reference']);
+    expect(report.unmatched).toHaveLength(1);
+    expect(report.unmatched[0].credit.amount).toBe(1999);
+  });
+
+  it('does not settle one payment with two credits', async () => {
+    await submit({ utrNo: '412356787890' });
+
+    const report = await reconciliationService.reconcile([
+      credit({ reference: '412356787890' }),
+      credit({ narration: 'UPI/412356787890' })
+    ], { windowDays: 0 });
+
+    expect(report.summary).toMatchObject({ matched: 0, ambiguous: 2 });
+    expect(report.ambiguous.map(entry => entry.reasons)).toEqual([['multiple_credits'], ['multiple_credits']]);
+  });
+});
@@ -0,0 +1,212 @@
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import PayInfo from '../../src/models/PayInfo.js';
+import Session from '../../src/models/Session.js';
+import User from '../../src/models/User.js';
+import sessionService from '../../src/services/sessionService.js';
+import { memoryModel } from '../helpers/memoryModel.js';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('session limit challenge', () => {
+  let user;
+
+  beforeEach(async () => {
+    memoryModel(User);
+    memoryModel(Session);
+    user = await User.create({ name: 'Member', phone: '9000000002', email: 'member@example.com', password: 'x' });
+  });
+
+  it('can be redeemed once', async () => {
+    const { challengeToken } = await sessionService.createSessionLimitChallenge(user);
+
+    const challenge = await sessionService.verifySessionLimitChallenge(challengeToken);
+    expect(String(challenge.id)).toBe(String(user._id));
+
+    await expect(sessionService.verifySessionLimitChallenge(challengeToken))
+      .rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('lets only one of two concurrent redemptions through', async () => {
+    const { challengeToken } = await sessionService.createSessionLimitChallenge(user);
+
+    const results = await Promise.allSettled([
+      sessionService.verifySessionLimitChallenge(challengeToken),
+      sessionService.verifySessionLimitChallenge(challengeToken)
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+  });
+
+  it('is replaced by a newer challenge', async () => {
+    const { challengeToken: older } = await sessionService.createSessionLimitChallenge(user);
+    const { challengeToken: newer } = await sessionService.createSessionLimitChallenge(user);
+
+    await expect(sessionService.verifySessionLimitChallenge(older)).rejects.toMatchObject({ statusCode: 401 });
+    await expect(sessionService.verifySessionLimitChallenge(newer)).resolves.toBeTruthy();
+  });
+
+  it('is voided by a password change', async () => {
+    const { challengeToken } = await sessionService.createSessionLimitChallenge(user);
+
+    await sessionService.revokeSessionsAfterPasswordChange(user._id);
+
+    await expect(sessionService.verifySessionLimitChallenge(challengeToken)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('is rejected when issued before the password was last changed', async () => {
+    const { challengeToken } = await sessionService.createSessionLimitChallenge(user);
+    user.markPasswordChanged();
+
+    await expect(sessionService.verifySessionLimitChallenge(challengeToken))
+      .rejects.toThrow('Password was changed recently');
+  });
+});
+
+describe('refresh token rotation', () => {
+  let user;
+  let session;
+  let refreshToken;
+
+  const tokenId = (token) => jwt.decode(token).tokenId;
+
+  beforeEach(async () => {
+    memoryModel(User);
+    memoryModel(Session);
+    user = await User.create({ name: 'Member', phone: '9000000003', email: 'tabs@example.com', password: 'x' });
+    session = await Session.create({ userId: user._id, email: user.email });
+    ({ refreshToken } = await sessionService.issueTokens(user, session));
+  });
+
+  it('rotates the refresh token and revokes the session when an old one comes back later', async () => {
+    const { tokens } = await sessionService.rotateRefreshToken(refreshToken);
+    expect(tokenId(tokens.refreshToken)).not.toBe(tokenId(refreshToken));
+
+    session.refreshTokenRotatedAt = new Date(Date.now() - 60 * 1000);
+
+    await expect(sessionService.rotateRefreshToken(refreshToken))
+      .rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+    expect(session.isActive).toBe(false);
+    expect(session.terminationReason).toBe('refresh_token_reuse');
+  });
+
+  it('gives concurrent refreshes of the same token the same replacement', async () => {
+    const [first, second] = await Promise.all([
+      sessionService.rotateRefreshToken(refreshToken),
+      sessionService.rotateRefreshToken(refreshToken)
+    ]);
+
+    expect(tokenId(first.tokens.refreshToken)).toBe(tokenId(second.tokens.refreshToken));
+    expect(session.isActive).toBe(true);
+
+    await expect(sessionService.rotateRefreshToken(second.tokens.refreshToken)).resolves.toBeTruthy();
+  });
+
+  it('treats the previous token as reuse once the replacement was rotated too', async () => {
+    const { tokens } = await sessionService.rotateRefreshToken(refreshToken);
+    await sessionService.rotateRefreshToken(tokens.refreshToken);
+
+    await expect(sessionService.rotateRefreshToken(refreshToken))
+      .rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+    expect(session.isActive).toBe(false);
+  });
+});
+
+describe('device limit', () => {
+  let plan;
+
+  const member = (fields = {}) => new User({
+    name: 'Member',
+    phone: '9000000007',
+    email: 'devices@example.com',
+    subscriptionState: 'active',
+    isPremium: true,
+    premiumEndDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+    paymentPlanId: String(plan._id),
+    ...fields
+  });
+
+  beforeEach(async () => {
+    memoryModel(PayInfo);
+    plan = await PayInfo.create({ price: 999, month: 3, type: 'regular', upiVpa: 'gochart@upi', maxDevices: 4 });
+  });
+
+  afterEach(() => {
+    delete process.env.DEFAULT_MAX_DEVICES;
+  });
+
+  it('uses the admin override first', async () => {
+    await expect(sessionService.resolveMaxSessions(member({ maxDevicesOverride: 1 }))).resolves.toBe(1);
+  });
+
+  it('uses the plan limit for a premium user', async () => {
+    await expect(sessionService.resolveMaxSessions(member())).resolves.toBe(4);
+    await expect(sessionService.resolveMaxSessions(member({ subscriptionState: 'grace' }))).resolves.toBe(4);
+  });
+
+  it('falls back to the default once the subscription has ended', async () => {
+    const user = member({ subscriptionState: 'expired', isPremium: false });
+
+    await expect(sessionService.resolveMaxSessions(user)).resolves.toBe(2);
+  });
+
+  it('falls back to the default when the plan has no limit or is gone', async () => {
+    plan.maxDevices = null;
+    await expect(sessionService.resolveMaxSessions(member())).resolves.toBe(2);
+
+    const withoutPlan = member({ paymentPlanId: String(new mongoose.Types.ObjectId()) });
+    await expect(sessionService.resolveMaxSessions(withoutPlan)).resolves.toBe(2);
+
+    await expect(sessionService.resolveMaxSessions(member({ paymentPlanId: 'legacy-plan' }))).resolves.toBe(2);
+  });
+
+  it('reads the default from DEFAULT_MAX_DEVICES', async () => {
+    process.env.DEFAULT_MAX_DEVICES = '3';
+
+    await expect(sessionService.resolveMaxSessions(member({ paymentPlanId: null }))).resolves.toBe(3);
+  });
+
+  describe('on login', () => {
+    let user;
+
+    const signIn = async (device, maxSessions) => {
+      const session = await sessionService.createSession(user._id, user.email, `203.0.113.${device}`, `Browser/${device}`, maxSessions);
+      // Later devices were active more recently
+      session.lastActivity = new Date(Date.now() + device * 1000);
+      return session;
+    };
+
+    beforeEach(async () => {
+      memoryModel(User);
+      memoryModel(Session);
+      user = await User.create({ name: 'Member', phone: '9000000008', email: 'limit@example.com', password: 'x' });
+    });
+
+    it('signs out the least recently active device past the limit', async () => {
+      const maxSessions = await sessionService.resolveMaxSessions(user);
+      const oldest = await signIn(1, maxSessions);
+      const newer = await signIn(2, maxSessions);
+
+      await signIn(3, maxSessions);
+
+      expect(oldest.isActive).toBe(false);
+      expect(oldest.terminationReason).toBe('signed_in_elsewhere');
+      expect(newer.isActive).toBe(true);
+    });
+
+    it('signs out enough devices when the limit was lowered', async () => {
+      await signIn(1, 3);
+      await signIn(2, 3);
+      await signIn(3, 3);
+      user.maxDevicesOverride = 1;
+
+      const latest = await signIn(4, await sessionService.resolveMaxSessions(user));
+
+      const active = await Session.find({ userId: user._id, isActive: true });
+      expect(active).toEqual([latest]);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import LocalStorage from '../../../src/services/storage/localStorage.js';
+
+describe('LocalStorage', () => {
+  let rootDir;
+  let storage;
+
+  beforeEach(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'local-storage-'));
+    storage = new LocalStorage({ rootDir });
+  });
+
+  afterEach(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  });
+
+  it('stores, reads and deletes a file under the root directory', async () => {
+    await storage.put('payment-proofs/user/proof.png', Buffer.from('content'));
+
+    expect(await fs.readFile(path.join(rootDir, 'payment-proofs/user/proof.png'), 'utf8')).toBe('content');
+    expect((await storage.get('payment-proofs/user/proof.png')).body.toString()).toBe('content');
+
+    await storage.delete('payment-proofs/user/proof.png');
+
+    await expect(storage.get('payment-proofs/user/proof.png')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('never overwrites an existing file', async () => {
+    await storage.put('proof.png', Buffer.from('first'));
+
+    await expect(storage.put('proof.png', Buffer.from('second'))).rejects.toMatchObject({ code: 'EEXIST' });
+    expect((await storage.get('proof.png')).body.toString()).toBe('first');
+  });
+
+  it.each([
+    '../outside.png',
+    'payment-proofs/../../outside.png',
+    '/etc/passwd',
+    '',
+    '.'
+  ])('rejects the key %p that resolves outside the root directory', async (key) => {
+    expect(() => storage.resolve(key)).toThrow('Invalid storage key');
+    await expect(storage.put(key, Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    await expect(storage.get(key)).rejects.toThrow('Invalid storage key');
+    await expect(storage.delete(key)).rejects.toThrow('Invalid storage key');
+  });
+
+  it('rejects a sibling directory that shares the root directory name as a prefix', () => {
+    expect(() => storage.resolve(`../${path.basename(rootDir)}-other/file.png`)).toThrow('Invalid storage key');
+  });
+});
@@ -0,0 +1,235 @@
+import { jest } from '@jest/globals';
+import User from '../../src/models/User.js';
+import emailService from '../../src/services/emailService.js';
+import subscriptionService from '../../src/services/subscriptionService.js';
+import { memoryModel } from '../helpers/memoryModel.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysFromNow = (days) => new Date(Date.now() + days * DAY_MS);
+
+const yearAgo = () => new Date(Date.now() - 365 * 24 * 60 * 60 * 1000);
+
+const buildUser = (fields) => {
+  const user = new User({ name: 'Member', phone: '9000000004', email: 'months@example.com', ...fields });
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  return user;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('subscriptionService.changeMonths', () => {
+  it('expires a running subscription whose new end date has passed', async () => {
+    const user = buildUser({ subscriptionState: 'active', premiumStartDate: yearAgo(), premiumEndDate: new Date(Date.now() + 1000) });
+
+    await subscriptionService.changeMonths(user, 1);
+
+    expect(user.subscriptionState).toBe('expired');
+    expect(user.isPremium).toBe(false);
+  });
+
+  it.each(['none', 'pending'])('cancels a %s subscription whose new end date has passed', async (state) => {
+    const user = buildUser({ subscriptionState: state, premiumStartDate: yearAgo() });
+
+    await subscriptionService.changeMonths(user, 0);
+
+    expect(user.subscriptionState).toBe('cancelled');
+    expect(user.isPremium).toBe(false);
+  });
+
+  it('activates a subscription whose new end date is ahead', async () => {
+    const user = buildUser({ subscriptionState: 'pending', premiumStartDate: yearAgo() });
+
+    await subscriptionService.changeMonths(user, 24);
+
+    expect(user.subscriptionState).toBe('active');
+    expect(user.subscriptionMonths).toBe(24);
+  });
+});
+
+describe('subscriptionService.processExpirations', () => {
+  let sendGraceNotice;
+  let sendExpiredNotice;
+
+  const subscriber = (fields) => User.create({
+    name: 'Member',
+    phone: '9000000005',
+    email: 'lapsed@example.com',
+    password: 'x',
+    isPremium: true,
+    subscriptionState: 'active',
+    premiumStartDate: yearAgo(),
+    ...fields
+  });
+
+  beforeEach(() => {
+    process.env.SUBSCRIPTION_GRACE_DAYS = '3';
+    memoryModel(User);
+    sendGraceNotice = jest.spyOn(emailService, 'sendSubscriptionGraceNotice').mockResolvedValue(null);
+    sendExpiredNotice = jest.spyOn(emailService, 'sendSubscriptionExpiredNotice').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    delete process.env.SUBSCRIPTION_GRACE_DAYS;
+  });
+
+  it('moves a just-lapsed subscription into grace until the grace period ends', async () => {
+    const premiumEndDate = daysFromNow(-1);
+    const user = await subscriber({ premiumEndDate });
+
+    const result = await subscriptionService.processExpirations();
+
+    expect(result).toEqual({ updatedCount: 1, graceCount: 1, expiredCount: 0 });
+    expect(user.subscriptionState).toBe('grace');
+    expect(user.isPremium).toBe(true);
+    expect(user.graceEndsAt).toEqual(new Date(premiumEndDate.getTime() + 3 * DAY_MS));
+    expect(sendGraceNotice).toHaveBeenCalledWith(user.email, user.name, { graceEndsAt: user.graceEndsAt });
+  });
+
+  it('leaves a subscription in grace alone until the grace period is over', async () => {
+    const user = await subscriber({ premiumEndDate: daysFromNow(-1) });
+    await subscriptionService.processExpirations();
+
+    await expect(subscriptionService.processExpirations()).resolves.toMatchObject({ updatedCount: 0 });
+    expect(user.subscriptionState).toBe('grace');
+    expect(sendGraceNotice).toHaveBeenCalledTimes(1);
+  });
+
+  it('expires a subscription once its grace period is over', async () => {
+    const user = await subscriber({ premiumEndDate: daysFromNow(-1) });
+    await subscriptionService.processExpirations();
+
+    const result = await subscriptionService.processExpirations(daysFromNow(3));
+
+    expect(result).toEqual({ updatedCount: 1, graceCount: 0, expiredCount: 1 });
+    expect(user.subscriptionState).toBe('expired');
+    expect(user.isPremium).toBe(false);
+    expect(user.graceEndsAt).toBeNull();
+    expect(sendExpiredNotice).toHaveBeenCalledWith(user.email, user.name);
+  });
+
+  it('expires at once when the grace period has already passed or is disabled', async () => {
+    const late = await subscriber({ premiumEndDate: daysFromNow(-5) });
+
+    await subscriptionService.processExpirations();
+    expect(late.subscriptionState).toBe('expired');
+
+    process.env.SUBSCRIPTION_GRACE_DAYS = '0';
+    const noGrace = await subscriber({ email: 'nograce@example.com', premiumEndDate: daysFromNow(-1) });
+
+    await subscriptionService.processExpirations();
+    expect(noGrace.subscriptionState).toBe('expired');
+    expect(sendGraceNotice).not.toHaveBeenCalled();
+  });
+
+  it('keeps processing other users when one fails', async () => {
+    const broken = await subscriber({ email: 'broken@example.com', premiumEndDate: daysFromNow(-5) });
+    const user = await subscriber({ premiumEndDate: daysFromNow(-5) });
+    broken.save = jest.fn().mockRejectedValue(new Error('Write conflict'));
+
+    await expect(subscriptionService.processExpirations()).resolves.toMatchObject({ expiredCount: 1 });
+    expect(user.subscriptionState).toBe('expired');
+  });
+});
+
+describe('subscriptionService.sendExpiryReminders', () => {
+  let sendReminder;
+
+  const subscriber = (premiumEndDate, fields = {}) => User.create({
+    name: 'Member',
+    phone: '9000000006',
+    email: 'reminders@example.com',
+    password: 'x',
+    isPremium: true,
+    subscriptionState: 'active',
+    premiumStartDate: yearAgo(),
+    premiumEndDate,
+    ...fields
+  });
+
+  beforeEach(() => {
+    memoryModel(User);
+    sendReminder = jest.spyOn(emailService, 'sendSubscriptionExpiryReminder').mockResolvedValue(null);
+  });
+
+  it('sends each reminder once per subscription period', async () => {
+    const user = await subscriber(daysFromNow(6.5));
+
+    await expect(subscriptionService.sendExpiryReminders()).resolves.toBe(1);
+    await expect(subscriptionService.sendExpiryReminders()).resolves.toBe(0);
+
+    expect(sendReminder).toHaveBeenCalledWith(user.email, user.name, { daysLeft: 7, endDate: user.premiumEndDate });
+    expect(user.subscriptionReminders.map(reminder => reminder.days)).toEqual([7]);
+  });
+
+  it('sends the next reminder when a tighter window is reached', async () => {
+    const user = await subscriber(daysFromNow(6.5));
+    await subscriptionService.sendExpiryReminders();
+
+    await expect(subscriptionService.sendExpiryReminders(daysFromNow(4))).resolves.toBe(1);
+
+    expect(sendReminder).toHaveBeenLastCalledWith(user.email, user.name, expect.objectContaining({ daysLeft: 3 }));
+    expect(user.subscriptionReminders.map(reminder => reminder.days)).toEqual([7, 3]);
+  });
+
+  it('does not send an earlier reminder after a later one went out', async () => {
+    const user = await subscriber(daysFromNow(0.5));
+    user.subscriptionReminders.push({ days: 1, periodEnd: user.premiumEndDate });
+
+    await expect(subscriptionService.sendExpiryReminders()).resolves.toBe(0);
+  });
+
+  it('sends only one reminder when two runs overlap', async () => {
+    await subscriber(daysFromNow(2.5));
+
+    const sent = await Promise.all([
+      subscriptionService.sendExpiryReminders(),
+      subscriptionService.sendExpiryReminders()
+    ]);
+
+    expect(sent.reduce((total, count) => total + count, 0)).toBe(1);
+    expect(sendReminder).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not send when another run claims the reminder first', async () => {
+    const user = await subscriber(daysFromNow(2.5));
+    const updateOne = User.updateOne.getMockImplementation();
+    // Another instance records the reminder between this run's read and its claim
+    jest.spyOn(User, 'updateOne').mockImplementation((filter, update) => {
+      if (update.$push) user.subscriptionReminders.push({ days: 3, periodEnd: user.premiumEndDate });
+      return updateOne(filter, update);
+    });
+
+    await expect(subscriptionService.sendExpiryReminders()).resolves.toBe(0);
+    expect(sendReminder).not.toHaveBeenCalled();
+    expect(user.subscriptionReminders).toHaveLength(1);
+  });
+
+  it('starts over for a renewed period', async () => {
+    const user = await subscriber(daysFromNow(6.5));
+    await subscriptionService.sendExpiryReminders();
+
+    user.premiumEndDate = daysFromNow(6.8);
+
+    await expect(subscriptionService.sendExpiryReminders()).resolves.toBe(1);
+    expect(user.subscriptionReminders).toHaveLength(2);
+  });
+
+  it('releases the claim when the email fails so the next run retries', async () => {
+    const user = await subscriber(daysFromNow(2.5));
+    sendReminder.mockRejectedValueOnce(new Error('Email provider down'));
+
+    await expect(subscriptionService.sendExpiryReminders()).resolves.toBe(0);
+    expect(user.subscriptionReminders).toHaveLength(0);
+
+    await expect(subscriptionService.sendExpiryReminders()).resolves.toBe(1);
+  });
+
+  it('skips users in grace', async () => {
+    await subscriber(daysFromNow(2.5), { subscriptionState: 'grace', graceEndsAt: daysFromNow(5) });
+
+    await expect(subscriptionService.sendExpiryReminders()).resolves.toBe(0);
+  });
+});
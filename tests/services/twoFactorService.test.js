@@ -0,0 +1,77 @@
+import { jest } from '@jest/globals';
+import User from '../../src/models/User.js';
+import twoFactorService from '../../src/services/twoFactorService.js';
+import { generateCode, timeStep } from '../../src/utils/totp.js';
+import { memoryModel } from '../helpers/memoryModel.js';
+
+describe('two-factor authentication', () => {
+  let user;
+  let secret;
+  let recoveryCodes;
+
+  beforeAll(() => {
+    process.env.TWO_FACTOR_ENCRYPTION_KEY = 'test-two-factor-key';
+  });
+
+  beforeEach(async () => {
+    memoryModel(User);
+    user = await User.create({ name: 'Member', phone: '9000000005', email: 'totp@example.com', password: 'x' });
+
+    ({ secret } = await twoFactorService.createEnrollment(user));
+    // Enrol with the previous step's code so the current one is still unused
+    recoveryCodes = await twoFactorService.confirmEnrollment(user, generateCode(secret, timeStep() - 1));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('enables 2FA only after a valid code from the authenticator', async () => {
+    const other = await User.create({ name: 'Other', phone: '9000000006', email: 'other@example.com', password: 'x' });
+    await twoFactorService.createEnrollment(other);
+
+    await expect(twoFactorService.confirmEnrollment(other, '000000')).rejects.toMatchObject({ statusCode: 401 });
+    expect(other.twoFactorEnabled).toBe(false);
+
+    expect(user.twoFactorEnabled).toBe(true);
+    expect(user.twoFactorPendingSecret).toBeUndefined();
+    expect(recoveryCodes).toHaveLength(10);
+  });
+
+  it('accepts a TOTP code once', async () => {
+    const code = generateCode(secret);
+
+    await expect(twoFactorService.verifyLoginCode(user, { code })).resolves.toEqual({ valid: true, method: 'totp' });
+    await expect(twoFactorService.verifyLoginCode(user, { code })).resolves.toEqual({ valid: false, method: 'totp' });
+  });
+
+  it('rejects a code older than the last one accepted', async () => {
+    await expect(twoFactorService.verifyLoginCode(user, { code: generateCode(secret, timeStep() - 1) }))
+      .resolves.toMatchObject({ valid: false });
+  });
+
+  it('accepts each recovery code once, ignoring case and dashes', async () => {
+    const recoveryCode = recoveryCodes[0].toUpperCase().replace('-', '');
+
+    await expect(twoFactorService.verifyLoginCode(user, { recoveryCode }))
+      .resolves.toEqual({ valid: true, method: 'recovery_code' });
+    await expect(twoFactorService.verifyLoginCode(user, { recoveryCode: recoveryCodes[0] }))
+      .resolves.toEqual({ valid: false, method: 'recovery_code' });
+    expect(user.twoFactorRecoveryCodes).toHaveLength(9);
+  });
+
+  it('only accepts a challenge for the purpose it was issued for', async () => {
+    const { challengeToken, purpose } = twoFactorService.createChallenge(user);
+    expect(purpose).toBe('login');
+
+    await expect(twoFactorService.verifyChallenge(challengeToken, 'login')).resolves.toMatchObject({ id: String(user._id) });
+    await expect(twoFactorService.verifyChallenge(challengeToken, 'enroll')).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('requires admins without 2FA to enrol', () => {
+    const admin = new User({ name: 'Admin', role: 'admin' });
+
+    expect(twoFactorService.isRequired(admin)).toBe(true);
+    expect(twoFactorService.createChallenge(admin).purpose).toBe('enroll');
+  });
+});
@@ -0,0 +1,9 @@
+import mongoose from 'mongoose';
+
+// Tests never talk to MongoDB: anything not stubbed fails at once instead of buffering
+mongoose.set('bufferCommands', false);
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_jwt_secret';
+// Required by src/config/database.js at import; tests never connect
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/gochart-test';
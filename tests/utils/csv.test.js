@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import { parseCsv, toCsv } from '../../src/utils/csv.js';
+
+describe('parseCsv', () => {
+  it('reads quoted cells with commas, escaped quotes and line breaks', () => {
+    expect(parseCsv('a,"b, c","say ""hi""","two\nlines"\n')).toEqual([['a', 'b, c', 'say "hi"', 'two\nlines']]);
+  });
+
+  it('accepts CRLF and LF line ends and skips blank lines', () => {
+    expect(parseCsv('a,b\r\n\r\n1,2\n,\n3,4')).toEqual([['a', 'b'], ['1', '2'], ['3', '4']]);
+  });
+
+  it('ignores a byte order mark', () => {
+    expect(parseCsv('﻿Date,Credit\n')).toEqual([['Date', 'Credit']]);
+  });
+
+  it('splits on a custom delimiter', () => {
+    expect(parseCsv('a;b;"c;d"', { delimiter: ';' })).toEqual([['a', 'b', 'c;d']]);
+  });
+});
+
+describe('toCsv', () => {
+  const columns = [{ key: 'name', header: 'Name' }, { key: 'note', header: 'Note' }];
+
+  it('quotes cells with commas, quotes or line breaks', () => {
+    const csv = toCsv([{ name: 'Doe, Jane', note: 'said "hi"\nthen left' }], columns);
+
+    expect(csv).toBe('Name,Note\r\n"Doe, Jane","said ""hi""\nthen left"');
+  });
+
+  it.each(['=HYPERLINK("http://evil.example")', '+1+1', '-2+3', '@SUM(A1)', '\tcmd', '\rcmd'])(
+    'keeps spreadsheet apps from running %p as a formula',
+    (value) => {
+      const [, cell] = parseCsv(toCsv([{ name: value }], [{ key: 'name', header: 'Name' }]));
+
+      expect(cell).toEqual([`'${value}`]);
+    }
+  );
+
+  it('writes dates, IDs and objects as text and leaves missing values empty', () => {
+    const id = new mongoose.Types.ObjectId();
+    const row = { at: new Date('2024-03-05T00:00:00.000Z'), id, meta: { months: 3 }, missing: null };
+
+    const csv = toCsv([row], [
+      { key: 'at', header: 'At' },
+      { key: 'id', header: 'ID' },
+      { key: 'meta', header: 'Meta' },
+      { key: 'missing', header: 'Missing' },
+      { header: 'Computed', value: (item) => item.meta.months * 2 }
+    ]);
+
+    expect(parseCsv(csv)[1]).toEqual(['2024-03-05T00:00:00.000Z', id.toHexString(), '{"months":3}', '', '6']);
+  });
+});
@@ -0,0 +1,79 @@
+import { buildUpiUri, generateTransactionNote, isValidVpa, renderQrCode } from '../../src/utils/upi.js';
+
+const paramsOf = (uri) => Object.fromEntries(new URLSearchParams(uri.slice('upi://pay?'.length)));
+
+describe('buildUpiUri', () => {
+  const base = { vpa: 'gochart@okaxis', payeeName: 'GoChart', amount: 499, note: 'GC7KQ2MZ4TXP' };
+
+  it('builds a pay intent with the amount to two decimals', () => {
+    expect(buildUpiUri(base)).toBe('upi://pay?pa=gochart@okaxis&pn=GoChart&am=499.00&cu=INR&tn=GC7KQ2MZ4TXP');
+  });
+
+  it.each([
+    [499.5, '499.50'],
+    ['1499', '1499.00'],
+    [0.1 + 0.2, '0.30'],
+    [999.999, '1000.00']
+  ])('writes the amount %p as %s', (amount, expected) => {
+    expect(paramsOf(buildUpiUri({ ...base, amount })).am).toBe(expected);
+  });
+
+  it('keeps the @ in the VPA literal and trims it', () => {
+    const uri = buildUpiUri({ ...base, vpa: '  first.last-1@ybl ' });
+
+    expect(uri).toContain('pa=first.last-1@ybl&');
+    expect(uri).not.toContain('%40');
+  });
+
+  it('percent-encodes the payee name and note, spaces included', () => {
+    const uri = buildUpiUri({ ...base, payeeName: 'Go Chart & Co+', note: 'Plan 3/12' });
+
+    expect(uri).toContain('pn=Go%20Chart%20%26%20Co%2B&');
+    expect(uri).toContain('tn=Plan%203%2F12');
+    expect(paramsOf(uri)).toMatchObject({ pn: 'Go Chart & Co+', tn: 'Plan 3/12' });
+  });
+
+  it('leaves the payee name empty when there is none and accepts another currency', () => {
+    expect(paramsOf(buildUpiUri({ ...base, payeeName: null, currency: 'USD' }))).toMatchObject({ pn: '', cu: 'USD' });
+  });
+});
+
+describe('isValidVpa', () => {
+  it.each(['gochart@okaxis', 'first.last-1@ybl', '9876543210@paytm', 'shop_42@icici.bank', ' padded@upi '])('accepts %p', (vpa) => {
+    expect(isValidVpa(vpa)).toBe(true);
+  });
+
+  it.each(['', 'gochart', 'gochart@', '@okaxis', 'a@okaxis', 'go chart@okaxis', 'go@chart@okaxis', 'gochart@1bank', 'gochart@o', null, 42])(
+    'rejects %p',
+    (vpa) => {
+      expect(isValidVpa(vpa)).toBe(false);
+    }
+  );
+});
+
+describe('generateTransactionNote', () => {
+  it('adds random characters that are easy to read back to the prefix', () => {
+    const notes = Array.from({ length: 50 }, () => generateTransactionNote());
+
+    notes.forEach(note => expect(note).toMatch(/^GC[A-HJ-NP-Z2-9]{10}$/));
+    expect(new Set(notes).size).toBe(notes.length);
+  });
+
+  it('takes a custom prefix and length', () => {
+    expect(generateTransactionNote('PAY', 4)).toMatch(/^PAY[A-HJ-NP-Z2-9]{4}$/);
+  });
+});
+
+describe('renderQrCode', () => {
+  const uri = 'upi://pay?pa=gochart@okaxis&pn=GoChart&am=499.00&cu=INR&tn=GC7KQ2MZ4TXP';
+
+  it('renders a PNG by default', async () => {
+    const png = await renderQrCode(uri);
+
+    expect(png.subarray(0, 4).toString('latin1')).toBe('\x89PNG');
+  });
+
+  it('renders SVG markup', async () => {
+    await expect(renderQrCode(uri, 'svg')).resolves.toMatch(/^<svg[\s\S]*<\/svg>\s*$/);
+  });
+});
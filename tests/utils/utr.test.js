@@ -0,0 +1,53 @@
+import { normalizeUtr, isNearDuplicateUtr, utrMatchKeys } from '../../src/utils/utr.js';
+
+describe('normalizeUtr', () => {
+  it('removes whitespace and upper-cases', () => {
+    expect(normalizeUtr(' 4123 56ab 7890 ')).toBe('412356AB7890');
+  });
+
+  it('treats missing references as empty', () => {
+    expect(normalizeUtr(null)).toBe('');
+    expect(normalizeUtr(undefined)).toBe('');
+  });
+});
+
+describe('isNearDuplicateUtr', () => {
+  it('flags one substituted, inserted or deleted character', () => {
+    expect(isNearDuplicateUtr('412356787890', '412356787891')).toBe(true);
+    expect(isNearDuplicateUtr('412356787890', '4123567878900')).toBe(true);
+    expect(isNearDuplicateUtr('412356787890', '41235678789')).toBe(true);
+  });
+
+  it('ignores identical and distant references', () => {
+    expect(isNearDuplicateUtr('412356787890', '412356787890')).toBe(false);
+    expect(isNearDuplicateUtr('412356787890', '412356787811')).toBe(false);
+    expect(isNearDuplicateUtr('412356787890', '4123567878')).toBe(false);
+    expect(isNearDuplicateUtr('', '1')).toBe(false);
+  });
+});
+
+describe('utrMatchKeys', () => {
+  it('keeps the first and last six characters', () => {
+    expect(utrMatchKeys('412356787890')).toEqual({ utrPrefix: '412356', utrSuffix: '787890' });
+    expect(utrMatchKeys('')).toEqual({ utrPrefix: null, utrSuffix: null });
+  });
+
+  it('shares a key with every reference one edit away', () => {
+    const utr = '412356787890';
+    const variants = [];
+
+    for (let i = 0; i <= utr.length; i++) {
+      variants.push(utr.slice(0, i) + 'X' + utr.slice(i));
+      if (i < utr.length) {
+        variants.push(utr.slice(0, i) + 'X' + utr.slice(i + 1));
+        variants.push(utr.slice(0, i) + utr.slice(i + 1));
+      }
+    }
+
+    const keys = utrMatchKeys(utr);
+    variants.forEach(variant => {
+      const other = utrMatchKeys(variant);
+      expect(other.utrPrefix === keys.utrPrefix || other.utrSuffix === keys.utrSuffix).toBe(true);
+    });
+  });
+});